@@ -0,0 +1,492 @@
+const app = require('../src/index.js').default;
+
+let server;
+let baseUrl;
+
+beforeAll(done => {
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+const request = async (method, path, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: body === undefined ? {} : { 'content-type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+const post = (path, body = {}) => request('POST', path, body);
+const get = path => request('GET', path);
+
+const adults = [
+  { id: 'a', name: 'A', netIncome: 5000 },
+  { id: 'b', name: 'B', netIncome: 4000 },
+  { id: 'c', name: 'C', netIncome: 3000 }
+];
+const noChildUnits = { a: 0, b: 0, c: 0 };
+const codes = response => (response.body.violations || []).map(violation => violation.code);
+
+const onboard = (overrides = {}) => post('/api/household/onboard', { name: 'Test LLC', adults, ...overrides });
+
+describe('period lifecycle routes', () => {
+  const approve = async () => {
+    await post('/api/period/calculate', { coreTotal: 3000, assignedChildUnits: noChildUnits });
+    await post('/api/period/status', { status: 'under_review' });
+    return post('/api/period/status', { status: 'approved', by: 'a' });
+  };
+
+  test('calculate rejects new figures once the period is approved', async () => {
+    await onboard();
+    expect((await approve()).status).toBe(200);
+
+    const response = await post('/api/period/calculate', { coreTotal: 9999 });
+    expect(response.status).toBe(400);
+    expect(response.body.violations[0]).toMatchObject({ code: 'PERIOD_LOCKED', field: '/status' });
+
+    const close = await post('/api/period/close', { by: 'a' });
+    expect(close.body.period.coreTotal).toBe(3000);
+  });
+
+  test('calculate rejects new figures on a closed period and leaves it unchanged', async () => {
+    await onboard();
+    await approve();
+    await post('/api/period/close', { by: 'a' });
+
+    const response = await post('/api/period/calculate', { coreTotal: 1234 });
+    expect(response.status).toBe(400);
+    expect(codes(response)).toEqual(['PERIOD_LOCKED']);
+
+    const { body } = await get('/api/periods');
+    expect(body.periods[0]).toMatchObject({ coreTotal: 3000, status: 'closed' });
+  });
+
+  test('income entry is rejected once the period is approved', async () => {
+    await onboard();
+    await approve();
+
+    const response = await post('/api/period/income', { adultId: 'a', method: 'declared', amount: 6000 });
+    expect(response.status).toBe(400);
+    expect(response.body.violations).toEqual([expect.objectContaining({ code: 'PERIOD_LOCKED', field: '/status' })]);
+    expect((await get('/api/period/income')).body.incomes[0]).toMatchObject({ amount: 5000, source: 'household' });
+  });
+
+  test('a reopened period posts its corrected care credits when it closes again', async () => {
+    await onboard();
+    const { currentLabel } = (await get('/api/periods')).body;
+    const addApprovedCare = async hours => {
+      const entry = await post('/api/period/care-entries', { adultId: 'a', date: `${currentLabel}-04`, task: 'School run', hours });
+      await post(`/api/period/care-entries/${entry.body.careEntry.id}/review`, { reviewerId: 'b', status: 'approved' });
+    };
+    const statement = async () => (await get('/api/household/care-credits/a/statement')).body;
+
+    await addApprovedCare(2);
+    await approve();
+    expect((await post('/api/period/close', { by: 'a' })).body.careCredits).toEqual([expect.objectContaining({ type: 'earned', amount: 40 })]);
+
+    const reopened = await post('/api/period/reopen', { reason: 'Missed a school run', consents: adults.map(adult => ({ adultId: adult.id })) });
+    expect(reopened.body.transition.reversedCareCredits).toEqual([expect.objectContaining({ type: 'earned', amount: 40 })]);
+    expect((await statement()).balance).toBe(0);
+
+    await addApprovedCare(1);
+    await approve();
+    const closed = await post('/api/period/close', { by: 'a' });
+    expect(closed.body.careCredits).toEqual([expect.objectContaining({ type: 'earned', amount: 60 })]);
+    expect(await statement()).toMatchObject({ balance: 60, transactions: [expect.objectContaining({ amount: 60 })] });
+  });
+
+  test('status changes out of order are rejected', async () => {
+    await onboard();
+    const response = await post('/api/period/status', { status: 'approved', by: 'a' });
+    expect(response.status).toBe(400);
+    expect(codes(response)).toEqual(['PERIOD_TRANSITION_INVALID']);
+  });
+});
+
+describe('period rollover routes', () => {
+  test('drafts the next period from the preview the closed period was approved with', async () => {
+    await onboard();
+    await post('/api/period/calculate', { coreTotal: 3000, assignedChildUnits: noChildUnits });
+    await post('/api/period/status', { status: 'under_review' });
+    await post('/api/period/status', { status: 'approved', by: 'a' });
+    expect((await post('/api/period/calculate', { coreTotal: 9999 })).status).toBe(400);
+    const closed = (await post('/api/period/close', { by: 'a' })).body.period;
+
+    const response = await post('/api/period/rollover');
+    expect(response.status).toBe(200);
+    expect(response.body.period.coreTotal).toBe(closed.nextPeriodCorePreview.estimatedCoreTotal);
+    expect(response.body.carriedForward.coreTotalSource).toBe('next_period_core_preview');
+  });
+
+  test('rejects rolling over a period that is not closed', async () => {
+    await onboard();
+    const response = await post('/api/period/rollover');
+    expect(response.status).toBe(400);
+    expect(response.body.violations[0]).toMatchObject({ code: 'PERIOD_NOT_CLOSED', field: '/status' });
+  });
+});
+
+describe('household export and import routes', () => {
+  test('round-trips the onboarded household through a versioned export', async () => {
+    await onboard();
+    const exported = await get('/api/household/export');
+    expect(exported.body).toMatchObject({ format: 'llc-household-export', version: 1, appVersion: expect.any(String) });
+
+    const imported = await post('/api/household/import', exported.body);
+    expect(imported.status).toBe(200);
+    expect(imported.body.report).toMatchObject({ fromVersion: 1, checksum: 'verified', dropped: [] });
+  });
+
+  test('rejects a legacy file that onboarding would reject and keeps the current household', async () => {
+    await onboard({ name: 'Kept LLC' });
+    const response = await post('/api/household/import', {
+      household: { name: 'Bad LLC', capPercent: 0, adults: [adults[0]] }
+    });
+    expect(response.status).toBe(400);
+    expect(response.body.violations.map(violation => violation.field)).toEqual(['/household/adults', '/household/capPercent']);
+
+    const exported = await get('/api/household/export');
+    expect(exported.body.payload.household.name).toBe('Kept LLC');
+  });
+
+  test('rejects households and calculated periods that break the model rules', async () => {
+    await onboard({ name: 'Kept LLC' });
+    const response = await post('/api/household/import', {
+      household: { name: 'Bad LLC', adults, governance: { routineQuorum: 5 } },
+      period: { label: '2025-01', status: 'calculated', coreTotal: 0, assignedChildUnits: noChildUnits }
+    });
+    expect(response.status).toBe(400);
+    expect(response.body.violations.map(violation => [violation.code, violation.field])).toEqual([
+      ['ROUTINE_QUORUM_EXCEEDS_ADULTS', '/household/governance/routineQuorum'],
+      ['PERIOD_INVALID', '/periods/0']
+    ]);
+    expect((await get('/api/household/export')).body.payload.household.name).toBe('Kept LLC');
+  });
+
+  test('drops the previous household\'s periods when the import has none', async () => {
+    await onboard();
+    const response = await post('/api/household/import', { household: { name: 'New LLC', adults } });
+    expect(response.status).toBe(200);
+    expect(response.body.period).toBeNull();
+    expect((await get('/api/periods')).body).toEqual({ currentLabel: null, periods: [] });
+  });
+});
+
+describe('care entry routes', () => {
+  test('submits care hours, lists them by status and records another adult\'s approval', async () => {
+    await onboard();
+    const submitted = await post('/api/period/care-entries', { adultId: 'a', date: '2025-01-04', task: 'School run', hours: 2 });
+    expect(submitted.status).toBe(200);
+    const entryId = submitted.body.careEntry.id;
+
+    expect((await get('/api/period/care-entries?status=submitted')).body.careEntries.map(entry => entry.id)).toEqual([entryId]);
+
+    const review = await post(`/api/period/care-entries/${entryId}/review`, { reviewerId: 'b', status: 'approved' });
+    expect(review.status).toBe(200);
+    expect(review.body.careEntry).toMatchObject({ status: 'approved', approvedBy: 'b' });
+    expect((await get('/api/period/care-entries?status=submitted')).body.careEntries).toEqual([]);
+  });
+
+  test('rejects invalid entries, unknown statuses and self-reviews', async () => {
+    await onboard();
+    const invalid = await post('/api/period/care-entries', { adultId: 'z', task: '', hours: 30 });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details).toHaveLength(3);
+    expect(invalid.body.violations.map(violation => violation.field)).toEqual(['/adultId', '/task', '/hours']);
+    expect(codes(await post('/api/period/care-entries', { adultId: 'a', task: 'Cooking', timeBand: 'dawn', hours: 1 })))
+      .toEqual(['CARE_ENTRY_TIME_BAND_INVALID']);
+    expect((await get('/api/period/care-entries?status=paid')).status).toBe(400);
+
+    const entryId = (await post('/api/period/care-entries', { adultId: 'a', task: 'Cooking', hours: 1 })).body.careEntry.id;
+    const review = await post(`/api/period/care-entries/${entryId}/review`, { reviewerId: 'a', status: 'approved' });
+    expect(review.status).toBe(400);
+    expect(review.body.violations[0]).toMatchObject({ code: 'CARE_SELF_REVIEW', field: '/reviewerId' });
+  });
+
+  test('rejects new care hours once the period is approved', async () => {
+    await onboard();
+    await post('/api/period/calculate', { coreTotal: 3000, assignedChildUnits: noChildUnits });
+    await post('/api/period/status', { status: 'under_review' });
+    await post('/api/period/status', { status: 'approved', by: 'a' });
+
+    const response = await post('/api/period/care-entries', { adultId: 'a', task: 'School run', hours: 2 });
+    expect(response.status).toBe(400);
+    expect(response.body.violations).toEqual([expect.objectContaining({ code: 'PERIOD_LOCKED', field: '/status' })]);
+    expect((await get('/api/period/care-entries')).body.careEntries).toEqual([]);
+  });
+});
+
+describe('care rate card routes', () => {
+  test('replaces the rate card and prices new entries from it', async () => {
+    await onboard();
+    const updated = await post('/api/household/care-rate-card', {
+      taskTypes: { infant_night: { label: 'Overnight infant care', rate: 30 } },
+      premiums: { night: 0.5 }
+    });
+    expect(updated.status).toBe(200);
+    expect((await get('/api/household/care-rate-card')).body).toMatchObject({
+      taskTypes: [{ id: 'infant_night', label: 'Overnight infant care', rate: 30 }],
+      premiums: { night: 0.5 }
+    });
+
+    const entry = await post('/api/period/care-entries', {
+      adultId: 'a', date: '2025-01-06', task: 'Baby', taskType: 'infant_night', timeBand: 'night', hours: 2
+    });
+    expect(entry.body.pricing).toMatchObject({ taskType: 'infant_night', rate: 45, value: 90 });
+    expect((await post('/api/period/care-entries', { adultId: 'a', task: 'Baby', taskType: 'gardening', hours: 2 })).status).toBe(400);
+  });
+
+  test('rejects a rate card with a non-positive rate and keeps the current one', async () => {
+    await onboard();
+    const response = await post('/api/household/care-rate-card', { taskTypes: { school_run: 0 } });
+    expect(response.status).toBe(400);
+    expect(response.body.violations[0]).toMatchObject({ code: 'CARE_RATE_CARD_INVALID', field: '/careRateCard/taskTypes/school_run' });
+    expect((await get('/api/household/care-rate-card')).body.taskTypes).toEqual([]);
+  });
+});
+
+describe('care compensation routes', () => {
+  test('records an adult\'s stipend choice under the hybrid care model', async () => {
+    await onboard({ careModel: 'hybrid' });
+    const response = await post('/api/period/care-compensation', { adultId: 'b', mode: 'stipend' });
+    expect(response.status).toBe(200);
+    expect(response.body.compensationModes).toEqual({ a: 'credit', b: 'stipend', c: 'credit' });
+  });
+
+  test('rejects a choice outside the hybrid care model or with an unknown mode', async () => {
+    await onboard({ careModel: 'stipend' });
+    const response = await post('/api/period/care-compensation', { adultId: 'z', mode: 'cash' });
+    expect(response.status).toBe(400);
+    expect(response.body.details).toHaveLength(3);
+  });
+});
+
+describe('care entry import routes', () => {
+  const upload = async (fileName, text, type = 'text/csv') => {
+    const form = new FormData();
+    form.append('file', new Blob([text], { type }), fileName);
+    const response = await fetch(`${baseUrl}/api/period/care-entries/import`, { method: 'POST', body: form });
+    return { status: response.status, body: await response.json() };
+  };
+
+  test('previews a spreadsheet and adds the accepted rows once confirmed', async () => {
+    await onboard();
+    const { currentLabel } = (await get('/api/periods')).body;
+    const preview = await upload('care.csv', [
+      'Adult,Date,Start,End,Hours,Task',
+      `A,${currentLabel}-02,08:00,09:30,,School run`,
+      `B,${currentLabel}-03,,,30,Weekend cover`
+    ].join('\n'));
+    expect(preview.status).toBe(200);
+    expect(preview.body.summary).toMatchObject({ rows: 2, accepted: 1, rejected: 1 });
+    expect(preview.body.rejected[0].violations[0]).toMatchObject({ code: 'CARE_ENTRY_HOURS_UNREALISTIC', field: '/hours' });
+    expect((await get('/api/period/care-entries')).body.careEntries).toEqual([]);
+
+    const confirmed = await post(`/api/period/care-entries/import/${preview.body.previewId}/confirm`);
+    expect(confirmed.status).toBe(200);
+    expect(confirmed.body.added).toEqual([expect.objectContaining({ adultId: 'a', hours: 1.5, status: 'submitted' })]);
+    expect((await post(`/api/period/care-entries/import/${preview.body.previewId}/confirm`)).status).toBe(404);
+  });
+
+  test('keeps the preview when the period was approved before confirming', async () => {
+    await onboard();
+    const { currentLabel } = (await get('/api/periods')).body;
+    const preview = await upload('care.csv', ['Adult,Date,Hours,Task', `A,${currentLabel}-02,2,School run`].join('\n'));
+    await post('/api/period/calculate', { coreTotal: 3000, assignedChildUnits: noChildUnits });
+    await post('/api/period/status', { status: 'under_review' });
+    await post('/api/period/status', { status: 'approved', by: 'a' });
+
+    const confirmed = await post(`/api/period/care-entries/import/${preview.body.previewId}/confirm`);
+    expect(confirmed.status).toBe(400);
+    expect(confirmed.body.violations).toEqual([expect.objectContaining({ code: 'PERIOD_LOCKED', field: '/status' })]);
+    expect((await get('/api/period/care-entries')).body.careEntries).toEqual([]);
+  });
+
+  test('rejects unsupported files', async () => {
+    await onboard();
+    const response = await upload('care.txt', 'School run', 'text/plain');
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Unsupported import file');
+  });
+});
+
+describe('core estimate routes', () => {
+  test('estimates the monthly core from recorded history with the chosen method', async () => {
+    await onboard({ emergencyMonths: 3 });
+    for (const [label, coreTotal] of [['2020-01', 3000], ['2020-02', 3600], ['2020-03', 2400]]) {
+      expect((await post('/api/household/core-history', { label, coreTotal })).status).toBe(200);
+    }
+
+    const updated = await post('/api/household/emergency-estimate', { method: 'max', months: 3 });
+    expect(updated.status).toBe(200);
+    expect(updated.body.estimate).toMatchObject({ amount: 3600, source: 'history' });
+
+    const { body } = await get('/api/household/core-estimate');
+    expect(body.coreHistory.map(entry => entry.label)).toEqual(['2020-01', '2020-02', '2020-03']);
+    expect(body.emergencyTarget).toBe(10800);
+  });
+
+  test('rejects unknown estimate settings and malformed history entries', async () => {
+    await onboard();
+    const settings = await post('/api/household/emergency-estimate', { method: 'mean' });
+    expect(settings.status).toBe(400);
+    expect(settings.body.violations).toEqual([expect.objectContaining({ code: 'EMERGENCY_ESTIMATE_INVALID', field: '/method' })]);
+
+    const history = await post('/api/household/core-history', { label: '2020-1', coreTotal: -5 });
+    expect(history.status).toBe(400);
+    expect(history.body.violations.map(violation => [violation.code, violation.field])).toEqual([
+      ['CORE_HISTORY_INVALID_LABEL', '/label'],
+      ['CORE_HISTORY_INVALID_TOTAL', '/coreTotal']
+    ]);
+  });
+});
+
+describe('emergency fund routes', () => {
+  // A household whose January period records the council's decision to replace the boiler
+  const importWithDecision = async () => {
+    const response = await post('/api/household/import', {
+      household: { name: 'Test LLC', adults },
+      period: { label: '2025-01', decisions: [{ id: 'd_boiler', title: 'Replace the boiler', type: 'budget', date: '2025-01-10' }] }
+    });
+    expect(response.status).toBe(200);
+  };
+
+  test('records deposits and withdrawals and reports the fund status from the balance', async () => {
+    await importWithDecision();
+    expect((await post('/api/household/emergency-fund', { monthlyContribution: 250 })).status).toBe(200);
+
+    const deposit = await post('/api/household/emergency-fund/transactions', { type: 'deposit', amount: 1000, date: '2020-01-31' });
+    expect(deposit.status).toBe(200);
+    const withdrawal = await post('/api/household/emergency-fund/transactions', { type: 'withdrawal', amount: 400, decisionId: 'd_boiler' });
+    expect(withdrawal.body.balance).toBe(600);
+
+    const { body } = await get('/api/household/emergency-fund');
+    expect(body.settings.monthlyContribution).toBe(250);
+    expect(body.status.currentBalance).toBe(600);
+    expect(body.transactions.map(transaction => transaction.type)).toEqual(['deposit', 'withdrawal']);
+  });
+
+  test('reports the status of a fresh household that never planned a contribution', async () => {
+    await onboard();
+    const response = await get('/api/household/emergency-fund');
+    expect(response.status).toBe(200);
+    expect(response.body.status).toMatchObject({ target: 0, monthlyContribution: null });
+    expect((await post('/api/household/emergency-fund/transactions', { type: 'deposit', amount: 50 })).status).toBe(200);
+  });
+
+  test('rejects invalid settings, unknown decisions and withdrawals larger than the balance', async () => {
+    await importWithDecision();
+    const settings = await post('/api/household/emergency-fund', { maintainingPercent: 2 });
+    expect(settings.status).toBe(400);
+    expect(settings.body.violations).toEqual([expect.objectContaining({ code: 'EMERGENCY_FUND_INVALID', field: '/maintainingPercent' })]);
+
+    const madeUp = await post('/api/household/emergency-fund/transactions', { type: 'withdrawal', amount: 10, decisionId: 'made-up' });
+    expect(madeUp.status).toBe(400);
+    expect(madeUp.body.violations[0]).toMatchObject({ code: 'EMERGENCY_FUND_DECISION_NOT_FOUND', field: '/decisionId' });
+
+    const withdrawal = await post('/api/household/emergency-fund/transactions', { type: 'withdrawal', amount: 10, decisionId: 'd_boiler' });
+    expect(withdrawal.status).toBe(400);
+    expect(withdrawal.body.violations[0]).toMatchObject({ code: 'EMERGENCY_FUND_INSUFFICIENT', field: '/amount' });
+  });
+});
+
+describe('sinking fund allocation on the calculate route', () => {
+  test('lists underfunded sinking funds on the council agenda', async () => {
+    await onboard({ sinkingFunds: [{ name: 'Roof', annualTarget: 120000, currentBalance: 0, priority: 1 }] });
+    const response = await post('/api/period/calculate', { coreTotal: 3000, assignedChildUnits: noChildUnits });
+    expect(response.status).toBe(200);
+    expect(response.body.visionAndBuffers.sinkingFundAllocation.underfundedFunds).toEqual(['Roof']);
+    expect(response.body.councilAgendaMd).toContain('underfunded: Roof');
+  });
+
+  test('onboarding rejects a sinking fund priority below 1', async () => {
+    const response = await onboard({ sinkingFunds: [{ name: 'Roof', annualTarget: 1200, priority: 0 }] });
+    expect(response.status).toBe(400);
+    expect(response.body.violations).toEqual([expect.objectContaining({ code: 'SINKING_FUND_INVALID', field: '/sinkingFunds/0/priority' })]);
+  });
+});
+
+describe('vision projection route', () => {
+  const sinkingFunds = [{ name: 'Car', annualTarget: 1200, currentBalance: 0 }];
+
+  test('returns a month-by-month series for each fund', async () => {
+    await onboard({ sinkingFunds });
+    const response = await post('/api/vision/projection', { years: 1, startLabel: '2030-01' });
+    expect(response.status).toBe(200);
+    expect(response.body.labels).toHaveLength(12);
+    expect(response.body.endLabel).toBe('2030-12');
+    expect(response.body.series.map(series => series.name)).toContain('Car');
+  });
+
+  test('rejects withdrawals from unknown funds', async () => {
+    await onboard({ sinkingFunds });
+    const response = await post('/api/vision/projection', { withdrawals: [{ fund: 'Boat', label: '2030-03', amount: 100 }] });
+    expect(response.status).toBe(400);
+    expect(response.body.violations).toEqual([expect.objectContaining({ code: 'VISION_PROJECTION_INVALID', field: '/withdrawals/0/fund' })]);
+  });
+});
+
+describe('foreign currency income routes', () => {
+  const euroAdults = [{ ...adults[0], incomeCurrency: 'EUR' }, adults[1], adults[2]];
+
+  test('period income reports a missing FX rate as a violation', async () => {
+    await onboard({ adults: euroAdults });
+    const response = await get('/api/period/income');
+    expect(response.status).toBe(400);
+    expect(response.body.violations).toEqual([expect.objectContaining({ code: 'FX_RATE_MISSING', field: '/fxRates/EUR' })]);
+  });
+
+  test('vision projection reports a missing FX rate as a violation', async () => {
+    await onboard({ adults: euroAdults, sinkingFunds: [{ name: 'Car', annualTarget: 1200, currentBalance: 0 }] });
+    const response = await post('/api/vision/projection', { years: 1 });
+    expect(response.status).toBe(400);
+    expect(codes(response)).toEqual(['FX_RATE_MISSING']);
+  });
+});
+
+describe('fund withdrawal and proposal routes', () => {
+  const sinkingFunds = [{ name: 'Vehicle Maintenance', annualTarget: 2400, currentBalance: 1000 }];
+
+  test('puts a withdrawal to a vote and posts it once the vote passes', async () => {
+    await onboard({ sinkingFunds });
+    const templates = await get('/api/proposal-templates');
+    expect(templates.body.map(template => template.name)).toContain('Emergency Fund Draw');
+
+    const requested = await post('/api/vision/withdrawals', {
+      fund: 'Vehicle Maintenance', amount: 400, purpose: 'New tyres', requestedBy: 'a'
+    });
+    expect(requested.status).toBe(200);
+    const proposalId = requested.body.proposal.id;
+    expect((await get('/api/proposals')).body.proposals).toEqual([
+      expect.objectContaining({ id: proposalId, status: 'open', tally: expect.objectContaining({ yes: 0 }) })
+    ]);
+
+    expect((await post(`/api/proposals/${proposalId}/vote`, { adultId: 'a', vote: 'yes' })).body.posting).toBeNull();
+    const passed = await post(`/api/proposals/${proposalId}/vote`, { adultId: 'b', vote: 'yes' });
+    expect(passed.status).toBe(200);
+    expect(passed.body.proposal.status).toBe('passed');
+    expect(passed.body.posting).not.toBeNull();
+  });
+
+  test('rejects withdrawals above the fund balance and votes from unknown adults', async () => {
+    await onboard({ sinkingFunds });
+    const requested = await post('/api/vision/withdrawals', {
+      fund: 'Vehicle Maintenance', amount: 1500, purpose: 'New car', requestedBy: 'a'
+    });
+    expect(requested.status).toBe(400);
+    expect(requested.body.violations[0]).toMatchObject({ code: 'WITHDRAWAL_EXCEEDS_BALANCE', field: '/amount' });
+
+    const proposalId = (await post('/api/vision/withdrawals', {
+      fund: 'Vehicle Maintenance', amount: 100, purpose: 'Tyres', requestedBy: 'a'
+    })).body.proposal.id;
+    const vote = await post(`/api/proposals/${proposalId}/vote`, { adultId: 'z', vote: 'yes' });
+    expect(vote.status).toBe(400);
+    expect(vote.body.violations[0]).toMatchObject({ code: 'VOTER_UNKNOWN', field: '/adultId' });
+  });
+});
@@ -0,0 +1,155 @@
+const { Household } = require('../src/models/household.js');
+const { Period } = require('../src/models/period.js');
+const { confirmCareImport, previewCareImport } = require('../src/core/careImport.js');
+
+describe('care entry import', () => {
+  const buildHousehold = () => new Household({
+    name: 'Test LLC',
+    adults: [
+      { id: 'a', name: 'Alex', netIncome: 5000, email: 'alex@example.com' },
+      { id: 'b', name: 'Blair', netIncome: 5000 },
+      { id: 'c', name: 'Casey', netIncome: 5000 }
+    ],
+    careRateCard: { taskTypes: { infant_night: { label: 'Overnight infant care', rate: 30 } } }
+  });
+  const buildPeriod = () => new Period({
+    label: '2024-03',
+    coreTotal: 3000,
+    assignedChildUnits: { a: 0, b: 0, c: 0 }
+  });
+
+  test('imports calendar events, skipping duplicates and reporting rejected events', () => {
+    const calendar = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:evt-1',
+      'DTSTART:20240305T220000',
+      'DTEND:20240306T040000',
+      'SUMMARY:Night feeds',
+      'CATEGORIES:Overnight infant care',
+      'ORGANIZER;CN=Someone:mailto:alex@example.com',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:evt-2',
+      'DTSTART:20240310T090000',
+      'DTEND:20240310T113000',
+      'SUMMARY:Doctor visit',
+      'ATTENDEE;CN=Blair:mailto:blair@example.com',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:evt-3',
+      'DTSTART:20240410T090000',
+      'DTEND:20240410T100000',
+      'SUMMARY:Next month',
+      'ATTENDEE;CN=Blair:mailto:blair@example.com',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+    const household = buildHousehold();
+    const period = buildPeriod();
+
+    const preview = previewCareImport(household, period, { format: 'ics', content: calendar, fileName: 'care.ics' });
+    expect(preview.entries).toEqual([
+      expect.objectContaining({ adultId: 'a', date: '2024-03-05', hours: 6, taskType: 'infant_night', timeBand: 'night' }),
+      expect.objectContaining({ adultId: 'b', date: '2024-03-10', hours: 2.5, timeBand: 'day', task: 'Doctor visit' })
+    ]);
+    expect(preview.rejected).toEqual([{
+      row: 3,
+      errors: ['Row 3 is dated 2024-04-10, outside period 2024-03'],
+      violations: [expect.objectContaining({ code: 'CARE_IMPORT_OUTSIDE_PERIOD', field: '/date' })]
+    }]);
+
+    const { added } = confirmCareImport(period, preview);
+    expect(added.map(entry => entry.status)).toEqual(['submitted', 'submitted']);
+
+    const again = previewCareImport(household, period, { format: 'ics', content: calendar, fileName: 'care.ics' });
+    expect(again.summary).toMatchObject({ rows: 3, accepted: 0, duplicates: 2, rejected: 1 });
+  });
+
+  test('moves UTC calendar times to the household time zone', () => {
+    const calendar = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:utc-1',
+      'DTSTART:20240305T220000Z',
+      'DTEND:20240305T230000Z',
+      'SUMMARY:Pickup',
+      'ORGANIZER;CN=Alex:mailto:alex@example.com',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:utc-2',
+      'DTSTART:20240401T030000Z',
+      'DTEND:20240401T050000Z',
+      'SUMMARY:Late feed',
+      'ORGANIZER;CN=Blair:mailto:blair@example.com',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+    const file = { format: 'ics', content: calendar, fileName: 'care.ics' };
+
+    // Without a time zone the UTC times cannot be read as local times
+    const withoutZone = previewCareImport(buildHousehold(), buildPeriod(), file);
+    expect(withoutZone.entries).toEqual([]);
+    expect(withoutZone.rejected.map(row => row.violations[0])).toEqual([
+      expect.objectContaining({ code: 'CARE_IMPORT_TIME_ZONE_MISSING', field: '/startTime' }),
+      expect.objectContaining({ code: 'CARE_IMPORT_TIME_ZONE_MISSING', field: '/startTime' })
+    ]);
+
+    // 22:00Z is 17:00 in New York (UTC-5); 03:00Z on 1 April is 23:00 on 31 March after the switch to UTC-4
+    const household = buildHousehold();
+    household.timeZone = 'America/New_York';
+    const preview = previewCareImport(household, buildPeriod(), file);
+    expect(preview.rejected).toEqual([]);
+    expect(preview.entries).toEqual([
+      expect.objectContaining({ adultId: 'a', date: '2024-03-05', startTime: '17:00', endTime: '18:00', hours: 1, timeBand: 'day' }),
+      expect.objectContaining({ adultId: 'b', date: '2024-03-31', startTime: '23:00', endTime: '01:00', hours: 2, timeBand: 'night' })
+    ]);
+  });
+
+  test('rejects household time zones the runtime does not know', () => {
+    const household = buildHousehold();
+    household.timeZone = 'Mars/Olympus';
+    expect(household.validate().violations).toEqual([expect.objectContaining({ code: 'TIME_ZONE_INVALID', field: '/timeZone' })]);
+  });
+
+  test('imports spreadsheet rows and reports rows failing care entry validation', () => {
+    const csv = [
+      'Adult,Date,Start,End,Hours,Task',
+      'Alex,2024-03-02,18:00,21:30,,Bath and bedtime',
+      'Casey,2024-03-03,,,30,Weekend cover',
+      'Blair,2024-03-04,08:00,09:00,,School run',
+      'Blair,2024-03-04,08:00,09:00,,School run'
+    ].join('\n');
+
+    const preview = previewCareImport(buildHousehold(), buildPeriod(), { format: 'sheet', content: Buffer.from(csv), fileName: 'care.csv' });
+
+    expect(preview.entries.map(entry => [entry.adultId, entry.hours])).toEqual([['a', 3.5], ['b', 1]]);
+    expect(preview.rejected).toEqual([{
+      row: 3,
+      errors: ['Row 3 has unrealistic hours: 30'],
+      violations: [expect.objectContaining({ code: 'CARE_ENTRY_HOURS_UNREALISTIC', field: '/hours' })]
+    }]);
+    expect(preview.duplicates.map(duplicate => duplicate.row)).toEqual([5]);
+  });
+
+  test('rejects rows with unknown adults, task types or time bands and rows missing fields', () => {
+    const csv = [
+      'Adult,Date,Start,End,Hours,Task,Task Type,Time Band',
+      'Jordan,2024-03-02,18:00,21:30,,Bath and bedtime,,',
+      'Alex,2024-03-03,,,2,Gardening,gardening,',
+      'Blair,2024-03-04,,,1,School run,,evening',
+      'Casey,2024-03-05,,,,,,'
+    ].join('\n');
+
+    const preview = previewCareImport(buildHousehold(), buildPeriod(), { format: 'sheet', content: Buffer.from(csv), fileName: 'care.csv' });
+
+    expect(preview.entries).toEqual([]);
+    expect(preview.rejected.map(rejected => [rejected.row, rejected.violations.map(violation => [violation.code, violation.field])])).toEqual([
+      [2, [['CARE_IMPORT_ADULT_UNMATCHED', '/adultId'], ['CARE_ENTRY_FIELD_MISSING', '/adultId']]],
+      [3, [['CARE_IMPORT_TASK_TYPE_UNKNOWN', '/taskType']]],
+      [4, [['CARE_IMPORT_TIME_BAND_INVALID', '/timeBand']]],
+      [5, [['CARE_ENTRY_FIELD_MISSING', '/task']]]
+    ]);
+    expect(preview.rejected[3].violations[0].params).toEqual({ missing: ['task', 'hours'] });
+  });
+});
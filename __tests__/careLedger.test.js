@@ -0,0 +1,191 @@
+const { Household } = require('../src/models/household.js');
+const { Period } = require('../src/models/period.js');
+const { UnitMethodCalculator } = require('../src/core/unitMethod.js');
+const { CareLedgerCalculator } = require('../src/core/careLedger.js');
+const { getCareCreditStatement, postCareCredits } = require('../src/core/careCreditLedger.js');
+const { PERIOD_SCHEMA, validateSchema } = require('../src/models/schemas.js');
+
+describe('CareLedgerCalculator', () => {
+  const buildHousehold = () => new Household({
+    name: 'Test LLC',
+    adults: [
+      { id: 'a', name: 'A', netIncome: 5000 },
+      { id: 'b', name: 'B', netIncome: 5000 },
+      { id: 'c', name: 'C', netIncome: 5000 }
+    ],
+    careModel: 'stipend',
+    careRatePerHour: 20
+  });
+  const buildPeriod = () => new Period({
+    label: '2024-03',
+    coreTotal: 3000,
+    assignedChildUnits: { a: 0, b: 0, c: 0 }
+  });
+
+  test('values only care entries approved by another adult', () => {
+    const household = buildHousehold();
+    const period = buildPeriod();
+    const approved = period.addCareEntry({ adultId: 'a', date: '2024-03-02', task: 'School run', hours: 3 });
+    const disputed = period.addCareEntry({ adultId: 'a', date: '2024-03-03', task: 'Night shift', hours: 8 });
+    period.addCareEntry({ adultId: 'b', date: '2024-03-04', task: 'Homework', hours: 2, status: 'approved' });
+
+    expect(() => period.reviewCareEntry(approved.id, { reviewerId: 'a', status: 'approved' }))
+      .toThrow('Care entries must be reviewed by another adult');
+    period.reviewCareEntry(approved.id, { reviewerId: 'b', status: 'approved' });
+    period.reviewCareEntry(disputed.id, { reviewerId: 'c', status: 'disputed', note: 'Covered by C that night' });
+
+    const unitResult = new UnitMethodCalculator(household, period).calculate();
+    const result = new CareLedgerCalculator(household, period).applyCareLedger(unitResult);
+
+    expect(result.careValues).toEqual({ a: 60, b: 0, c: 0 });
+    expect(result.payees).toHaveLength(1);
+    expect(result.pendingHours).toEqual({ b: { entries: 1, hours: 2 } });
+    expect(result.disputedHours).toEqual({ a: { entries: 1, hours: 8 } });
+    expect(period.careEntries[0]).toMatchObject({ status: 'approved', approvedBy: 'b' });
+  });
+
+  test('rejects reviews that break the approval rules with a violation per field', () => {
+    const period = buildPeriod();
+    const entry = period.addCareEntry({ adultId: 'a', date: '2024-03-02', task: 'School run', hours: 3 });
+    const rejects = (entryId, review, code, field) => expect(() => period.reviewCareEntry(entryId, review))
+      .toThrow(expect.objectContaining({ violations: [expect.objectContaining({ code, field })] }));
+
+    rejects(entry.id, { status: 'approved' }, 'CARE_REVIEWER_MISSING', '/reviewerId');
+    rejects(entry.id, { reviewerId: 'a', status: 'approved' }, 'CARE_SELF_REVIEW', '/reviewerId');
+    rejects(entry.id, { reviewerId: 'b', status: 'disputed' }, 'CARE_DISPUTE_NOTE_MISSING', '/note');
+    rejects('missing', { reviewerId: 'b', status: 'approved' }, 'CARE_ENTRY_NOT_FOUND', '/entryId');
+
+    period.reviewCareEntry(entry.id, { reviewerId: 'b', status: 'rejected' });
+    rejects(entry.id, { reviewerId: 'c', status: 'approved' }, 'CARE_REVIEW_TRANSITION_INVALID', '/status');
+    expect(entry.reviews).toHaveLength(1);
+  });
+
+  test('prices entries from the rate card with night and weekend premiums', () => {
+    const household = buildHousehold();
+    household.careRateCard = {
+      taskTypes: { infant_night: { label: 'Overnight infant care', rate: 30 }, school_run: 15 },
+      premiums: { night: 0.5, weekend: 0.25 }
+    };
+    const period = buildPeriod();
+    [
+      { adultId: 'a', date: '2024-03-05', task: 'Baby', taskType: 'infant_night', timeBand: 'night', hours: 6 },
+      { adultId: 'a', date: '2024-03-09', task: 'Pickup', taskType: 'school_run', hours: 2 },
+      { adultId: 'b', date: '2024-03-06', task: 'Errands', hours: 1 }
+    ].forEach(entry => {
+      const added = period.addCareEntry(entry);
+      period.reviewCareEntry(added.id, { reviewerId: 'c', status: 'approved' });
+    });
+
+    const unitResult = new UnitMethodCalculator(household, period).calculate();
+    const result = new CareLedgerCalculator(household, period).applyCareLedger(unitResult);
+
+    // 6 × 30 × 1.5 = 270; Saturday 2 × 15 × 1.25 = 37.5; untyped 1 × 20 flat
+    expect(result.careValues).toEqual({ a: 307.5, b: 20, c: 0 });
+    expect(result.byTaskType).toEqual({
+      infant_night: { label: 'Overnight infant care', entries: 1, hours: 6, value: 270 },
+      school_run: { label: 'school_run', entries: 1, hours: 2, value: 37.5 },
+      other: { label: 'Other (flat rate)', entries: 1, hours: 1, value: 20 }
+    });
+  });
+
+  test('rejects rate cards without positive rates or with unknown premiums', () => {
+    const household = buildHousehold();
+    household.careRateCard = {
+      taskTypes: { infant_night: { label: 'Overnight infant care' }, school_run: -15, cooking: 12 },
+      premiums: { night: -0.5, holiday: 1 }
+    };
+
+    expect(household.validate().violations.map(violation => [violation.code, violation.field])).toEqual([
+      ['CARE_RATE_CARD_INVALID', '/careRateCard/taskTypes/infant_night'],
+      ['CARE_RATE_CARD_INVALID', '/careRateCard/taskTypes/school_run'],
+      ['CARE_RATE_CARD_INVALID', '/careRateCard/premiums/night'],
+      ['CARE_RATE_CARD_INVALID', '/careRateCard/premiums/holiday']
+    ]);
+  });
+
+  test('carries care credit balances across periods with expiry and a maximum balance', () => {
+    const household = buildHousehold();
+    household.careModel = 'credit';
+    household.careCreditPolicy = { expiresAfterPeriods: 1, maxBalance: 500 };
+    const march = buildPeriod();
+    march.coreTotal = 300;
+    const entry = march.addCareEntry({ adultId: 'a', date: '2024-03-02', task: 'Recovery care', hours: 30 });
+    march.reviewCareEntry(entry.id, { reviewerId: 'b', status: 'approved' });
+
+    const marchResult = new CareLedgerCalculator(household, march)
+      .applyCareLedger(new UnitMethodCalculator(household, march).calculate());
+    // 600 earned but capped at 500, applied 100 a month: the rest is carried, not lost
+    expect(marchResult.summary.nextPeriodCorePreview.adultShares.a)
+      .toMatchObject({ careAdjustment: -100, creditCarriedForward: 400, estimatedShare: 0 });
+    postCareCredits(household, march, march.getAllCareValues(household));
+    postCareCredits(household, march, march.getAllCareValues(household));
+
+    const april = new Period({ label: '2024-04', coreTotal: 300, assignedChildUnits: { a: 0, b: 0, c: 0 } });
+    const calculateApril = () => new CareLedgerCalculator(household, april)
+      .applyCareLedger(new UnitMethodCalculator(household, april).calculate());
+    calculateApril();
+    const aprilResult = calculateApril();
+    expect(aprilResult.creditApplication.a).toEqual({
+      balance: 500, available: 500, expiring: 0, applied: 100, amountDue: 0, carriedForward: 400
+    });
+    april.setCareCreditsApplied({ a: aprilResult.creditApplication.a.applied });
+    postCareCredits(household, april, april.getAllCareValues(household));
+
+    const may = new Period({ label: '2024-05', coreTotal: 300, assignedChildUnits: { a: 0, b: 0, c: 0 } });
+    postCareCredits(household, may, {});
+
+    const statement = getCareCreditStatement(household, 'a');
+    expect(statement.transactions.map(transaction => [transaction.type, transaction.amount, transaction.balance])).toEqual([
+      ['earned', 600, 600],
+      ['forfeited', -100, 500],
+      ['applied', -100, 400],
+      ['expired', -400, 0]
+    ]);
+    expect(statement.balance).toBe(0);
+  });
+
+  test('hybrid model pays stipends and credits per adult choice', () => {
+    const household = buildHousehold();
+    household.careModel = 'hybrid';
+    household.adults[1].careCompensationMode = 'credit';
+    const period = buildPeriod();
+    period.coreTotal = 300;
+    period.setCareCompensationMode('a', 'stipend');
+    [['a', 5], ['b', 3]].forEach(([adultId, hours]) => {
+      const entry = period.addCareEntry({ adultId, date: '2024-03-04', task: 'Care', hours });
+      period.reviewCareEntry(entry.id, { reviewerId: 'c', status: 'approved' });
+    });
+
+    const result = new CareLedgerCalculator(household, period)
+      .applyCareLedger(new UnitMethodCalculator(household, period).calculate());
+
+    expect(result.compensationModes).toEqual({ a: 'stipend', b: 'credit', c: 'credit' });
+    expect(result.payees).toEqual([expect.objectContaining({ adultId: 'a', amount: 100 })]);
+    expect(result.nextMonthCoreIncrease).toBe(100);
+    expect(result.nextMonthCoreCredit.b).toBe(-60);
+    expect(result.nextMonthCoreCredit).not.toHaveProperty('a');
+
+    // The stipend raises next month's core to 400, shared before B's credit applies
+    const preview = result.summary.nextPeriodCorePreview;
+    expect(preview.estimatedCoreTotal).toBe(400);
+    expect(preview.adultShares.b).toMatchObject({ baseShare: 133.33, careAdjustment: -60, estimatedShare: 73.33 });
+    expect(preview.adultShares.a.careAdjustment).toBe(0);
+  });
+
+  test('rejects unknown care models and compensation modes at their fields', () => {
+    const household = buildHousehold();
+    household.careModel = 'barter';
+    household.adults[1].careCompensationMode = 'cash';
+
+    expect(household.validate().violations.map(violation => [violation.code, violation.field])).toEqual([
+      ['CARE_MODEL_INVALID', '/careModel'],
+      ['ADULT_INVALID_CARE_COMPENSATION_MODE', '/adults/1/careCompensationMode']
+    ]);
+
+    const period = buildPeriod();
+    period.setCareCompensationMode('a', 'cash');
+    expect(validateSchema(PERIOD_SCHEMA, period.toJSON())).toEqual([
+      expect.objectContaining({ code: 'SCHEMA_ENUM', field: '/careCompensationModes/a' })
+    ]);
+  });
+});
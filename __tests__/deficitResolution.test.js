@@ -0,0 +1,125 @@
+const { Household } = require('../src/models/household.js');
+const { Period } = require('../src/models/period.js');
+const { recordCapConsent, resolveDeficit } = require('../src/core/deficitResolution.js');
+
+describe('resolveDeficit', () => {
+  const buildHousehold = () => new Household({
+    name: 'Test LLC',
+    adults: [
+      { id: 'a', name: 'A', netIncome: 3000 },
+      { id: 'b', name: 'B', netIncome: 3000 },
+      { id: 'c', name: 'C', netIncome: 3000 }
+    ],
+    capPercent: 0.3
+  });
+  // Caps cover 3 × 900 = 2700 of a 3000 core: deficit of 300
+  const buildPeriod = () => new Period({
+    label: '2024-03',
+    coreTotal: 3000,
+    assignedChildUnits: { a: 0, b: 0, c: 0 }
+  });
+
+  test('applies a temporary cap only after every adult consents', () => {
+    const household = buildHousehold();
+    const period = buildPeriod();
+
+    recordCapConsent(household, period, { adultId: 'a', capPercent: 0.35 });
+    recordCapConsent(household, period, { adultId: 'b', capPercent: 0.35 });
+    expect(() => resolveDeficit(household, period, { option: 'adjust_cap' })).toThrow('missing: C');
+
+    const { missingConsents } = recordCapConsent(household, period, { adultId: 'c', capPercent: 0.35 });
+    expect(missingConsents).toEqual([]);
+
+    const { decision, unitMethod } = resolveDeficit(household, period, { option: 'adjust_cap' });
+
+    expect(unitMethod.totals.deficit).toBe(0);
+    expect(unitMethod.adults.map(adult => adult.finalShare)).toEqual([1000, 1000, 1000]);
+    expect(household.capPercent).toBe(0.3);
+    expect(decision).toMatchObject({ type: 'deficit_resolution', option: 'adjust_cap', deficitBefore: 300, deficitAfter: 0 });
+    expect(decision.consents.map(consent => consent.adultId)).toEqual(['a', 'b', 'c']);
+  });
+
+  test('leaves the period unchanged when the option does not close the deficit', () => {
+    const household = buildHousehold();
+    const period = buildPeriod();
+
+    expect(() => resolveDeficit(household, period, {
+      option: 'increase_core',
+      reclassifications: [{ amount: 100, to: 'vision' }]
+    })).toThrow('leaves a deficit of 200.00');
+    expect(period.coreTotal).toBe(3000);
+    expect(period.decisions).toEqual([]);
+
+    const { unitMethod } = resolveDeficit(household, period, {
+      option: 'increase_core',
+      reclassifications: [{ amount: 300, to: 'personal', description: 'Streaming' }]
+    });
+    expect(period.coreTotal).toBe(2700);
+    expect(unitMethod.totals.deficit).toBe(0);
+    expect(period.decisions).toHaveLength(1);
+  });
+
+  test('rejects increase_core without reclassifications or with more than the core total', () => {
+    const household = buildHousehold();
+    const period = buildPeriod();
+    const violation = request => {
+      try {
+        resolveDeficit(household, period, request);
+      } catch (error) {
+        return error.violations[0];
+      }
+      return null;
+    };
+
+    expect(violation({ option: 'increase_core' })).toMatchObject({ code: 'RECLASSIFICATION_REQUIRED', field: '/reclassifications' });
+    expect(violation({ option: 'increase_core', reclassifications: [{ amount: 3500, to: 'vision' }] }))
+      .toMatchObject({ code: 'RECLASSIFICATION_EXCEEDS_CORE', field: '/reclassifications', params: { max: 3000, actual: 3500 } });
+    expect(violation({ option: 'increase_core', reclassifications: [{ amount: 100, to: 'savings' }] }))
+      .toMatchObject({ code: 'RECLASSIFICATION_INVALID' });
+    expect(period.coreTotal).toBe(3000);
+  });
+
+  test('takes reclassified items out of the core category they name', () => {
+    const household = buildHousehold();
+    household.coreCategories = [{ id: 'housing', name: 'Housing' }, 'Streaming'];
+    const period = buildPeriod();
+    period.categoryAmounts = { housing: 2800, streaming: 200 };
+    const violation = reclassifications => {
+      try {
+        resolveDeficit(household, period, { option: 'increase_core', reclassifications });
+      } catch (error) {
+        return error.violations[0];
+      }
+      return null;
+    };
+
+    expect(violation([{ amount: 300, to: 'personal' }]))
+      .toMatchObject({ code: 'RECLASSIFICATION_CATEGORY_REQUIRED', field: '/reclassifications/0/category' });
+    expect(violation([{ amount: 300, to: 'personal', category: 'gym' }]))
+      .toMatchObject({ code: 'RECLASSIFICATION_CATEGORY_UNKNOWN', field: '/reclassifications/0/category' });
+    expect(violation([{ amount: 100, to: 'vision', category: 'housing' }, { amount: 250, to: 'personal', category: 'streaming' }]))
+      .toMatchObject({ code: 'RECLASSIFICATION_EXCEEDS_CATEGORY', field: '/reclassifications/1/amount', params: { max: 200, actual: 250 } });
+    expect(period.categoryAmounts).toEqual({ housing: 2800, streaming: 200 });
+
+    const { decision, unitMethod } = resolveDeficit(household, period, {
+      option: 'increase_core',
+      reclassifications: [
+        { amount: 200, to: 'personal', category: 'streaming', description: 'Streaming' },
+        { amount: 100, to: 'vision', category: 'housing', description: 'Garden shed' }
+      ]
+    });
+    expect(period).toMatchObject({ coreTotal: 2700, categoryAmounts: { housing: 2700, streaming: 0 } });
+    expect(unitMethod.totals).toMatchObject({ deficit: 0, sumFinal: 2700 });
+    expect(decision.details.previousCategoryAmounts).toEqual({ housing: 2800, streaming: 200 });
+  });
+
+  test('reports a locked period at the status pointer', () => {
+    const household = buildHousehold();
+    const period = buildPeriod();
+    period.status = 'approved';
+
+    expect(() => resolveDeficit(household, period, { option: 'adjust_cap' })).toThrow(expect.objectContaining({
+      violations: [expect.objectContaining({ code: 'PERIOD_LOCKED', field: '/status' })]
+    }));
+  });
+});
@@ -0,0 +1,84 @@
+const { Household } = require('../src/models/household.js');
+const { Period } = require('../src/models/period.js');
+const { createExport, EXPORT_FORMAT_VERSION, readExport } = require('../src/persistence/exportFormat.js');
+
+describe('household export format', () => {
+  const household = new Household({
+    name: 'Test LLC',
+    adults: [
+      { id: 'a', name: 'A', netIncome: 5000 },
+      { id: 'b', name: 'B', netIncome: 4000 },
+      { id: 'c', name: 'C', netIncome: 3000 }
+    ]
+  });
+  const period = new Period({ label: '2025-01', coreTotal: 3000 });
+
+  test('round-trips a versioned export with a verified checksum', () => {
+    const exported = createExport({ household, periods: [period], currentLabel: '2025-01' }, { appVersion: '1.0.0' });
+    expect(exported.version).toBe(EXPORT_FORMAT_VERSION);
+
+    const { payload, report } = readExport(JSON.parse(JSON.stringify(exported)));
+    expect(report.checksum).toBe('verified');
+    expect(report.migrations).toEqual([]);
+    expect(report.dropped).toEqual([]);
+    expect(payload.currentLabel).toBe('2025-01');
+    expect(Household.fromJSON(payload.household).adults).toHaveLength(3);
+    expect(Period.fromJSON(payload.periods[0]).coreTotal).toBe(3000);
+  });
+
+  test('rejects a payload changed after export and a newer format version', () => {
+    const exported = JSON.parse(JSON.stringify(createExport({ household, periods: [period] })));
+    exported.payload.periods[0].coreTotal = 1;
+    expect(() => readExport(exported)).toThrow(expect.objectContaining({
+      violations: [expect.objectContaining({ code: 'EXPORT_CHECKSUM_MISMATCH' })]
+    }));
+
+    const future = { ...createExport({ household }), version: EXPORT_FORMAT_VERSION + 1 };
+    expect(() => readExport(future)).toThrow(expect.objectContaining({
+      violations: [expect.objectContaining({ code: 'EXPORT_VERSION_UNSUPPORTED' })]
+    }));
+  });
+
+  test('migrates an unversioned export and reports dropped fields', () => {
+    const legacyPeriod = { ...period.toJSON(), isLocked: true, legacyNotes: 'old' };
+    delete legacyPeriod.status;
+    delete legacyPeriod.statusHistory;
+
+    const { payload, report } = readExport({
+      household: household.toJSON(),
+      period: legacyPeriod,
+      exportedAt: '2024-06-01T00:00:00.000Z'
+    });
+
+    expect(report.fromVersion).toBe(0);
+    expect(report.checksum).toBe('missing');
+    expect(report.migrations).toHaveLength(1);
+    expect(report.dropped).toEqual(['/periods/0/legacyNotes']);
+    expect(payload.currentLabel).toBe('2025-01');
+
+    const imported = Period.fromJSON(payload.periods[0]);
+    expect(imported.status).toBe('closed');
+    expect(imported.isLocked).toBe(true);
+  });
+
+  test('keeps care entries from before approvals valued when migrating', () => {
+    const legacyPeriod = {
+      ...period.toJSON(),
+      careEntries: [
+        { id: 'care_1', adultId: 'a', date: '2025-01-04', task: 'School run', hours: 2 },
+        { id: 'care_2', adultId: 'b', date: '2025-01-05', task: 'Cooking', hours: 1, status: 'submitted' }
+      ]
+    };
+    delete legacyPeriod.status;
+
+    const { payload, report } = readExport({ household: household.toJSON(), period: legacyPeriod });
+
+    expect(report.migrations[0].changes).toContain('/periods/0/careEntries: 1 entry without a status marked approved');
+    const imported = Period.fromJSON(payload.periods[0]);
+    expect(imported.careEntries.map(entry => entry.status)).toEqual(['approved', 'submitted']);
+    expect(imported.validate(household).errors.filter(error => error.startsWith('Care entry'))).toEqual([]);
+    // 2 approved hours at the default 20 per hour; the submitted hour waits for review
+    expect(imported.getCareValue('a', household)).toBe(40);
+    expect(imported.getCareValue('b', household)).toBe(0);
+  });
+});
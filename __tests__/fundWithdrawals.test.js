@@ -0,0 +1,132 @@
+const { Household } = require('../src/models/household.js');
+const { Period } = require('../src/models/period.js');
+const { VisionAndBuffersPlanner } = require('../src/core/visionAndBuffers.js');
+const { castWithdrawalVote, requestFundWithdrawal } = require('../src/core/fundWithdrawals.js');
+const { getEmergencyFundBalance, recordEmergencyFundTransaction } = require('../src/core/emergencyFund.js');
+
+describe('fund withdrawals', () => {
+  const buildHousehold = () => new Household({
+    name: 'Test LLC',
+    adults: [
+      { id: 'a', name: 'A', netIncome: 5000 },
+      { id: 'b', name: 'B', netIncome: 5000 },
+      { id: 'c', name: 'C', netIncome: 5000 }
+    ],
+    sinkingFunds: [{ name: 'Vehicle Maintenance', annualTarget: 2400, currentBalance: 1000 }]
+  });
+  const period = new Period({ label: '2024-04', coreTotal: 3000, assignedChildUnits: { a: 0, b: 0, c: 0 } });
+
+  test('stays pending until the vote passes, then posts and schedules the repayment', () => {
+    const household = buildHousehold();
+    const proposal = requestFundWithdrawal(household, {
+      fund: 'Vehicle Maintenance', amount: 700, purpose: 'New tyres', repaymentPlan: { months: 3, startLabel: '2024-04' }, requestedBy: 'a'
+    });
+
+    expect(proposal).toMatchObject({ template: 'Emergency Fund Draw', status: 'open' });
+    expect(proposal.checks.reserve_policy_check).toMatchObject({ passed: true, balanceAfter: 300 });
+    expect(() => requestFundWithdrawal(household, { fund: 'Vehicle Maintenance', amount: 400, purpose: 'Brakes', requestedBy: 'b' }))
+      .toThrow('exceeds the 300.00 USD left in Vehicle Maintenance after pending withdrawals');
+
+    const plan = () => new VisionAndBuffersPlanner(household, period).planVisionAndBuffers();
+    expect(plan().pendingWithdrawals).toMatchObject([{ fund: 'Vehicle Maintenance', amount: 700, tally: { yes: 0, quorum: 2 } }]);
+    expect(plan().sinkingFunds[0]).toMatchObject({ currentBalance: 1000, pendingWithdrawals: 700 });
+
+    expect(castWithdrawalVote(household, proposal.id, { adultId: 'a', vote: 'yes' }).posting).toBeNull();
+    const { posting } = castWithdrawalVote(household, proposal.id, { adultId: 'b', vote: 'yes' }, period);
+
+    expect(posting.scheduledTransferIds).toHaveLength(3);
+    expect(household.sinkingFunds[0].currentBalance).toBe(300);
+    expect(household.scheduledTransfers.map(transfer => [transfer.label, transfer.amount]))
+      .toEqual([['2024-04', 233.34], ['2024-05', 233.33], ['2024-06', 233.33]]);
+    expect(period.decisions[0]).toMatchObject({ type: 'fund_withdrawal', outcome: 'passed', proposalId: proposal.id });
+    expect(plan()).toMatchObject({ pendingWithdrawals: [], scheduledTransfers: [{ label: '2024-04', amount: 233.34 }] });
+    expect(() => castWithdrawalVote(household, proposal.id, { adultId: 'c', vote: 'no' })).toThrow('already passed');
+  });
+
+  test('links emergency fund draws to their proposal and posts nothing when rejected', () => {
+    const household = buildHousehold();
+    recordEmergencyFundTransaction(household, { type: 'deposit', amount: 5000 });
+    const rejected = requestFundWithdrawal(household, { fund: 'Emergency Fund', amount: 1000, purpose: 'Trip', requestedBy: 'a' });
+    castWithdrawalVote(household, rejected.id, { adultId: 'b', vote: 'no' });
+    expect(castWithdrawalVote(household, rejected.id, { adultId: 'c', vote: 'no' }).proposal.status).toBe('rejected');
+    expect(getEmergencyFundBalance(household)).toBe(5000);
+
+    const passed = requestFundWithdrawal(household, { fund: 'Emergency Fund', amount: 1500, purpose: 'Boiler', requestedBy: 'a' });
+    castWithdrawalVote(household, passed.id, { adultId: 'a', vote: 'yes' });
+    castWithdrawalVote(household, passed.id, { adultId: 'c', vote: 'yes' });
+    expect(getEmergencyFundBalance(household)).toBe(3500);
+    expect(household.emergencyFund.transactions[1]).toMatchObject({ type: 'withdrawal', amount: 1500, proposalId: passed.id });
+  });
+
+  test('only lets a passed, unposted draw back a manual emergency fund withdrawal', () => {
+    const household = buildHousehold();
+    recordEmergencyFundTransaction(household, { type: 'deposit', amount: 5000 });
+    const rejects = (transaction, code, field) => expect(() => recordEmergencyFundTransaction(household, transaction))
+      .toThrow(expect.objectContaining({ violations: [expect.objectContaining({ code, field })] }));
+
+    const open = requestFundWithdrawal(household, { fund: 'Emergency Fund', amount: 800, purpose: 'Boiler', requestedBy: 'a' });
+    rejects({ type: 'withdrawal', amount: 800, proposalId: open.id }, 'EMERGENCY_FUND_PROPOSAL_INVALID', '/proposalId');
+    const sinking = requestFundWithdrawal(household, { fund: 'Vehicle Maintenance', amount: 100, purpose: 'Tyres', requestedBy: 'a' });
+    rejects({ type: 'withdrawal', amount: 100, proposalId: sinking.id }, 'EMERGENCY_FUND_PROPOSAL_INVALID', '/proposalId');
+
+    castWithdrawalVote(household, open.id, { adultId: 'a', vote: 'yes' });
+    castWithdrawalVote(household, open.id, { adultId: 'b', vote: 'yes' });
+    rejects({ type: 'withdrawal', amount: 800, proposalId: open.id }, 'EMERGENCY_FUND_PROPOSAL_POSTED', '/proposalId');
+    expect(getEmergencyFundBalance(household)).toBe(4200);
+  });
+
+  test('rejects withdrawal requests and votes with a violation per field', () => {
+    const household = buildHousehold();
+    const rejects = (action, code, field) => expect(action)
+      .toThrow(expect.objectContaining({ violations: [expect.objectContaining({ code, field })] }));
+    const request = changes => () => requestFundWithdrawal(household, {
+      fund: 'Vehicle Maintenance', amount: 100, purpose: 'Tyres', requestedBy: 'a', ...changes
+    });
+
+    rejects(request({ fund: 'Boat' }), 'WITHDRAWAL_FUND_UNKNOWN', '/fund');
+    rejects(request({ amount: 0 }), 'WITHDRAWAL_AMOUNT_INVALID', '/amount');
+    rejects(request({ purpose: '' }), 'WITHDRAWAL_PURPOSE_MISSING', '/purpose');
+    rejects(request({ repaymentPlan: { months: 0 } }), 'REPAYMENT_PLAN_INVALID', '/repaymentPlan/months');
+    rejects(request({ repaymentPlan: { months: 2, startLabel: 'May' } }), 'REPAYMENT_PLAN_INVALID', '/repaymentPlan/startLabel');
+    rejects(request({ amount: 1200 }), 'WITHDRAWAL_EXCEEDS_BALANCE', '/amount');
+    rejects(request({ requestedBy: 'z' }), 'PROPOSAL_REQUESTER_UNKNOWN', '/requestedBy');
+    expect(household.proposals).toEqual([]);
+
+    const proposal = request({})();
+    rejects(() => castWithdrawalVote(household, proposal.id, { adultId: 'z', vote: 'yes' }), 'VOTER_UNKNOWN', '/adultId');
+    rejects(() => castWithdrawalVote(household, proposal.id, { adultId: 'b', vote: 'maybe' }), 'VOTE_INVALID', '/vote');
+    rejects(() => castWithdrawalVote(household, 'p_missing', { adultId: 'b', vote: 'yes' }), 'PROPOSAL_NOT_FOUND', '/proposalId');
+    expect(household.sinkingFunds[0].currentBalance).toBe(1000);
+  });
+
+  test('keeps the proposal open when the withdrawal can no longer post on the deciding vote', () => {
+    const household = buildHousehold();
+    const rejects = (action, code, field) => expect(action)
+      .toThrow(expect.objectContaining({ violations: [expect.objectContaining({ code, field })] }));
+
+    const tyres = requestFundWithdrawal(household, { fund: 'Vehicle Maintenance', amount: 700, purpose: 'New tyres', requestedBy: 'a' });
+    castWithdrawalVote(household, tyres.id, { adultId: 'a', vote: 'yes' });
+    household.sinkingFunds[0].currentBalance = 500;
+    rejects(() => castWithdrawalVote(household, tyres.id, { adultId: 'b', vote: 'yes' }), 'WITHDRAWAL_EXCEEDS_BALANCE', '/amount');
+    expect(tyres).toMatchObject({ status: 'open', decidedAt: null, posting: null });
+    expect(tyres.votes.map(vote => vote.adultId)).toEqual(['a']);
+    expect(tyres.checks.vote_gate.passed).toBe(false);
+    expect(household.sinkingFunds[0].currentBalance).toBe(500);
+
+    household.sinkingFunds[0].name = 'Car';
+    rejects(() => castWithdrawalVote(household, tyres.id, { adultId: 'b', vote: 'yes' }), 'WITHDRAWAL_FUND_UNKNOWN', '/fund');
+    household.sinkingFunds[0] = { ...household.sinkingFunds[0], name: 'Vehicle Maintenance', currentBalance: 1000 };
+    expect(castWithdrawalVote(household, tyres.id, { adultId: 'b', vote: 'yes' }).proposal.status).toBe('passed');
+    expect(household.sinkingFunds[0].currentBalance).toBe(300);
+
+    recordEmergencyFundTransaction(household, { type: 'deposit', amount: 1000 });
+    const boiler = requestFundWithdrawal(household, { fund: 'Emergency Fund', amount: 900, purpose: 'Boiler', requestedBy: 'a' });
+    const council = new Period({ label: '2024-04' });
+    council.addDecision({ title: 'Roof patch', type: 'budget' });
+    recordEmergencyFundTransaction(household, { type: 'withdrawal', amount: 500, decisionId: council.decisions[0].id }, [council]);
+    castWithdrawalVote(household, boiler.id, { adultId: 'a', vote: 'yes' });
+    rejects(() => castWithdrawalVote(household, boiler.id, { adultId: 'c', vote: 'yes' }), 'EMERGENCY_FUND_INSUFFICIENT', '/amount');
+    expect(boiler.status).toBe('open');
+    expect(getEmergencyFundBalance(household)).toBe(500);
+  });
+});
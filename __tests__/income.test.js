@@ -0,0 +1,48 @@
+const { Household } = require('../src/models/household.js');
+const { Period } = require('../src/models/period.js');
+const { resolveIncome } = require('../src/core/income.js');
+
+describe('income history', () => {
+  const buildHousehold = () => new Household({
+    name: 'Test LLC',
+    adults: [
+      { id: 'a', name: 'A', netIncome: 5000 },
+      { id: 'b', name: 'B', netIncome: 4000 },
+      { id: 'c', name: 'C', netIncome: 3000 }
+    ]
+  });
+
+  test('a future-dated raise leaves the current income alone until its period', () => {
+    const household = buildHousehold();
+    household.addIncomeHistoryEntry('a', '2025-06', 6000, '2025-03');
+    const adult = household.adults[0];
+
+    expect(adult.netIncome).toBe(5000);
+    expect(resolveIncome(adult, new Period({ label: '2025-05' })).amount).toBe(5000);
+    expect(resolveIncome(adult, new Period({ label: '2025-06' }))).toMatchObject({ amount: 6000, source: 'income_history' });
+
+    household.addIncomeHistoryEntry('a', '2025-02', 5500, '2025-03');
+    expect(adult.netIncome).toBe(5500);
+    household.addIncomeHistoryEntry('a', '2025-07', 6500, '2025-06');
+    expect(adult.netIncome).toBe(6000);
+  });
+
+  test('rejects an unknown adult', () => {
+    expect(() => buildHousehold().addIncomeHistoryEntry('z', '2025-06', 6000)).toThrow('Adult not found: z');
+  });
+
+  test('converts foreign incomes with the period rate for the vision allocation', () => {
+    const household = new Household({
+      name: 'Test LLC',
+      adults: [
+        { id: 'a', name: 'A', netIncome: 5000, incomeCurrency: 'EUR' },
+        { id: 'b', name: 'B', netIncome: 4000 }
+      ],
+      visionAllocPercent: 0.12
+    });
+
+    expect(() => household.getMonthlyVisionAllocation(new Period({ label: '2025-05' }))).toThrow('No FX rate from EUR to USD for A');
+    // 5000 EUR at 1.2 = 6000 USD, plus 4000 USD; 12% of 10000 spread over 12 months
+    expect(household.getMonthlyVisionAllocation(new Period({ label: '2025-05', fxRates: { EUR: 1.2 } }))).toBe(100);
+  });
+});
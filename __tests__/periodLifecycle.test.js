@@ -0,0 +1,84 @@
+const { Household } = require('../src/models/household.js');
+const { Period } = require('../src/models/period.js');
+const { castProposalVote, requestPeriodReopen } = require('../src/core/proposals.js');
+
+describe('Period lifecycle', () => {
+  const household = new Household({
+    name: 'Test LLC',
+    adults: [
+      { id: 'a', name: 'A', netIncome: 5000 },
+      { id: 'b', name: 'B', netIncome: 5000 },
+      { id: 'c', name: 'C', netIncome: 5000 }
+    ]
+  });
+  const closedPeriod = () => {
+    const period = new Period({ label: '2024-04', coreTotal: 3000, assignedChildUnits: { a: 0, b: 0, c: 0 } });
+    period.transitionTo('calculated');
+    period.transitionTo('under_review', { by: 'a' });
+    period.transitionTo('approved', { by: 'b' });
+    period.transitionTo('closed', { by: 'a' });
+    return period;
+  };
+
+  test('moves through review to closed and locks from approval', () => {
+    const period = new Period({ label: '2024-04', coreTotal: 3000 });
+    expect(() => period.transitionTo('closed')).toThrow('Period 2024-04 is draft and cannot move to closed');
+
+    period.transitionTo('calculated');
+    period.transitionTo('under_review');
+    expect(period.isLocked).toBe(false);
+    expect(() => period.transitionTo('approved')).toThrow('Approving a period requires the approving adult');
+    period.transitionTo('approved', { by: 'b' });
+
+    expect(period.isLocked).toBe(true);
+    expect(() => period.addDecision({ title: 'Late change' })).toThrow('Cannot modify locked period');
+    expect(() => period.setCalculationInputs({ coreTotal: 9999 })).toThrow(expect.objectContaining({
+      violations: [expect.objectContaining({ code: 'PERIOD_LOCKED', field: '/status' })]
+    }));
+    expect(period.coreTotal).toBe(3000);
+    expect(period.statusHistory.map(entry => [entry.from, entry.to])).toEqual([
+      ['draft', 'calculated'], ['calculated', 'under_review'], ['under_review', 'approved']
+    ]);
+    expect(new Period({ isLocked: true }).status).toBe('closed');
+  });
+
+  test('reopens a closed period only with a reason and a passed proposal or unanimous consent', () => {
+    const period = closedPeriod();
+    expect(() => period.reopen(household, { reason: 'Missed invoice' }))
+      .toThrow('Reopening a closed period requires a passed proposal or the consent of every adult');
+    expect(() => period.reopen(household, { reason: 'Missed invoice', consents: [{ adultId: 'a' }, { adultId: 'b' }] }))
+      .toThrow('missing: C');
+
+    const proposal = requestPeriodReopen(household, period, { reason: 'Missed invoice', requestedBy: 'a' });
+    castProposalVote(household, proposal.id, { adultId: 'a', vote: 'yes' });
+    castProposalVote(household, proposal.id, { adultId: 'c', vote: 'yes' });
+    const transition = period.reopen(household, { reason: 'Missed invoice', by: 'a', proposalId: proposal.id });
+
+    expect(transition).toMatchObject({ from: 'closed', to: 'reopened', reason: 'Missed invoice', authorization: { type: 'proposal' } });
+    expect(period.isLocked).toBe(false);
+
+    const consented = closedPeriod();
+    consented.reopen(household, { reason: 'Typo', consents: [{ adultId: 'a' }, { adultId: 'b' }, { adultId: 'c' }] });
+    expect(consented.status).toBe('reopened');
+    expect(() => consented.reopen(household, { reason: 'Again', proposalId: proposal.id })).toThrow('only closed periods can be reopened');
+  });
+
+  test('reopening reverses the period\'s care credits unless a later period has posted', () => {
+    const credited = new Household({ ...household.toJSON(), careCredits: [
+      { id: 'cc_2024-04_a_earned', adultId: 'a', periodLabel: '2024-04', type: 'earned', amount: 40 }
+    ] });
+    const consents = [{ adultId: 'a' }, { adultId: 'b' }, { adultId: 'c' }];
+
+    const period = closedPeriod();
+    const transition = period.reopen(credited, { reason: 'Missed care', consents });
+    expect(transition.reversedCareCredits).toEqual([expect.objectContaining({ id: 'cc_2024-04_a_earned' })]);
+    expect(credited.careCredits).toEqual([]);
+
+    credited.careCredits.push({ id: 'cc_2024-05_a_earned', adultId: 'a', periodLabel: '2024-05', type: 'earned', amount: 20 });
+    const blocked = closedPeriod();
+    expect(() => blocked.reopen(credited, { reason: 'Missed care', consents })).toThrow(expect.objectContaining({
+      violations: [expect.objectContaining({ code: 'REOPEN_CARE_CREDITS_POSTED_LATER', params: { periodLabel: '2024-05' } })]
+    }));
+    expect(blocked.status).toBe('closed');
+  });
+});
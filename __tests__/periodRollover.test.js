@@ -0,0 +1,58 @@
+const { Household } = require('../src/models/household.js');
+const { Period } = require('../src/models/period.js');
+const { rolloverPeriod } = require('../src/core/periodRollover.js');
+
+describe('rolloverPeriod', () => {
+  const household = new Household({
+    name: 'Test LLC',
+    adults: [
+      { id: 'a', name: 'A', netIncome: 5000 },
+      { id: 'b', name: 'B', netIncome: 5000 },
+      { id: 'c', name: 'C', netIncome: 5000 }
+    ],
+    childrenCount: 1,
+    careModel: 'hybrid'
+  });
+  const buildPeriod = () => {
+    const period = new Period({
+      label: '2024-12',
+      coreTotal: 3000,
+      assignedChildUnits: { a: 0.6, b: 0, c: 0 },
+      childUnitSpans: { b: [{ units: 0.3, startDate: '2024-12-01', endDate: '2024-12-15' }, { units: 0, startDate: '2024-12-16' }] },
+      overrides: { a: 900, c: 1200 },
+      recurringOverrides: ['a'],
+      careCompensationModes: { b: 'stipend' }
+    });
+    period.transitionTo('calculated');
+    period.setNextPeriodCorePreview({ estimatedCoreTotal: 3150, adultShares: {}, totalShares: 0, notes: [] });
+    return period;
+  };
+
+  test('creates next month from a closed period with its carried-forward settings', () => {
+    const period = buildPeriod();
+    expect(() => rolloverPeriod(household, period)).toThrow('Period 2024-12 is calculated, only closed periods roll over');
+
+    period.transitionTo('under_review');
+    period.transitionTo('approved', { by: 'b' });
+    period.transitionTo('closed');
+    const { period: next, carriedForward } = rolloverPeriod(household, period);
+
+    expect(next).toMatchObject({
+      label: '2025-01',
+      status: 'draft',
+      coreTotal: 3150,
+      assignedChildUnits: { a: 0.6, b: 0, c: 0 },
+      overrides: { a: 900 },
+      recurringOverrides: ['a'],
+      careCompensationModes: { b: 'stipend' }
+    });
+    expect(next.childUnitSpans).toEqual({});
+    expect(carriedForward).toMatchObject({
+      fromLabel: '2024-12',
+      coreTotalSource: 'next_period_core_preview',
+      stipendCoreIncrease: 150,
+      careCredits: { a: 0, b: 0, c: 0 }
+    });
+    expect(next.validate(household).errors).toEqual([]);
+  });
+});
@@ -0,0 +1,48 @@
+const { Household } = require('../src/models/household.js');
+const { Period } = require('../src/models/period.js');
+const { runScenario } = require('../src/core/scenarios.js');
+
+describe('runScenario', () => {
+  const buildHousehold = () => new Household({
+    name: 'Test LLC',
+    adults: [
+      { id: 'a', name: 'A', netIncome: 5000 },
+      { id: 'b', name: 'B', netIncome: 5000 },
+      { id: 'c', name: 'C', netIncome: 5000 }
+    ],
+    childrenCount: 1,
+    childUnitWeight: 0.6,
+    capPercent: 0.6
+  });
+  const buildPeriod = () => new Period({
+    label: '2024-03',
+    coreTotal: 3600,
+    assignedChildUnits: { a: 0.6, b: 0, c: 0 }
+  });
+
+  test('runs changes on copies and diffs each adult against the baseline', () => {
+    const household = buildHousehold();
+    const period = buildPeriod();
+
+    const result = runScenario(household, period, {
+      coreTotal: 4000,
+      addAdults: [{ id: 'd', name: 'D', netIncome: 4000 }],
+      moveChildUnits: [{ from: 'a', to: 'd', units: 0.6 }]
+    });
+
+    expect(period.coreTotal).toBe(3600);
+    expect(period.assignedChildUnits).toEqual({ a: 0.6, b: 0, c: 0 });
+    expect(household.adults).toHaveLength(3);
+
+    const byId = Object.fromEntries(result.diff.adults.map(adult => [adult.adultId, adult]));
+    expect(byId.a).toMatchObject({ status: 'changed', baselineShare: 1600, scenarioShare: 869.57 });
+    expect(byId.d).toMatchObject({ status: 'added', baselineShare: null, scenarioShare: 1391.3 });
+    expect(result.diff.summary.sumFinal).toEqual({ baseline: 3600, scenario: 4000, change: 400 });
+  });
+
+  test('rejects moves of more child units than are assigned', () => {
+    expect(() => {
+      runScenario(buildHousehold(), buildPeriod(), { moveChildUnits: [{ from: 'b', to: 'a', units: 0.6 }] });
+    }).toThrow('Cannot move 0.6 child units from b, only 0 assigned');
+  });
+});
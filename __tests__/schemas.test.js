@@ -0,0 +1,67 @@
+const { Household } = require('../src/models/household.js');
+const { Period } = require('../src/models/period.js');
+const { getHouseholdSchema, HOUSEHOLD_SCHEMA, PERIOD_SCHEMA, validateSchema } = require('../src/models/schemas.js');
+const { readExport } = require('../src/persistence/exportFormat.js');
+
+describe('data schemas', () => {
+  const householdData = {
+    name: 'Test LLC',
+    adults: [
+      { id: 'a', name: 'A', netIncome: 4500 },
+      { id: 'b', name: 'B', netIncome: 3200 },
+      { id: 'c', name: 'C', netIncome: 2800 }
+    ],
+    childrenCount: 2
+  };
+
+  test('accepts a household and period the models produce', () => {
+    const period = new Period({ label: '2025-01', coreTotal: 3000, assignedChildUnits: { a: 0.4, b: 0.4, c: 0.4 } });
+    period.addCareEntry({ adultId: 'a', date: '2025-01-04', task: 'School run', hours: 2 });
+    period.addDecision({ title: 'Approve budget', type: 'budget' });
+
+    expect(validateSchema(HOUSEHOLD_SCHEMA, new Household(householdData).toJSON())).toEqual([]);
+    expect(validateSchema(PERIOD_SCHEMA, period.toJSON())).toEqual([]);
+  });
+
+  test('reports every problem with a JSON pointer', () => {
+    const violations = validateSchema(HOUSEHOLD_SCHEMA, {
+      ...householdData,
+      adults: [{ id: 'a', netIncome: '4500' }, { id: 'b/c', name: 'B', netIncome: 3200, careCompensationMode: 'cash' }],
+      childrenCount: 1.5
+    });
+
+    expect(violations.map(violation => [violation.code, violation.field])).toEqual([
+      ['SCHEMA_REQUIRED', '/adults/0/name'],
+      ['SCHEMA_TYPE', '/adults/0/netIncome'],
+      ['SCHEMA_ENUM', '/adults/1/careCompensationMode'],
+      ['SCHEMA_TYPE', '/childrenCount']
+    ]);
+    expect(validateSchema(PERIOD_SCHEMA, { label: '2025-01', overrides: { 'b/c': -1 } })[0].field).toBe('/overrides/b~1c');
+  });
+
+  test('keeps explicit zero settings instead of replacing them with defaults', () => {
+    const household = new Household({ ...householdData, capPercent: 0 });
+    expect(household.capPercent).toBe(0);
+    expect(household.validate().violations.map(violation => violation.code)).toContain('CAP_PERCENT_OUT_OF_RANGE');
+  });
+
+  test('rejects an import whose capPercent is outside the policy range', () => {
+    [-5, 0, 7].forEach(capPercent => {
+      expect(() => readExport({ household: { ...householdData, capPercent } })).toThrow(expect.objectContaining({
+        violations: [expect.objectContaining({ code: expect.stringMatching(/^SCHEMA_M(IN|AX)IMUM$/), field: '/household/capPercent' })]
+      }));
+    });
+
+    const widened = { ...householdData, capPercent: 0.7, policy: { capPercent: { max: 0.8 } } };
+    expect(validateSchema(getHouseholdSchema(widened), widened)).toEqual([]);
+    expect(validateSchema(getHouseholdSchema(householdData), { ...householdData, adults: householdData.adults.slice(0, 1) })[0])
+      .toMatchObject({ code: 'SCHEMA_MIN_ITEMS', field: '/adults' });
+  });
+
+  test('rejects an import whose period does not match the schema', () => {
+    const period = { ...new Period({ label: '2025-01' }).toJSON(), careEntries: [{ id: 'e1', adultId: 'a', date: '2025-01-04', task: 'Cooking', hours: 30 }] };
+    expect(() => readExport({ household: new Household(householdData).toJSON(), period })).toThrow(expect.objectContaining({
+      violations: [expect.objectContaining({ code: 'SCHEMA_MAXIMUM', field: '/periods/0/careEntries/0/hours' })]
+    }));
+  });
+});
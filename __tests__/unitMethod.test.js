@@ -1,4 +1,7 @@
 const { UnitMethodCalculator } = require('../src/core/unitMethod.js');
+const { Household } = require('../src/models/household.js');
+const { Period } = require('../src/models/period.js');
+const { filterAuditTrailForAdult, renderAuditTrail } = require('../src/core/auditTrail.js');
 
 describe('UnitMethodCalculator', () => {
   test('validates household has 3-5 adults', () => {
@@ -44,4 +47,354 @@ describe('UnitMethodCalculator', () => {
 
     expect(result.unitCost).toBeCloseTo(333.33); // 1000 / 3
   });
-});
\ No newline at end of file
+
+  test('delegates preliminary shares to the household allocation strategy', () => {
+    const household = {
+      adults: [
+        { id: 1, name: 'A', netIncome: 1000 },
+        { id: 2, name: 'B', netIncome: 3000 },
+        { id: 3, name: 'C', netIncome: 6000 }
+      ],
+      childUnitWeight: 0.6,
+      childrenCount: 0,
+      capPercent: 0.6,
+      allocationStrategy: 'proportional_income',
+      getTotalUnits: () => 3,
+      getTotalChildUnits: () => 0
+    };
+    const period = {
+      coreTotal: 1000,
+      assignedChildUnits: {},
+      overrides: {}
+    };
+
+    const result = new UnitMethodCalculator(household, period).calculate();
+    expect(result.strategy).toBe('proportional_income');
+    expect(result.adults.map(adult => adult.prelimShare)).toEqual([100, 300, 600]);
+
+    const equal = new UnitMethodCalculator(household, period, { strategy: 'equal_split' }).calculate();
+    expect(equal.adults.map(adult => adult.prelimShare)).toEqual([333.34, 333.33, 333.33]);
+
+    const hybrid = new UnitMethodCalculator(household, period, { strategy: 'hybrid', strategyOptions: { unitWeight: 0.5 } }).calculate();
+    expect(hybrid.adults.map(adult => adult.prelimShare)).toEqual([216.67, 316.67, 466.66]);
+  });
+
+  test('rejects unknown allocation strategies', () => {
+    const household = {
+      adults: [
+        { id: 1, netIncome: 1000 },
+        { id: 2, netIncome: 2000 },
+        { id: 3, netIncome: 3000 }
+      ],
+      childUnitWeight: 0.6,
+      childrenCount: 0,
+      capPercent: 0.3,
+      allocationStrategy: 'coin_flip'
+    };
+    const period = {
+      coreTotal: 1000,
+      assignedChildUnits: {},
+      overrides: {}
+    };
+
+    expect(() => {
+      new UnitMethodCalculator(household, period).calculate();
+    }).toThrow('Unknown allocation strategy: coin_flip');
+  });
+
+  test('final shares add up to the core total to the cent', () => {
+    const household = {
+      adults: [
+        { id: 'a', name: 'A', netIncome: 10000 },
+        { id: 'b', name: 'B', netIncome: 10000 },
+        { id: 'c', name: 'C', netIncome: 10000 }
+      ],
+      childUnitWeight: 0.6,
+      childrenCount: 1,
+      capPercent: 0.3,
+      currency: 'USD',
+      getTotalUnits: () => 3.6,
+      getTotalChildUnits: () => 0.6
+    };
+    const period = {
+      coreTotal: 1000,
+      assignedChildUnits: { a: 0.6, b: 0, c: 0 },
+      overrides: {}
+    };
+
+    const result = new UnitMethodCalculator(household, period).calculate();
+
+    // 1000 / 3.6 per unit: 444.444..., 277.777..., 277.777... floor to 44444 + 27777 + 27777 = 99998 -> two leftover cents
+    expect(result.adults.map(adult => adult.finalShareMinor)).toEqual([44444, 27778, 27778]);
+    expect(result.totals.sumFinalMinor).toBe(100000);
+    expect(result.totals.diffFromCore).toBe(0);
+    const remainder = result.auditTrail.find(event => event.code === 'LARGEST_REMAINDER');
+    expect(remainder.inputs).toEqual({ stage: 'preliminary shares', leftover: 2 });
+    expect(remainder.outputs.recipients.map(recipient => recipient.adultId)).toEqual(['b', 'c']);
+  });
+
+  test('re-checks caps after redistribution and reports the exact deficit', () => {
+    const household = {
+      adults: [
+        { id: 'a', name: 'A', netIncome: 1000 },
+        { id: 'b', name: 'B', netIncome: 1800 },
+        { id: 'c', name: 'C', netIncome: 10000 }
+      ],
+      childUnitWeight: 0.6,
+      childrenCount: 0,
+      capPercent: 0.3,
+      currency: 'USD',
+      getTotalUnits: () => 3,
+      getTotalChildUnits: () => 0
+    };
+    const period = {
+      coreTotal: 1500,
+      assignedChildUnits: {},
+      overrides: {}
+    };
+
+    // Round 1 caps A at 300; redistributing pushes B past 540; C absorbs the rest
+    const result = new UnitMethodCalculator(household, period).calculate();
+    expect(result.adults.map(adult => adult.finalShare)).toEqual([300, 540, 660]);
+    expect(result.adults.map(adult => adult.cappedByRedistribution)).toEqual([false, true, false]);
+    expect(result.rounds).toHaveLength(3);
+    expect(result.totals.diffFromCore).toBe(0);
+
+    period.coreTotal = 5000;
+    const deficitResult = new UnitMethodCalculator(household, period).calculate();
+    expect(deficitResult.totals.deficit).toBe(5000 - 300 - 540 - 3000);
+    expect(deficitResult.warnings[0].type).toBe('deficit_after_caps');
+  });
+
+  test('splits each core category by its own rule', () => {
+    const household = {
+      adults: [
+        { id: 'a', name: 'A', netIncome: 10000 },
+        { id: 'b', name: 'B', netIncome: 10000 },
+        { id: 'c', name: 'C', netIncome: 10000 }
+      ],
+      childUnitWeight: 0.5,
+      childrenCount: 2,
+      capPercent: 0.3,
+      currency: 'USD',
+      coreCategories: [
+        { id: 'groceries', name: 'Groceries', rule: 'unit_method' },
+        { id: 'utilities', name: 'Utilities', rule: 'equal_split' },
+        { id: 'school', name: 'School', rule: 'assigned_child_units', adultIds: ['a', 'b'] },
+        'Internet'
+      ],
+      allocationStrategy: 'equal_split',
+      getTotalUnits: () => 4,
+      getTotalChildUnits: () => 1
+    };
+    const period = {
+      coreTotal: 1290,
+      categoryAmounts: { groceries: 700, utilities: 300, school: 200, internet: 90 },
+      assignedChildUnits: { a: 0.5, b: 0.5, c: 0 },
+      overrides: {}
+    };
+
+    const result = new UnitMethodCalculator(household, period).calculate();
+
+    expect(result.adults.map(adult => adult.finalShare)).toEqual([492.5, 492.5, 305]);
+    expect(result.adults[2].categoryBreakdown).toEqual({
+      groceries: { prelimShare: 175, finalShare: 175 },
+      utilities: { prelimShare: 100, finalShare: 100 },
+      internet: { prelimShare: 30, finalShare: 30 }
+    });
+    expect(result.totals.sumFinal).toBe(1290);
+  });
+
+  test('reads household size limits from the household policy', () => {
+    const adults = [1, 2, 3, 4, 5, 6, 7].map(id => ({ id, name: `Adult ${id}`, netIncome: 5000 }));
+    const household = {
+      adults,
+      childUnitWeight: 0.6,
+      childrenCount: 0,
+      capPercent: 0.3,
+      policy: { adults: { max: 7 } },
+      getTotalUnits: () => 7,
+      getTotalChildUnits: () => 0
+    };
+    const period = {
+      coreTotal: 700,
+      assignedChildUnits: {},
+      overrides: {}
+    };
+
+    const result = new UnitMethodCalculator(household, period).calculate();
+    expect(result.adults).toHaveLength(7);
+
+    household.policy = {};
+    try {
+      new UnitMethodCalculator(household, period).calculate();
+      throw new Error('expected validation to fail');
+    } catch (error) {
+      expect(error.violations).toEqual([
+        expect.objectContaining({ code: 'ADULT_COUNT_OUT_OF_RANGE', field: '/adults', params: { min: 3, max: 5, actual: 7 } })
+      ]);
+    }
+  });
+
+  test('prorates adult and child units by days present', () => {
+    const household = {
+      adults: [
+        { id: 'a', name: 'A', netIncome: 10000 },
+        { id: 'b', name: 'B', netIncome: 10000 },
+        { id: 'c', name: 'C', netIncome: 10000 }
+      ],
+      childUnitWeight: 0.5,
+      childrenCount: 1,
+      capPercent: 0.3,
+      currency: 'USD'
+    };
+    const period = {
+      label: '2024-03',
+      coreTotal: 1000,
+      assignedChildUnits: { a: 0, b: 0, c: 0 },
+      memberships: { c: { startDate: '2024-03-12' } },
+      childUnitSpans: {
+        a: [{ units: 0.5, endDate: '2024-03-15' }],
+        b: [{ units: 0.5, startDate: '2024-03-16' }]
+      },
+      overrides: {}
+    };
+
+    const result = new UnitMethodCalculator(household, period).calculate();
+
+    expect(result.adults[2].adultUnits).toBeCloseTo(20 / 31);
+    expect(result.adults[0].assignedChildUnits).toBeCloseTo(0.5 * 15 / 31);
+    expect(result.adults[1].assignedChildUnits).toBeCloseTo(0.5 * 16 / 31);
+    expect(result.totals.sumFinal).toBe(1000);
+    expect(renderAuditTrail(result.auditTrail, 'text').split('\n')).toContain('C: present 2024-03-12 to end (20 of 31 days) = 0.6452 adult units');
+    expect(renderAuditTrail(filterAuditTrailForAdult(result.auditTrail, 'c'), 'markdown'))
+      .toContain('| PRORATION_MEMBERSHIP | C | present 2024-03-12 to end (20 of 31 days) = 0.6452 adult units |');
+
+    period.childUnitSpans.b = [{ units: 0.5, startDate: '2024-03-20' }];
+    expect(() => {
+      new UnitMethodCalculator(household, period).calculate();
+    }).toThrow('Assigned child units on 2024-03-16 (0) must equal expected total (0.5)');
+  });
+
+  test('still checks spans and reports unchecked coverage when the period label is invalid', () => {
+    const household = new Household({
+      adults: [
+        { id: 'a', name: 'A', netIncome: 10000 },
+        { id: 'b', name: 'B', netIncome: 10000 },
+        { id: 'c', name: 'C', netIncome: 10000 }
+      ],
+      childrenCount: 1,
+      childUnitWeight: 0.5
+    });
+    const period = new Period({
+      label: 'March',
+      coreTotal: 1000,
+      assignedChildUnits: { a: 0, b: 0, c: 0 },
+      childUnitSpans: { a: [{ units: 0.5, startDate: '2024-03-20', endDate: '2024-03-10' }] }
+    });
+
+    expect(period.validate(household).errors).toEqual([
+      'Period label must be in YYYY-MM format, found March',
+      'Child unit span 1 for a starts after it ends (2024-03-20 > 2024-03-10)',
+      'Child unit coverage of mid-period changes cannot be checked without a valid period label'
+    ]);
+  });
+
+  test('caps use the income that applies to the period', () => {
+    const household = {
+      adults: [
+        { id: 'a', name: 'A', netIncome: 9000, incomeHistory: [{ effectiveFrom: '2023-01', netIncome: 2000 }, { effectiveFrom: '2024-05', netIncome: 9000 }] },
+        { id: 'b', name: 'B', netIncome: 10000 },
+        { id: 'c', name: 'C', netIncome: 10000 }
+      ],
+      childUnitWeight: 0.6,
+      childrenCount: 0,
+      capPercent: 0.3,
+      currency: 'USD'
+    };
+    const period = {
+      label: '2024-03',
+      coreTotal: 3000,
+      assignedChildUnits: { a: 0, b: 0, c: 0 },
+      incomeSnapshots: { b: { method: 'trailing_average', amounts: [1000, 2000, 3000] } },
+      overrides: {}
+    };
+
+    const result = new UnitMethodCalculator(household, period).calculate();
+
+    // A's March income is the 2023 entry, B's is the average of the last three months
+    expect(result.adults[0]).toMatchObject({ netIncome: 2000, capAmount: 600, finalShare: 600 });
+    expect(result.adults[1]).toMatchObject({ netIncome: 2000, capAmount: 600, finalShare: 600 });
+    expect(result.adults[2].finalShare).toBe(1800);
+    expect(result.auditTrail.filter(event => event.code === 'INCOME_RESOLVED').map(event => event.inputs.source))
+      .toEqual(['income_history', 'period_snapshot']);
+  });
+
+  test('converts foreign incomes before caps and reports shares in both currencies', () => {
+    const household = {
+      adults: [
+        { id: 'a', name: 'A', netIncome: 2000, incomeCurrency: 'EUR' },
+        { id: 'b', name: 'B', netIncome: 2000, incomeCurrency: 'GBP' },
+        { id: 'c', name: 'C', netIncome: 10000 }
+      ],
+      childUnitWeight: 0.6,
+      childrenCount: 0,
+      capPercent: 0.3,
+      currency: 'USD'
+    };
+    const period = {
+      label: '2024-03',
+      coreTotal: 3000,
+      assignedChildUnits: { a: 0, b: 0, c: 0 },
+      fxRates: { EUR: 1.1 },
+      overrides: {}
+    };
+
+    expect(() => new UnitMethodCalculator(household, period).calculate()).toThrow('Missing FX rate from GBP to USD for B');
+
+    period.fxRates.GBP = 1.25;
+    const result = new UnitMethodCalculator(household, period).calculate();
+
+    // 2000 EUR = 2200 USD, cap 660; 2000 GBP = 2500 USD, cap 750
+    expect(result.adults[0]).toMatchObject({ netIncome: 2200, capAmount: 660, finalShare: 660 });
+    expect(result.adults[0].incomeCurrencyAmounts).toMatchObject({ currency: 'EUR', fxRate: 1.1, finalShare: 600 });
+    expect(result.adults[1].incomeCurrencyAmounts).toMatchObject({ currency: 'GBP', finalShare: 600 });
+    expect(result.adults[2].incomeCurrencyAmounts).toMatchObject({ currency: 'USD', finalShare: 1590 });
+    expect(result.fxRates).toEqual({ EUR: 1.1, GBP: 1.25 });
+    expect(renderAuditTrail(result.auditTrail, 'text')).toContain('FX rate for 2024-03: 1 EUR = 1.1 USD');
+  });
+
+  test('warns when the overrides alone exceed the core total', () => {
+    const household = {
+      adults: [
+        { id: 'a', name: 'A', netIncome: 5000 },
+        { id: 'b', name: 'B', netIncome: 4000 },
+        { id: 'c', name: 'C', netIncome: 3000 }
+      ],
+      childUnitWeight: 0.6,
+      childrenCount: 0,
+      capPercent: 0.5,
+      currency: 'USD',
+      getTotalUnits: () => 3,
+      getTotalChildUnits: () => 0
+    };
+    const period = {
+      coreTotal: 1000,
+      assignedChildUnits: {},
+      overrides: { a: 700, b: 500 }
+    };
+
+    const result = new UnitMethodCalculator(household, period).calculate();
+
+    expect(result.adults[2].finalShare).toBe(0);
+    expect(result.warnings).toContainEqual(expect.objectContaining({
+      type: 'overrides_exceed_core',
+      overridden: 1200,
+      coreTotal: 1000,
+      excess: 200,
+      adultIds: ['a', 'b']
+    }));
+    expect(new UnitMethodCalculator(household, { ...period, overrides: { a: 700 } }).calculate().warnings
+      .map(warning => warning.type)).not.toContain('overrides_exceed_core');
+  });
+});
@@ -0,0 +1,163 @@
+const { Household } = require('../src/models/household.js');
+const { Period } = require('../src/models/period.js');
+const { VisionAndBuffersPlanner } = require('../src/core/visionAndBuffers.js');
+const { computeEmergencyFundStatus, recordEmergencyFundTransaction } = require('../src/core/emergencyFund.js');
+
+describe('VisionAndBuffersPlanner', () => {
+  const buildHousehold = (emergencyEstimate) => {
+    const household = new Household({
+      name: 'Test LLC',
+      adults: [
+        { id: 'a', name: 'A', netIncome: 5000 },
+        { id: 'b', name: 'B', netIncome: 5000 },
+        { id: 'c', name: 'C', netIncome: 5000 }
+      ],
+      emergencyMonths: 4,
+      emergencyEstimate
+    });
+    [['2023-12', 9000], ['2024-01', 3000], ['2024-02', 3300], ['2024-03', 2700], ['2024-04', 4000]]
+      .forEach(([label, coreTotal]) => household.recordCoreTotal(label, coreTotal));
+    return household;
+  };
+  const period = new Period({ label: '2024-04', coreTotal: 3100, assignedChildUnits: { a: 0, b: 0, c: 0 } });
+
+  test('estimates the emergency target from the months before the period', () => {
+    const result = new VisionAndBuffersPlanner(buildHousehold({ method: 'trailing_average', months: 3 }), period)
+      .planVisionAndBuffers();
+
+    expect(result.monthlyCoreEstimate).toMatchObject({ amount: 3000, source: 'history', months: ['2024-01', '2024-02', '2024-03'] });
+    expect(result.emergencyTarget).toBe(12000);
+    expect(result.guidance[0]).toBe(
+      'Emergency fund target: 4 months × 3000.00 USD (3-month average of 2024-01 to 2024-03) = 12000.00 USD'
+    );
+  });
+
+  test('supports median, max month and an explicit override', () => {
+    const estimate = (settings) => buildHousehold(settings).getMonthlyCoreEstimate(period);
+
+    expect(estimate({ method: 'median', months: 6 }).amount).toBe(3150);
+    expect(estimate({ method: 'max', months: 3 }).amount).toBe(3300);
+    expect(estimate({ method: 'max', months: 6, override: 2500 })).toMatchObject({ amount: 2500, source: 'override' });
+    expect(new Household({}).getMonthlyCoreEstimate(period)).toMatchObject({ amount: 3100, source: 'current_period' });
+  });
+
+  test('rejects unknown estimate settings and malformed core history entries', () => {
+    const household = buildHousehold({ method: 'mean', months: 4, override: -1 });
+    household.coreHistory.push({ label: 'May 2024', coreTotal: -200 });
+
+    expect(household.validate().violations.map(violation => [violation.code, violation.field])).toEqual([
+      ['EMERGENCY_ESTIMATE_INVALID', '/emergencyEstimate/method'],
+      ['EMERGENCY_ESTIMATE_INVALID', '/emergencyEstimate/months'],
+      ['EMERGENCY_ESTIMATE_INVALID', '/emergencyEstimate/override'],
+      ['CORE_HISTORY_INVALID_LABEL', '/coreHistory/5/label'],
+      ['CORE_HISTORY_INVALID_TOTAL', '/coreHistory/5/coreTotal']
+    ]);
+  });
+
+  test('computes the emergency fund status from recorded transactions', () => {
+    const household = buildHousehold({ method: 'trailing_average', months: 3 });
+    household.emergencyFund = { monthlyContribution: 1000 };
+    const status = () => new VisionAndBuffersPlanner(household, period).planVisionAndBuffers().summary.emergencyFundStatus;
+
+    recordEmergencyFundTransaction(household, { type: 'deposit', amount: 2000, date: '2024-01-31' });
+    expect(status()).toMatchObject({ currentBalance: 2000, floor: 3000, status: 'below_floor', monthsToTarget: 10 });
+
+    recordEmergencyFundTransaction(household, { type: 'deposit', amount: 9000 });
+    recordEmergencyFundTransaction(household, { type: 'interest', amount: 40 });
+    expect(status()).toMatchObject({ currentBalance: 11040, status: 'maintaining', remaining: 960, monthsToTarget: 1 });
+
+    expect(() => recordEmergencyFundTransaction(household, { type: 'withdrawal', amount: 500 }))
+      .toThrow('Emergency fund withdrawals must link the decision or proposal that approved them');
+    const council = new Period({ label: '2024-03' });
+    council.addDecision({ title: 'Replace the car', type: 'budget' });
+    recordEmergencyFundTransaction(household, { type: 'withdrawal', amount: 5040, decisionId: council.decisions[0].id }, [council]);
+    expect(status()).toMatchObject({ currentBalance: 6000, status: 'building' });
+
+    recordEmergencyFundTransaction(household, { type: 'deposit', amount: 6000 });
+    expect(status()).toMatchObject({ status: 'fully_funded', monthsToTarget: 0 });
+  });
+
+  test('reports the status without a planned contribution when funded or without a target', () => {
+    const household = buildHousehold({ method: 'trailing_average', months: 3 });
+    recordEmergencyFundTransaction(household, { type: 'deposit', amount: 12000 });
+    const status = new VisionAndBuffersPlanner(household, period).planVisionAndBuffers().summary.emergencyFundStatus;
+    expect(status).toMatchObject({ status: 'fully_funded', monthlyContribution: null, remaining: 0, monthsToTarget: 0 });
+
+    const noTarget = computeEmergencyFundStatus(new Household({}), 0, 0);
+    expect(noTarget).toMatchObject({ target: 0, remaining: 0, monthsToTarget: 0 });
+    expect(noTarget.guidance).toContain('no monthly contribution is planned');
+  });
+
+  test('rejects emergency fund transactions and settings with a violation per field', () => {
+    const household = buildHousehold({ method: 'trailing_average', months: 3 });
+    recordEmergencyFundTransaction(household, { type: 'deposit', amount: 100 });
+    const council = new Period({ label: '2024-03' });
+    council.addDecision({ title: 'Boiler repair', type: 'budget' });
+    council.addDecision({ title: 'Emergency Fund Draw passed', type: 'fund_withdrawal', proposalId: 'p_1' });
+    const [boiler, draw] = council.decisions.map(decision => decision.id);
+    const rejects = (transaction, code, field) => expect(() => recordEmergencyFundTransaction(household, transaction, [council]))
+      .toThrow(expect.objectContaining({ violations: [expect.objectContaining({ code, field })] }));
+
+    rejects({ type: 'transfer', amount: 10 }, 'EMERGENCY_FUND_TYPE_UNKNOWN', '/type');
+    rejects({ type: 'deposit', amount: 0 }, 'EMERGENCY_FUND_AMOUNT_INVALID', '/amount');
+    rejects({ type: 'deposit', amount: 10, date: '31/01/2024' }, 'EMERGENCY_FUND_DATE_INVALID', '/date');
+    rejects({ type: 'withdrawal', amount: 10 }, 'EMERGENCY_FUND_WITHDRAWAL_UNAPPROVED', '/decisionId');
+    rejects({ type: 'withdrawal', amount: 10, decisionId: 'made-up' }, 'EMERGENCY_FUND_DECISION_NOT_FOUND', '/decisionId');
+    rejects({ type: 'withdrawal', amount: 10, decisionId: draw }, 'EMERGENCY_FUND_DECISION_INVALID', '/decisionId');
+    rejects({ type: 'withdrawal', amount: 150, decisionId: boiler }, 'EMERGENCY_FUND_INSUFFICIENT', '/amount');
+    expect(household.emergencyFund.transactions).toHaveLength(1);
+
+    recordEmergencyFundTransaction(household, { type: 'withdrawal', amount: 60, decisionId: boiler }, [council]);
+    rejects({ type: 'withdrawal', amount: 10, decisionId: boiler }, 'EMERGENCY_FUND_DECISION_USED', '/decisionId');
+
+    household.emergencyFund = {
+      floorMonths: -1,
+      maintainingPercent: 1.5,
+      transactions: [{ type: 'withdrawal', amount: -5 }]
+    };
+    expect(household.validate().violations.map(violation => [violation.code, violation.field])).toEqual([
+      ['EMERGENCY_FUND_INVALID', '/emergencyFund/floorMonths'],
+      ['EMERGENCY_FUND_INVALID', '/emergencyFund/maintainingPercent'],
+      ['EMERGENCY_FUND_INVALID', '/emergencyFund/transactions/0/amount'],
+      ['EMERGENCY_FUND_INVALID', '/emergencyFund/transactions/0']
+    ]);
+  });
+
+  test('fills sinking funds by priority, pro rata within a tier, and reports the shortfall date', () => {
+    const household = buildHousehold();
+    household.visionAllocPercent = 0.2; // 250.00 a month
+    household.sinkingFunds = [
+      { name: 'Vacation', annualTarget: 2400, currentBalance: 0, priority: 2 },
+      { name: 'Medical Deductible', annualTarget: 1200, currentBalance: 0 },
+      { name: 'Roof', annualTarget: 3000, currentBalance: 600, priority: 1, targetDate: '2025-04' }
+    ];
+    const result = new VisionAndBuffersPlanner(household, period).planVisionAndBuffers();
+    const fund = (name) => result.sinkingFunds.find(item => item.name === name);
+
+    expect(fund('Medical Deductible')).toMatchObject({ priority: 1, prioritySource: 'name', requestedTransfer: 100, allocatedTransfer: 83.33 });
+    expect(fund('Roof')).toMatchObject({ requestedTransfer: 200, allocatedTransfer: 166.67, shortfallAtTargetDate: 399.96, onTrack: false });
+    expect(fund('Vacation')).toMatchObject({ allocatedTransfer: 0, monthlyShortfall: 200, projectedCompletion: null });
+    expect(result.sinkingFundAllocation).toMatchObject({
+      allocated: 250,
+      shortfall: 250,
+      underfundedFunds: ['Vacation', 'Medical Deductible', 'Roof'],
+      firstShortfallDate: '2025-04'
+    });
+    expect(result.sinkingFunds.map(item => item.name)).not.toContain('WARNING');
+  });
+
+  test('rejects sinking funds with an invalid priority, target date or annual target', () => {
+    const household = buildHousehold();
+    household.sinkingFunds = [
+      { name: 'Vacation', annualTarget: 2400, priority: 0, targetDate: 'next summer' },
+      { name: 'Roof', annualTarget: -1, priority: 1.5 }
+    ];
+
+    expect(household.validate().violations.map(violation => [violation.code, violation.field])).toEqual([
+      ['SINKING_FUND_INVALID', '/sinkingFunds/0/priority'],
+      ['SINKING_FUND_INVALID', '/sinkingFunds/0/targetDate'],
+      ['SINKING_FUND_INVALID', '/sinkingFunds/1/priority'],
+      ['SINKING_FUND_INVALID', '/sinkingFunds/1/annualTarget']
+    ]);
+  });
+});
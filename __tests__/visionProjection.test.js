@@ -0,0 +1,73 @@
+const { Household } = require('../src/models/household.js');
+const { Period } = require('../src/models/period.js');
+const { projectVision, validateProjectionOptions } = require('../src/core/visionProjection.js');
+
+describe('projectVision', () => {
+  const household = new Household({
+    name: 'Test LLC',
+    adults: [
+      { id: 'a', name: 'A', netIncome: 4000 },
+      { id: 'b', name: 'B', netIncome: 4000 },
+      { id: 'c', name: 'C', netIncome: 4000 }
+    ],
+    visionAllocPercent: 0.1, // 100.00 a month
+    sinkingFunds: [{ name: 'Car', annualTarget: 1200, currentBalance: 0, account: 'Checking', targetDate: '2025-01' }]
+  });
+  const period = new Period({ label: '2024-01', coreTotal: 0, assignedChildUnits: { a: 0, b: 0, c: 0 } });
+
+  test('projects transfers, withdrawals and allocation changes month by month', () => {
+    const result = projectVision(household, period, {
+      years: 2,
+      withdrawals: [{ fund: 'Car', label: '2025-03', amount: 1500, note: 'replacement' }],
+      allocationChanges: [{ from: '2025-06', visionAllocPercent: 0.2 }]
+    });
+    const car = result.series.find(series => series.name === 'Car');
+
+    expect(result.labels).toHaveLength(24);
+    expect(result.endLabel).toBe('2025-12');
+    expect(car.transfers.slice(0, 12).every(transfer => transfer === 100)).toBe(true);
+    expect(car.balances[11]).toBe(1200);
+    expect(car.transfers.slice(12)).toEqual(Array(12).fill(0));
+    expect(car.balances[14]).toBe(0);
+    expect(result.goals.find(goal => goal.name === 'Car')).toMatchObject({ reachedLabel: '2024-12', onTime: true });
+    expect(result.warnings).toEqual([
+      { label: '2025-03', fund: 'Car', message: 'Car is 300.00 USD short for the 1500.00 USD withdrawal (replacement) in 2025-03' }
+    ]);
+    expect(result.totals.visionAllocation[16]).toBe(100);
+    expect(result.totals.visionAllocation[17]).toBe(200);
+  });
+
+  test('compounds interest at the account APY', () => {
+    const result = projectVision(household, period, { years: 1, accounts: { Checking: { apy: 0.05 } } });
+    const car = result.series.find(series => series.name === 'Car');
+
+    expect(car.apy).toBe(0.05);
+    expect(car.interest[0]).toBe(0.41);
+    expect(car.balances[11]).toBeGreaterThanOrEqual(1200);
+    expect(car.transfers[11]).toBeLessThan(100);
+  });
+
+  test('rejects projection options and accounts outside their ranges with a pointer per field', () => {
+    const problems = validateProjectionOptions({
+      years: 0,
+      startLabel: '2024-1',
+      withdrawals: [{ fund: 'Boat', label: '2025-03', amount: -5 }],
+      allocationChanges: [{ from: '2025-06', visionAllocPercent: 0.8 }],
+      accounts: { Savings: { apy: 1.2 } }
+    }, household);
+
+    expect(problems.map(problem => problem.field)).toEqual([
+      '/years',
+      '/startLabel',
+      '/withdrawals/0/fund',
+      '/withdrawals/0/amount',
+      '/allocationChanges/0/visionAllocPercent',
+      '/accounts/Savings/apy'
+    ]);
+
+    const invalid = Household.fromJSON({ ...household.toJSON(), accounts: { Checking: { apy: -0.01 } } });
+    expect(invalid.validate().violations).toEqual([
+      expect.objectContaining({ code: 'ACCOUNT_INVALID', field: '/accounts/Checking/apy' })
+    ]);
+  });
+});
@@ -7,6 +7,7 @@ import bcrypt from 'bcrypt';
 import session from 'express-session';
 import passport from 'passport';
 import GoogleStrategy from 'passport-google-oauth20';
+import { PROPOSAL_TEMPLATES } from './src/core/proposalTemplates.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -683,34 +684,7 @@ app.get('/api/cap-table/:date', requireAuth, (req, res) => {
 
 // Proposal templates
 app.get('/api/proposal-templates', (req, res) => {
-  const templates = [
-    {
-      name: 'Sell Asset',
-      fields: ['asset_id', 'valuation', 'buyer', 'closing_date'],
-      checks: ['valuation_required', 'debt_impact_assessment']
-    },
-    {
-      name: 'Add Member',
-      fields: ['name', 'contribution', 'units', 'role'],
-      checks: ['onboarding_required', 'category_selection']
-    },
-    {
-      name: 'Transfer Units',
-      fields: ['from_member', 'to_member', 'units', 'price'],
-      checks: ['right_of_first_refusal', 'waiting_period']
-    },
-    {
-      name: 'Reinvestment Decision',
-      fields: ['amount', 'options', 'timeline'],
-      checks: ['member_elections', 'allocation_calculation']
-    },
-    {
-      name: 'Emergency Fund Draw',
-      fields: ['amount', 'purpose', 'repayment_plan'],
-      checks: ['reserve_policy_check', 'vote_gate']
-    }
-  ];
-  res.json(templates);
+  res.json(PROPOSAL_TEMPLATES);
 });
 
 app.listen(PORT, () => {
@@ -0,0 +1,120 @@
+/**
+ * Allocation strategies for LLC Governance Dashboard
+ * Decide how the core total is split between adults before caps and overrides
+ */
+
+export const DEFAULT_ALLOCATION_STRATEGY = "unit_method";
+
+const strategies = new Map();
+
+/**
+ * Register an allocation strategy
+ * A strategy returns one non-negative weight per adult; the calculator turns
+ * weights into preliminary shares, so every strategy yields the same result shape.
+ * @param {Object} strategy - Strategy definition
+ * @param {string} strategy.id - Unique strategy id stored on the household
+ * @param {string} strategy.label - Human-readable name
+ * @param {string} strategy.description - Short explanation of the split
+ * @param {Function} strategy.weigh - (context) => number[] weights aligned with context.adults
+ * @param {Function} [strategy.validate] - (context) => string[] validation errors
+ */
+export function registerAllocationStrategy(strategy) {
+  if (!strategy || !strategy.id || typeof strategy.weigh !== 'function') {
+    throw new Error("Allocation strategy requires an id and a weigh function");
+  }
+  strategies.set(strategy.id, strategy);
+}
+
+/**
+ * Get a registered allocation strategy
+ * @param {string} id - Strategy id
+ * @returns {Object|null} Strategy definition or null if unknown
+ */
+export function getAllocationStrategy(id = DEFAULT_ALLOCATION_STRATEGY) {
+  return strategies.get(id) || null;
+}
+
+/**
+ * List registered allocation strategies
+ * @returns {Array} Strategy ids, labels and descriptions
+ */
+export function listAllocationStrategies() {
+  return Array.from(strategies.values()).map(strategy => ({
+    id: strategy.id,
+    label: strategy.label,
+    description: strategy.description
+  }));
+}
+
+/**
+ * Normalize values so they sum to 1
+ * @param {number[]} values - Raw values
+ * @returns {number[]} Fractions of the total (all zero if the total is zero)
+ * @private
+ */
+function toFractions(values) {
+  const total = values.reduce((sum, value) => sum + value, 0);
+  return values.map(value => (total > 0 ? value / total : 0));
+}
+
+registerAllocationStrategy({
+  id: "unit_method",
+  label: "Unit method",
+  description: "Each adult pays for 1.0 unit plus their assigned child units",
+  weigh: (context) => context.adults.map(adult => adult.totalUnits)
+});
+
+registerAllocationStrategy({
+  id: "proportional_income",
+  label: "Proportional to net income",
+  description: "Each adult pays in proportion to their share of household net income",
+  weigh: (context) => context.adults.map(adult => adult.netIncome),
+  validate: (context) => {
+    const totalIncome = context.adults.reduce((sum, adult) => sum + adult.netIncome, 0);
+    return totalIncome > 0 ? [] : [`Proportional income split requires positive total net income, found ${totalIncome}`];
+  }
+});
+
+registerAllocationStrategy({
+  id: "equal_split",
+  label: "Equal split",
+  description: "Every adult pays the same amount, prorated by days present",
+  weigh: (context) => context.adults.map(adult => adult.adultUnits)
+});
+
+registerAllocationStrategy({
+  id: "assigned_child_units",
+  label: "By assigned child units",
+  description: "Split by each adult's assigned child units, e.g. school costs for the assigned parents",
+  weigh: (context) => context.adults.map(adult => adult.assignedChildUnits),
+  validate: (context) => {
+    const totalChildUnits = context.adults.reduce((sum, adult) => sum + adult.assignedChildUnits, 0);
+    return totalChildUnits > 0 ? [] : [`Split by assigned child units requires assigned child units, found ${totalChildUnits}`];
+  }
+});
+
+registerAllocationStrategy({
+  id: "hybrid",
+  label: "Hybrid units and income",
+  description: "Blend of the unit method and income proportion (default 50% / 50%)",
+  weigh: (context) => {
+    const unitWeight = context.options.unitWeight ?? 0.5;
+    const unitFractions = toFractions(context.adults.map(adult => adult.totalUnits));
+    const incomeFractions = toFractions(context.adults.map(adult => adult.netIncome));
+    return context.adults.map((adult, index) =>
+      unitWeight * unitFractions[index] + (1 - unitWeight) * incomeFractions[index]
+    );
+  },
+  validate: (context) => {
+    const errors = [];
+    const unitWeight = context.options.unitWeight ?? 0.5;
+    if (typeof unitWeight !== 'number' || unitWeight < 0 || unitWeight > 1) {
+      errors.push(`Hybrid unitWeight must be between 0 and 1, found ${unitWeight}`);
+    }
+    const totalIncome = context.adults.reduce((sum, adult) => sum + adult.netIncome, 0);
+    if (unitWeight < 1 && totalIncome <= 0) {
+      errors.push(`Hybrid split requires positive total net income, found ${totalIncome}`);
+    }
+    return errors;
+  }
+});
@@ -0,0 +1,183 @@
+/**
+ * Structured audit trail for LLC Governance Dashboard
+ * Typed calculation events and renderers for text, Markdown and HTML
+ */
+
+/**
+ * Create an audit event
+ * @param {string} source - Calculator that produced the event ("unit_method", "care_ledger", "vision")
+ * @param {string} code - Event code, e.g. "CAPPED"
+ * @param {Object} [data] - Event data
+ * @param {string} [data.adultId] - Adult the event is about (omit for household-level events)
+ * @param {string} [data.adultName] - Adult display name
+ * @param {Object} [data.inputs] - Values the step used
+ * @param {Object} [data.outputs] - Values the step produced
+ * @returns {Object} Audit event
+ */
+export function auditEvent(source, code, { adultId = null, adultName = null, inputs = {}, outputs = {} } = {}) {
+  return { source, code, adultId, adultName, inputs, outputs };
+}
+
+// Codes that start a new section; the text renderer puts a blank line before them
+const SECTION_CODES = ["CARE_MODEL_APPLIED"];
+
+const amount = (value, options) => Number(value).toFixed(options.digits);
+const units = (value) => String(+Number(value).toFixed(4));
+const names = (list) => list.join(', ');
+
+/**
+ * Message templates reproducing the plain-text audit trail
+ * Each template receives (event, options) and returns one line without the adult prefix.
+ */
+const MESSAGES = {
+  PRORATION_MEMBERSHIP: ({ inputs, outputs }) =>
+    `present ${inputs.startDate || 'start'} to ${inputs.endDate || 'end'} (${inputs.daysPresent} of ${inputs.daysInPeriod} days) = ${outputs.adultUnits.toFixed(4)} adult units`,
+  PRORATION_CHILD_UNITS: ({ inputs, outputs }) =>
+    `child units ${inputs.spans.map(span => `${span.units} × ${span.days}/${inputs.daysInPeriod} days`).join(' + ')} = ${outputs.childUnits.toFixed(4)}`,
+  INCOME_RESOLVED: ({ inputs, outputs }, options) =>
+    `income ${amount(outputs.netIncome, options)} from ${inputs.source === "period_snapshot" ? `${inputs.method.replace('_', ' ')} period income` : `income history effective ${inputs.effectiveFrom}`}`,
+  FX_RATE: ({ inputs, outputs }) =>
+    `FX rate for ${inputs.periodLabel || 'period'}: 1 ${inputs.currency} = ${outputs.rate} ${inputs.householdCurrency}`,
+  INCOME_CONVERTED: ({ inputs, outputs }, options) =>
+    `income ${amount(inputs.amount, options)} ${inputs.currency} × ${inputs.rate} = ${amount(outputs.netIncome, options)} ${outputs.currency}`,
+  TOTAL_UNITS: ({ inputs, outputs }) =>
+    `Total units: ${units(outputs.totalUnits)} (${units(inputs.adultUnits)} adult units + ${units(inputs.childUnits)} child units)`,
+  UNIT_COST: ({ inputs, outputs }, options) =>
+    `Unit cost: ${inputs.coreTotal} / ${units(inputs.totalUnits)} = ${amount(outputs.unitCost, options)}`,
+  ALLOCATION_STRATEGY: ({ inputs }) => `Allocation strategy: ${inputs.label}`,
+  CAP_ADJUSTED: ({ inputs, outputs }) =>
+    `Cap percent for this period: ${+(outputs.capPercent * 100).toFixed(2)}% instead of ${+(inputs.householdCapPercent * 100).toFixed(2)}% (consent from ${inputs.consents} adults)`,
+  CATEGORY_SPLIT: ({ inputs }, options) =>
+    `Category ${inputs.name}: ${amount(inputs.amount, options)} split by ${inputs.ruleLabel} among ${names(inputs.adultNames)}`,
+  LARGEST_REMAINDER: ({ inputs, outputs }, options) =>
+    `Largest remainder (${inputs.stage}): ${Math.abs(inputs.leftover)} leftover minor unit(s) of ${amount(Math.sign(inputs.leftover) / Math.pow(10, options.digits), options)} to ${names(outputs.recipients.map(recipient => recipient.adultName))} (largest fractional remainder first, ties by household order)`,
+  STRATEGY_SHARE: ({ inputs, outputs }, options) =>
+    `${inputs.percent.toFixed(2)}% of ${inputs.line} = ${amount(outputs.amount, options)}`,
+  OVERRIDE_SET: ({ outputs }, options) => `Override set to ${amount(outputs.finalShare, options)}`,
+  CAP_ROUND: ({ inputs }, options) =>
+    `Round ${inputs.round}: distributing ${amount(inputs.remaining, options)} over ${names(inputs.adultNames)}`,
+  CAP_ROUND_OVERRIDES_EXHAUST: ({ inputs }, options) =>
+    `Round ${inputs.round}: overrides cover ${amount(inputs.overridden, options)}, nothing left to share among ${names(inputs.adultNames)}`,
+  CAPPED: ({ inputs, outputs }, options) =>
+    `Capped at ${amount(outputs.finalShare, options)} (${inputs.capPercent * 100}% of income)${inputs.byRedistribution ? ' after redistribution' : ''}`,
+  SHARE_REDISTRIBUTED: ({ outputs }, options) => `Share set to ${amount(outputs.finalShare, options)} after redistribution`,
+  DEFICIT: ({ outputs }, options) => `All adults capped or overridden: deficit of ${amount(outputs.deficit, options)} remains`,
+  SUM_PRELIM: ({ outputs }, options) => `Sum of preliminary shares: ${amount(outputs.sumPrelim, options)}`,
+  SUM_FINAL: ({ outputs }, options) => `Sum of final shares: ${amount(outputs.sumFinal, options)}`,
+  DIFF_FROM_CORE: ({ outputs }, options) => `Difference from Core total: ${amount(outputs.diffFromCore, options)}`,
+  CARE_VALUE: ({ inputs, outputs }, options) =>
+    `${inputs.entries} entries, ${inputs.hours} hours = ${amount(outputs.careValue, options)} ${inputs.currency}`,
+  CARE_ENTRIES_EXCLUDED: ({ inputs }) =>
+    `${inputs.entries} entries (${inputs.hours} hours) excluded, dated outside membership ${inputs.startDate || 'start'} to ${inputs.endDate || 'end'}`,
+  CARE_PENDING: ({ inputs }) => `${inputs.entries} entries (${inputs.hours} hours) awaiting approval, not valued`,
+  CARE_DISPUTED: ({ inputs }) => `${inputs.entries} entries (${inputs.hours} hours) disputed, not valued`,
+  CARE_MODEL_APPLIED: ({ inputs }) =>
+    `Applying ${inputs.model.toUpperCase()} model${inputs.modes ? ` (${inputs.modes.map(entry => `${entry.adultName} ${entry.mode}`).join(', ')})` : ''}:`,
+  CARE_CREDIT: ({ inputs, outputs }, options) =>
+    `${amount(outputs.credit, options)} ${inputs.currency} credit to next month's core share`,
+  CARE_CREDIT_EXPIRING: ({ inputs, outputs }, options) =>
+    `${amount(outputs.expiring, options)} ${inputs.currency} care credit expired before this period`,
+  CARE_CREDIT_APPLIED: ({ inputs, outputs }, options) =>
+    `${amount(outputs.applied, options)} of ${amount(inputs.available, options)} ${inputs.currency} care credit applied, ${amount(outputs.amountDue, options)} due, ${amount(outputs.carriedForward, options)} carried forward`,
+  CARE_STIPEND: ({ inputs, outputs }, options) => `${amount(outputs.amount, options)} ${inputs.currency} stipend payment`,
+  CARE_STIPEND_TOTAL: ({ inputs, outputs }, options) => `Total stipend payments: ${amount(outputs.total, options)} ${inputs.currency}`,
+  CARE_CORE_INCREASE: ({ inputs, outputs }, options) =>
+    `Next month's core total will increase by: ${amount(outputs.increase, options)} ${inputs.currency}`,
+  EMERGENCY_TARGET: ({ inputs, outputs }, options) =>
+    `Emergency fund target: ${inputs.months} months × ${amount(inputs.monthlyCore, options)} ${inputs.currency}${inputs.basis ? ` (${inputs.basis})` : ''} = ${amount(outputs.target, options)} ${inputs.currency}`,
+  VISION_ALLOCATION: ({ inputs, outputs }, options) =>
+    `Monthly vision allocation: ${(inputs.percent * 100).toFixed(1)}% of ${amount(inputs.totalNetIncome, options)} ${inputs.currency} = ${amount(outputs.monthly, options)} ${inputs.currency}/month`
+};
+
+/**
+ * Register or replace the message template for an event code
+ * Lets other modules (or a translation layer) describe their own events.
+ * @param {string} code - Event code
+ * @param {Function} template - (event, options) => string
+ */
+export function registerAuditMessage(code, template) {
+  MESSAGES[code] = template;
+}
+
+/**
+ * Format a single event as a line of text
+ * @param {Object} event - Audit event
+ * @param {Object} [options] - { digits } minor-unit digits for amounts (default 2)
+ * @returns {string} Message, prefixed with the adult name for adult events
+ */
+export function formatAuditEvent(event, options = {}) {
+  const resolved = { digits: 2, ...options };
+  const template = MESSAGES[event.code];
+  const message = template ? template(event, resolved) : `${event.code} ${JSON.stringify({ inputs: event.inputs, outputs: event.outputs })}`;
+  return event.adultName ? `${event.adultName}: ${message}` : message;
+}
+
+/**
+ * Escape text for HTML output
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ * @private
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render audit events as text, Markdown or HTML
+ * @param {Array} events - Audit events
+ * @param {string} format - "text" | "markdown" | "html"
+ * @param {Object} [options] - { digits } minor-unit digits for amounts
+ * @returns {string} Rendered audit trail
+ */
+export function renderAuditTrail(events, format = "text", options = {}) {
+  if (format === "markdown") {
+    let markdown = `| Step | Adult | Detail |\n`;
+    markdown += `|------|-------|--------|\n`;
+    events.forEach(event => {
+      const detail = formatAuditEvent({ ...event, adultName: null }, options).replace(/\|/g, '\\|');
+      markdown += `| ${event.code} | ${event.adultName || ''} | ${detail} |\n`;
+    });
+    return markdown;
+  }
+
+  if (format === "html") {
+    let html = `<table class="audit-trail">\n`;
+    html += `  <thead><tr><th>Step</th><th>Adult</th><th>Detail</th></tr></thead>\n`;
+    html += `  <tbody>\n`;
+    events.forEach(event => {
+      const detail = formatAuditEvent({ ...event, adultName: null }, options);
+      html += `    <tr data-code="${escapeHtml(event.code)}"><td>${escapeHtml(event.code)}</td><td>${escapeHtml(event.adultName || '')}</td><td>${escapeHtml(detail)}</td></tr>\n`;
+    });
+    html += `  </tbody>\n</table>\n`;
+    return html;
+  }
+
+  if (format !== "text") {
+    throw new Error(`Unknown audit trail format: ${format}`);
+  }
+
+  return events
+    .map((event, index) => (index > 0 && SECTION_CODES.includes(event.code) ? '\n' : '') + formatAuditEvent(event, options))
+    .join('\n');
+}
+
+/**
+ * Select the events that explain one adult's share
+ * Household-level events and steps the adult took part in (cap rounds, category
+ * splits, remainder cents) are kept; other adults' own events are dropped.
+ * @param {Array} events - Audit events
+ * @param {string} adultId - Adult ID
+ * @returns {Array} Events relevant to the adult
+ */
+export function filterAuditTrailForAdult(events, adultId) {
+  return events.filter(event =>
+    (event.adultId === null && !event.inputs.adultIds && !event.outputs.recipients) ||
+    String(event.adultId) === String(adultId) ||
+    (event.inputs.adultIds || []).some(id => String(id) === String(adultId)) ||
+    (event.outputs.recipients || []).some(recipient => String(recipient.adultId) === String(adultId))
+  );
+}
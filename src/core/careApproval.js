@@ -0,0 +1,122 @@
+/**
+ * Care entry approval for LLC Governance Dashboard
+ * Care hours only count once another adult has approved them
+ */
+
+import { createViolation } from '../models/householdPolicy.js';
+
+export const CARE_ENTRY_STATUSES = ["submitted", "approved", "disputed", "rejected"];
+
+// Approver recorded on entries from unversioned exports, made before approvals existed, when all care counted
+export const LEGACY_CARE_APPROVER = "legacy-import";
+
+// Statuses a reviewer can move an entry to, by current status
+const REVIEW_TRANSITIONS = {
+  submitted: ["approved", "disputed", "rejected"],
+  disputed: ["approved", "rejected"],
+  approved: [],
+  rejected: []
+};
+
+/**
+ * Create an error carrying a structured violation
+ * @param {string} code - Violation code
+ * @param {string} field - JSON pointer to the offending input
+ * @param {string} message - Human-readable message
+ * @param {Object} params - Violation parameters
+ * @returns {Error} Error with violations
+ * @private
+ */
+function reviewError(code, field, message, params = {}) {
+  const error = new Error(message);
+  error.violations = [createViolation(code, field, message, params)];
+  return error;
+}
+
+/**
+ * Get a care entry's status
+ * Entries recorded before approvals existed have no status and wait for review.
+ * @param {Object} entry - Care entry
+ * @returns {string} Entry status
+ */
+export function getCareEntryStatus(entry) {
+  return entry.status || "submitted";
+}
+
+/**
+ * Check whether a care entry still needs a decision
+ * @param {Object} entry - Care entry
+ * @returns {boolean} True for submitted or disputed entries
+ */
+export function isCareEntryUnresolved(entry) {
+  return ["submitted", "disputed"].includes(getCareEntryStatus(entry));
+}
+
+/**
+ * Apply a review to a care entry
+ * @param {Object} entry - Care entry (mutated)
+ * @param {Object} review - { reviewerId, status, note }
+ * @returns {Object} The updated entry
+ */
+export function applyCareEntryReview(entry, { reviewerId, status, note = "" }) {
+  const current = getCareEntryStatus(entry);
+
+  if (!reviewerId) {
+    throw reviewError("CARE_REVIEWER_MISSING", "/reviewerId", "Care entry review requires a reviewerId");
+  }
+  if (String(reviewerId) === String(entry.adultId)) {
+    throw reviewError("CARE_SELF_REVIEW", "/reviewerId", "Care entries must be reviewed by another adult",
+      { adultId: entry.adultId });
+  }
+  if (!REVIEW_TRANSITIONS[current].includes(status)) {
+    throw reviewError("CARE_REVIEW_TRANSITION_INVALID", "/status", `Care entry ${entry.id} is ${current} and cannot be marked ${status}`,
+      { allowed: REVIEW_TRANSITIONS[current], actual: status });
+  }
+  if (status === "disputed" && !note) {
+    throw reviewError("CARE_DISPUTE_NOTE_MISSING", "/note", "Disputing a care entry requires a note explaining why");
+  }
+
+  const reviewedAt = new Date().toISOString();
+  entry.status = status;
+  entry.reviews = [...(entry.reviews || []), { reviewerId, status, note, reviewedAt }];
+  if (status === "approved") {
+    entry.approvedBy = reviewerId;
+    entry.approvedAt = reviewedAt;
+  }
+  return entry;
+}
+
+/**
+ * Validate a care entry's status and approval record
+ * @param {Object} entry - Care entry
+ * @param {number} index - Entry position, for messages
+ * @returns {string[]} Validation errors
+ */
+export function validateCareEntryStatus(entry, index) {
+  const errors = [];
+  const status = getCareEntryStatus(entry);
+  if (!CARE_ENTRY_STATUSES.includes(status)) {
+    errors.push(`Care entry ${index + 1} has invalid status: ${status}`);
+  }
+  if (status === "approved" && (!entry.approvedBy || String(entry.approvedBy) === String(entry.adultId))) {
+    errors.push(`Care entry ${index + 1} must be approved by another adult`);
+  }
+  return errors;
+}
+
+/**
+ * Sum entries and hours by adult
+ * @param {Array} entries - Care entries
+ * @returns {Object} Adult ID -> { entries, hours }
+ */
+export function summarizeCareHours(entries) {
+  const totals = {};
+  entries.forEach(entry => {
+    if (!totals[entry.adultId]) {
+      totals[entry.adultId] = { entries: 0, hours: 0 };
+    }
+    totals[entry.adultId].entries += 1;
+    totals[entry.adultId].hours += entry.hours;
+  });
+  return totals;
+}
@@ -0,0 +1,243 @@
+/**
+ * Care credit ledger for LLC Governance Dashboard
+ * Running care credit balances per adult, carried across periods
+ */
+
+import { fromMinor, getMinorUnitDigits, toMinor } from './money.js';
+
+export const CARE_CREDIT_TRANSACTION_TYPES = ["earned", "applied", "expired", "forfeited"];
+
+/**
+ * Move a period label forward by a number of months
+ * @param {string} label - Period label (YYYY-MM)
+ * @param {number} months - Months to add
+ * @returns {string} Period label
+ * @private
+ */
+function addPeriods(label, months) {
+  const [year, month] = label.split('-').map(Number);
+  const index = year * 12 + (month - 1) + months;
+  return `${Math.floor(index / 12)}-${String(index % 12 + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Get the credits an adult still holds, oldest first
+ * Applied, expired and forfeited amounts use up the oldest credits first.
+ * @param {Object} household - Household with careCredits transactions
+ * @param {string} adultId - Adult ID
+ * @returns {Array} Lots as { periodLabel, expiresAfter, remainingMinor }
+ * @private
+ */
+function getOpenLots(household, adultId) {
+  const digits = getMinorUnitDigits(household.currency);
+  const lots = [];
+  household.careCredits
+    .filter(transaction => String(transaction.adultId) === String(adultId))
+    .forEach(transaction => {
+      const minor = toMinor(transaction.amount, digits);
+      if (minor > 0) {
+        lots.push({ periodLabel: transaction.periodLabel, expiresAfter: transaction.expiresAfter || null, remainingMinor: minor });
+        return;
+      }
+      let toUse = -minor;
+      lots.forEach(lot => {
+        const used = Math.min(lot.remainingMinor, toUse);
+        lot.remainingMinor -= used;
+        toUse -= used;
+      });
+    });
+  return lots.filter(lot => lot.remainingMinor > 0);
+}
+
+/**
+ * Get an adult's current care credit balance
+ * @param {Object} household - Household with careCredits transactions
+ * @param {string} adultId - Adult ID
+ * @returns {number} Balance in the household currency
+ */
+export function getCareCreditBalance(household, adultId) {
+  const digits = getMinorUnitDigits(household.currency);
+  return fromMinor(getOpenLots(household, adultId).reduce((sum, lot) => sum + lot.remainingMinor, 0), digits);
+}
+
+/**
+ * Split an adult's balance into what a period can use and what has expired by then
+ * Credits are usable from the period after they were earned until their expiresAfter period.
+ * @param {Object} household - Household with careCredits transactions
+ * @param {string} adultId - Adult ID
+ * @param {string} periodLabel - Period the credits would be applied in
+ * @returns {Object} { balance, available, expiring }
+ */
+export function getAvailableCareCredits(household, adultId, periodLabel) {
+  const digits = getMinorUnitDigits(household.currency);
+  const totals = { balance: 0, available: 0, expiring: 0 };
+  getOpenLots(household, adultId).forEach(lot => {
+    totals.balance += lot.remainingMinor;
+    if (lot.expiresAfter && lot.expiresAfter < periodLabel) {
+      totals.expiring += lot.remainingMinor;
+    } else if (lot.periodLabel < periodLabel) {
+      totals.available += lot.remainingMinor;
+    }
+  });
+  return {
+    balance: fromMinor(totals.balance, digits),
+    available: fromMinor(totals.available, digits),
+    expiring: fromMinor(totals.expiring, digits)
+  };
+}
+
+/**
+ * Work out how much credit each adult applies against their share this period
+ * Nothing is posted; the same balances and shares always give the same result,
+ * so recalculating a period does not apply credit twice.
+ * @param {Object} household - Household with careCredits transactions
+ * @param {Object} period - Period being calculated
+ * @param {Object} unitResult - Unit method result
+ * @returns {Object} Adult ID -> { balance, expiring, available, applied, amountDue, carriedForward }
+ */
+export function planCareCreditApplication(household, period, unitResult) {
+  const digits = getMinorUnitDigits(household.currency);
+  const plan = {};
+  unitResult.adults.forEach(adult => {
+    const credits = getAvailableCareCredits(household, adult.adultId, period.label);
+    const shareMinor = toMinor(adult.finalShare, digits);
+    const availableMinor = toMinor(credits.available, digits);
+    const appliedMinor = Math.min(availableMinor, Math.max(0, shareMinor));
+    plan[adult.adultId] = {
+      ...credits,
+      applied: fromMinor(appliedMinor, digits),
+      amountDue: fromMinor(shareMinor - appliedMinor, digits),
+      carriedForward: fromMinor(availableMinor - appliedMinor, digits)
+    };
+  });
+  return plan;
+}
+
+/**
+ * Check whether a period's care credits have already been posted
+ * @param {Object} household - Household with careCredits transactions
+ * @param {string} periodLabel - Period label
+ * @returns {boolean} True once the period has been posted
+ */
+export function isCareCreditPeriodPosted(household, periodLabel) {
+  return household.careCredits.some(transaction => transaction.periodLabel === periodLabel);
+}
+
+/**
+ * Post a closing period's care credits to the household ledger
+ * For each adult: expire credits past their expiresAfter period, post the
+ * credit applied against this period's share, post the credit earned from this
+ * period's care, then forfeit anything above the maximum balance. Posting the
+ * same period twice does nothing.
+ * @param {Object} household - Household (careCredits is appended to)
+ * @param {Object} period - Closing period, with careCreditsApplied from its last calculation
+ * @param {Object} careValues - Adult ID -> care value earned this period
+ * @returns {Array} Posted transactions
+ */
+export function postCareCredits(household, period, careValues) {
+  if (isCareCreditPeriodPosted(household, period.label)) {
+    return [];
+  }
+
+  const digits = getMinorUnitDigits(household.currency);
+  const policy = household.careCreditPolicy || {};
+  const postedAt = new Date().toISOString();
+  const posted = [];
+  const post = (adult, type, minor, fields = {}) => {
+    if (minor === 0) return;
+    const transaction = {
+      id: `cc_${period.label}_${adult.id}_${type}`,
+      adultId: adult.id,
+      periodLabel: period.label,
+      type,
+      amount: fromMinor(minor, digits),
+      ...fields,
+      postedAt
+    };
+    household.careCredits.push(transaction);
+    posted.push(transaction);
+  };
+
+  household.adults.forEach(adult => {
+    const credits = getAvailableCareCredits(household, adult.id, period.label);
+    post(adult, "expired", -toMinor(credits.expiring, digits), { note: "Credit past its expiry period" });
+
+    const applied = Math.min(toMinor((period.careCreditsApplied || {})[adult.id] || 0, digits), toMinor(credits.available, digits));
+    post(adult, "applied", -applied, { note: `Applied against ${period.label} core share` });
+
+    post(adult, "earned", toMinor(careValues[adult.id] || 0, digits), {
+      expiresAfter: policy.expiresAfterPeriods ? addPeriods(period.label, policy.expiresAfterPeriods) : null,
+      note: `Care credit earned in ${period.label}`
+    });
+
+    if (typeof policy.maxBalance === 'number') {
+      const excess = toMinor(getCareCreditBalance(household, adult.id), digits) - toMinor(policy.maxBalance, digits);
+      post(adult, "forfeited", -Math.max(0, excess), { note: `Balance above the ${policy.maxBalance} maximum` });
+    }
+  });
+
+  return posted;
+}
+
+/**
+ * Take a reopened period's care credits off the household ledger
+ * The period posts its credits again when it closes, from its corrected care
+ * and calculation. Only the latest posted period can be reversed, since later
+ * periods build on its balances.
+ * @param {Object} household - Household (careCredits is replaced)
+ * @param {string} periodLabel - Period label
+ * @returns {Array} Removed transactions
+ */
+export function reverseCareCredits(household, periodLabel) {
+  const reversed = household.careCredits.filter(transaction => transaction.periodLabel === periodLabel);
+  household.careCredits = household.careCredits.filter(transaction => transaction.periodLabel !== periodLabel);
+  return reversed;
+}
+
+/**
+ * Build an adult's care credit statement
+ * @param {Object} household - Household with careCredits transactions
+ * @param {string} adultId - Adult ID
+ * @returns {Object} { adultId, adultName, currency, balance, transactions } with a running balance on each transaction
+ */
+export function getCareCreditStatement(household, adultId) {
+  const adult = household.adults.find(candidate => String(candidate.id) === String(adultId));
+  if (!adult) {
+    throw new Error(`Adult not found: ${adultId}`);
+  }
+
+  const digits = getMinorUnitDigits(household.currency);
+  let runningMinor = 0;
+  const transactions = household.careCredits
+    .filter(transaction => String(transaction.adultId) === String(adult.id))
+    .map(transaction => {
+      runningMinor += toMinor(transaction.amount, digits);
+      return { ...transaction, balance: fromMinor(runningMinor, digits) };
+    });
+
+  return {
+    adultId: adult.id,
+    adultName: adult.name,
+    currency: household.currency,
+    balance: getCareCreditBalance(household, adult.id),
+    transactions
+  };
+}
+
+/**
+ * Validate a household care credit policy
+ * @param {Object} policy - { expiresAfterPeriods, maxBalance }
+ * @returns {Array} Problems as { field, message } with JSON pointers relative to the policy
+ */
+export function validateCareCreditPolicy(policy = {}) {
+  const problems = [];
+  if (policy.expiresAfterPeriods !== undefined && policy.expiresAfterPeriods !== null &&
+      (!Number.isInteger(policy.expiresAfterPeriods) || policy.expiresAfterPeriods < 1)) {
+    problems.push({ field: "/expiresAfterPeriods", message: `expiresAfterPeriods must be a whole number of periods of at least 1, found ${policy.expiresAfterPeriods}` });
+  }
+  if (policy.maxBalance !== undefined && policy.maxBalance !== null &&
+      (typeof policy.maxBalance !== 'number' || policy.maxBalance < 0)) {
+    problems.push({ field: "/maxBalance", message: `maxBalance must be a non-negative amount, found ${policy.maxBalance}` });
+  }
+  return problems;
+}
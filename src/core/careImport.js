@@ -0,0 +1,394 @@
+/**
+ * Care entry import for LLC Governance Dashboard
+ * Turns calendar events (.ics) and spreadsheet rows (XLSX/CSV) into care entries
+ */
+
+import XLSX from 'xlsx';
+import { CARE_TIME_BANDS, listCareTaskTypes } from './careRates.js';
+import { findCareEntryProblems } from './careLedger.js';
+import { createViolation } from '../models/householdPolicy.js';
+
+// Entries starting at or after 20:00 or before 06:00 are night care when no time band is given
+const NIGHT_START_MINUTES = 20 * 60;
+const NIGHT_END_MINUTES = 6 * 60;
+
+/**
+ * Work out the import format from a file name or MIME type
+ * @param {string} fileName - Uploaded file name
+ * @param {string} [mimeType] - Uploaded MIME type
+ * @returns {string|null} "ics" | "sheet", or null when unsupported
+ */
+export function detectCareImportFormat(fileName = "", mimeType = "") {
+  if (/\.ics$/i.test(fileName) || mimeType === 'text/calendar') return "ics";
+  if (/\.(xlsx|xls|csv)$/i.test(fileName) || mimeType === 'text/csv' ||
+      mimeType === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') return "sheet";
+  return null;
+}
+
+/**
+ * Format minutes after midnight as HH:MM
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} HH:MM
+ * @private
+ */
+function formatTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Unescape an iCalendar TEXT value
+ * @param {string} value - Escaped value
+ * @returns {string} Text
+ * @private
+ */
+function unescapeText(value) {
+  return value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+}
+
+/**
+ * Parse an iCalendar date or date-time value
+ * Times are taken as written; values ending in Z are UTC and flagged as such.
+ * @param {string} value - e.g. "20240305T180000Z" or "20240305"
+ * @returns {Object|null} { date, minutes, allDay, utc, day } where day counts days for duration maths
+ * @private
+ */
+function parseCalendarDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(value || "");
+  if (!match) return null;
+  const [, year, month, day, hour, minute, , utc] = match;
+  return {
+    date: `${year}-${month}-${day}`,
+    minutes: hour === undefined ? 0 : Number(hour) * 60 + Number(minute),
+    allDay: hour === undefined,
+    utc: utc === 'Z',
+    day: Date.UTC(Number(year), Number(month) - 1, Number(day)) / 86400000
+  };
+}
+
+/**
+ * Move a parsed UTC date-time to the wall time of a time zone
+ * @param {Object} parsed - Result of parseCalendarDate with utc set
+ * @param {string} timeZone - IANA time zone, e.g. "America/New_York"
+ * @returns {Object} Parsed date-time in the time zone
+ * @private
+ */
+function toZonedTime(parsed, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+  }).formatToParts(new Date(parsed.day * 86400000 + parsed.minutes * 60000)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    allDay: false,
+    utc: false,
+    day: Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day)) / 86400000
+  };
+}
+
+/**
+ * Read the events of an iCalendar file as import rows
+ * The adult is taken from the organizer or attendees (name or email); the
+ * first category is used as the task type. UTC times (ending in Z) are moved
+ * to the given time zone; without one they are kept in UTC and the row is
+ * flagged with utcTimes.
+ * @param {string} text - iCalendar content
+ * @param {string|null} [timeZone] - IANA time zone the household keeps its times in
+ * @returns {Array} Rows as { row, uid, adultKeys, task, taskType, notes, date, startTime, endTime, hours, allDay, utcTimes }
+ */
+export function parseCareCalendar(text, timeZone = null) {
+  const lines = String(text).replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const rows = [];
+  let event = null;
+
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      event = { adultKeys: [] };
+      return;
+    }
+    if (line === 'END:VEVENT' && event) {
+      rows.push(event);
+      event = null;
+      return;
+    }
+    if (!event) return;
+
+    const match = /^([A-Za-z0-9-]+)((?:;[^:;]+=(?:"[^"]*"|[^:;]*))*):(.*)$/.exec(line);
+    if (!match) return;
+    const [, name, paramText, value] = match;
+    const params = {};
+    paramText.split(';').filter(Boolean).forEach(param => {
+      const [key, ...rest] = param.split('=');
+      params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    });
+
+    switch (name.toUpperCase()) {
+      case 'UID': event.uid = value; break;
+      case 'SUMMARY': event.task = unescapeText(value); break;
+      case 'DESCRIPTION': event.notes = unescapeText(value); break;
+      case 'CATEGORIES': event.taskType = unescapeText(value.split(',')[0]); break;
+      case 'DTSTART': event.start = parseCalendarDate(value); break;
+      case 'DTEND': event.end = parseCalendarDate(value); break;
+      case 'ORGANIZER':
+      case 'ATTENDEE':
+        if (params.CN) event.adultKeys.push(params.CN);
+        event.adultKeys.push(value.replace(/^mailto:/i, ''));
+        break;
+      default:
+        break;
+    }
+  });
+
+  const toLocal = parsed => parsed && parsed.utc && timeZone ? toZonedTime(parsed, timeZone) : parsed;
+  return rows.map((event, index) => {
+    const { start: rawStart, end: rawEnd, ...row } = event;
+    const start = toLocal(rawStart);
+    const end = toLocal(rawEnd);
+    const result = { row: index + 1, ...row, allDay: !!(start && start.allDay) };
+    if ((start && start.utc) || (end && end.utc)) result.utcTimes = true;
+    if (start) {
+      result.date = start.date;
+      if (!start.allDay) result.startTime = formatTime(start.minutes);
+    }
+    if (start && end && !start.allDay) {
+      result.endTime = formatTime(end.minutes);
+      const minutes = (end.day - start.day) * 1440 + end.minutes - start.minutes;
+      result.hours = Math.round(minutes / 60 * 100) / 100;
+    }
+    return result;
+  });
+}
+
+/**
+ * Read a spreadsheet cell as a YYYY-MM-DD date
+ * @param {*} value - Serial date number or text
+ * @returns {string|null} Date
+ * @private
+ */
+function readSheetDate(value) {
+  if (typeof value === 'number') {
+    const parsed = XLSX.SSF.parse_date_code(value);
+    return `${parsed.y}-${String(parsed.m).padStart(2, '0')}-${String(parsed.d).padStart(2, '0')}`;
+  }
+  const text = String(value).trim();
+  return /^\d{4}-\d{2}-\d{2}$/.test(text) ? text : null;
+}
+
+/**
+ * Read a spreadsheet cell as minutes after midnight
+ * @param {*} value - Day fraction or "HH:MM" text
+ * @returns {number|null} Minutes after midnight
+ * @private
+ */
+function readSheetTime(value) {
+  if (typeof value === 'number') {
+    return Math.round((value % 1) * 1440) % 1440;
+  }
+  const match = /^(\d{1,2}):(\d{2})/.exec(String(value).trim());
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Read the first sheet of an XLSX or CSV file as import rows
+ * Expected columns (any case): Adult, Date, Start, End, Hours, Task, Task Type,
+ * Time Band, Notes. Hours are computed from Start and End when left blank.
+ * @param {Buffer} buffer - File content
+ * @returns {Array} Rows as { row, adultKeys, task, taskType, timeBand, notes, date, startTime, endTime, hours }
+ */
+export function parseCareSheet(buffer) {
+  const workbook = XLSX.read(buffer, { type: 'buffer' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  return XLSX.utils.sheet_to_json(sheet, { defval: '', raw: true }).map((record, index) => {
+    const cells = {};
+    Object.entries(record).forEach(([header, value]) => {
+      cells[header.toLowerCase().replace(/[\s_]/g, '')] = value;
+    });
+    const read = (...keys) => {
+      const key = keys.find(candidate => cells[candidate] !== undefined && cells[candidate] !== '');
+      return key ? cells[key] : undefined;
+    };
+
+    const start = read('start', 'starttime') !== undefined ? readSheetTime(read('start', 'starttime')) : null;
+    const end = read('end', 'endtime') !== undefined ? readSheetTime(read('end', 'endtime')) : null;
+    let hours = read('hours');
+    if (hours === undefined && start !== null && end !== null) {
+      // An end before the start runs past midnight
+      hours = Math.round((end - start + 1440) % 1440 / 60 * 100) / 100;
+    }
+
+    const adult = read('adult', 'adultid', 'name');
+    return {
+      row: index + 2, // Header is row 1
+      adultKeys: adult !== undefined ? [String(adult)] : [],
+      task: read('task', 'description') !== undefined ? String(read('task', 'description')) : undefined,
+      taskType: read('tasktype', 'type') !== undefined ? String(read('tasktype', 'type')) : undefined,
+      timeBand: read('timeband', 'band') !== undefined ? String(read('timeband', 'band')).toLowerCase() : undefined,
+      notes: read('notes') !== undefined ? String(read('notes')) : undefined,
+      date: read('date') !== undefined ? readSheetDate(read('date')) : null,
+      startTime: start !== null ? formatTime(start) : undefined,
+      endTime: end !== null ? formatTime(end) : undefined,
+      hours: typeof hours === 'string' && hours.trim() !== '' ? Number(hours) : hours
+    };
+  });
+}
+
+/**
+ * Find the adult an import row belongs to
+ * @param {Object} household - Household configuration
+ * @param {string[]} keys - Names, emails or IDs found on the row
+ * @param {Object} mapping - Name or email -> adult ID, for keys that are not adult names or IDs
+ * @returns {Object|null} Adult, or null when no key matches
+ * @private
+ */
+function resolveAdult(household, keys, mapping) {
+  const lowerMapping = {};
+  Object.entries(mapping || {}).forEach(([key, adultId]) => {
+    lowerMapping[key.toLowerCase()] = String(adultId);
+  });
+  for (const key of keys) {
+    const lower = String(key).trim().toLowerCase();
+    const adultId = lowerMapping[lower];
+    const adult = household.adults.find(candidate =>
+      String(candidate.id) === adultId || String(candidate.id).toLowerCase() === lower ||
+      String(candidate.name).toLowerCase() === lower || String(candidate.email || '').toLowerCase() === lower);
+    if (adult) return adult;
+  }
+  return null;
+}
+
+/**
+ * Key identifying an entry for duplicate detection
+ * @param {Object} entry - Care entry
+ * @returns {string} Duplicate key
+ * @private
+ */
+function duplicateKey(entry) {
+  return [entry.adultId, entry.date, entry.startTime || '', entry.endTime || '', entry.hours, String(entry.task || '').toLowerCase()].join('|');
+}
+
+/**
+ * Check whether an entry is already on the period
+ * Calendar events match on their UID; anything else on adult, date, times, hours and task.
+ * @param {Array} existing - Period care entries
+ * @param {Object} entry - Candidate entry
+ * @returns {boolean} True for duplicates
+ * @private
+ */
+function isDuplicate(existing, entry) {
+  const key = duplicateKey(entry);
+  const uid = entry.source && entry.source.uid;
+  return existing.some(candidate =>
+    (uid && candidate.source && candidate.source.uid === uid) || duplicateKey(candidate) === key);
+}
+
+/**
+ * Build a preview of the care entries a file would add to a period
+ * Nothing is added: rows become entries, duplicates of existing entries or of
+ * earlier rows are skipped, and rows that fail care entry validation are
+ * reported with their errors and violations (JSON pointers relative to the entry).
+ * @param {Object} household - Household configuration
+ * @param {Object} period - Period to import into
+ * @param {Object} file - { format: "ics" | "sheet", content: string | Buffer, fileName }
+ * @param {Object} [mapping] - Name or email -> adult ID
+ * @returns {Object} { entries, duplicates, rejected, summary }
+ */
+export function previewCareImport(household, period, { format, content, fileName = "" }, mapping = {}) {
+  const rows = format === "ics" ? parseCareCalendar(String(content), household.timeZone) : parseCareSheet(content);
+  const taskTypes = listCareTaskTypes(household);
+  const preview = { entries: [], duplicates: [], rejected: [] };
+
+  rows.forEach(row => {
+    const violations = [];
+    const fail = (code, field, message, params) => violations.push(createViolation(code, field, message, params));
+    const adult = resolveAdult(household, row.adultKeys, mapping);
+    if (!adult) {
+      fail("CARE_IMPORT_ADULT_UNMATCHED", "/adultId", `Row ${row.row} does not match an adult (${row.adultKeys.join(', ') || 'no adult given'})`,
+        { actual: row.adultKeys });
+    }
+    if (row.allDay) {
+      fail("CARE_IMPORT_ALL_DAY", "/startTime", `Row ${row.row} is an all-day event, care entries need start and end times`);
+    }
+    if (row.utcTimes) {
+      fail("CARE_IMPORT_TIME_ZONE_MISSING", "/startTime",
+        `Row ${row.row} gives its times in UTC, set the household timeZone to import them as local times`);
+    }
+    if (row.date && !row.date.startsWith(`${period.label}-`)) {
+      fail("CARE_IMPORT_OUTSIDE_PERIOD", "/date", `Row ${row.row} is dated ${row.date}, outside period ${period.label}`,
+        { period: period.label, actual: row.date });
+    }
+
+    let taskType;
+    if (row.taskType) {
+      const lower = row.taskType.toLowerCase();
+      taskType = taskTypes.find(candidate => candidate.id.toLowerCase() === lower || candidate.label.toLowerCase() === lower);
+      if (!taskType) {
+        fail("CARE_IMPORT_TASK_TYPE_UNKNOWN", "/taskType", `Row ${row.row} has unknown task type: ${row.taskType}`,
+          { allowed: taskTypes.map(candidate => candidate.id), actual: row.taskType });
+      }
+    }
+
+    let timeBand = row.timeBand;
+    if (timeBand && !CARE_TIME_BANDS.includes(timeBand)) {
+      fail("CARE_IMPORT_TIME_BAND_INVALID", "/timeBand", `Row ${row.row} has invalid time band: ${timeBand}`,
+        { allowed: CARE_TIME_BANDS, actual: timeBand });
+    } else if (!timeBand && row.startTime) {
+      const [hour, minute] = row.startTime.split(':').map(Number);
+      const minutes = hour * 60 + minute;
+      timeBand = minutes >= NIGHT_START_MINUTES || minutes < NIGHT_END_MINUTES ? "night" : "day";
+    }
+
+    const entry = {
+      adultId: adult ? adult.id : undefined,
+      date: row.date || undefined,
+      task: row.task || (taskType ? taskType.label : undefined),
+      hours: row.hours,
+      ...(taskType ? { taskType: taskType.id } : {}),
+      ...(timeBand ? { timeBand } : {}),
+      ...(row.startTime ? { startTime: row.startTime } : {}),
+      ...(row.endTime ? { endTime: row.endTime } : {}),
+      ...(row.notes ? { notes: row.notes } : {}),
+      source: { format, fileName, row: row.row, ...(row.uid ? { uid: row.uid } : {}) }
+    };
+    violations.push(...findCareEntryProblems(entry, `Row ${row.row}`));
+
+    if (violations.length > 0) {
+      preview.rejected.push({ row: row.row, errors: violations.map(violation => violation.message), violations });
+    } else if (isDuplicate([...period.careEntries, ...preview.entries], entry)) {
+      preview.duplicates.push({ row: row.row, entry });
+    } else {
+      preview.entries.push(entry);
+    }
+  });
+
+  preview.summary = {
+    rows: rows.length,
+    accepted: preview.entries.length,
+    duplicates: preview.duplicates.length,
+    rejected: preview.rejected.length,
+    hours: Math.round(preview.entries.reduce((sum, entry) => sum + entry.hours, 0) * 100) / 100
+  };
+  return preview;
+}
+
+/**
+ * Add the entries of a confirmed import preview to the period
+ * Entries are checked for duplicates again, since the period may have changed
+ * since the preview. Imported entries are submitted and still need approval.
+ * @param {Object} period - Period to import into (mutated)
+ * @param {Object} preview - Result of previewCareImport
+ * @returns {Object} { added, duplicates }
+ */
+export function confirmCareImport(period, preview) {
+  const added = [];
+  const duplicates = [];
+  preview.entries.forEach(entry => {
+    if (isDuplicate(period.careEntries, entry)) {
+      duplicates.push({ row: entry.source.row, entry });
+      return;
+    }
+    added.push(period.addCareEntry(entry));
+  });
+  return { added, duplicates };
+}
@@ -3,6 +3,73 @@
  * Handles care work compensation using either credit or stipend models
  */
 
+import { auditEvent } from './auditTrail.js';
+import { summarizeCareHours } from './careApproval.js';
+import { planCareCreditApplication } from './careCreditLedger.js';
+import { priceCareEntry, summarizeByTaskType } from './careRates.js';
+import { isPresentOn } from './proration.js';
+import { UnitMethodCalculator } from './unitMethod.js';
+import { Period } from '../models/period.js';
+import { createViolation } from '../models/householdPolicy.js';
+
+export const CARE_MODELS = ["credit", "stipend", "hybrid"];
+export const CARE_COMPENSATION_MODES = ["credit", "stipend"];
+
+/**
+ * Get how an adult's care is compensated in a period
+ * Under the hybrid model the period's choice wins, then the adult's standing
+ * careCompensationMode, then credit; other models apply to everyone.
+ * @param {Object} household - Household configuration
+ * @param {Object} period - Period
+ * @param {string} adultId - Adult ID
+ * @returns {string} "credit" | "stipend"
+ */
+export function getCareCompensationMode(household, period, adultId) {
+  if (household.careModel !== "hybrid") {
+    return household.careModel;
+  }
+  const chosen = (period.careCompensationModes || {})[adultId];
+  if (chosen) return chosen;
+  const adult = household.adults.find(candidate => String(candidate.id) === String(adultId));
+  return (adult && adult.careCompensationMode) || "credit";
+}
+
+/**
+ * Find problems with a single care entry's fields
+ * @param {Object} entry - Care entry
+ * @param {string} [description] - How to name the entry in messages
+ * @returns {Array} Problems as { code, field, message, params } with JSON pointers relative to the entry
+ */
+export function findCareEntryProblems(entry, description = "Care entry") {
+  const problems = [];
+  const missing = ["adultId", "date", "task"].filter(field => !entry[field]);
+  if (typeof entry.hours !== 'number') {
+    missing.push("hours");
+  }
+  if (missing.length > 0) {
+    problems.push(createViolation("CARE_ENTRY_FIELD_MISSING", `/${missing[0]}`, `${description} missing required fields`, { missing }));
+  }
+  if (entry.hours <= 0) {
+    problems.push(createViolation("CARE_ENTRY_HOURS_INVALID", "/hours", `${description} has invalid hours: ${entry.hours}`,
+      { actual: entry.hours }));
+  }
+  if (entry.hours > 24) {
+    problems.push(createViolation("CARE_ENTRY_HOURS_UNREALISTIC", "/hours", `${description} has unrealistic hours: ${entry.hours}`,
+      { max: 24, actual: entry.hours }));
+  }
+  return problems;
+}
+
+/**
+ * Validate a single care entry's fields
+ * @param {Object} entry - Care entry
+ * @param {string} [description] - How to name the entry in messages
+ * @returns {string[]} Validation errors
+ */
+export function validateCareEntry(entry, description = "Care entry") {
+  return findCareEntryProblems(entry, description).map(problem => problem.message);
+}
+
 export class CareLedgerCalculator {
   constructor(household, period) {
     this.household = household;
@@ -18,46 +85,117 @@ export class CareLedgerCalculator {
     const result = {
       careValues: {},
       nextMonthCoreCredit: {},
+      creditApplication: {},
+      compensationModes: {},
       nextMonthCoreIncrease: 0,
       payees: [],
+      byTaskType: {},
+      pendingHours: summarizeCareHours(this.period.getCareEntriesByStatus("submitted")),
+      disputedHours: summarizeCareHours(this.period.getCareEntriesByStatus("disputed")),
       summary: {},
       auditTrail: []
     };
 
-    // Calculate care values for each adult
+    // Calculate care values for each adult, priced from the rate card
+    const pricedEntries = [];
     this.household.adults.forEach(adult => {
-      const careValue = this.period.getCareValue(adult.id, this.household.careRatePerHour);
+      const careValue = this.period.getCareValue(adult.id, this.household);
+      const countedEntries = this.period.getCountedCareEntries(adult.id);
+      const priced = countedEntries.map(entry => priceCareEntry(entry, this.household));
+      pricedEntries.push(...priced);
+      const excludedEntries = this.period.getCareEntriesByStatus("approved", adult.id)
+        .filter(e => !isPresentOn(this.period, adult.id, e.date));
       result.careValues[adult.id] = careValue;
       
-      result.auditTrail.push(`${adult.name}: ${this.period.careEntries.filter(e => e.adultId === adult.id).length} entries, ${this.period.careEntries.filter(e => e.adultId === adult.id).reduce((sum, e) => sum + e.hours, 0)} hours = ${careValue.toFixed(2)} ${this.household.currency}`);
+      this._audit(result, "CARE_VALUE", adult, {
+        inputs: {
+          entries: countedEntries.length,
+          hours: countedEntries.reduce((sum, e) => sum + e.hours, 0),
+          careRatePerHour: this.household.careRatePerHour,
+          byTaskType: summarizeByTaskType(priced),
+          currency: this.household.currency
+        },
+        outputs: { careValue }
+      });
+      if (excludedEntries.length > 0) {
+        const membership = this.period.memberships[adult.id];
+        this._audit(result, "CARE_ENTRIES_EXCLUDED", adult, {
+          inputs: {
+            entries: excludedEntries.length,
+            hours: excludedEntries.reduce((sum, e) => sum + e.hours, 0),
+            startDate: membership.startDate || null,
+            endDate: membership.endDate || null
+          }
+        });
+      }
+      ["pending", "disputed"].forEach(state => {
+        const hours = result[`${state}Hours`][adult.id];
+        if (hours) {
+          this._audit(result, state === "pending" ? "CARE_PENDING" : "CARE_DISPUTED", adult, { inputs: hours });
+        }
+      });
     });
 
-    // Apply care model
-    if (this.household.careModel === "credit") {
-      result.auditTrail.push(`\nApplying CREDIT model:`);
-      
+    result.byTaskType = summarizeByTaskType(pricedEntries);
+
+    // Apply care model; under "hybrid" each adult's mode for the period applies
+    const model = this.household.careModel;
+    this.household.adults.forEach(adult => {
+      result.compensationModes[adult.id] = getCareCompensationMode(this.household, this.period, adult.id);
+    });
+    const creditAdults = this.household.adults.filter(adult => result.compensationModes[adult.id] === "credit");
+    const stipendAdults = this.household.adults.filter(adult => result.compensationModes[adult.id] === "stipend");
+    
+    if (CARE_MODELS.includes(model)) {
+      this._audit(result, "CARE_MODEL_APPLIED", null, {
+        inputs: model === "hybrid"
+          ? { model, modes: this.household.adults.map(adult => ({ adultName: adult.name, mode: result.compensationModes[adult.id] })) }
+          : { model }
+      });
+    }
+    
+    if (creditAdults.length > 0) {
       // Credits reduce next month's core share
-      this.household.adults.forEach(adult => {
+      creditAdults.forEach(adult => {
         const careValue = result.careValues[adult.id];
         result.nextMonthCoreCredit[adult.id] = -careValue; // Negative for credit
         
         if (careValue > 0) {
-          result.auditTrail.push(`${adult.name}: ${careValue.toFixed(2)} ${this.household.currency} credit to next month's core share`);
+          this._audit(result, "CARE_CREDIT", adult, {
+            inputs: { careValue, currency: this.household.currency },
+            outputs: { credit: careValue }
+          });
         }
       });
-      
-      result.summary.model = "credit";
-      result.summary.description = "Care work credits reduce next month's core contributions";
-      
-    } else if (this.household.careModel === "stipend") {
-      result.auditTrail.push(`\nApplying STIPEND model:`);
-      
+    }
+    
+    if (model === "credit" || model === "hybrid") {
+      // Credit balances from earlier periods are applied against this period's shares
+      result.creditApplication = planCareCreditApplication(this.household, this.period, unitResult);
+      this.household.adults.forEach(adult => {
+        const application = result.creditApplication[adult.id];
+        if (application.expiring > 0) {
+          this._audit(result, "CARE_CREDIT_EXPIRING", adult, {
+            inputs: { currency: this.household.currency },
+            outputs: { expiring: application.expiring }
+          });
+        }
+        if (application.available > 0) {
+          this._audit(result, "CARE_CREDIT_APPLIED", adult, {
+            inputs: { available: application.available, currency: this.household.currency },
+            outputs: { applied: application.applied, amountDue: application.amountDue, carriedForward: application.carriedForward }
+          });
+        }
+      });
+    }
+    
+    if (stipendAdults.length > 0) {
       // Stipends are paid out of core, increasing next month's total
-      const totalCareValue = Object.values(result.careValues).reduce((sum, value) => sum + value, 0);
+      const totalCareValue = stipendAdults.reduce((sum, adult) => sum + result.careValues[adult.id], 0);
       result.nextMonthCoreIncrease = totalCareValue;
       
       // Record payees for stipends
-      this.household.adults.forEach(adult => {
+      stipendAdults.forEach(adult => {
         const careValue = result.careValues[adult.id];
         if (careValue > 0) {
           result.payees.push({
@@ -67,15 +205,32 @@ export class CareLedgerCalculator {
             description: `Care work stipend for ${this.period.label}`
           });
           
-          result.auditTrail.push(`${adult.name}: ${careValue.toFixed(2)} ${this.household.currency} stipend payment`);
+          this._audit(result, "CARE_STIPEND", adult, {
+            inputs: { careValue, currency: this.household.currency },
+            outputs: { amount: careValue }
+          });
         }
       });
       
-      result.auditTrail.push(`Total stipend payments: ${totalCareValue.toFixed(2)} ${this.household.currency}`);
-      result.auditTrail.push(`Next month's core total will increase by: ${totalCareValue.toFixed(2)} ${this.household.currency}`);
-      
+      this._audit(result, "CARE_STIPEND_TOTAL", null, {
+        inputs: { currency: this.household.currency },
+        outputs: { total: totalCareValue }
+      });
+      this._audit(result, "CARE_CORE_INCREASE", null, {
+        inputs: { currency: this.household.currency },
+        outputs: { increase: totalCareValue }
+      });
+    }
+    
+    if (model === "credit") {
+      result.summary.model = "credit";
+      result.summary.description = "Care work credits reduce next month's core contributions";
+    } else if (model === "stipend") {
       result.summary.model = "stipend";
       result.summary.description = "Care work stipends are paid from core budget";
+    } else if (model === "hybrid") {
+      result.summary.model = "hybrid";
+      result.summary.description = `Each adult chooses credit or stipend: ${creditAdults.length} taking credits, ${stipendAdults.length} taking stipends`;
     }
 
     // Calculate next period core preview
@@ -84,6 +239,22 @@ export class CareLedgerCalculator {
     return result;
   }
 
+  /**
+   * Append a structured event to the audit trail
+   * @param {Object} result - Current care ledger result
+   * @param {string} code - Event code
+   * @param {Object|null} adult - Adult the event is about (null for household-level events)
+   * @param {Object} [data] - { inputs, outputs }
+   * @private
+   */
+  _audit(result, code, adult, data = {}) {
+    result.auditTrail.push(auditEvent("care_ledger", code, {
+      adultId: adult ? adult.id : null,
+      adultName: adult ? adult.name : null,
+      ...data
+    }));
+  }
+
   /**
    * Calculate next period core preview
    * @param {Object} unitResult - Unit method result
@@ -100,29 +271,46 @@ export class CareLedgerCalculator {
     };
 
     // Start with current period's core total
-    if (this.household.careModel === "stipend") {
+    let baseAdults = unitResult.adults;
+    if (careResult.summary.model === "stipend" || careResult.payees.length > 0) {
       preview.estimatedCoreTotal += careResult.nextMonthCoreIncrease;
       preview.notes.push(`Core total increased by ${careResult.nextMonthCoreIncrease.toFixed(2)} ${this.household.currency} for care stipends`);
     }
+    if (careResult.nextMonthCoreIncrease > 0) {
+      // Shares are split again on the larger core total before any credits apply
+      const nextPeriod = new Period({ ...this.period.toJSON(), coreTotal: preview.estimatedCoreTotal });
+      baseAdults = new UnitMethodCalculator(this.household, nextPeriod).calculate().adults;
+    }
 
     // Calculate estimated shares for next period
-    unitResult.adults.forEach(adult => {
-      let estimatedShare = adult.finalShare;
+    const maxBalance = (this.household.careCreditPolicy || {}).maxBalance;
+    baseAdults.forEach(adult => {
+      let careAdjustment = 0;
+      let creditCarriedForward = 0;
       
-      if (this.household.careModel === "credit") {
-        const careCredit = careResult.nextMonthCoreCredit[adult.id] || 0;
-        estimatedShare += careCredit;
+      if (careResult.summary.model === "credit" || careResult.summary.model === "hybrid") {
+        // Credit left after this period plus this period's credit, applied up to the share
+        const application = careResult.creditApplication[adult.adultId];
+        let nextBalance = application.carriedForward - (careResult.nextMonthCoreCredit[adult.adultId] || 0);
+        if (typeof maxBalance === 'number') nextBalance = Math.min(nextBalance, maxBalance);
+        const applied = Math.min(nextBalance, adult.finalShare);
+        careAdjustment = applied > 0 ? -applied : 0;
+        creditCarriedForward = Math.round((nextBalance - applied) * 100) / 100;
         
-        if (careCredit < 0) {
-          preview.notes.push(`${adult.adultName}: Share reduced by ${Math.abs(careCredit).toFixed(2)} ${this.household.currency} for care credit`);
+        if (applied > 0) {
+          preview.notes.push(`${adult.adultName}: Share reduced by ${applied.toFixed(2)} ${this.household.currency} for care credit`);
+        }
+        if (creditCarriedForward > 0) {
+          preview.notes.push(`${adult.adultName}: ${creditCarriedForward.toFixed(2)} ${this.household.currency} care credit carried forward beyond next month`);
         }
       }
       
       preview.adultShares[adult.adultId] = {
         adultName: adult.adultName,
         baseShare: adult.finalShare,
-        careAdjustment: this.household.careModel === "credit" ? (careResult.nextMonthCoreCredit[adult.id] || 0) : 0,
-        estimatedShare: Math.max(0, estimatedShare) // Ensure share doesn't go negative
+        careAdjustment,
+        creditCarriedForward,
+        estimatedShare: Math.round((adult.finalShare + careAdjustment) * 100) / 100
       };
       
       preview.totalShares += preview.adultShares[adult.adultId].estimatedShare;
@@ -150,15 +338,50 @@ export class CareLedgerCalculator {
     summary += `Period: ${this.period.label}\n`;
     summary += `Care Rate: ${this.household.careRatePerHour.toFixed(2)} ${this.household.currency}/hour\n\n`;
     
+    if (Object.keys(result.byTaskType).length > 0) {
+      summary += `Care by Task Type:\n`;
+      Object.values(result.byTaskType).forEach(totals => {
+        summary += `  ${totals.label}: ${totals.hours} hours = ${totals.value.toFixed(2)} ${this.household.currency}\n`;
+      });
+      summary += `\n`;
+    }
+    
     summary += `Care Values by Adult:\n`;
     Object.entries(result.careValues).forEach(([adultId, careValue]) => {
       const adult = this.household.adults.find(a => a.id === adultId);
       summary += `  ${adult.name}: ${careValue.toFixed(2)} ${this.household.currency}\n`;
     });
     
+    const unresolved = ["pendingHours", "disputedHours"].filter(key => Object.keys(result[key]).length > 0);
+    unresolved.forEach(key => {
+      summary += `\n${key === "pendingHours" ? "Awaiting Approval" : "Disputed"} (not valued):\n`;
+      Object.entries(result[key]).forEach(([adultId, totals]) => {
+        const adult = this.household.adults.find(a => a.id === adultId);
+        summary += `  ${adult ? adult.name : adultId}: ${totals.hours} hours in ${totals.entries} entries\n`;
+      });
+    });
+    
     summary += `\n`;
     
-    if (result.summary.model === "credit") {
+    if (result.summary.model === "hybrid") {
+      summary += `Compensation Modes:\n`;
+      Object.entries(result.compensationModes).forEach(([adultId, mode]) => {
+        const adult = this.household.adults.find(a => a.id === adultId);
+        summary += `  ${adult.name}: ${mode}\n`;
+      });
+      summary += `\n`;
+    }
+    
+    if (result.summary.model === "credit" || result.summary.model === "hybrid") {
+      const applications = Object.entries(result.creditApplication).filter(([, application]) => application.available > 0);
+      if (applications.length > 0) {
+        summary += `Care Credit Applied This Period:\n`;
+        applications.forEach(([adultId, application]) => {
+          const adult = this.household.adults.find(a => a.id === adultId);
+          summary += `  ${adult.name}: ${application.applied.toFixed(2)} ${this.household.currency} applied, ${application.amountDue.toFixed(2)} due, ${application.carriedForward.toFixed(2)} carried forward\n`;
+        });
+        summary += `\n`;
+      }
       summary += `Next Month Core Credits:\n`;
       Object.entries(result.nextMonthCoreCredit).forEach(([adultId, credit]) => {
         const adult = this.household.adults.find(a => a.id === adultId);
@@ -166,7 +389,9 @@ export class CareLedgerCalculator {
           summary += `  ${adult.name}: ${Math.abs(credit).toFixed(2)} ${this.household.currency} credit\n`;
         }
       });
-    } else if (result.summary.model === "stipend") {
+    }
+    if (result.summary.model === "stipend" || (result.summary.model === "hybrid" && result.payees.length > 0)) {
+      if (result.summary.model === "hybrid") summary += `\n`;
       summary += `Stipend Payments:\n`;
       result.payees.forEach(payee => {
         summary += `  ${payee.adultName}: ${payee.amount.toFixed(2)} ${this.household.currency}\n`;
@@ -197,22 +422,24 @@ export class CareLedgerCalculator {
     
     // Validate care entries
     this.period.careEntries.forEach((entry, index) => {
-      if (!entry.adultId || !entry.date || !entry.task || typeof entry.hours !== 'number') {
-        errors.push(`Care entry ${index + 1} missing required fields`);
-      }
-      if (entry.hours <= 0) {
-        errors.push(`Care entry ${index + 1} has invalid hours: ${entry.hours}`);
-      }
-      if (entry.hours > 24) {
-        errors.push(`Care entry ${index + 1} has unrealistic hours: ${entry.hours}`);
-      }
+      errors.push(...validateCareEntry(entry, `Care entry ${index + 1}`));
     });
     
     // Validate care model
-    if (!["credit", "stipend"].includes(this.household.careModel)) {
+    if (!CARE_MODELS.includes(this.household.careModel)) {
       errors.push(`Invalid care model: ${this.household.careModel}`);
     }
     
+    // Validate per-adult compensation modes
+    Object.entries(this.period.careCompensationModes || {}).forEach(([adultId, mode]) => {
+      if (!this.household.adults.some(adult => String(adult.id) === adultId)) {
+        errors.push(`Care compensation mode set for unknown adult ${adultId}`);
+      }
+      if (!CARE_COMPENSATION_MODES.includes(mode)) {
+        errors.push(`Invalid care compensation mode for ${adultId}: ${mode}`);
+      }
+    });
+    
     // Validate care rate
     if (this.household.careRatePerHour <= 0) {
       errors.push(`Care rate must be positive: ${this.household.careRatePerHour}`);
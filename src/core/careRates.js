@@ -0,0 +1,118 @@
+/**
+ * Care rate card for LLC Governance Dashboard
+ * Prices care entries by task type, with night and weekend premiums
+ */
+
+export const FLAT_RATE_TASK_TYPE = "other";
+export const CARE_TIME_BANDS = ["day", "night"];
+
+/**
+ * Normalize a rate card task type (a number or { label, rate })
+ * @param {string} id - Task type id
+ * @param {number|Object} definition - Rate or { label, rate }
+ * @returns {Object} { id, label, rate }
+ * @private
+ */
+function normalizeTaskType(id, definition) {
+  return typeof definition === 'number'
+    ? { id, label: id, rate: definition }
+    : { id, label: definition.label || id, rate: definition.rate };
+}
+
+/**
+ * List the task types on a household's rate card
+ * @param {Object} household - Household with optional careRateCard
+ * @returns {Array} Task types ({ id, label, rate })
+ */
+export function listCareTaskTypes(household) {
+  const taskTypes = (household.careRateCard || {}).taskTypes || {};
+  return Object.entries(taskTypes).map(([id, definition]) => normalizeTaskType(id, definition));
+}
+
+/**
+ * Check whether an ISO date falls on a Saturday or Sunday
+ * @param {string} date - YYYY-MM-DD
+ * @returns {boolean} True on weekends
+ */
+export function isWeekend(date) {
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return day === 0 || day === 6;
+}
+
+/**
+ * Price a care entry from the rate card
+ * Entries without a task type on the card use the flat careRatePerHour. Night
+ * (entry.timeBand "night") and weekend premiums are fractions added to the base rate.
+ * @param {Object} entry - Care entry ({ hours, date, taskType, timeBand })
+ * @param {number|Object} rates - Flat hourly rate, or an object with careRatePerHour and careRateCard (e.g. the household)
+ * @returns {Object} { taskType, label, baseRate, premiums, rate, hours, value }
+ */
+export function priceCareEntry(entry, rates) {
+  const { careRatePerHour, careRateCard = {} } = typeof rates === 'number' ? { careRatePerHour: rates } : rates;
+  const definition = entry.taskType && careRateCard.taskTypes ? careRateCard.taskTypes[entry.taskType] : undefined;
+  const taskType = definition !== undefined
+    ? normalizeTaskType(entry.taskType, definition)
+    : { id: FLAT_RATE_TASK_TYPE, label: "Other (flat rate)", rate: careRatePerHour };
+
+  const premiums = [];
+  const configured = careRateCard.premiums || {};
+  if (configured.night && entry.timeBand === "night") {
+    premiums.push({ type: "night", percent: configured.night });
+  }
+  if (configured.weekend && entry.date && isWeekend(entry.date)) {
+    premiums.push({ type: "weekend", percent: configured.weekend });
+  }
+
+  const rate = taskType.rate * (1 + premiums.reduce((sum, premium) => sum + premium.percent, 0));
+  return {
+    taskType: taskType.id,
+    label: taskType.label,
+    baseRate: taskType.rate,
+    premiums,
+    rate,
+    hours: entry.hours,
+    value: Math.round(entry.hours * rate * 100) / 100
+  };
+}
+
+/**
+ * Total priced entries by task type
+ * @param {Array} pricedEntries - Results of priceCareEntry
+ * @returns {Object} Task type -> { label, entries, hours, value }
+ */
+export function summarizeByTaskType(pricedEntries) {
+  const breakdown = {};
+  pricedEntries.forEach(priced => {
+    if (!breakdown[priced.taskType]) {
+      breakdown[priced.taskType] = { label: priced.label, entries: 0, hours: 0, value: 0 };
+    }
+    const totals = breakdown[priced.taskType];
+    totals.entries += 1;
+    totals.hours += priced.hours;
+    totals.value = Math.round((totals.value + priced.value) * 100) / 100;
+  });
+  return breakdown;
+}
+
+/**
+ * Validate a household care rate card
+ * @param {Object} careRateCard - { taskTypes, premiums }
+ * @returns {Array} Problems as { field, message } with JSON pointers relative to the card
+ */
+export function validateCareRateCard(careRateCard = {}) {
+  const problems = [];
+  Object.entries(careRateCard.taskTypes || {}).forEach(([id, definition]) => {
+    const { rate } = normalizeTaskType(id, definition);
+    if (typeof rate !== 'number' || rate <= 0) {
+      problems.push({ field: `/taskTypes/${id}`, message: `Care task type ${id} must have a positive rate, found ${rate}` });
+    }
+  });
+  Object.entries(careRateCard.premiums || {}).forEach(([type, percent]) => {
+    if (!["night", "weekend"].includes(type)) {
+      problems.push({ field: `/premiums/${type}`, message: `Unknown care premium ${type}, expected night or weekend` });
+    } else if (typeof percent !== 'number' || percent < 0) {
+      problems.push({ field: `/premiums/${type}`, message: `Care premium ${type} must be a non-negative fraction, found ${percent}` });
+    }
+  });
+  return problems;
+}
@@ -0,0 +1,39 @@
+/**
+ * Core category helpers for LLC Governance Dashboard
+ * Normalizes household core categories and their per-category split rules
+ */
+
+/**
+ * Build a stable category id from a display name
+ * @param {string} name - Category name, e.g. "Kids' School"
+ * @returns {string} Category id, e.g. "kids_school"
+ */
+export function slugifyCategory(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Normalize core categories into objects with an id, name, rule and participants
+ * Categories may be stored as plain names ("Groceries") or as objects
+ * ({ id, name, rule, adultIds }). A missing rule means the household strategy;
+ * missing adultIds means every adult shares the category.
+ * @param {Array} categories - Household core categories
+ * @returns {Array} Normalized categories
+ */
+export function normalizeCoreCategories(categories = []) {
+  return categories.map(category => {
+    if (typeof category === 'string') {
+      return { id: slugifyCategory(category), name: category, rule: null, adultIds: null };
+    }
+    return {
+      id: category.id || slugifyCategory(category.name || ""),
+      name: category.name || category.id,
+      rule: category.rule || null,
+      adultIds: Array.isArray(category.adultIds) && category.adultIds.length > 0 ? category.adultIds : null
+    };
+  });
+}
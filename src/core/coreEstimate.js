@@ -0,0 +1,125 @@
+/**
+ * Monthly core estimate for LLC Governance Dashboard
+ * Estimates a typical month of core expenses from the core totals of past periods
+ */
+
+export const CORE_ESTIMATE_METHODS = ["trailing_average", "median", "max"];
+export const CORE_ESTIMATE_WINDOWS = [3, 6, 12];
+
+export const DEFAULT_CORE_ESTIMATE = {
+  method: "trailing_average",
+  months: 6,
+  override: null
+};
+
+const METHOD_LABELS = {
+  trailing_average: "average",
+  median: "median",
+  max: "highest month"
+};
+
+/**
+ * Round an amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ * @private
+ */
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Apply a method to a list of monthly core totals
+ * @param {string} method - "trailing_average" | "median" | "max"
+ * @param {number[]} totals - Monthly core totals
+ * @returns {number} Estimate
+ * @private
+ */
+function applyMethod(method, totals) {
+  if (method === "max") {
+    return Math.max(...totals);
+  }
+  if (method === "median") {
+    const sorted = [...totals].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+  return totals.reduce((sum, total) => sum + total, 0) / totals.length;
+}
+
+/**
+ * Estimate monthly core expenses from recorded history
+ * An explicit override wins. Otherwise the method is applied to the most recent
+ * `months` periods of history before the planned period; with no history the
+ * planned period's own core total is used.
+ * @param {Array} coreHistory - Recorded months ({ label, coreTotal })
+ * @param {Object} [settings] - { method, months, override }
+ * @param {Object} [period] - Period being planned (only earlier months count)
+ * @returns {Object} { amount, source, method, requestedMonths, months } where months lists the labels used
+ */
+export function estimateMonthlyCore(coreHistory = [], settings = {}, period = null) {
+  const { method, months: requestedMonths, override } = { ...DEFAULT_CORE_ESTIMATE, ...settings };
+
+  if (typeof override === 'number') {
+    return { amount: round(override), source: "override", method, requestedMonths, months: [] };
+  }
+
+  const window = coreHistory
+    .filter(entry => !period || !period.label || entry.label < period.label)
+    .sort((a, b) => a.label.localeCompare(b.label))
+    .slice(-requestedMonths);
+  if (window.length > 0) {
+    return {
+      amount: round(applyMethod(method, window.map(entry => entry.coreTotal))),
+      source: "history",
+      method,
+      requestedMonths,
+      months: window.map(entry => entry.label)
+    };
+  }
+
+  if (period && period.coreTotal > 0) {
+    return { amount: round(period.coreTotal), source: "current_period", method, requestedMonths, months: [period.label] };
+  }
+  return { amount: 0, source: "none", method, requestedMonths, months: [] };
+}
+
+/**
+ * Describe how a monthly core estimate was made
+ * @param {Object} estimate - Result of estimateMonthlyCore
+ * @returns {string} e.g. "6-month average of 2024-01 to 2024-06"
+ */
+export function describeCoreEstimate(estimate) {
+  if (estimate.source === "override") return "household override";
+  if (estimate.source === "none") return "no core history recorded yet";
+  if (estimate.source === "current_period") return `no history yet, using ${estimate.months[0]} core total`;
+
+  const label = METHOD_LABELS[estimate.method];
+  const range = estimate.months.length === 1
+    ? estimate.months[0]
+    : `${estimate.months[0]} to ${estimate.months[estimate.months.length - 1]}`;
+  const shortfall = estimate.months.length < estimate.requestedMonths
+    ? `, only ${estimate.months.length} of ${estimate.requestedMonths} months recorded`
+    : '';
+  return `${estimate.requestedMonths}-month ${label} of ${range}${shortfall}`;
+}
+
+/**
+ * Validate core estimate settings
+ * @param {Object} settings - { method, months, override }
+ * @returns {Array} Problems as { field, message } with JSON pointers relative to the settings
+ */
+export function validateCoreEstimateSettings(settings = {}) {
+  const problems = [];
+  if (settings.method !== undefined && !CORE_ESTIMATE_METHODS.includes(settings.method)) {
+    problems.push({ field: "/method", message: `Core estimate method must be one of ${CORE_ESTIMATE_METHODS.join(', ')}, found ${settings.method}` });
+  }
+  if (settings.months !== undefined && !CORE_ESTIMATE_WINDOWS.includes(settings.months)) {
+    problems.push({ field: "/months", message: `Core estimate months must be one of ${CORE_ESTIMATE_WINDOWS.join(', ')}, found ${settings.months}` });
+  }
+  if (settings.override !== undefined && settings.override !== null &&
+      (typeof settings.override !== 'number' || settings.override < 0)) {
+    problems.push({ field: "/override", message: `Core estimate override must be a non-negative amount, found ${settings.override}` });
+  }
+  return problems;
+}
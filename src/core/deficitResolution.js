@@ -0,0 +1,240 @@
+/**
+ * Deficit resolution for LLC Governance Dashboard
+ * Carries out the options offered by the deficit_after_caps warning
+ */
+
+import { UnitMethodCalculator } from './unitMethod.js';
+import { createViolation, isWithinRange, resolveHouseholdPolicy } from '../models/householdPolicy.js';
+
+export const DEFICIT_RESOLUTION_OPTIONS = ["increase_core", "adjust_cap", "use_overrides"];
+
+/**
+ * Create an error carrying a structured violation
+ * @param {string} code - Violation code
+ * @param {string} field - JSON pointer to the offending input
+ * @param {string} message - Human-readable message
+ * @param {Object} params - Violation parameters
+ * @returns {Error} Error with violations
+ * @private
+ */
+function resolutionError(code, field, message, params = {}) {
+  const error = new Error(message);
+  error.violations = [createViolation(code, field, message, params)];
+  return error;
+}
+
+/**
+ * Check the period can still be changed
+ * @param {Object} period - Period
+ * @private
+ */
+function assertUnlocked(period) {
+  if (period.isLocked) {
+    throw resolutionError("PERIOD_LOCKED", "/status", `Cannot modify locked period ${period.label} (${period.status})`,
+      { actual: period.status });
+  }
+}
+
+/**
+ * Adults who have not yet consented to the pending cap adjustment
+ * @param {Object} household - Household configuration
+ * @param {Object} period - Period
+ * @returns {Array} Adults ({ id, name }) still missing a consent
+ */
+export function getMissingCapConsents(household, period) {
+  const consents = period.capAdjustment ? period.capAdjustment.consents : [];
+  return household.adults
+    .filter(adult => !consents.some(consent => String(consent.adultId) === String(adult.id)))
+    .map(adult => ({ id: adult.id, name: adult.name }));
+}
+
+/**
+ * Record an adult's consent to a temporary cap percent for this period
+ * Consent is given to a specific cap percent; proposing a different value
+ * starts a new adjustment and clears earlier consents.
+ * @param {Object} household - Household configuration
+ * @param {Object} period - Period (mutated)
+ * @param {Object} consent - { adultId, capPercent, note }
+ * @returns {Object} { capAdjustment, missingConsents }
+ */
+export function recordCapConsent(household, period, { adultId, capPercent, note = "" }) {
+  assertUnlocked(period);
+
+  const adult = household.adults.find(candidate => String(candidate.id) === String(adultId));
+  if (!adult) {
+    throw resolutionError("ADULT_NOT_FOUND", "/adultId", `Unknown adult ${adultId}`, { adultId });
+  }
+
+  const policy = resolveHouseholdPolicy(household);
+  if (!isWithinRange(capPercent, policy.capPercent) || capPercent <= household.capPercent) {
+    throw resolutionError("CAP_ADJUSTMENT_INVALID", "/capPercent",
+      `Temporary cap percent must be above ${household.capPercent} and at most ${policy.capPercent.max}, found ${capPercent}`,
+      { min: household.capPercent, max: policy.capPercent.max, actual: capPercent });
+  }
+
+  if (!period.capAdjustment || period.capAdjustment.capPercent !== capPercent || period.capAdjustment.appliedAt) {
+    period.capAdjustment = { capPercent, consents: [], appliedAt: null };
+  }
+
+  const consents = period.capAdjustment.consents.filter(existing => String(existing.adultId) !== String(adult.id));
+  consents.push({ adultId: adult.id, adultName: adult.name, capPercent, note, consentedAt: new Date().toISOString() });
+  period.capAdjustment.consents = consents;
+  period.updatedAt = new Date().toISOString();
+
+  return {
+    capAdjustment: period.capAdjustment,
+    missingConsents: getMissingCapConsents(household, period)
+  };
+}
+
+/**
+ * Apply the chosen option to the period
+ * @param {Object} household - Household configuration
+ * @param {Object} period - Period (mutated)
+ * @param {Object} request - Resolution request
+ * @param {number} deficit - Deficit before the resolution
+ * @returns {Object} Details of what was changed, for the decision record
+ * @private
+ */
+function applyOption(household, period, request, deficit) {
+  if (request.option === "increase_core") {
+    // Reclassify the items the household names out of Core so the capped shares cover it
+    const reclassifications = request.reclassifications;
+    if (!Array.isArray(reclassifications) || reclassifications.length === 0) {
+      throw resolutionError("RECLASSIFICATION_REQUIRED", "/reclassifications",
+        `increase_core needs the Core items to move to personal or vision, e.g. [{ amount: ${deficit.toFixed(2)}, to: "personal", category, description }]`,
+        { deficit });
+    }
+    const invalid = reclassifications.find(item => typeof item.amount !== 'number' || item.amount <= 0 || !["personal", "vision"].includes(item.to));
+    if (invalid) {
+      throw resolutionError("RECLASSIFICATION_INVALID", "/reclassifications",
+        `Reclassifications need a positive amount and a target of personal or vision, found ${JSON.stringify(invalid)}`, { actual: invalid });
+    }
+    const total = Math.round(reclassifications.reduce((sum, item) => sum + item.amount, 0) * 100) / 100;
+    if (total > period.coreTotal) {
+      throw resolutionError("RECLASSIFICATION_EXCEEDS_CORE", "/reclassifications",
+        `Reclassifications of ${total.toFixed(2)} exceed the core total of ${period.coreTotal.toFixed(2)}`,
+        { max: period.coreTotal, actual: total });
+    }
+
+    // Items named by category come out of that category's line, the rest out of the uncategorized remainder
+    const categoryAmounts = { ...(period.categoryAmounts || {}) };
+    let uncategorized = Math.round((period.coreTotal - Object.values(categoryAmounts).reduce((sum, amount) => sum + amount, 0)) * 100) / 100;
+    reclassifications.forEach((item, index) => {
+      if (item.category === undefined) {
+        uncategorized = Math.round((uncategorized - item.amount) * 100) / 100;
+        if (uncategorized < 0) {
+          throw resolutionError("RECLASSIFICATION_CATEGORY_REQUIRED", `/reclassifications/${index}/category`,
+            `Reclassification ${index + 1} must name the core category it comes out of, the uncategorized core is already used`,
+            { categories: Object.keys(categoryAmounts) });
+        }
+        return;
+      }
+      if (categoryAmounts[item.category] === undefined) {
+        throw resolutionError("RECLASSIFICATION_CATEGORY_UNKNOWN", `/reclassifications/${index}/category`,
+          `Reclassification ${index + 1} names core category ${item.category}, which has no amount this period`,
+          { allowed: Object.keys(categoryAmounts), actual: item.category });
+      }
+      const remaining = Math.round((categoryAmounts[item.category] - item.amount) * 100) / 100;
+      if (remaining < 0) {
+        throw resolutionError("RECLASSIFICATION_EXCEEDS_CATEGORY", `/reclassifications/${index}/amount`,
+          `Reclassification ${index + 1} takes ${item.amount.toFixed(2)} out of ${item.category}, which has ${categoryAmounts[item.category].toFixed(2)} left`,
+          { category: item.category, max: categoryAmounts[item.category], actual: item.amount });
+      }
+      categoryAmounts[item.category] = remaining;
+    });
+
+    const previousCoreTotal = period.coreTotal;
+    const previousCategoryAmounts = period.categoryAmounts;
+    period.coreTotal = Math.round((period.coreTotal - total) * 100) / 100;
+    period.categoryAmounts = categoryAmounts;
+    return { previousCoreTotal, coreTotal: period.coreTotal, previousCategoryAmounts, categoryAmounts, reclassifications };
+  }
+
+  if (request.option === "adjust_cap") {
+    const adjustment = period.capAdjustment;
+    const missing = getMissingCapConsents(household, period);
+    if (!adjustment || missing.length > 0) {
+      throw resolutionError("CAP_CONSENT_MISSING", "/capAdjustment/consents",
+        `Every adult must consent to the temporary cap first, missing: ${missing.map(adult => adult.name).join(', ')}`,
+        { missing: missing.map(adult => adult.id) });
+    }
+    adjustment.appliedAt = new Date().toISOString();
+    return { previousCapPercent: household.capPercent, capPercent: adjustment.capPercent, consents: adjustment.consents };
+  }
+
+  const overrides = request.overrides || {};
+  const unknown = Object.keys(overrides).filter(adultId => !household.adults.some(adult => String(adult.id) === adultId));
+  if (Object.keys(overrides).length === 0 || unknown.length > 0) {
+    throw resolutionError("OVERRIDES_INVALID", "/overrides",
+      unknown.length > 0 ? `Overrides set for unknown adults: ${unknown.join(', ')}` : "use_overrides needs at least one override",
+      { unknown });
+  }
+  const previousOverrides = { ...period.overrides };
+  period.overrides = { ...period.overrides, ...overrides };
+  return { previousOverrides, overrides: period.overrides };
+}
+
+/**
+ * Carry out a deficit_after_caps option and rerun the calculation
+ * The period is only changed when the resolution closes the deficit; the
+ * resolution (and any consents) are then recorded as a decision on the period.
+ * @param {Object} household - Household configuration
+ * @param {Object} period - Period (mutated)
+ * @param {Object} request - { option, reclassifications, overrides, note, decidedBy }
+ * @returns {Object} { decision, unitMethod } with the new calculation result
+ */
+export function resolveDeficit(household, period, request = {}) {
+  assertUnlocked(period);
+
+  if (!DEFICIT_RESOLUTION_OPTIONS.includes(request.option)) {
+    throw resolutionError("DEFICIT_OPTION_UNKNOWN", "/option",
+      `Unknown deficit resolution option: ${request.option}`, { allowed: DEFICIT_RESOLUTION_OPTIONS, actual: request.option });
+  }
+
+  const before = new UnitMethodCalculator(household, period).calculate();
+  if (before.totals.deficitMinor === 0) {
+    throw resolutionError("NO_DEFICIT", "/option", "The period has no deficit after caps to resolve");
+  }
+
+  const snapshot = {
+    coreTotal: period.coreTotal,
+    categoryAmounts: period.categoryAmounts,
+    overrides: period.overrides,
+    capAdjustment: period.capAdjustment ? { ...period.capAdjustment } : null
+  };
+  const details = applyOption(household, period, request, before.totals.deficit);
+
+  let after;
+  try {
+    after = new UnitMethodCalculator(household, period).calculate();
+  } catch (error) {
+    Object.assign(period, snapshot);
+    throw error;
+  }
+  if (after.totals.deficitMinor > 0) {
+    Object.assign(period, snapshot);
+    throw resolutionError("DEFICIT_NOT_CLOSED", "/option",
+      `Option ${request.option} leaves a deficit of ${after.totals.deficit.toFixed(2)}, the period was not changed`,
+      { deficitBefore: before.totals.deficit, deficitAfter: after.totals.deficit });
+  }
+
+  const option = before.warnings.find(warning => warning.type === "deficit_after_caps").options
+    .find(candidate => candidate.id === request.option);
+  period.addDecision({
+    title: `Deficit after caps resolved: ${option.label}`,
+    type: "deficit_resolution",
+    option: request.option,
+    deficitBefore: before.totals.deficit,
+    deficitAfter: after.totals.deficit,
+    details,
+    consents: request.option === "adjust_cap" ? details.consents : [],
+    decidedBy: request.decidedBy || null,
+    note: request.note || ""
+  });
+
+  return {
+    decision: period.decisions[period.decisions.length - 1],
+    unitMethod: after
+  };
+}
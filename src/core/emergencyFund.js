@@ -0,0 +1,242 @@
+/**
+ * Emergency fund account for LLC Governance Dashboard
+ * Records deposits, withdrawals and interest, and works out the fund's status
+ */
+
+import { createViolation } from '../models/householdPolicy.js';
+import { fromMinor, getMinorUnitDigits, toMinor } from './money.js';
+import { findProposal, WITHDRAWAL_TEMPLATE } from './proposals.js';
+
+export const EMERGENCY_FUND_NAME = "Emergency Fund"; // How the fund is named alongside sinking funds
+export const EMERGENCY_FUND_TRANSACTION_TYPES = ["deposit", "withdrawal", "interest"];
+export const EMERGENCY_FUND_STATUSES = ["below_floor", "building", "maintaining", "fully_funded"];
+
+export const DEFAULT_EMERGENCY_FUND = {
+  monthlyContribution: null, // Planned monthly deposit
+  floorMonths: 1, // Months of core below which the fund is below its floor
+  maintainingPercent: 0.9 // Share of the target from which the fund only needs topping up
+};
+
+/**
+ * Create an error carrying a structured violation
+ * @param {string} code - Violation code
+ * @param {string} field - JSON pointer to the offending input
+ * @param {string} message - Human-readable message
+ * @param {Object} params - Violation parameters
+ * @returns {Error} Error with violations
+ * @private
+ */
+function fundError(code, field, message, params = {}) {
+  const error = new Error(message);
+  error.violations = [createViolation(code, field, message, params)];
+  return error;
+}
+
+/**
+ * Get the emergency fund settings merged with the defaults
+ * @param {Object} household - Household with optional emergencyFund
+ * @returns {Object} { monthlyContribution, floorMonths, maintainingPercent, transactions }
+ */
+export function getEmergencyFundSettings(household) {
+  const fund = household.emergencyFund || {};
+  return { ...DEFAULT_EMERGENCY_FUND, ...fund, transactions: fund.transactions || [] };
+}
+
+/**
+ * Get the emergency fund balance
+ * @param {Object} household - Household with optional emergencyFund
+ * @returns {number} Deposits and interest less withdrawals
+ */
+export function getEmergencyFundBalance(household) {
+  const digits = getMinorUnitDigits(household.currency);
+  const minor = getEmergencyFundSettings(household).transactions.reduce((sum, transaction) => {
+    const amount = toMinor(transaction.amount, digits);
+    return sum + (transaction.type === "withdrawal" ? -amount : amount);
+  }, 0);
+  return fromMinor(minor, digits);
+}
+
+/**
+ * Check that a withdrawal links a decision or proposal that approves it
+ * A decision must be on one of the periods and not already back another
+ * withdrawal; decisions logging a withdrawal vote post with their proposal.
+ * A proposal must be a passed Emergency Fund Draw for this amount that has
+ * not posted yet.
+ * @param {Object} household - Household with proposals and emergencyFund
+ * @param {Object} withdrawal - { amount, decisionId, proposalId }
+ * @param {Array} periods - Periods whose decisions can approve withdrawals
+ * @private
+ */
+function assertWithdrawalApproved(household, { amount, decisionId, proposalId }, periods) {
+  const transactions = getEmergencyFundSettings(household).transactions;
+
+  if (proposalId) {
+    const proposal = findProposal(household, proposalId);
+    if (!proposal || proposal.template !== WITHDRAWAL_TEMPLATE || proposal.fields.fund !== EMERGENCY_FUND_NAME) {
+      throw fundError("EMERGENCY_FUND_PROPOSAL_INVALID", "/proposalId",
+        `Proposal ${proposalId} is not a withdrawal from the ${EMERGENCY_FUND_NAME}`, { actual: proposalId });
+    }
+    if (proposal.status !== "passed") {
+      throw fundError("EMERGENCY_FUND_PROPOSAL_INVALID", "/proposalId", `Proposal ${proposalId} is ${proposal.status}, it must pass first`,
+        { actual: proposal.status });
+    }
+    if (proposal.fields.amount !== amount) {
+      throw fundError("EMERGENCY_FUND_PROPOSAL_INVALID", "/amount",
+        `Proposal ${proposalId} approved ${proposal.fields.amount.toFixed(2)}, found ${amount}`, { expected: proposal.fields.amount, actual: amount });
+    }
+    if (proposal.posting || transactions.some(transaction => transaction.proposalId === proposalId)) {
+      throw fundError("EMERGENCY_FUND_PROPOSAL_POSTED", "/proposalId", `Proposal ${proposalId} has already posted its withdrawal`);
+    }
+    return;
+  }
+
+  const decision = periods.flatMap(period => period.decisions || []).find(candidate => candidate.id === decisionId);
+  if (!decision) {
+    throw fundError("EMERGENCY_FUND_DECISION_NOT_FOUND", "/decisionId", `Decision ${decisionId} not found on any period`, { actual: decisionId });
+  }
+  if (decision.proposalId) {
+    throw fundError("EMERGENCY_FUND_DECISION_INVALID", "/decisionId",
+      `Decision ${decisionId} logs the vote on proposal ${decision.proposalId}, which posts its own withdrawal`, { proposalId: decision.proposalId });
+  }
+  if (transactions.some(transaction => transaction.decisionId === decisionId)) {
+    throw fundError("EMERGENCY_FUND_DECISION_USED", "/decisionId", `Decision ${decisionId} already approved another withdrawal`);
+  }
+}
+
+/**
+ * Record a deposit, withdrawal or interest payment on the emergency fund
+ * Withdrawals must name the decision or proposal that approved them and
+ * cannot take the balance below zero.
+ * @param {Object} household - Household (emergencyFund.transactions is appended to)
+ * @param {Object} transaction - { type, amount, date, note, decisionId, proposalId }
+ * @param {Array} [periods] - Periods whose decisions can approve a withdrawal
+ * @returns {Object} { transaction, balance }
+ */
+export function recordEmergencyFundTransaction(household, { type, amount, date, note = "", decisionId = null, proposalId = null }, periods = []) {
+  if (!EMERGENCY_FUND_TRANSACTION_TYPES.includes(type)) {
+    throw fundError("EMERGENCY_FUND_TYPE_UNKNOWN", "/type",
+      `Emergency fund transaction type must be one of ${EMERGENCY_FUND_TRANSACTION_TYPES.join(', ')}, found ${type}`,
+      { allowed: EMERGENCY_FUND_TRANSACTION_TYPES, actual: type });
+  }
+  if (typeof amount !== 'number' || amount <= 0) {
+    throw fundError("EMERGENCY_FUND_AMOUNT_INVALID", "/amount", `Emergency fund amount must be positive, found ${amount}`, { actual: amount });
+  }
+  if (date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw fundError("EMERGENCY_FUND_DATE_INVALID", "/date", `Emergency fund date must be YYYY-MM-DD, found ${date}`, { actual: date });
+  }
+  if (type === "withdrawal") {
+    if (!decisionId && !proposalId) {
+      throw fundError("EMERGENCY_FUND_WITHDRAWAL_UNAPPROVED", "/decisionId",
+        "Emergency fund withdrawals must link the decision or proposal that approved them");
+    }
+    assertWithdrawalApproved(household, { amount, decisionId, proposalId }, periods);
+    const balance = getEmergencyFundBalance(household);
+    if (amount > balance) {
+      throw fundError("EMERGENCY_FUND_INSUFFICIENT", "/amount",
+        `Withdrawal of ${amount.toFixed(2)} exceeds the emergency fund balance of ${balance.toFixed(2)}`, { balance, actual: amount });
+    }
+  }
+
+  const settings = getEmergencyFundSettings(household);
+  const transaction = {
+    id: `ef_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    type,
+    amount,
+    date: date || new Date().toISOString().split('T')[0],
+    note,
+    ...(decisionId ? { decisionId } : {}),
+    ...(proposalId ? { proposalId } : {}),
+    recordedAt: new Date().toISOString()
+  };
+  household.emergencyFund = { ...(household.emergencyFund || {}), transactions: [...settings.transactions, transaction] };
+
+  return { transaction, balance: getEmergencyFundBalance(household) };
+}
+
+/**
+ * Work out the emergency fund status from its balance
+ * below_floor: under floorMonths of core; building: under maintainingPercent of
+ * the target; maintaining: close to the target; fully_funded: at or above it.
+ * @param {Object} household - Household with optional emergencyFund
+ * @param {number} target - Emergency fund target
+ * @param {number} monthlyCore - Monthly core estimate behind the target
+ * @returns {Object} { target, currentBalance, floor, remaining, monthlyContribution, status, monthsToTarget, guidance }
+ */
+export function computeEmergencyFundStatus(household, target, monthlyCore) {
+  const settings = getEmergencyFundSettings(household);
+  const currency = household.currency;
+  const balance = getEmergencyFundBalance(household);
+  const floor = Math.round(settings.floorMonths * monthlyCore * 100) / 100;
+  const remaining = Math.max(0, Math.round((target - balance) * 100) / 100);
+  const contribution = settings.monthlyContribution;
+
+  let status;
+  if (target > 0 && balance >= target) {
+    status = "fully_funded";
+  } else if (balance < floor) {
+    status = "below_floor";
+  } else if (target > 0 && balance >= target * settings.maintainingPercent) {
+    status = "maintaining";
+  } else {
+    status = "building";
+  }
+
+  const monthsToTarget = remaining === 0 ? 0 : (contribution > 0 ? Math.ceil(remaining / contribution) : null);
+  const pace = contribution > 0
+    ? `at ${contribution.toFixed(2)} ${currency}/month the target is reached in ${monthsToTarget} months`
+    : "no monthly contribution is planned";
+
+  let guidance;
+  if (status === "fully_funded") {
+    guidance = `Emergency fund target reached (${balance.toFixed(2)} of ${target.toFixed(2)} ${currency}); monthly contributions can go to other goals`;
+  } else if (status === "below_floor") {
+    guidance = `Balance of ${balance.toFixed(2)} ${currency} is below the ${settings.floorMonths}-month floor of ${floor.toFixed(2)} ${currency}; rebuild before other vision goals, ${pace}`;
+  } else if (status === "maintaining") {
+    guidance = `Close to target: top up ${remaining.toFixed(2)} ${currency}, ${pace}`;
+  } else {
+    guidance = `Building: ${remaining.toFixed(2)} ${currency} to go, ${pace}`;
+  }
+
+  return {
+    target,
+    currentBalance: balance,
+    floor,
+    remaining,
+    monthlyContribution: contribution,
+    status,
+    monthsToTarget,
+    guidance
+  };
+}
+
+/**
+ * Validate emergency fund settings and transactions
+ * @param {Object} fund - Household emergencyFund
+ * @returns {Array} Problems as { field, message } with JSON pointers relative to the fund
+ */
+export function validateEmergencyFund(fund = {}) {
+  const problems = [];
+  if (fund.monthlyContribution !== undefined && fund.monthlyContribution !== null &&
+      (typeof fund.monthlyContribution !== 'number' || fund.monthlyContribution < 0)) {
+    problems.push({ field: "/monthlyContribution", message: `monthlyContribution must be a non-negative amount, found ${fund.monthlyContribution}` });
+  }
+  if (fund.floorMonths !== undefined && (typeof fund.floorMonths !== 'number' || fund.floorMonths < 0)) {
+    problems.push({ field: "/floorMonths", message: `floorMonths must be a non-negative number, found ${fund.floorMonths}` });
+  }
+  if (fund.maintainingPercent !== undefined &&
+      (typeof fund.maintainingPercent !== 'number' || fund.maintainingPercent <= 0 || fund.maintainingPercent > 1)) {
+    problems.push({ field: "/maintainingPercent", message: `maintainingPercent must be above 0 and at most 1, found ${fund.maintainingPercent}` });
+  }
+  (fund.transactions || []).forEach((transaction, index) => {
+    if (!EMERGENCY_FUND_TRANSACTION_TYPES.includes(transaction.type)) {
+      problems.push({ field: `/transactions/${index}/type`, message: `Emergency fund transaction ${index + 1} has unknown type: ${transaction.type}` });
+    }
+    if (typeof transaction.amount !== 'number' || transaction.amount <= 0) {
+      problems.push({ field: `/transactions/${index}/amount`, message: `Emergency fund transaction ${index + 1} has invalid amount: ${transaction.amount}` });
+    }
+    if (transaction.type === "withdrawal" && !transaction.decisionId && !transaction.proposalId) {
+      problems.push({ field: `/transactions/${index}`, message: `Emergency fund withdrawal ${index + 1} is not linked to a decision or proposal` });
+    }
+  });
+  return problems;
+}
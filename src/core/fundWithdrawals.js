@@ -0,0 +1,260 @@
+/**
+ * Fund withdrawals for LLC Governance Dashboard
+ * Withdrawals from a sinking fund or the emergency fund open an "Emergency Fund Draw"
+ * proposal; they post against the fund only once the household votes them through
+ */
+
+import { createViolation } from '../models/householdPolicy.js';
+import { EMERGENCY_FUND_NAME, getEmergencyFundBalance, getEmergencyFundSettings, recordEmergencyFundTransaction } from './emergencyFund.js';
+import { allocateLargestRemainder, fromMinor, getMinorUnitDigits, toMinor } from './money.js';
+import { castProposalVote, findProposal, getMajority, openProposal, tallyProposal, WITHDRAWAL_TEMPLATE } from './proposals.js';
+import { addMonths } from './sinkingFundAllocator.js';
+
+/**
+ * Create an error carrying a structured violation
+ * @param {string} code - Violation code
+ * @param {string} field - JSON pointer to the offending input
+ * @param {string} message - Human-readable message
+ * @param {Object} params - Violation parameters
+ * @returns {Error} Error with violations
+ * @private
+ */
+function withdrawalError(code, field, message, params = {}) {
+  const error = new Error(message);
+  error.violations = [createViolation(code, field, message, params)];
+  return error;
+}
+
+/**
+ * Find the fund a withdrawal draws on
+ * @param {Object} household - Household
+ * @param {string} name - Sinking fund name or "Emergency Fund"
+ * @returns {Object|null} { kind, name, fund, balance } or null
+ * @private
+ */
+function findFund(household, name) {
+  if (name === EMERGENCY_FUND_NAME) {
+    return { kind: "emergency_fund", name, fund: null, balance: getEmergencyFundBalance(household) };
+  }
+  const fund = household.sinkingFunds.find(candidate => candidate.name === name);
+  return fund ? { kind: "sinking_fund", name, fund, balance: fund.currentBalance || 0 } : null;
+}
+
+/**
+ * Get the votes needed to pass a withdrawal
+ * @param {Object} household - Household
+ * @returns {number} governance.routineQuorum, or a simple majority of adults
+ */
+export function getWithdrawalQuorum(household) {
+  return household.governance.routineQuorum || getMajority(household);
+}
+
+/**
+ * Get withdrawals still waiting for a vote
+ * @param {Object} household - Household with proposals
+ * @param {string} [fundName] - Only withdrawals from this fund
+ * @returns {Array} [{ proposalId, fund, amount, purpose, requestedBy, createdAt, tally }]
+ */
+export function getPendingWithdrawals(household, fundName = null) {
+  return (household.proposals || [])
+    .filter(proposal => proposal.template === WITHDRAWAL_TEMPLATE && proposal.status === "open")
+    .filter(proposal => !fundName || proposal.fields.fund === fundName)
+    .map(proposal => ({
+      proposalId: proposal.id,
+      fund: proposal.fields.fund,
+      amount: proposal.fields.amount,
+      purpose: proposal.fields.purpose,
+      requestedBy: proposal.requestedBy,
+      createdAt: proposal.createdAt,
+      tally: tallyProposal(household, proposal)
+    }));
+}
+
+/**
+ * Get the repayment transfers scheduled for a month
+ * @param {Object} household - Household with scheduledTransfers
+ * @param {string} [label] - Month (YYYY-MM); all transfers when omitted
+ * @returns {Array} Scheduled transfers ({ id, fund, label, amount, proposalId, note })
+ */
+export function getScheduledTransfers(household, label = null) {
+  return (household.scheduledTransfers || []).filter(transfer => !label || transfer.label === label);
+}
+
+/**
+ * Request a withdrawal from a fund
+ * Opens an "Emergency Fund Draw" proposal after the reserve policy check: the
+ * amount must fit in the balance left after other pending withdrawals.
+ * @param {Object} household - Household (proposals is appended to)
+ * @param {Object} request - { fund, amount, purpose, repaymentPlan: { months, startLabel }, requestedBy }
+ * @returns {Object} The proposal
+ */
+export function requestFundWithdrawal(household, { fund: fundName, amount, purpose = "", repaymentPlan = null, requestedBy }) {
+  const currency = household.currency;
+  const digits = getMinorUnitDigits(currency);
+
+  const fund = findFund(household, fundName);
+  if (!fund) {
+    throw withdrawalError("WITHDRAWAL_FUND_UNKNOWN", "/fund", `No fund named ${fundName}`, { actual: fundName });
+  }
+  if (typeof amount !== 'number' || amount <= 0) {
+    throw withdrawalError("WITHDRAWAL_AMOUNT_INVALID", "/amount", `Withdrawal amount must be positive, found ${amount}`, { actual: amount });
+  }
+  if (!purpose) {
+    throw withdrawalError("WITHDRAWAL_PURPOSE_MISSING", "/purpose", "A withdrawal needs a purpose for the vote");
+  }
+  if (repaymentPlan) {
+    if (!Number.isInteger(repaymentPlan.months) || repaymentPlan.months < 1) {
+      throw withdrawalError("REPAYMENT_PLAN_INVALID", "/repaymentPlan/months",
+        `Repayment plan months must be a whole number of at least 1, found ${repaymentPlan.months}`, { actual: repaymentPlan.months });
+    }
+    if (repaymentPlan.startLabel !== undefined && !/^\d{4}-\d{2}$/.test(repaymentPlan.startLabel)) {
+      throw withdrawalError("REPAYMENT_PLAN_INVALID", "/repaymentPlan/startLabel",
+        `Repayment plan startLabel must be YYYY-MM, found ${repaymentPlan.startLabel}`, { actual: repaymentPlan.startLabel });
+    }
+  }
+
+  // Reserve policy check
+  const pendingMinor = getPendingWithdrawals(household, fundName)
+    .reduce((sum, pending) => sum + toMinor(pending.amount, digits), 0);
+  const availableMinor = toMinor(fund.balance, digits) - pendingMinor;
+  if (toMinor(amount, digits) > availableMinor) {
+    throw withdrawalError("WITHDRAWAL_EXCEEDS_BALANCE", "/amount",
+      `Withdrawal of ${amount.toFixed(2)} ${currency} exceeds the ${fromMinor(availableMinor, digits).toFixed(2)} ${currency} left in ${fundName} after pending withdrawals`,
+      { balance: fund.balance, pending: fromMinor(pendingMinor, digits), actual: amount });
+  }
+  const balanceAfter = fromMinor(availableMinor - toMinor(amount, digits), digits);
+  let reserveMessage = `${fundName} keeps ${balanceAfter.toFixed(2)} ${currency} after this and other pending withdrawals`;
+  if (fund.kind === "emergency_fund") {
+    const floor = getEmergencyFundSettings(household).floorMonths * household.getEstimatedMonthlyCore();
+    if (balanceAfter < floor) {
+      reserveMessage += `, below the ${floor.toFixed(2)} ${currency} floor`;
+    }
+  }
+
+  const proposal = openProposal(household, {
+    template: WITHDRAWAL_TEMPLATE,
+    title: `${WITHDRAWAL_TEMPLATE}: ${amount.toFixed(2)} ${currency} from ${fundName}`,
+    fields: {
+      fund: fundName,
+      amount,
+      purpose,
+      repayment_plan: repaymentPlan ? { months: repaymentPlan.months, startLabel: repaymentPlan.startLabel || null } : null
+    },
+    checks: {
+      reserve_policy_check: { passed: true, balance: fund.balance, pending: fromMinor(pendingMinor, digits), balanceAfter, message: reserveMessage }
+    },
+    quorum: getWithdrawalQuorum(household),
+    requestedBy
+  });
+  proposal.posting = null;
+  return proposal;
+}
+
+/**
+ * Post a passed withdrawal against its fund and schedule its repayment
+ * @param {Object} household - Household (fund balance and scheduledTransfers change)
+ * @param {Object} proposal - Passed proposal
+ * @returns {Object} { transaction, scheduledTransfers }
+ * @private
+ */
+function postWithdrawal(household, proposal) {
+  const { fund: fundName, amount, purpose, repayment_plan: plan } = proposal.fields;
+  const digits = getMinorUnitDigits(household.currency);
+  const fund = findFund(household, fundName);
+  const date = proposal.decidedAt.split('T')[0];
+  if (!fund) {
+    throw withdrawalError("WITHDRAWAL_FUND_UNKNOWN", "/fund", `No fund named ${fundName} to post proposal ${proposal.id} against`,
+      { proposalId: proposal.id, actual: fundName });
+  }
+  if (fund.kind === "sinking_fund" && toMinor(amount, digits) > toMinor(fund.balance, digits)) {
+    throw withdrawalError("WITHDRAWAL_EXCEEDS_BALANCE", "/amount",
+      `Withdrawal of ${amount.toFixed(2)} ${household.currency} exceeds the ${fund.balance.toFixed(2)} ${household.currency} now in ${fundName}`,
+      { proposalId: proposal.id, balance: fund.balance, actual: amount });
+  }
+
+  let transaction;
+  if (fund.kind === "emergency_fund") {
+    transaction = recordEmergencyFundTransaction(household, { type: "withdrawal", amount, date, note: purpose, proposalId: proposal.id }).transaction;
+  } else {
+    transaction = {
+      id: `sf_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      type: "withdrawal",
+      amount,
+      date,
+      note: purpose,
+      proposalId: proposal.id
+    };
+    fund.fund.currentBalance = fromMinor(toMinor(fund.balance, digits) - toMinor(amount, digits), digits);
+    fund.fund.transactions = [...(fund.fund.transactions || []), transaction];
+  }
+
+  let scheduledTransfers = [];
+  if (plan) {
+    const startLabel = plan.startLabel || addMonths(date.slice(0, 7), 1);
+    const { amounts } = allocateLargestRemainder(toMinor(amount, digits), Array(plan.months).fill(1));
+    scheduledTransfers = amounts.map((installment, index) => ({
+      id: `transfer_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      fund: fundName,
+      label: addMonths(startLabel, index),
+      amount: fromMinor(installment, digits),
+      proposalId: proposal.id,
+      note: `Repayment ${index + 1} of ${plan.months}: ${purpose}`
+    }));
+    household.scheduledTransfers = [...(household.scheduledTransfers || []), ...scheduledTransfers];
+  }
+  return { transaction, scheduledTransfers };
+}
+
+/**
+ * Record an adult's vote on a withdrawal proposal
+ * Adults can change their vote while the proposal is open. When the vote passes,
+ * the withdrawal posts against the fund, its repayment plan becomes scheduled
+ * transfers, and the decision is logged on the period if it is still open. If the
+ * withdrawal can no longer post (the fund is gone or its balance dropped since the
+ * request), the vote is not recorded and the proposal stays open.
+ * @param {Object} household - Household
+ * @param {string} proposalId - Proposal ID
+ * @param {Object} vote - { adultId, vote: "yes" | "no", note }
+ * @param {Object} [period] - Period to log the decision on
+ * @returns {Object} { proposal, tally, posting } where posting is set once the withdrawal posts
+ */
+export function castWithdrawalVote(household, proposalId, vote, period = null) {
+  const existing = findProposal(household, proposalId);
+  if (existing && existing.template !== WITHDRAWAL_TEMPLATE) {
+    throw withdrawalError("PROPOSAL_NOT_WITHDRAWAL", "/proposalId", `Proposal ${proposalId} is not a withdrawal`, { actual: existing.template });
+  }
+  const before = existing ? { votes: existing.votes, status: existing.status, decidedAt: existing.decidedAt, checks: { ...existing.checks } } : null;
+  const { proposal, tally } = castProposalVote(household, proposalId, vote);
+  if (tally.outcome === "open") {
+    return { proposal, tally, posting: null };
+  }
+
+  if (tally.outcome === "passed") {
+    let posting;
+    try {
+      posting = postWithdrawal(household, proposal);
+    } catch (error) {
+      Object.assign(proposal, before);
+      throw error;
+    }
+    proposal.posting = {
+      transactionId: posting.transaction.id,
+      scheduledTransferIds: posting.scheduledTransfers.map(transfer => transfer.id)
+    };
+  }
+
+  if (period && !period.isLocked) {
+    period.addDecision({
+      title: `${proposal.title} ${proposal.status}`,
+      type: "fund_withdrawal",
+      proposalId: proposal.id,
+      fund: proposal.fields.fund,
+      amount: proposal.fields.amount,
+      outcome: proposal.status,
+      votes: proposal.votes,
+      note: proposal.fields.purpose
+    });
+  }
+
+  return { proposal, tally, posting: proposal.posting };
+}
@@ -0,0 +1,143 @@
+/**
+ * Income resolution for LLC Governance Dashboard
+ * Finds the net income that applies to an adult in a given period
+ */
+
+import { convertAmount, getFxRate } from './money.js';
+import { createViolation } from '../models/householdPolicy.js';
+
+export const INCOME_SNAPSHOT_METHODS = ["declared", "trailing_average", "recorded"];
+
+/**
+ * Average a list of monthly amounts, rounded to cents
+ * @param {number[]} amounts - Monthly amounts
+ * @returns {number} Average amount
+ * @private
+ */
+function average(amounts) {
+  return Math.round(amounts.reduce((sum, amount) => sum + amount, 0) / amounts.length * 100) / 100;
+}
+
+/**
+ * Get the amount a period income snapshot stands for
+ * @param {Object} snapshot - { method, amount } or { method: "trailing_average", amounts }
+ * @returns {number} Net income for the period
+ */
+export function getSnapshotAmount(snapshot) {
+  if (snapshot.method === "trailing_average") {
+    return average(snapshot.amounts);
+  }
+  return snapshot.amount;
+}
+
+/**
+ * Find the income history entry in effect for a period
+ * @param {Object} adult - Adult with optional incomeHistory ([{ effectiveFrom: "YYYY-MM", netIncome }])
+ * @param {string} label - Period label (YYYY-MM)
+ * @returns {Object|null} Latest entry effective on or before the period, or null
+ */
+export function getEffectiveHistoryEntry(adult, label) {
+  if (!label || !Array.isArray(adult.incomeHistory)) return null;
+  return adult.incomeHistory
+    .filter(entry => entry.effectiveFrom <= label)
+    .reduce((latest, entry) => (!latest || entry.effectiveFrom >= latest.effectiveFrom ? entry : latest), null);
+}
+
+/**
+ * Resolve the net income that applies to an adult in a period
+ * Precedence: the period's income snapshot (declared, trailing average or
+ * recorded at close), then the adult's effective-dated income history, then
+ * the adult's current netIncome.
+ * @param {Object} adult - Household adult
+ * @param {Object} [period] - Period being calculated
+ * @returns {Object} { amount, source, method, effectiveFrom }
+ */
+export function resolveIncome(adult, period = null) {
+  const snapshot = period && period.incomeSnapshots ? period.incomeSnapshots[adult.id] : null;
+  if (snapshot) {
+    return { amount: getSnapshotAmount(snapshot), source: "period_snapshot", method: snapshot.method, effectiveFrom: null };
+  }
+
+  const entry = getEffectiveHistoryEntry(adult, period ? period.label : null);
+  if (entry) {
+    return { amount: entry.netIncome, source: "income_history", method: null, effectiveFrom: entry.effectiveFrom };
+  }
+
+  return { amount: adult.netIncome, source: "household", method: null, effectiveFrom: null };
+}
+
+/**
+ * Resolve an adult's period income and convert it into the household currency
+ * Adults paid in another currency set incomeCurrency; the period's fxRates
+ * table gives the household-currency value of one unit of that currency.
+ * @param {Object} household - Household configuration
+ * @param {Object} adult - Household adult
+ * @param {Object} [period] - Period being calculated
+ * @returns {Object} resolveIncome fields plus { netIncome, incomeCurrency, fxRate } where amount stays in incomeCurrency
+ * @throws {Error} With an FX_RATE_MISSING violation when the period has no rate for incomeCurrency
+ */
+export function resolveHouseholdIncome(household, adult, period = null) {
+  const income = resolveIncome(adult, period);
+  const incomeCurrency = adult.incomeCurrency || household.currency;
+  const fxRate = getFxRate(period ? period.fxRates : null, incomeCurrency, household.currency);
+  if (fxRate === null) {
+    const error = new Error(`No FX rate from ${incomeCurrency} to ${household.currency} for ${adult.name}${period ? ` in period ${period.label}` : ''}`);
+    error.violations = [createViolation("FX_RATE_MISSING", `/fxRates/${incomeCurrency}`,
+      `Missing FX rate from ${incomeCurrency} to ${household.currency} for ${adult.name}`,
+      { currency: incomeCurrency, householdCurrency: household.currency })];
+    throw error;
+  }
+  return {
+    ...income,
+    incomeCurrency,
+    fxRate,
+    netIncome: fxRate === 1 ? income.amount : convertAmount(income.amount, fxRate, household.currency)
+  };
+}
+
+/**
+ * Record the income each adult was calculated with on the period
+ * Adults who already have a snapshot keep it, so closing a month freezes its
+ * incomes and later edits to the household cannot change a past calculation.
+ * @param {Object} household - Household configuration
+ * @param {Object} period - Period to record incomes on (mutated)
+ * @returns {Object} The period's income snapshots
+ */
+export function recordIncomeSnapshots(household, period) {
+  household.adults.forEach(adult => {
+    if (period.incomeSnapshots[adult.id]) return;
+    const income = resolveIncome(adult, period);
+    period.incomeSnapshots[adult.id] = {
+      method: "recorded",
+      amount: income.amount,
+      currency: adult.incomeCurrency || household.currency,
+      source: income.source,
+      effectiveFrom: income.effectiveFrom
+    };
+  });
+  return period.incomeSnapshots;
+}
+
+/**
+ * Validate a period income snapshot
+ * @param {Object} snapshot - Snapshot to validate
+ * @param {string} description - How to name the snapshot in messages
+ * @returns {string[]} Validation errors
+ */
+export function validateIncomeSnapshot(snapshot, description) {
+  const errors = [];
+  if (!INCOME_SNAPSHOT_METHODS.includes(snapshot.method)) {
+    errors.push(`${description} has unknown method: ${snapshot.method}`);
+    return errors;
+  }
+  if (snapshot.method === "trailing_average") {
+    if (!Array.isArray(snapshot.amounts) || snapshot.amounts.length === 0) {
+      errors.push(`${description} needs at least one monthly amount for a trailing average`);
+    } else if (snapshot.amounts.some(amount => typeof amount !== 'number' || amount < 0)) {
+      errors.push(`${description} has invalid monthly amounts: ${snapshot.amounts.join(', ')}`);
+    }
+  } else if (typeof snapshot.amount !== 'number' || snapshot.amount < 0) {
+    errors.push(`${description} has invalid amount: ${snapshot.amount}`);
+  }
+  return errors;
+}
@@ -0,0 +1,100 @@
+/**
+ * Money helpers for LLC Governance Dashboard
+ * Integer minor-unit arithmetic, exact largest-remainder allocation and FX conversion
+ */
+
+/**
+ * Get the number of minor-unit digits for a currency
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} Minor-unit digits (2 for USD, 0 for JPY)
+ */
+export function getMinorUnitDigits(currency = "USD") {
+  try {
+    return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+  } catch (error) {
+    return 2;
+  }
+}
+
+/**
+ * Convert a major-unit amount to integer minor units
+ * @param {number} amount - Amount in major units (e.g. dollars)
+ * @param {number} digits - Minor-unit digits
+ * @returns {number} Integer amount in minor units (e.g. cents)
+ */
+export function toMinor(amount, digits = 2) {
+  return Math.round(amount * Math.pow(10, digits));
+}
+
+/**
+ * Convert integer minor units back to major units
+ * @param {number} minor - Amount in minor units
+ * @param {number} digits - Minor-unit digits
+ * @returns {number} Amount in major units
+ */
+export function fromMinor(minor, digits = 2) {
+  return minor / Math.pow(10, digits);
+}
+
+/**
+ * Split an integer total by weights so the parts add up exactly
+ * Each part gets the floor of its exact quota; leftover minor units go one at a
+ * time to the largest fractional remainders, ties broken by lowest index.
+ * @param {number} totalMinor - Integer total to split (may be negative)
+ * @param {number[]} weights - Non-negative weights
+ * @returns {Object} { amounts, leftover, recipients } where recipients lists indexes given a leftover unit
+ */
+export function allocateLargestRemainder(totalMinor, weights) {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (totalWeight <= 0) {
+    return { amounts: weights.map(() => 0), leftover: totalMinor, recipients: [] };
+  }
+
+  const sign = totalMinor < 0 ? -1 : 1;
+  const magnitude = Math.abs(totalMinor);
+  const quotas = weights.map(weight => magnitude * weight / totalWeight);
+  // Epsilon guards against quotas like 2999.9999999996 caused by float division
+  const amounts = quotas.map(quota => Math.floor(quota + 1e-9));
+  const leftover = magnitude - amounts.reduce((sum, amount) => sum + amount, 0);
+
+  const recipients = quotas
+    .map((quota, index) => ({ index, remainder: Math.max(0, quota - amounts[index]) }))
+    .sort((a, b) => (b.remainder - a.remainder) || (a.index - b.index))
+    .slice(0, leftover)
+    .map(entry => entry.index);
+
+  recipients.forEach(index => {
+    amounts[index] += 1;
+  });
+
+  return {
+    amounts: amounts.map(amount => sign * amount),
+    leftover: sign * leftover,
+    recipients
+  };
+}
+
+/**
+ * Look up the rate that converts one unit of a currency into the household currency
+ * @param {Object} fxRates - Currency code -> household-currency value of 1 unit (e.g. { EUR: 1.08 })
+ * @param {string} currency - Currency to convert from
+ * @param {string} householdCurrency - Household currency
+ * @returns {number|null} Rate (1 for the household currency), or null when no rate is set
+ */
+export function getFxRate(fxRates, currency, householdCurrency) {
+  if (!currency || currency === householdCurrency) return 1;
+  const rate = (fxRates || {})[currency];
+  return typeof rate === 'number' && rate > 0 ? rate : null;
+}
+
+/**
+ * Convert an amount between currencies, rounded to the target currency's minor units
+ * @param {number} amount - Amount in the source currency
+ * @param {number} rate - Target-currency value of 1 unit of the source currency
+ * @param {string} targetCurrency - Currency to round to
+ * @returns {number} Converted amount
+ */
+export function convertAmount(amount, rate, targetCurrency) {
+  const digits = getMinorUnitDigits(targetCurrency);
+  return fromMinor(toMinor(amount * rate, digits), digits);
+}
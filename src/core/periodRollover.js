@@ -0,0 +1,94 @@
+/**
+ * Period rollover for LLC Governance Dashboard
+ * Creates next month's draft period from a closed one
+ */
+
+import { Period } from '../models/period.js';
+import { createViolation } from '../models/householdPolicy.js';
+import { getAvailableCareCredits } from './careCreditLedger.js';
+import { addMonths } from './sinkingFundAllocator.js';
+
+/**
+ * Create an error carrying a structured violation
+ * @param {string} code - Violation code
+ * @param {string} field - JSON pointer to the offending input
+ * @param {string} message - Human-readable message
+ * @param {Object} params - Violation parameters
+ * @returns {Error} Error with violations
+ * @private
+ */
+function rolloverError(code, field, message, params = {}) {
+  const error = new Error(message);
+  error.violations = [createViolation(code, field, message, params)];
+  return error;
+}
+
+/**
+ * Get each adult's child units at the end of a period
+ * Adults with dated spans keep the units of their latest span.
+ * @param {Object} period - Period
+ * @returns {Object} Adult ID -> child units
+ * @private
+ */
+function getClosingChildUnits(period) {
+  const units = { ...period.assignedChildUnits };
+  Object.entries(period.childUnitSpans).forEach(([adultId, spans]) => {
+    if (spans.length === 0) return;
+    const latest = [...spans].sort((a, b) => (a.startDate || '').localeCompare(b.startDate || '')).pop();
+    units[adultId] = latest.units;
+  });
+  return units;
+}
+
+/**
+ * Create the next month's period from a closed one
+ * Carries forward child-unit assignments, overrides marked recurring, hybrid care
+ * choices and, as the draft core total, the closed period's next-period core
+ * preview (which already includes any stipend core increase). Care credits stay
+ * on the household ledger and apply when the new period is calculated; their
+ * available balances are reported. Mid-month moves are not carried.
+ * @param {Object} household - Household configuration
+ * @param {Object} period - Closed period
+ * @returns {Object} { period, carriedForward }
+ */
+export function rolloverPeriod(household, period) {
+  if (period.status !== "closed") {
+    throw rolloverError("PERIOD_NOT_CLOSED", "/status", `Period ${period.label} is ${period.status}, only closed periods roll over`,
+      { actual: period.status });
+  }
+
+  const label = addMonths(period.label, 1);
+  const preview = period.nextPeriodCorePreview;
+  const coreTotal = preview ? preview.estimatedCoreTotal : period.coreTotal;
+  const adultIds = household.adults.map(adult => String(adult.id));
+  const overrides = Object.fromEntries(period.recurringOverrides
+    .filter(adultId => adultId in period.overrides && adultIds.includes(String(adultId)))
+    .map(adultId => [adultId, period.overrides[adultId]]));
+  const careCompensationModes = Object.fromEntries(Object.entries(period.careCompensationModes)
+    .filter(([adultId]) => adultIds.includes(String(adultId))));
+
+  const carriedForward = {
+    fromLabel: period.label,
+    coreTotal,
+    coreTotalSource: preview ? "next_period_core_preview" : "previous_core_total",
+    stipendCoreIncrease: preview ? Math.max(0, Math.round((preview.estimatedCoreTotal - period.coreTotal) * 100) / 100) : 0,
+    assignedChildUnits: Object.fromEntries(Object.entries(getClosingChildUnits(period))
+      .filter(([adultId]) => adultIds.includes(String(adultId)))),
+    overrides,
+    careCompensationModes,
+    careCredits: Object.fromEntries(household.adults.map(adult => [adult.id, getAvailableCareCredits(household, adult.id, label).available])),
+    carriedAt: new Date().toISOString()
+  };
+
+  const next = new Period({
+    label,
+    coreTotal,
+    assignedChildUnits: carriedForward.assignedChildUnits,
+    overrides,
+    recurringOverrides: Object.keys(overrides),
+    careCompensationModes,
+    rolledOverFrom: carriedForward
+  });
+
+  return { period: next, carriedForward };
+}
@@ -0,0 +1,46 @@
+/**
+ * Proposal templates for LLC Governance Dashboard
+ * Shared by the member portal (server.js) and the household finance API
+ */
+
+export const PROPOSAL_TEMPLATES = [
+  {
+    name: 'Sell Asset',
+    fields: ['asset_id', 'valuation', 'buyer', 'closing_date'],
+    checks: ['valuation_required', 'debt_impact_assessment']
+  },
+  {
+    name: 'Add Member',
+    fields: ['name', 'contribution', 'units', 'role'],
+    checks: ['onboarding_required', 'category_selection']
+  },
+  {
+    name: 'Transfer Units',
+    fields: ['from_member', 'to_member', 'units', 'price'],
+    checks: ['right_of_first_refusal', 'waiting_period']
+  },
+  {
+    name: 'Reinvestment Decision',
+    fields: ['amount', 'options', 'timeline'],
+    checks: ['member_elections', 'allocation_calculation']
+  },
+  {
+    name: 'Emergency Fund Draw',
+    fields: ['fund', 'amount', 'purpose', 'repayment_plan'],
+    checks: ['reserve_policy_check', 'vote_gate']
+  },
+  {
+    name: 'Reopen Period',
+    fields: ['period', 'reason'],
+    checks: ['vote_gate']
+  }
+];
+
+/**
+ * Find a proposal template by name
+ * @param {string} name - Template name
+ * @returns {Object|null} Template ({ name, fields, checks }) or null
+ */
+export function getProposalTemplate(name) {
+  return PROPOSAL_TEMPLATES.find(template => template.name === name) || null;
+}
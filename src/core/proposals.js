@@ -0,0 +1,169 @@
+/**
+ * Household proposals for LLC Governance Dashboard
+ * Proposals built from the shared templates, voted on by the household's adults
+ */
+
+import { createViolation } from '../models/householdPolicy.js';
+import { getProposalTemplate } from './proposalTemplates.js';
+
+export const PROPOSAL_STATUSES = ["open", "passed", "rejected"];
+export const PROPOSAL_VOTES = ["yes", "no"];
+export const REOPEN_TEMPLATE = "Reopen Period";
+export const WITHDRAWAL_TEMPLATE = "Emergency Fund Draw";
+
+/**
+ * Create an error carrying a structured violation
+ * @param {string} code - Violation code
+ * @param {string} field - JSON pointer to the offending input
+ * @param {string} message - Human-readable message
+ * @param {Object} params - Violation parameters
+ * @returns {Error} Error with violations
+ * @private
+ */
+function proposalError(code, field, message, params = {}) {
+  const error = new Error(message);
+  error.violations = [createViolation(code, field, message, params)];
+  return error;
+}
+
+/**
+ * Get a simple majority of the household's adults
+ * @param {Object} household - Household
+ * @returns {number} Votes in a simple majority
+ */
+export function getMajority(household) {
+  return Math.floor(household.adults.length / 2) + 1;
+}
+
+/**
+ * Find a proposal by ID
+ * @param {Object} household - Household with proposals
+ * @param {string} proposalId - Proposal ID
+ * @returns {Object|null} Proposal or null
+ */
+export function findProposal(household, proposalId) {
+  return (household.proposals || []).find(candidate => candidate.id === proposalId) || null;
+}
+
+/**
+ * Open a proposal for a vote
+ * @param {Object} household - Household (proposals is appended to)
+ * @param {Object} request - { template, title, fields, checks, quorum, requestedBy }
+ * @returns {Object} The proposal
+ */
+export function openProposal(household, { template: templateName, title, fields, checks = {}, quorum, requestedBy }) {
+  const template = getProposalTemplate(templateName);
+  if (!template) {
+    throw proposalError("PROPOSAL_TEMPLATE_UNKNOWN", "/template", `Unknown proposal template: ${templateName}`, { actual: templateName });
+  }
+  const requester = household.adults.find(adult => String(adult.id) === String(requestedBy));
+  if (!requester) {
+    throw proposalError("PROPOSAL_REQUESTER_UNKNOWN", "/requestedBy", `Adult ${requestedBy} not found`, { actual: requestedBy });
+  }
+
+  const proposal = {
+    id: `proposal_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    template: template.name,
+    title,
+    fields,
+    checks: { ...checks, vote_gate: { quorum, passed: false } },
+    quorum,
+    status: "open",
+    votes: [],
+    requestedBy: requester.id,
+    requestedByName: requester.name,
+    createdAt: new Date().toISOString(),
+    decidedAt: null
+  };
+  household.proposals = [...(household.proposals || []), proposal];
+  return proposal;
+}
+
+/**
+ * Count the votes on a proposal
+ * A proposal passes once yes votes reach its quorum and outnumber no votes, and
+ * is rejected once the outstanding votes can no longer get it there.
+ * @param {Object} household - Household
+ * @param {Object} proposal - Proposal
+ * @returns {Object} { yes, no, outstanding, quorum, outcome } where outcome is "open" | "passed" | "rejected"
+ */
+export function tallyProposal(household, proposal) {
+  const yes = proposal.votes.filter(vote => vote.vote === "yes").length;
+  const no = proposal.votes.filter(vote => vote.vote === "no").length;
+  const outstanding = household.adults.length - proposal.votes.length;
+  const quorum = proposal.quorum || getMajority(household);
+
+  let outcome = "open";
+  if (yes >= quorum && yes > no) {
+    outcome = "passed";
+  } else if (yes + outstanding < quorum || yes + outstanding <= no) {
+    outcome = "rejected";
+  }
+  return { yes, no, outstanding, quorum, outcome };
+}
+
+/**
+ * Record an adult's vote on a proposal
+ * Adults can change their vote while the proposal is open; the proposal is
+ * decided as soon as the tally passes or rejects it.
+ * @param {Object} household - Household
+ * @param {string} proposalId - Proposal ID
+ * @param {Object} vote - { adultId, vote: "yes" | "no", note }
+ * @returns {Object} { proposal, tally }
+ */
+export function castProposalVote(household, proposalId, { adultId, vote, note = "" }) {
+  const proposal = findProposal(household, proposalId);
+  if (!proposal) {
+    throw proposalError("PROPOSAL_NOT_FOUND", "/proposalId", `Proposal ${proposalId} not found`, { actual: proposalId });
+  }
+  if (proposal.status !== "open") {
+    throw proposalError("PROPOSAL_CLOSED", "/status", `Proposal ${proposalId} is already ${proposal.status}`, { actual: proposal.status });
+  }
+  const adult = household.adults.find(candidate => String(candidate.id) === String(adultId));
+  if (!adult) {
+    throw proposalError("VOTER_UNKNOWN", "/adultId", `Adult ${adultId} not found`, { actual: adultId });
+  }
+  if (!PROPOSAL_VOTES.includes(vote)) {
+    throw proposalError("VOTE_INVALID", "/vote", `Vote must be one of ${PROPOSAL_VOTES.join(', ')}, found ${vote}`,
+      { allowed: PROPOSAL_VOTES, actual: vote });
+  }
+
+  proposal.votes = [
+    ...proposal.votes.filter(existing => String(existing.adultId) !== String(adult.id)),
+    { adultId: adult.id, adultName: adult.name, vote, note, votedAt: new Date().toISOString() }
+  ];
+
+  const tally = tallyProposal(household, proposal);
+  if (tally.outcome !== "open") {
+    proposal.status = tally.outcome;
+    proposal.decidedAt = new Date().toISOString();
+    proposal.checks.vote_gate = { quorum: tally.quorum, passed: tally.outcome === "passed", yes: tally.yes, no: tally.no };
+  }
+  return { proposal, tally };
+}
+
+/**
+ * Propose reopening a closed period
+ * Reopening is a major decision: it needs governance.majorQuorum yes votes, or a
+ * simple majority when none is set.
+ * @param {Object} household - Household (proposals is appended to)
+ * @param {Object} period - Closed period
+ * @param {Object} request - { reason, requestedBy }
+ * @returns {Object} The proposal
+ */
+export function requestPeriodReopen(household, period, { reason, requestedBy }) {
+  if (period.status !== "closed") {
+    throw proposalError("PERIOD_NOT_CLOSED", "/status", `Period ${period.label} is ${period.status}, only closed periods are reopened`,
+      { actual: period.status });
+  }
+  if (!reason) {
+    throw proposalError("REOPEN_REASON_MISSING", "/reason", "Reopening a period requires a reason");
+  }
+  return openProposal(household, {
+    template: REOPEN_TEMPLATE,
+    title: `${REOPEN_TEMPLATE}: ${period.label}`,
+    fields: { period: period.label, reason },
+    quorum: household.governance.majorQuorum || getMajority(household),
+    requestedBy
+  });
+}
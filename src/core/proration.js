@@ -0,0 +1,235 @@
+/**
+ * Day-based proration for LLC Governance Dashboard
+ * Prorates adult and child units when membership changes mid-period
+ */
+
+import { auditEvent } from './auditTrail.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a YYYY-MM-DD date as a UTC day number
+ * @param {string} date - ISO date
+ * @returns {number} Days since the epoch
+ * @private
+ */
+function toDayNumber(date) {
+  return Math.round(Date.parse(`${date}T00:00:00Z`) / DAY_MS);
+}
+
+/**
+ * Format a UTC day number as YYYY-MM-DD
+ * @param {number} dayNumber - Days since the epoch
+ * @returns {string} ISO date
+ * @private
+ */
+function fromDayNumber(dayNumber) {
+  return new Date(dayNumber * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * Get the first and last day of a YYYY-MM period
+ * @param {string} label - Period label
+ * @returns {Object} { startDate, endDate, days }
+ */
+export function getPeriodRange(label) {
+  const [year, month] = label.split('-').map(Number);
+  const days = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const monthPart = String(month).padStart(2, '0');
+  return {
+    startDate: `${year}-${monthPart}-01`,
+    endDate: `${year}-${monthPart}-${String(days).padStart(2, '0')}`,
+    days
+  };
+}
+
+/**
+ * Count the days of a span that fall inside the period
+ * @param {string} label - Period label
+ * @param {Object} span - { startDate, endDate }, either end may be omitted
+ * @returns {number} Days present in the period (inclusive)
+ */
+export function countDaysInPeriod(label, span = {}) {
+  const range = getPeriodRange(label);
+  const start = Math.max(toDayNumber(span.startDate || range.startDate), toDayNumber(range.startDate));
+  const end = Math.min(toDayNumber(span.endDate || range.endDate), toDayNumber(range.endDate));
+  return Math.max(0, end - start + 1);
+}
+
+/**
+ * Check whether a date falls inside a span
+ * @param {Object} span - { startDate, endDate }, either end may be omitted
+ * @param {string} date - ISO date
+ * @returns {boolean} True if the date is covered
+ */
+export function isDateInSpan(span = {}, date) {
+  return (!span.startDate || date >= span.startDate) && (!span.endDate || date <= span.endDate);
+}
+
+/**
+ * Check whether a period has any mid-period membership or child unit changes
+ * @param {Object} period - Period data
+ * @returns {boolean} True if proration applies
+ */
+export function hasProration(period) {
+  return Object.keys(period.memberships || {}).length > 0 || Object.keys(period.childUnitSpans || {}).length > 0;
+}
+
+/**
+ * Get the fraction of the period an adult was part of the household
+ * @param {Object} period - Period data
+ * @param {string} adultId - Adult ID
+ * @returns {number} Fraction between 0 and 1 (1 without a membership record)
+ */
+export function getPresenceFraction(period, adultId) {
+  const membership = (period.memberships || {})[adultId];
+  if (!membership) return 1;
+  return countDaysInPeriod(period.label, membership) / getPeriodRange(period.label).days;
+}
+
+/**
+ * Check whether an adult was part of the household on a date
+ * @param {Object} period - Period data
+ * @param {string} adultId - Adult ID
+ * @param {string} date - ISO date
+ * @returns {boolean} True if present
+ */
+export function isPresentOn(period, adultId, date) {
+  return isDateInSpan((period.memberships || {})[adultId], date);
+}
+
+/**
+ * Get an adult's day-weighted child units for the period
+ * Child unit spans ({ units, startDate, endDate }) replace the flat
+ * assignedChildUnits value for that adult.
+ * @param {Object} period - Period data
+ * @param {string} adultId - Adult ID
+ * @returns {number} Effective child units
+ */
+export function getEffectiveChildUnits(period, adultId) {
+  const spans = (period.childUnitSpans || {})[adultId];
+  if (!spans) return period.assignedChildUnits[adultId] || 0;
+  const days = getPeriodRange(period.label).days;
+  return spans.reduce((sum, span) => sum + span.units * countDaysInPeriod(period.label, span) / days, 0);
+}
+
+/**
+ * Get an adult's child units on a single day
+ * @param {Object} period - Period data
+ * @param {string} adultId - Adult ID
+ * @param {string} date - ISO date
+ * @returns {number} Child units assigned that day
+ */
+export function getChildUnitsOn(period, adultId, date) {
+  const spans = (period.childUnitSpans || {})[adultId];
+  if (!spans) return period.assignedChildUnits[adultId] || 0;
+  return spans
+    .filter(span => isDateInSpan(span, date))
+    .reduce((sum, span) => sum + span.units, 0);
+}
+
+/**
+ * Describe an adult's proration for the audit trail
+ * @param {Object} period - Period data
+ * @param {Object} adult - Adult with id and name
+ * @returns {Array} Audit events (empty when the adult is not prorated)
+ */
+export function describeProration(period, adult) {
+  const events = [];
+  const days = hasProration(period) ? getPeriodRange(period.label).days : 0;
+  const membership = (period.memberships || {})[adult.id];
+  if (membership) {
+    const present = countDaysInPeriod(period.label, membership);
+    events.push(auditEvent("unit_method", "PRORATION_MEMBERSHIP", {
+      adultId: adult.id,
+      adultName: adult.name,
+      inputs: { startDate: membership.startDate || null, endDate: membership.endDate || null, daysPresent: present, daysInPeriod: days },
+      outputs: { adultUnits: present / days }
+    }));
+  }
+  const spans = (period.childUnitSpans || {})[adult.id];
+  if (spans) {
+    events.push(auditEvent("unit_method", "PRORATION_CHILD_UNITS", {
+      adultId: adult.id,
+      adultName: adult.name,
+      inputs: {
+        spans: spans.map(span => ({ ...span, days: countDaysInPeriod(period.label, span) })),
+        daysInPeriod: days
+      },
+      outputs: { childUnits: getEffectiveChildUnits(period, adult.id) }
+    }));
+  }
+  return events;
+}
+
+/**
+ * Validate that child units are fully assigned on every day of the period
+ * @param {Object} period - Period data
+ * @param {Array} adults - Household adults
+ * @param {number} expectedTotal - childrenCount × childUnitWeight
+ * @param {number} tolerance - Allowed difference
+ * @returns {string[]} Validation errors
+ */
+export function validateChildUnitCoverage(period, adults, expectedTotal, tolerance = 0.01) {
+  if (Object.keys(period.childUnitSpans || {}).length === 0) {
+    const totalAssigned = Object.values(period.assignedChildUnits).reduce((sum, units) => sum + units, 0);
+    return Math.abs(totalAssigned - expectedTotal) > tolerance
+      ? [`Assigned child units (${totalAssigned}) must equal expected total (${expectedTotal})`]
+      : [];
+  }
+
+  const range = getPeriodRange(period.label);
+  for (let day = toDayNumber(range.startDate); day <= toDayNumber(range.endDate); day++) {
+    const date = fromDayNumber(day);
+    const totalAssigned = adults.reduce((sum, adult) => sum + getChildUnitsOn(period, adult.id, date), 0);
+    if (Math.abs(totalAssigned - expectedTotal) > tolerance) {
+      return [`Assigned child units on ${date} (${totalAssigned}) must equal expected total (${expectedTotal})`];
+    }
+  }
+  return [];
+}
+
+/**
+ * Validate membership and child unit span dates
+ * Spans are checked against their own dates; the overlap with the period is
+ * only checked when the period label is a valid YYYY-MM month.
+ * @param {Object} period - Period data
+ * @param {Array} adults - Household adults
+ * @returns {string[]} Validation errors
+ */
+export function validateProrationSpans(period, adults) {
+  const errors = [];
+  const adultIds = adults.map(adult => String(adult.id));
+  const labelValid = /^\d{4}-\d{2}$/.test(period.label);
+  const checkSpan = (span, description) => {
+    if (span.startDate && span.endDate && span.startDate > span.endDate) {
+      errors.push(`${description} starts after it ends (${span.startDate} > ${span.endDate})`);
+    }
+    if (labelValid && countDaysInPeriod(period.label, span) === 0) {
+      errors.push(`${description} does not overlap period ${period.label}`);
+    }
+  };
+
+  Object.entries(period.memberships || {}).forEach(([adultId, membership]) => {
+    if (!adultIds.includes(adultId)) {
+      errors.push(`Membership set for unknown adult ${adultId}`);
+      return;
+    }
+    checkSpan(membership, `Membership for ${adultId}`);
+  });
+
+  Object.entries(period.childUnitSpans || {}).forEach(([adultId, spans]) => {
+    if (!adultIds.includes(adultId)) {
+      errors.push(`Child unit spans set for unknown adult ${adultId}`);
+      return;
+    }
+    spans.forEach((span, index) => {
+      if (typeof span.units !== 'number' || span.units < 0) {
+        errors.push(`Child unit span ${index + 1} for ${adultId} has invalid units: ${span.units}`);
+      }
+      checkSpan(span, `Child unit span ${index + 1} for ${adultId}`);
+    });
+  });
+
+  return errors;
+}
@@ -0,0 +1,193 @@
+/**
+ * What-if scenarios for LLC Governance Dashboard
+ * Runs the monthly calculations on copies of the household and period
+ */
+
+import { Household } from '../models/household.js';
+import { Period } from '../models/period.js';
+import { UnitMethodCalculator } from './unitMethod.js';
+import { CareLedgerCalculator } from './careLedger.js';
+import { VisionAndBuffersPlanner } from './visionAndBuffers.js';
+import { fromMinor, getMinorUnitDigits } from './money.js';
+
+/**
+ * Deep-copy a household and period so a scenario can never touch the real data
+ * @param {Household} household - Real household
+ * @param {Period} period - Real period
+ * @returns {Object} { household, period } copies
+ */
+export function cloneForScenario(household, period) {
+  return {
+    household: Household.fromJSON(JSON.parse(JSON.stringify(household.toJSON()))),
+    period: Period.fromJSON(JSON.parse(JSON.stringify(period.toJSON())))
+  };
+}
+
+/**
+ * Apply hypothetical changes to copied household and period data
+ * @param {Household} household - Household copy (mutated)
+ * @param {Period} period - Period copy (mutated)
+ * @param {Object} changes - Scenario changes
+ * @param {number} [changes.coreTotal] - New core total
+ * @param {Object} [changes.categoryAmounts] - New category line amounts
+ * @param {number} [changes.capPercent] - Different cap percent
+ * @param {string} [changes.allocationStrategy] - Different allocation strategy
+ * @param {Array} [changes.addAdults] - New adults ({ id, name, netIncome, assignedChildUnits })
+ * @param {Object} [changes.assignedChildUnits] - Replacement child unit assignments
+ * @param {Array} [changes.moveChildUnits] - Moves ({ from, to, units })
+ * @param {Object} [changes.overrides] - Replacement overrides
+ * @returns {string[]} Errors for changes that could not be applied
+ */
+export function applyScenarioChanges(household, period, changes = {}) {
+  const errors = [];
+
+  if (changes.capPercent !== undefined) household.capPercent = changes.capPercent;
+  if (changes.allocationStrategy !== undefined) household.allocationStrategy = changes.allocationStrategy;
+  if (changes.allocationOptions !== undefined) household.allocationOptions = changes.allocationOptions;
+
+  (changes.addAdults || []).forEach(adult => {
+    if (household.adults.some(existing => existing.id === adult.id)) {
+      errors.push(`Adult ${adult.id} already exists`);
+      return;
+    }
+    const { assignedChildUnits = 0, ...adultData } = adult;
+    household.adults.push(adultData);
+    period.assignedChildUnits[adult.id] = assignedChildUnits;
+  });
+
+  if (changes.categoryAmounts !== undefined) {
+    period.categoryAmounts = changes.categoryAmounts;
+    if (changes.coreTotal === undefined) period.coreTotal = period.getCategoryTotal();
+  }
+  if (changes.coreTotal !== undefined) period.coreTotal = changes.coreTotal;
+  if (changes.assignedChildUnits !== undefined) period.assignedChildUnits = { ...changes.assignedChildUnits };
+  if (changes.overrides !== undefined) period.overrides = changes.overrides;
+
+  (changes.moveChildUnits || []).forEach(move => {
+    const available = period.assignedChildUnits[move.from] || 0;
+    if (move.units > available + 1e-9) {
+      errors.push(`Cannot move ${move.units} child units from ${move.from}, only ${available} assigned`);
+      return;
+    }
+    period.assignedChildUnits[move.from] = Math.round((available - move.units) * 10000) / 10000;
+    period.assignedChildUnits[move.to] = Math.round(((period.assignedChildUnits[move.to] || 0) + move.units) * 10000) / 10000;
+  });
+
+  return errors;
+}
+
+/**
+ * Run the unit method, care ledger and vision planner for a household and period
+ * @param {Household} household - Household configuration
+ * @param {Period} period - Period to calculate
+ * @returns {Object} { unitMethod, careLedger, visionAndBuffers }
+ */
+export function runCalculations(household, period) {
+  const validation = period.validate(household);
+  if (!validation.isValid) {
+    throw new Error(`Period validation failed: ${validation.errors.join(', ')}`);
+  }
+
+  const unitMethod = new UnitMethodCalculator(household, period).calculate();
+  const careLedger = new CareLedgerCalculator(household, period).applyCareLedger(unitMethod);
+  const visionAndBuffers = new VisionAndBuffersPlanner(household, period).planVisionAndBuffers();
+
+  return { unitMethod, careLedger, visionAndBuffers };
+}
+
+/**
+ * Compare a scenario result with the baseline, adult by adult
+ * @param {Object|null} baseline - Baseline calculations (null if the baseline cannot be calculated)
+ * @param {Object} scenario - Scenario calculations
+ * @param {string} currency - Household currency
+ * @returns {Object} Per-adult and summary differences
+ */
+export function diffScenario(baseline, scenario, currency) {
+  const digits = getMinorUnitDigits(currency);
+  const baselineAdults = baseline ? baseline.unitMethod.adults : [];
+
+  const adults = scenario.unitMethod.adults.map(adult => {
+    const before = baselineAdults.find(candidate => candidate.adultId === adult.adultId);
+    const changeMinor = adult.finalShareMinor - (before ? before.finalShareMinor : 0);
+    return {
+      adultId: adult.adultId,
+      adultName: adult.adultName,
+      status: !before ? "added" : (changeMinor === 0 ? "unchanged" : "changed"),
+      baselineShare: before ? before.finalShare : null,
+      scenarioShare: adult.finalShare,
+      change: fromMinor(changeMinor, digits),
+      baselineCapped: before ? before.cappedFlag : null,
+      scenarioCapped: adult.cappedFlag
+    };
+  });
+
+  baselineAdults
+    .filter(before => !scenario.unitMethod.adults.some(adult => adult.adultId === before.adultId))
+    .forEach(before => {
+      adults.push({
+        adultId: before.adultId,
+        adultName: before.adultName,
+        status: "removed",
+        baselineShare: before.finalShare,
+        scenarioShare: null,
+        change: -before.finalShare,
+        baselineCapped: before.cappedFlag,
+        scenarioCapped: null
+      });
+    });
+
+  const summaryValue = (calculations, pick) => (calculations ? pick(calculations) : null);
+  const summary = {};
+  [
+    ["sumFinal", calc => calc.unitMethod.totals.sumFinal],
+    ["deficit", calc => calc.unitMethod.totals.deficit],
+    ["nextPeriodCoreTotal", calc => calc.careLedger.summary.nextPeriodCorePreview.estimatedCoreTotal],
+    ["emergencyTarget", calc => calc.visionAndBuffers.emergencyTarget],
+    ["monthlyVisionAllocation", calc => calc.visionAndBuffers.monthlyVisionAllocation]
+  ].forEach(([key, pick]) => {
+    const before = summaryValue(baseline, pick);
+    const after = pick(scenario);
+    summary[key] = {
+      baseline: before,
+      scenario: after,
+      change: before === null ? null : Math.round((after - before) * 100) / 100
+    };
+  });
+
+  return { adults, summary };
+}
+
+/**
+ * Run a what-if scenario against the current household and period
+ * Neither argument is modified.
+ * @param {Household} household - Real household
+ * @param {Period} period - Real period
+ * @param {Object} changes - Scenario changes (see applyScenarioChanges)
+ * @returns {Object} Scenario calculations, baseline calculations and per-adult diff
+ */
+export function runScenario(household, period, changes = {}) {
+  let baseline = null;
+  let baselineError = null;
+  try {
+    const copies = cloneForScenario(household, period);
+    baseline = runCalculations(copies.household, copies.period);
+  } catch (error) {
+    baselineError = error.message;
+  }
+
+  const copies = cloneForScenario(household, period);
+  const changeErrors = applyScenarioChanges(copies.household, copies.period, changes);
+  if (changeErrors.length > 0) {
+    throw new Error(`Scenario changes could not be applied: ${changeErrors.join(', ')}`);
+  }
+
+  const scenario = runCalculations(copies.household, copies.period);
+
+  return {
+    changes,
+    scenario,
+    baseline,
+    baselineError,
+    diff: diffScenario(baseline, scenario, household.currency)
+  };
+}
@@ -0,0 +1,183 @@
+/**
+ * Sinking fund allocator for LLC Governance Dashboard
+ * Shares the monthly vision allocation across sinking funds by priority and deadline
+ */
+
+import { allocateLargestRemainder, fromMinor, getMinorUnitDigits, toMinor } from './money.js';
+
+/**
+ * Count the months from one period label to another
+ * @param {string} from - Period label (YYYY-MM)
+ * @param {string} to - Period label or date (YYYY-MM or YYYY-MM-DD)
+ * @returns {number} Months between them (negative when `to` is earlier)
+ */
+export function monthsBetween(from, to) {
+  const [fromYear, fromMonth] = from.split('-').map(Number);
+  const [toYear, toMonth] = to.split('-').map(Number);
+  return (toYear - fromYear) * 12 + (toMonth - fromMonth);
+}
+
+/**
+ * Move a period label forward by a number of months
+ * @param {string} label - Period label (YYYY-MM)
+ * @param {number} months - Months to add
+ * @returns {string} Period label
+ */
+export function addMonths(label, months) {
+  const [year, month] = label.split('-').map(Number);
+  const index = year * 12 + (month - 1) + months;
+  return `${Math.floor(index / 12)}-${String(index % 12 + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Guess a fund's priority from its name (lower number = higher priority)
+ * Used for funds without an explicit priority.
+ * @param {Object} fund - Sinking fund
+ * @returns {number} Priority
+ */
+export function guessFundPriority(fund) {
+  const name = fund.name.toLowerCase();
+
+  // Emergency-related funds get highest priority
+  if (name.includes('emergency') || name.includes('medical') || name.includes('deductible')) {
+    return 1;
+  }
+  // Vehicle and home maintenance get medium priority
+  if (name.includes('vehicle') || name.includes('home') || name.includes('maintenance')) {
+    return 2;
+  }
+  // Other funds get lower priority
+  return 3;
+}
+
+/**
+ * Fill in a household sinking fund's defaults for planning
+ * @param {Object} fund - Household sinking fund
+ * @returns {Object} { name, annualTarget, currentBalance, account, priority, prioritySource, targetDate }
+ */
+export function normalizeSinkingFund(fund) {
+  return {
+    name: fund.name,
+    annualTarget: fund.annualTarget,
+    currentBalance: fund.currentBalance || 0,
+    account: fund.account || "HYSA",
+    priority: fund.priority !== undefined ? fund.priority : guessFundPriority(fund),
+    prioritySource: fund.priority !== undefined ? "explicit" : "name",
+    ...(fund.targetDate ? { targetDate: fund.targetDate } : {})
+  };
+}
+
+/**
+ * Work out the monthly transfer a fund asks for
+ * Funds with a target date ask for what is still missing spread over the months
+ * left (all of it once the date has come); other funds save annualTarget / 12.
+ * @param {Object} fund - { annualTarget, currentBalance, targetDate }
+ * @param {string} fromLabel - Period the transfer is planned for
+ * @returns {Object} { requestedTransfer, monthsLeft, remaining }
+ */
+export function getRequestedTransfer(fund, fromLabel) {
+  const remaining = Math.max(0, fund.annualTarget - (fund.currentBalance || 0));
+  if (!fund.targetDate) {
+    return { requestedTransfer: fund.annualTarget / 12, monthsLeft: null, remaining };
+  }
+  const monthsLeft = Math.max(1, monthsBetween(fromLabel, fund.targetDate));
+  return { requestedTransfer: remaining / monthsLeft, monthsLeft, remaining };
+}
+
+/**
+ * Allocate the money available for sinking funds
+ * Funds are filled tier by tier, lowest priority number first. When a tier
+ * asks for more than is left, what is left is split pro rata to each fund's
+ * requested transfer and lower tiers get nothing.
+ * @param {Array} funds - Funds with { name, annualTarget, currentBalance, priority, targetDate }
+ * @param {number} available - Money available this month
+ * @param {Object} options - { fromLabel, currency }
+ * @returns {Object} { funds, summary } where each fund gains requested and allocated transfers and projections
+ */
+export function allocateSinkingFunds(funds, available, { fromLabel, currency }) {
+  const digits = getMinorUnitDigits(currency);
+  let remainingMinor = Math.max(0, toMinor(available, digits));
+
+  const planned = funds.map((fund, index) => {
+    const request = getRequestedTransfer(fund, fromLabel);
+    return { index, fund, ...request, requestedMinor: toMinor(request.requestedTransfer, digits), allocatedMinor: 0 };
+  });
+
+  const tiers = [...new Set(planned.map(plan => plan.fund.priority))].sort((a, b) => a - b);
+  tiers.forEach(priority => {
+    const tier = planned.filter(plan => plan.fund.priority === priority);
+    const requestedMinor = tier.reduce((sum, plan) => sum + plan.requestedMinor, 0);
+    if (requestedMinor <= remainingMinor) {
+      tier.forEach(plan => { plan.allocatedMinor = plan.requestedMinor; });
+      remainingMinor -= requestedMinor;
+      return;
+    }
+    const { amounts } = allocateLargestRemainder(remainingMinor, tier.map(plan => plan.requestedMinor));
+    tier.forEach((plan, position) => { plan.allocatedMinor = amounts[position]; });
+    remainingMinor = 0;
+  });
+
+  const results = planned.map(plan => {
+    const allocatedTransfer = fromMinor(plan.allocatedMinor, digits);
+    const requestedTransfer = fromMinor(plan.requestedMinor, digits);
+    let projectedCompletion = null;
+    if (plan.remaining <= 0) {
+      projectedCompletion = fromLabel;
+    } else if (allocatedTransfer > 0) {
+      projectedCompletion = addMonths(fromLabel, Math.ceil(plan.remaining / allocatedTransfer));
+    }
+    const shortfallAtTargetDate = plan.monthsLeft === null
+      ? null
+      : Math.max(0, Math.round((plan.remaining - allocatedTransfer * plan.monthsLeft) * 100) / 100);
+    return {
+      ...plan.fund,
+      requestedTransfer,
+      allocatedTransfer,
+      monthlyShortfall: fromMinor(plan.requestedMinor - plan.allocatedMinor, digits),
+      fundedPercent: plan.requestedMinor > 0 ? Math.round(plan.allocatedMinor / plan.requestedMinor * 10000) / 100 : 100,
+      projectedCompletion,
+      shortfallAtTargetDate,
+      onTrack: plan.allocatedMinor >= plan.requestedMinor
+    };
+  });
+
+  const requestedMinor = planned.reduce((sum, plan) => sum + plan.requestedMinor, 0);
+  const allocatedMinor = planned.reduce((sum, plan) => sum + plan.allocatedMinor, 0);
+  const missedDates = results
+    .filter(fund => fund.targetDate && !fund.onTrack)
+    .map(fund => fund.targetDate)
+    .sort();
+
+  return {
+    funds: results,
+    summary: {
+      available: fromMinor(Math.max(0, toMinor(available, digits)), digits),
+      requested: fromMinor(requestedMinor, digits),
+      allocated: fromMinor(allocatedMinor, digits),
+      unallocated: fromMinor(remainingMinor, digits),
+      shortfall: fromMinor(requestedMinor - allocatedMinor, digits),
+      fullyFunded: allocatedMinor >= requestedMinor,
+      underfundedFunds: results.filter(fund => !fund.onTrack).map(fund => fund.name),
+      firstShortfallDate: missedDates.length > 0 ? missedDates[0] : null
+    }
+  };
+}
+
+/**
+ * Validate a sinking fund's priority and target date
+ * @param {Object} fund - Sinking fund
+ * @returns {Array} Problems as { field, message } with JSON pointers relative to the fund
+ */
+export function validateSinkingFund(fund) {
+  const problems = [];
+  if (fund.priority !== undefined && (!Number.isInteger(fund.priority) || fund.priority < 1)) {
+    problems.push({ field: "/priority", message: `Sinking fund ${fund.name} priority must be a whole number of at least 1, found ${fund.priority}` });
+  }
+  if (fund.targetDate !== undefined && !/^\d{4}-\d{2}(-\d{2})?$/.test(fund.targetDate)) {
+    problems.push({ field: "/targetDate", message: `Sinking fund ${fund.name} targetDate must be YYYY-MM or YYYY-MM-DD, found ${fund.targetDate}` });
+  }
+  if (typeof fund.annualTarget !== 'number' || fund.annualTarget < 0) {
+    problems.push({ field: "/annualTarget", message: `Sinking fund ${fund.name} has invalid annualTarget: ${fund.annualTarget}` });
+  }
+  return problems;
+}
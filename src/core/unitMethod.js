@@ -3,12 +3,39 @@
  * Implements fair cost sharing with income caps and optional overrides
  */
 
+import { DEFAULT_ALLOCATION_STRATEGY, getAllocationStrategy } from './allocationStrategies.js';
+import { auditEvent } from './auditTrail.js';
+import { resolveHouseholdIncome } from './income.js';
+import { normalizeCoreCategories } from './coreCategories.js';
+import { allocateLargestRemainder, convertAmount, fromMinor, getFxRate, getMinorUnitDigits, toMinor } from './money.js';
+import {
+  describeProration,
+  getEffectiveChildUnits,
+  getPresenceFraction,
+  hasProration,
+  validateChildUnitCoverage,
+  validateProrationSpans
+} from './proration.js';
+import { createViolation, isWithinRange, resolveHouseholdPolicy } from '../models/householdPolicy.js';
+
 export class UnitMethodCalculator {
-  constructor(household, period) {
+  /**
+   * @param {Object} household - Household configuration
+   * @param {Object} period - Period being calculated
+   * @param {Object} [options] - Calculation options
+   * @param {string} [options.strategy] - Allocation strategy id, overrides household.allocationStrategy
+   * @param {Object} [options.strategyOptions] - Strategy options, override household.allocationOptions
+   */
+  constructor(household, period, options = {}) {
     this.household = household;
     this.period = period;
-    this.tolerance = 0.01; // Tolerance for rebalancing
-    this.maxIterations = 10; // Maximum rebalancing iterations
+    this.strategyId = options.strategy || household.allocationStrategy || DEFAULT_ALLOCATION_STRATEGY;
+    this.strategyOptions = options.strategyOptions || household.allocationOptions || {};
+    this.tolerance = 0.01; // Tolerance for child unit checks
+    this.minorDigits = getMinorUnitDigits(household.currency);
+    // A temporary cap agreed by every adult applies to this period only
+    const capAdjustment = period.capAdjustment;
+    this.capPercent = capAdjustment && capAdjustment.appliedAt ? capAdjustment.capPercent : household.capPercent;
   }
 
   /**
@@ -19,53 +46,120 @@ export class UnitMethodCalculator {
     // Validate inputs
     const validation = this._validateInputs();
     if (!validation.isValid) {
-      throw new Error(`Input validation failed: ${validation.errors.join(', ')}`);
+      const error = new Error(`Input validation failed: ${validation.errors.join(', ')}`);
+      error.violations = validation.violations;
+      throw error;
     }
 
+    const strategy = getAllocationStrategy(this.strategyId);
+
     // Initialize calculation
     const result = {
+      strategy: strategy.id,
+      currency: this.household.currency,
+      fxRates: {},
       unitCost: 0,
+      categories: [],
       adults: [],
       totals: {
         sumFinal: 0,
         sumPrelim: 0,
-        diffFromCore: 0
+        diffFromCore: 0,
+        coreTotalMinor: 0,
+        sumFinalMinor: 0,
+        sumPrelimMinor: 0,
+        diffFromCoreMinor: 0,
+        deficit: 0,
+        deficitMinor: 0
       },
+      rounds: [],
       auditTrail: [],
       warnings: []
     };
 
-    // Calculate basic unit values
-    const totalUnits = this.household.getTotalUnits();
+    // Calculate basic unit values (prorated by days present)
+    const adultContext = this._buildStrategyContext();
+    const adultUnitTotal = adultContext.adults.reduce((sum, adult) => sum + adult.adultUnits, 0);
+    const childUnitTotal = adultContext.adults.reduce((sum, adult) => sum + adult.assignedChildUnits, 0);
+    const totalUnits = adultUnitTotal + childUnitTotal;
     const unitCost = this.period.coreTotal / totalUnits;
     result.unitCost = unitCost;
 
-    result.auditTrail.push(`Total units: ${totalUnits} (${this.household.adults.length} adults + ${this.household.getTotalChildUnits()} child units)`);
-    result.auditTrail.push(`Unit cost: ${this.period.coreTotal} / ${totalUnits} = ${unitCost.toFixed(2)}`);
+    this.household.adults.forEach(adult => {
+      result.auditTrail.push(...describeProration(this.period, adult));
+      const income = resolveHouseholdIncome(this.household, adult, this.period);
+      if (income.source !== "household") {
+        this._audit(result, "INCOME_RESOLVED", {
+          adultId: adult.id,
+          adultName: adult.name,
+          inputs: { source: income.source, method: income.method, effectiveFrom: income.effectiveFrom },
+          outputs: { netIncome: income.amount, currency: income.incomeCurrency }
+        });
+      }
+      if (income.incomeCurrency !== this.household.currency) {
+        if (!(income.incomeCurrency in result.fxRates)) {
+          result.fxRates[income.incomeCurrency] = income.fxRate;
+          this._audit(result, "FX_RATE", {
+            inputs: { currency: income.incomeCurrency, householdCurrency: this.household.currency, periodLabel: this.period.label },
+            outputs: { rate: income.fxRate }
+          });
+        }
+        this._audit(result, "INCOME_CONVERTED", {
+          adultId: adult.id,
+          adultName: adult.name,
+          inputs: { amount: income.amount, currency: income.incomeCurrency, rate: income.fxRate },
+          outputs: { netIncome: income.netIncome, currency: this.household.currency }
+        });
+      }
+    });
+    this._audit(result, "TOTAL_UNITS", {
+      inputs: { adultUnits: adultUnitTotal, childUnits: childUnitTotal },
+      outputs: { totalUnits }
+    });
+    this._audit(result, "UNIT_COST", {
+      inputs: { coreTotal: this.period.coreTotal, totalUnits },
+      outputs: { unitCost }
+    });
+
+    this._audit(result, "ALLOCATION_STRATEGY", { inputs: { strategy: strategy.id, label: strategy.label } });
+    if (this.capPercent !== this.household.capPercent) {
+      this._audit(result, "CAP_ADJUSTED", {
+        inputs: { householdCapPercent: this.household.capPercent, consents: this.period.capAdjustment.consents.length },
+        outputs: { capPercent: this.capPercent }
+      });
+    }
+
+    // Split each cost line with its own rule, in integer minor units so shares
+    // always add up exactly to the core total
+    const coreMinor = toMinor(this.period.coreTotal, this.minorDigits);
+    const lines = this._buildCostLines(coreMinor);
+    const breakdowns = this.household.adults.map(() => ({}));
+
+    result.categories = lines.map(line => ({
+      categoryId: line.categoryId,
+      name: line.name,
+      rule: line.strategy.id,
+      amount: fromMinor(line.amountMinor, this.minorDigits),
+      adultIds: line.adultIds
+    }));
+
+    lines.forEach(line => this._allocateLine(result, line, lines.length > 1, breakdowns));
 
     // Calculate preliminary shares for each adult
-    this.household.adults.forEach(adult => {
-      const adultUnits = 1.0;
-      const assignedChildUnits = this.period.assignedChildUnits[adult.id] || 0;
-      const totalUnits = adultUnits + assignedChildUnits;
-      const prelimShare = unitCost * totalUnits;
-      const capAmount = this.household.capPercent * adult.netIncome;
+    this.household.adults.forEach((adult, index) => {
+      const { adultUnits, assignedChildUnits, totalUnits, netIncome, incomeCurrency, fxRate } = adultContext.adults[index];
+      const prelimShareMinor = Object.values(breakdowns[index]).reduce((sum, amount) => sum + amount, 0);
+      const capAmountMinor = toMinor(this.capPercent * netIncome, this.minorDigits);
       const override = this.period.overrides[adult.id] || null;
       
-      let finalShare;
-      let cappedFlag = false;
-      
+      const finalShareMinor = override !== null ? toMinor(override, this.minorDigits) : 0;
       if (override !== null) {
-        finalShare = override;
-        result.auditTrail.push(`${adult.name}: Override set to ${finalShare.toFixed(2)}`);
-      } else {
-        if (prelimShare <= capAmount) {
-          finalShare = prelimShare;
-        } else {
-          finalShare = capAmount;
-          cappedFlag = true;
-          result.auditTrail.push(`${adult.name}: Capped at ${capAmount.toFixed(2)} (${(this.household.capPercent * 100)}% of income)`);
-        }
+        this._audit(result, "OVERRIDE_SET", {
+          adultId: adult.id,
+          adultName: adult.name,
+          inputs: { override },
+          outputs: { finalShare: fromMinor(finalShareMinor, this.minorDigits) }
+        });
       }
 
       result.adults.push({
@@ -74,130 +168,505 @@ export class UnitMethodCalculator {
         adultUnits,
         assignedChildUnits,
         totalUnits,
-        netIncome: adult.netIncome,
-        prelimShare: Math.round(prelimShare * 100) / 100,
-        capAmount: Math.round(capAmount * 100) / 100,
+        netIncome,
+        incomeCurrency,
+        fxRate,
+        prelimShare: fromMinor(prelimShareMinor, this.minorDigits),
+        capAmount: fromMinor(capAmountMinor, this.minorDigits),
         override,
-        finalShare: Math.round(finalShare * 100) / 100,
-        cappedFlag
+        finalShare: fromMinor(finalShareMinor, this.minorDigits),
+        cappedFlag: false,
+        cappedByRedistribution: false,
+        capRound: null,
+        categoryBreakdown: {},
+        prelimShareMinor,
+        capAmountMinor,
+        finalShareMinor,
+        prelimBreakdownMinor: breakdowns[index]
       });
     });
 
-    // Calculate totals
-    result.totals.sumPrelim = result.adults.reduce((sum, adult) => sum + adult.prelimShare, 0);
-    result.totals.sumFinal = result.adults.reduce((sum, adult) => sum + adult.finalShare, 0);
-    result.totals.diffFromCore = Math.round((result.totals.sumFinal - this.period.coreTotal) * 100) / 100;
+    // Apply caps and redistribute until no adult exceeds their cap
+    this._solveCaps(result, coreMinor);
+    this._splitFinalByCategory(result);
+    this._reportInIncomeCurrency(result);
 
-    result.auditTrail.push(`Sum of preliminary shares: ${result.totals.sumPrelim.toFixed(2)}`);
-    result.auditTrail.push(`Sum of final shares: ${result.totals.sumFinal.toFixed(2)}`);
-    result.auditTrail.push(`Difference from Core total: ${result.totals.diffFromCore.toFixed(2)}`);
-
-    // Check if rebalancing is needed
-    if (Math.abs(result.totals.diffFromCore) > this.tolerance) {
-      const rebalanceResult = this._rebalance(result);
-      Object.assign(result, rebalanceResult);
-    }
+    this._audit(result, "SUM_PRELIM", { outputs: { sumPrelim: result.totals.sumPrelim } });
+    this._audit(result, "SUM_FINAL", { outputs: { sumFinal: result.totals.sumFinal } });
+    this._audit(result, "DIFF_FROM_CORE", {
+      inputs: { coreTotal: fromMinor(result.totals.coreTotalMinor, this.minorDigits) },
+      outputs: { diffFromCore: result.totals.diffFromCore }
+    });
 
     // Check for deficit after caps
-    if (result.totals.diffFromCore < -this.tolerance) {
+    if (result.totals.diffFromCoreMinor < 0) {
       const deficitWarning = this._handleDeficitAfterCaps(result);
       result.warnings.push(deficitWarning);
     }
 
+    // Check for overrides that on their own exceed the core total
+    const overriddenMinor = result.adults
+      .filter(adult => adult.override !== null)
+      .reduce((sum, adult) => sum + adult.finalShareMinor, 0);
+    if (overriddenMinor > result.totals.coreTotalMinor) {
+      result.warnings.push(this._handleOverridesExceedCore(result, overriddenMinor));
+    }
+
     return result;
   }
 
   /**
-   * Validate calculation inputs
-   * @returns {Object} Validation result
+   * Validate calculation inputs against the household policy
+   * @returns {Object} Validation result with errors and structured violations
    * @private
    */
   _validateInputs() {
-    const errors = [];
+    const violations = [];
+    const fail = (code, field, message, params) => violations.push(createViolation(code, field, message, params));
+    const policy = resolveHouseholdPolicy(this.household);
 
     // Validate household
-    if (this.household.adults.length < 3 || this.household.adults.length > 5) {
-      errors.push(`Household must have 3-5 adults, found ${this.household.adults.length}`);
+    if (this.household.adults.length < policy.adults.min || this.household.adults.length > policy.adults.max) {
+      fail("ADULT_COUNT_OUT_OF_RANGE", "/adults",
+        `Household must have ${policy.adults.min}-${policy.adults.max} adults, found ${this.household.adults.length}`,
+        { min: policy.adults.min, max: policy.adults.max, actual: this.household.adults.length });
     }
 
     // Validate period
     if (this.period.coreTotal <= 0) {
-      errors.push(`Core total must be positive, found ${this.period.coreTotal}`);
+      fail("CORE_TOTAL_NOT_POSITIVE", "/coreTotal", `Core total must be positive, found ${this.period.coreTotal}`,
+        { actual: this.period.coreTotal });
     }
 
-    // Validate assigned child units
-    const totalAssigned = Object.values(this.period.assignedChildUnits).reduce((sum, units) => sum + units, 0);
+    // Validate mid-period membership and child unit spans
+    if (hasProration(this.period)) {
+      if (!/^\d{4}-\d{2}$/.test(this.period.label || "")) {
+        fail("PERIOD_LABEL_INVALID", "/label", `Prorated periods need a YYYY-MM label, found ${this.period.label}`,
+          { actual: this.period.label });
+      } else {
+        validateProrationSpans(this.period, this.household.adults).forEach(error => fail("PRORATION_SPAN_INVALID", "/memberships", error));
+      }
+    }
+
+    // Validate assigned child units (day by day when they change mid-period)
     const expectedTotal = this.household.childrenCount * this.household.childUnitWeight;
-    
-    if (Math.abs(totalAssigned - expectedTotal) > this.tolerance) {
-      errors.push(`Assigned child units (${totalAssigned}) must equal expected total (${expectedTotal})`);
+    if (!violations.some(violation => violation.code === "PERIOD_LABEL_INVALID")) {
+      validateChildUnitCoverage(this.period, this.household.adults, expectedTotal, this.tolerance).forEach(error =>
+        fail("CHILD_UNITS_UNBALANCED", "/assignedChildUnits", error, { expected: expectedTotal }));
     }
 
     // Validate cap percent
-    if (this.household.capPercent < 0.05 || this.household.capPercent > 0.6) {
-      errors.push(`Cap percent must be between 0.05 and 0.6, found ${this.household.capPercent}`);
+    if (!isWithinRange(this.capPercent, policy.capPercent)) {
+      fail("CAP_PERCENT_OUT_OF_RANGE", "/capPercent",
+        `Cap percent must be between ${policy.capPercent.min} and ${policy.capPercent.max}, found ${this.capPercent}`,
+        { ...policy.capPercent, actual: this.capPercent });
+    }
+
+    // Validate FX rates for adults paid in another currency
+    this.household.adults.forEach(adult => {
+      const incomeCurrency = adult.incomeCurrency || this.household.currency;
+      if (getFxRate(this.period.fxRates, incomeCurrency, this.household.currency) === null) {
+        fail("FX_RATE_MISSING", `/fxRates/${incomeCurrency}`,
+          `Missing FX rate from ${incomeCurrency} to ${this.household.currency} for ${adult.name}`,
+          { currency: incomeCurrency, householdCurrency: this.household.currency });
+      }
+    });
+
+    // Validate allocation strategy
+    if (!getAllocationStrategy(this.strategyId)) {
+      fail("ALLOCATION_STRATEGY_UNKNOWN", "/allocationStrategy", `Unknown allocation strategy: ${this.strategyId}`,
+        { actual: this.strategyId });
+    } else if (!violations.some(violation => violation.code === "FX_RATE_MISSING")) {
+      this._validateCostLines().forEach(error => fail("ALLOCATION_INVALID", "/categoryAmounts", error));
     }
 
     return {
-      isValid: errors.length === 0,
-      errors
+      isValid: violations.length === 0,
+      errors: violations.map(violation => violation.message),
+      violations
     };
   }
 
   /**
-   * Rebalance shares to match core total
-   * @param {Object} result - Current calculation result
-   * @returns {Object} Updated result with rebalancing
+   * Build the context passed to allocation strategies
+   * @param {Array|null} adultIds - Restrict the context to these adults (null for everyone)
+   * @returns {Object} Strategy context with per-adult units and income
+   * @private
+   */
+  _buildStrategyContext(adultIds = null) {
+    return {
+      household: this.household,
+      period: this.period,
+      options: this.strategyOptions,
+      adults: this.household.adults
+        .filter(adult => adultIds === null || adultIds.includes(adult.id))
+        .map(adult => {
+          const adultUnits = getPresenceFraction(this.period, adult.id);
+          const assignedChildUnits = getEffectiveChildUnits(this.period, adult.id);
+          const income = resolveHouseholdIncome(this.household, adult, this.period);
+          return {
+            adultId: adult.id,
+            adultName: adult.name,
+            adultUnits,
+            assignedChildUnits,
+            totalUnits: adultUnits + assignedChildUnits,
+            netIncome: income.netIncome,
+            incomeCurrency: income.incomeCurrency,
+            fxRate: income.fxRate
+          };
+        })
+    };
+  }
+
+  /**
+   * Build the cost lines to split: one per funded core category plus any
+   * uncategorized remainder, or a single "core" line when no category amounts are set
+   * @param {number} coreMinor - Core total in minor units
+   * @returns {Array} Cost lines with strategy, participants and amount in minor units
    * @private
    */
-  _rebalance(result) {
-    let iteration = 0;
-    let currentDiff = result.totals.diffFromCore;
+  _buildCostLines(coreMinor) {
+    const householdStrategy = getAllocationStrategy(this.strategyId);
+    const categoryAmounts = this.period.categoryAmounts || {};
+    const categories = normalizeCoreCategories(this.household.coreCategories || []);
+    const lines = [];
+
+    categories.forEach(category => {
+      const amount = categoryAmounts[category.id];
+      if (!amount) return;
+      lines.push({
+        categoryId: category.id,
+        name: category.name,
+        strategy: category.rule ? getAllocationStrategy(category.rule) : householdStrategy,
+        rule: category.rule,
+        adultIds: category.adultIds,
+        amountMinor: toMinor(amount, this.minorDigits)
+      });
+    });
 
-    result.auditTrail.push(`Starting rebalancing process...`);
+    const categorizedMinor = lines.reduce((sum, line) => sum + line.amountMinor, 0);
+    if (lines.length === 0 || coreMinor - categorizedMinor !== 0) {
+      lines.push({
+        categoryId: lines.length === 0 ? "core" : "uncategorized",
+        name: lines.length === 0 ? "Core" : "Uncategorized",
+        strategy: householdStrategy,
+        rule: null,
+        adultIds: null,
+        amountMinor: coreMinor - categorizedMinor
+      });
+    }
+
+    return lines;
+  }
+
+  /**
+   * Validate per-category rules, participants and amounts
+   * @returns {string[]} Validation errors
+   * @private
+   */
+  _validateCostLines() {
+    const errors = [];
+    const categoryIds = normalizeCoreCategories(this.household.coreCategories || []).map(category => category.id);
+
+    Object.keys(this.period.categoryAmounts || {}).forEach(categoryId => {
+      if (!categoryIds.includes(categoryId)) {
+        errors.push(`Category amount set for unknown core category: ${categoryId}`);
+      }
+    });
+
+    this._buildCostLines(toMinor(this.period.coreTotal, this.minorDigits)).forEach(line => {
+      if (line.amountMinor < 0) {
+        errors.push(`Category amounts exceed core total by ${this._format(-line.amountMinor)}`);
+        return;
+      }
+      if (!line.strategy) {
+        errors.push(`Category ${line.name} uses unknown split rule: ${line.rule}`);
+        return;
+      }
+      const context = this._buildStrategyContext(line.adultIds);
+      if (context.adults.length === 0) {
+        errors.push(`Category ${line.name} has no participating adults`);
+        return;
+      }
+      if (line.strategy.validate) {
+        errors.push(...line.strategy.validate(context).map(error => line.categoryId === "core" ? error : `${line.name}: ${error}`));
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Split one cost line between its participating adults
+   * @param {Object} result - Current calculation result
+   * @param {Object} line - Cost line from _buildCostLines
+   * @param {boolean} itemized - Whether the core is split into several lines
+   * @param {Array} breakdowns - Per-adult category amounts in minor units, indexed like household.adults
+   * @private
+   */
+  _allocateLine(result, line, itemized, breakdowns) {
+    const context = this._buildStrategyContext(line.adultIds);
+    const weights = line.strategy.weigh(context);
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const allocation = allocateLargestRemainder(line.amountMinor, weights);
+
+    if (itemized) {
+      this._audit(result, "CATEGORY_SPLIT", {
+        inputs: {
+          categoryId: line.categoryId,
+          name: line.name,
+          amount: fromMinor(line.amountMinor, this.minorDigits),
+          rule: line.strategy.id,
+          ruleLabel: line.strategy.label,
+          adultIds: context.adults.map(adult => adult.adultId),
+          adultNames: context.adults.map(adult => adult.adultName)
+        }
+      });
+    }
+    this._recordRemainder(result, allocation, itemized ? `${line.name} shares` : "preliminary shares", context.adults);
+
+    context.adults.forEach((participant, index) => {
+      const adultIndex = this.household.adults.findIndex(adult => adult.id === participant.adultId);
+      breakdowns[adultIndex][line.categoryId] = allocation.amounts[index];
+
+      if (itemized || line.strategy.id !== DEFAULT_ALLOCATION_STRATEGY) {
+        this._audit(result, "STRATEGY_SHARE", {
+          adultId: participant.adultId,
+          adultName: participant.adultName,
+          inputs: { categoryId: line.categoryId, line: line.name, rule: line.strategy.id, weight: weights[index], percent: weights[index] / totalWeight * 100 },
+          outputs: { amount: fromMinor(allocation.amounts[index], this.minorDigits) }
+        });
+      }
+    });
+  }
 
-    while (Math.abs(currentDiff) > this.tolerance && iteration < this.maxIterations) {
-      iteration++;
-      result.auditTrail.push(`Rebalancing iteration ${iteration}`);
+  /**
+   * Split each adult's final share back over their categories
+   * Uncapped adults keep their preliminary breakdown; capped or overridden adults
+   * have their final share spread over categories in proportion to it.
+   * @param {Object} result - Calculation result after cap solving
+   * @private
+   */
+  _splitFinalByCategory(result) {
+    result.adults.forEach(adult => {
+      const categoryIds = Object.keys(adult.prelimBreakdownMinor);
+      const prelimAmounts = categoryIds.map(categoryId => adult.prelimBreakdownMinor[categoryId]);
+      const finalAmounts = adult.finalShareMinor === adult.prelimShareMinor
+        ? prelimAmounts
+        : allocateLargestRemainder(adult.finalShareMinor, prelimAmounts).amounts;
+
+      adult.categoryBreakdown = {};
+      categoryIds.forEach((categoryId, index) => {
+        adult.categoryBreakdown[categoryId] = {
+          prelimShare: fromMinor(prelimAmounts[index], this.minorDigits),
+          finalShare: fromMinor(finalAmounts[index], this.minorDigits)
+        };
+      });
+      delete adult.prelimBreakdownMinor;
+    });
+  }
 
-      // Find adults who can be rebalanced (not capped and not overridden)
-      const rebalanceableAdults = result.adults.filter(adult => 
-        !adult.cappedFlag && adult.override === null
-      );
+  /**
+   * Add each adult's amounts in their own income currency
+   * Shares are settled in the household currency; the converted figures are for
+   * members paid in another currency and use the period's FX rate.
+   * @param {Object} result - Calculation result after cap solving
+   * @private
+   */
+  _reportInIncomeCurrency(result) {
+    result.adults.forEach(adult => {
+      const toIncomeCurrency = (amount) => (adult.fxRate === 1 ? amount : convertAmount(amount, 1 / adult.fxRate, adult.incomeCurrency));
+      adult.incomeCurrencyAmounts = {
+        currency: adult.incomeCurrency,
+        fxRate: adult.fxRate,
+        prelimShare: toIncomeCurrency(adult.prelimShare),
+        capAmount: toIncomeCurrency(adult.capAmount),
+        finalShare: toIncomeCurrency(adult.finalShare)
+      };
+    });
+  }
 
-      if (rebalanceableAdults.length === 0) {
-        result.auditTrail.push(`No adults available for rebalancing (all capped or overridden)`);
+  /**
+   * Distribute the core total under income caps by water-filling
+   * Each round splits what is left of the core (after overrides and capped adults)
+   * over the remaining adults in proportion to their preliminary shares. Anyone
+   * pushed over their cap is fixed at the cap and the next round redistributes the
+   * rest; capping only ever increases the others' portions, so the loop ends after
+   * at most one round per adult.
+   * @param {Object} result - Current calculation result
+   * @param {number} coreMinor - Core total in minor units
+   * @returns {Object} Updated result with final shares, cap flags and deficit
+   * @private
+   */
+  _solveCaps(result, coreMinor) {
+    const overriddenMinor = result.adults
+      .filter(adult => adult.override !== null)
+      .reduce((sum, adult) => sum + adult.finalShareMinor, 0);
+    let remainingMinor = coreMinor - overriddenMinor;
+    let activeAdults = result.adults.filter(adult => adult.override === null);
+    let round = 0;
+
+    while (activeAdults.length > 0) {
+      round++;
+
+      if (remainingMinor <= 0) {
+        activeAdults.forEach(adult => {
+          adult.finalShareMinor = 0;
+        });
+        this._audit(result, "CAP_ROUND_OVERRIDES_EXHAUST", {
+          inputs: {
+            round,
+            overridden: fromMinor(overriddenMinor, this.minorDigits),
+            adultIds: activeAdults.map(adult => adult.adultId),
+            adultNames: activeAdults.map(adult => adult.adultName)
+          }
+        });
+        result.rounds.push({
+          round,
+          remaining: fromMinor(remainingMinor, this.minorDigits),
+          adultIds: activeAdults.map(adult => adult.adultId),
+          newlyCapped: []
+        });
         break;
       }
 
-      // Calculate proportional adjustment
-      const totalPrelimRebalanceable = rebalanceableAdults.reduce((sum, adult) => sum + adult.prelimShare, 0);
-      const adjustmentRatio = -currentDiff / totalPrelimRebalanceable;
+      this._audit(result, "CAP_ROUND", {
+        inputs: {
+          round,
+          remaining: fromMinor(remainingMinor, this.minorDigits),
+          adultIds: activeAdults.map(adult => adult.adultId),
+          adultNames: activeAdults.map(adult => adult.adultName)
+        }
+      });
 
-      result.auditTrail.push(`Adjustment ratio: ${adjustmentRatio.toFixed(4)}`);
+      const allocation = allocateLargestRemainder(remainingMinor, activeAdults.map(adult => adult.prelimShareMinor));
+      this._recordRemainder(result, allocation, `round ${round}`, activeAdults);
 
-      // Apply proportional adjustment
-      rebalanceableAdults.forEach(adult => {
-        const adjustment = adult.prelimShare * adjustmentRatio;
-        adult.finalShare = Math.round((adult.finalShare + adjustment) * 100) / 100;
-        result.auditTrail.push(`${adult.adultName}: Adjusted by ${adjustment.toFixed(2)} to ${adult.finalShare.toFixed(2)}`);
+      const overCap = activeAdults.filter((adult, index) => allocation.amounts[index] > adult.capAmountMinor);
+      result.rounds.push({
+        round,
+        remaining: fromMinor(remainingMinor, this.minorDigits),
+        adultIds: activeAdults.map(adult => adult.adultId),
+        newlyCapped: overCap.map(adult => adult.adultId)
       });
 
-      // Recalculate totals
-      result.totals.sumFinal = result.adults.reduce((sum, adult) => sum + adult.finalShare, 0);
-      currentDiff = Math.round((result.totals.sumFinal - this.period.coreTotal) * 100) / 100;
-      result.totals.diffFromCore = currentDiff;
+      if (overCap.length === 0) {
+        activeAdults.forEach((adult, index) => {
+          adult.finalShareMinor = allocation.amounts[index];
+          if (round > 1) {
+            this._audit(result, "SHARE_REDISTRIBUTED", {
+              adultId: adult.adultId,
+              adultName: adult.adultName,
+              inputs: { round, prelimShare: fromMinor(adult.prelimShareMinor, this.minorDigits) },
+              outputs: { finalShare: fromMinor(adult.finalShareMinor, this.minorDigits) }
+            });
+          }
+        });
+        break;
+      }
 
-      result.auditTrail.push(`After iteration ${iteration}: sumFinal = ${result.totals.sumFinal.toFixed(2)}, diffFromCore = ${currentDiff.toFixed(2)}`);
+      overCap.forEach(adult => {
+        adult.finalShareMinor = adult.capAmountMinor;
+        adult.cappedFlag = true;
+        adult.capRound = round;
+        adult.cappedByRedistribution = adult.prelimShareMinor <= adult.capAmountMinor;
+        remainingMinor -= adult.capAmountMinor;
+        this._audit(result, "CAPPED", {
+          adultId: adult.adultId,
+          adultName: adult.adultName,
+          inputs: {
+            round,
+            netIncome: adult.netIncome,
+            capPercent: this.capPercent,
+            prelimShare: fromMinor(adult.prelimShareMinor, this.minorDigits),
+            byRedistribution: adult.cappedByRedistribution
+          },
+          outputs: { finalShare: fromMinor(adult.capAmountMinor, this.minorDigits) }
+        });
+      });
+
+      activeAdults = activeAdults.filter(adult => !adult.cappedFlag);
     }
 
-    if (iteration >= this.maxIterations) {
-      result.auditTrail.push(`Warning: Maximum rebalancing iterations reached`);
+    this._updateTotals(result, coreMinor);
+
+    if (result.totals.deficitMinor > 0) {
+      this._audit(result, "DEFICIT", { outputs: { deficit: result.totals.deficit } });
     }
 
     return result;
   }
 
+  /**
+   * Recompute totals and major-unit amounts from the minor-unit shares
+   * @param {Object} result - Current calculation result
+   * @param {number} coreMinor - Core total in minor units
+   * @private
+   */
+  _updateTotals(result, coreMinor) {
+    result.adults.forEach(adult => {
+      adult.prelimShare = fromMinor(adult.prelimShareMinor, this.minorDigits);
+      adult.capAmount = fromMinor(adult.capAmountMinor, this.minorDigits);
+      adult.finalShare = fromMinor(adult.finalShareMinor, this.minorDigits);
+    });
+
+    const sumPrelimMinor = result.adults.reduce((sum, adult) => sum + adult.prelimShareMinor, 0);
+    const sumFinalMinor = result.adults.reduce((sum, adult) => sum + adult.finalShareMinor, 0);
+
+    result.totals.coreTotalMinor = coreMinor;
+    result.totals.sumPrelimMinor = sumPrelimMinor;
+    result.totals.sumFinalMinor = sumFinalMinor;
+    result.totals.diffFromCoreMinor = sumFinalMinor - coreMinor;
+    result.totals.sumPrelim = fromMinor(sumPrelimMinor, this.minorDigits);
+    result.totals.sumFinal = fromMinor(sumFinalMinor, this.minorDigits);
+    result.totals.diffFromCore = fromMinor(sumFinalMinor - coreMinor, this.minorDigits);
+    result.totals.deficitMinor = Math.max(0, coreMinor - sumFinalMinor);
+    result.totals.deficit = fromMinor(result.totals.deficitMinor, this.minorDigits);
+  }
+
+  /**
+   * Record which adults received leftover minor units from a largest-remainder split
+   * @param {Object} result - Current calculation result
+   * @param {Object} allocation - Result of allocateLargestRemainder
+   * @param {string} stage - Calculation stage for the audit trail
+   * @param {Array} recipients - Adults aligned with the allocation weights (objects with adultName)
+   * @private
+   */
+  _recordRemainder(result, allocation, stage, recipients) {
+    if (allocation.recipients.length === 0) return;
+
+    this._audit(result, "LARGEST_REMAINDER", {
+      inputs: { stage, leftover: allocation.leftover },
+      outputs: {
+        recipients: allocation.recipients.map(index => ({
+          adultId: recipients[index].adultId,
+          adultName: recipients[index].adultName
+        }))
+      }
+    });
+  }
+
+  /**
+   * Append a structured event to the audit trail
+   * @param {Object} result - Current calculation result
+   * @param {string} code - Event code
+   * @param {Object} [data] - { adultId, adultName, inputs, outputs }
+   * @private
+   */
+  _audit(result, code, data) {
+    result.auditTrail.push(auditEvent("unit_method", code, data));
+  }
+
+  /**
+   * Format a minor-unit amount in major units
+   * @param {number} minor - Amount in minor units
+   * @returns {string} Formatted amount
+   * @private
+   */
+  _format(minor) {
+    return fromMinor(minor, this.minorDigits).toFixed(this.minorDigits);
+  }
+
   /**
    * Handle deficit after caps warning
    * @param {Object} result - Current calculation result
@@ -205,7 +674,7 @@ export class UnitMethodCalculator {
    * @private
    */
   _handleDeficitAfterCaps(result) {
-    const deficit = Math.abs(result.totals.diffFromCore);
+    const deficit = result.totals.deficit;
     const deficitPercent = (deficit / this.period.coreTotal * 100).toFixed(1);
 
     return {
@@ -214,13 +683,13 @@ export class UnitMethodCalculator {
       options: [
         {
           id: "increase_core",
-          label: "Increase core total",
-          description: `Add ${deficit.toFixed(2)} to core total or reclassify items to Personal/Vision`
+          label: "Reclassify core items",
+          description: `Move ${deficit.toFixed(2)} of Core items to Personal/Vision`
         },
         {
           id: "adjust_cap",
           label: "Temporarily adjust cap percent",
-          description: `Increase cap percent to ${(this.household.capPercent + 0.05).toFixed(2)} with logged consent`
+          description: `Increase cap percent to ${(this.capPercent + 0.05).toFixed(2)} with logged consent`
         },
         {
           id: "use_overrides",
@@ -232,6 +701,27 @@ export class UnitMethodCalculator {
     };
   }
 
+  /**
+   * Handle overrides exceeding core warning
+   * @param {Object} result - Current calculation result
+   * @param {number} overriddenMinor - Sum of the overrides in minor units
+   * @returns {Object} Overrides warning with the excess over the core total
+   * @private
+   */
+  _handleOverridesExceedCore(result, overriddenMinor) {
+    const overridden = fromMinor(overriddenMinor, this.minorDigits);
+    const excess = fromMinor(overriddenMinor - result.totals.coreTotalMinor, this.minorDigits);
+
+    return {
+      type: "overrides_exceed_core",
+      message: `Overrides total ${overridden.toFixed(2)}, ${excess.toFixed(2)} more than the core total of ${this.period.coreTotal.toFixed(2)}`,
+      overridden,
+      coreTotal: this.period.coreTotal,
+      excess,
+      adultIds: result.adults.filter(adult => adult.override !== null).map(adult => adult.adultId)
+    };
+  }
+
   /**
    * Get human-readable summary of calculation
    * @param {Object} result - Calculation result
@@ -241,8 +731,9 @@ export class UnitMethodCalculator {
     let summary = `Unit Method Calculation Summary\n`;
     summary += `================================\n\n`;
     
+    summary += `Strategy: ${getAllocationStrategy(result.strategy).label}\n`;
     summary += `Core Total: ${this.period.coreTotal.toFixed(2)} ${this.household.currency}\n`;
-    summary += `Total Units: ${this.household.getTotalUnits()}\n`;
+    summary += `Total Units: ${+result.adults.reduce((sum, adult) => sum + adult.totalUnits, 0).toFixed(4)}\n`;
     summary += `Unit Cost: ${result.unitCost.toFixed(2)} ${this.household.currency}\n\n`;
     
     summary += `Adult Shares:\n`;
@@ -255,7 +746,18 @@ export class UnitMethodCalculator {
         summary += `    Override: ${adult.override.toFixed(2)} ${this.household.currency}\n`;
       }
       summary += `    Final Share: ${adult.finalShare.toFixed(2)} ${this.household.currency}\n`;
-      if (adult.cappedFlag) {
+      if (adult.incomeCurrency !== this.household.currency) {
+        summary += `    In ${adult.incomeCurrency}: ${adult.incomeCurrencyAmounts.finalShare.toFixed(2)} ${adult.incomeCurrency} (1 ${adult.incomeCurrency} = ${adult.fxRate} ${this.household.currency})\n`;
+      }
+      if (result.categories.length > 1) {
+        Object.entries(adult.categoryBreakdown).forEach(([categoryId, breakdown]) => {
+          const category = result.categories.find(line => line.categoryId === categoryId);
+          summary += `      ${category.name}: ${breakdown.finalShare.toFixed(2)} ${this.household.currency}\n`;
+        });
+      }
+      if (adult.cappedByRedistribution) {
+        summary += `    [CAPPED AFTER REDISTRIBUTION]\n`;
+      } else if (adult.cappedFlag) {
         summary += `    [CAPPED]\n`;
       }
       summary += `\n`;
@@ -3,9 +3,28 @@
  * Manages emergency funds, sinking funds, and long-term financial goals
  */
 
+import { auditEvent, formatAuditEvent } from './auditTrail.js';
+import { describeCoreEstimate } from './coreEstimate.js';
+import { computeEmergencyFundStatus } from './emergencyFund.js';
+import { allocateSinkingFunds, normalizeSinkingFund } from './sinkingFundAllocator.js';
+import { getPendingWithdrawals, getScheduledTransfers } from './fundWithdrawals.js';
+
 export class VisionAndBuffersPlanner {
-  constructor(household) {
+  /**
+   * @param {Object} household - Household configuration
+   * @param {Object} [period] - Period being planned; its income snapshots and history apply
+   */
+  constructor(household, period = null) {
     this.household = household;
+    this.period = period;
+  }
+
+  /**
+   * Get total net income for the period being planned
+   * @returns {number} Sum of the incomes that apply to the period
+   */
+  getTotalNetIncome() {
+    return this.household.getTotalNetIncome(this.period);
   }
 
   /**
@@ -15,26 +34,50 @@ export class VisionAndBuffersPlanner {
   planVisionAndBuffers() {
     const result = {
       emergencyTarget: 0,
+      monthlyCoreEstimate: null,
       monthlyVisionAllocation: 0,
       sinkingFunds: [],
+      sinkingFundAllocation: null,
+      pendingWithdrawals: [],
+      scheduledTransfers: [],
       summary: {},
-      guidance: []
+      guidance: [],
+      auditTrail: []
     };
 
     // Calculate emergency fund target
-    const monthlyCore = this._estimateMonthlyCore();
+    result.monthlyCoreEstimate = this._estimateMonthlyCore();
+    const monthlyCore = result.monthlyCoreEstimate.amount;
     result.emergencyTarget = monthlyCore * this.household.emergencyMonths;
     
-    result.guidance.push(`Emergency fund target: ${this.household.emergencyMonths} months × ${monthlyCore.toFixed(2)} ${this.household.currency} = ${result.emergencyTarget.toFixed(2)} ${this.household.currency}`);
+    this._audit(result, "EMERGENCY_TARGET", {
+      inputs: {
+        months: this.household.emergencyMonths,
+        monthlyCore,
+        basis: describeCoreEstimate(result.monthlyCoreEstimate),
+        historyMonths: result.monthlyCoreEstimate.months,
+        currency: this.household.currency
+      },
+      outputs: { target: result.emergencyTarget }
+    });
 
     // Calculate monthly vision allocation
-    const totalNetIncome = this.household.getTotalNetIncome();
+    const totalNetIncome = this.getTotalNetIncome();
     result.monthlyVisionAllocation = totalNetIncome * this.household.visionAllocPercent / 12;
     
-    result.guidance.push(`Monthly vision allocation: ${(this.household.visionAllocPercent * 100).toFixed(1)}% of ${totalNetIncome.toFixed(2)} ${this.household.currency} = ${result.monthlyVisionAllocation.toFixed(2)} ${this.household.currency}/month`);
+    this._audit(result, "VISION_ALLOCATION", {
+      inputs: { percent: this.household.visionAllocPercent, totalNetIncome, currency: this.household.currency },
+      outputs: { monthly: result.monthlyVisionAllocation }
+    });
 
     // Plan sinking funds
-    result.sinkingFunds = this._planSinkingFunds(result.monthlyVisionAllocation);
+    const allocation = this._planSinkingFunds(result.monthlyVisionAllocation);
+    result.sinkingFunds = allocation.funds;
+    result.sinkingFundAllocation = allocation.summary;
+
+    // Withdrawals waiting for a vote and repayments due this month
+    result.pendingWithdrawals = getPendingWithdrawals(this.household);
+    result.scheduledTransfers = getScheduledTransfers(this.household, this._getPlanningLabel());
 
     // Generate summary
     result.summary = this._generateSummary(result);
@@ -43,109 +86,65 @@ export class VisionAndBuffersPlanner {
   }
 
   /**
-   * Estimate monthly core expenses
-   * @returns {number} Estimated monthly core amount
+   * Record an audit event and its guidance line
+   * @param {Object} result - Current planning result
+   * @param {string} code - Event code
+   * @param {Object} data - { inputs, outputs }
+   * @private
+   */
+  _audit(result, code, data) {
+    const event = auditEvent("vision", code, data);
+    result.auditTrail.push(event);
+    result.guidance.push(formatAuditEvent(event));
+  }
+
+  /**
+   * Estimate monthly core expenses from the core totals of past periods
+   * @returns {Object} Estimate ({ amount, source, method, requestedMonths, months })
    * @private
    */
   _estimateMonthlyCore() {
-    // This would typically use historical data or user input
-    // For now, use a reasonable estimate based on household size
-    const baseAmount = 2000; // Base monthly amount
-    const adultMultiplier = this.household.adults.length * 0.8;
-    const childMultiplier = this.household.childrenCount * 0.4;
-    
-    return Math.round((baseAmount * (adultMultiplier + childMultiplier)) * 100) / 100;
+    return this.household.getMonthlyCoreEstimate(this.period);
   }
 
   /**
    * Plan sinking funds with monthly transfers
+   * Funds are filled by priority (explicit, or guessed from the name), pro rata
+   * within a tier when the vision allocation runs short.
    * @param {number} monthlyVisionAllocation - Monthly vision allocation amount
-   * @returns {Array} Array of sinking fund plans
+   * @returns {Object} { funds, summary } from allocateSinkingFunds
    * @private
    */
   _planSinkingFunds(monthlyVisionAllocation) {
-    const sinkingFunds = [];
-    let remainingAllocation = monthlyVisionAllocation;
+    const fromLabel = this._getPlanningLabel();
+    const funds = this.household.sinkingFunds.map(normalizeSinkingFund);
 
-    this.household.sinkingFunds.forEach(fund => {
-      const monthlyTransfer = fund.annualTarget / 12;
-      const priority = this._calculateFundPriority(fund);
-      
-      sinkingFunds.push({
-        name: fund.name,
-        annualTarget: fund.annualTarget,
-        monthlyTransfer: Math.round(monthlyTransfer * 100) / 100,
-        currentBalance: fund.currentBalance || 0,
-        account: fund.account || "HYSA",
-        priority,
-        monthsToTarget: this._calculateMonthsToTarget(fund.currentBalance || 0, fund.annualTarget, monthlyTransfer),
-        guidance: this._generateFundGuidance(fund, monthlyTransfer)
-      });
-    });
+    const allocation = allocateSinkingFunds(funds, monthlyVisionAllocation, { fromLabel, currency: this.household.currency });
 
-    // Sort by priority
-    sinkingFunds.sort((a, b) => a.priority - b.priority);
+    allocation.funds = allocation.funds
+      .map(fund => ({
+        ...fund,
+        pendingWithdrawals: getPendingWithdrawals(this.household, fund.name)
+          .reduce((sum, pending) => Math.round((sum + pending.amount) * 100) / 100, 0),
+        monthlyTransfer: fund.allocatedTransfer,
+        monthsToTarget: this._calculateMonthsToTarget(fund.currentBalance, fund.annualTarget, fund.allocatedTransfer),
+        guidance: this._generateFundGuidance(fund, fund.allocatedTransfer)
+      }))
+      .sort((a, b) => a.priority - b.priority);
 
-    // Calculate total monthly transfers
-    const totalMonthlyTransfers = sinkingFunds.reduce((sum, fund) => sum + fund.monthlyTransfer, 0);
-    
-    // Check if we can afford all funds
-    if (totalMonthlyTransfers > monthlyVisionAllocation) {
-      // Add warning to guidance array
-      sinkingFunds.push({
-        name: "WARNING",
-        annualTarget: 0,
-        monthlyTransfer: 0,
-        currentBalance: 0,
-        account: "N/A",
-        priority: 999,
-        monthsToTarget: 0,
-        guidance: `Warning: Total sinking fund transfers (${totalMonthlyTransfers.toFixed(2)} ${this.household.currency}/month) exceed monthly vision allocation (${monthlyVisionAllocation.toFixed(2)} ${this.household.currency}/month). Consider reducing annual targets or increasing vision allocation percentage.`
-      });
-    } else {
-      // Add remaining allocation info
-      sinkingFunds.push({
-        name: "REMAINING",
-        annualTarget: 0,
-        monthlyTransfer: 0,
-        currentBalance: 0,
-        account: "N/A",
-        priority: 999,
-        monthsToTarget: 0,
-        guidance: `Total sinking fund transfers: ${totalMonthlyTransfers.toFixed(2)} ${this.household.currency}/month. Remaining vision allocation: ${(monthlyVisionAllocation - totalMonthlyTransfers).toFixed(2)} ${this.household.currency}/month.`
-      });
-    }
-
-    return sinkingFunds;
+    return allocation;
   }
 
   /**
-   * Calculate fund priority (lower number = higher priority)
-   * @param {Object} fund - Sinking fund object
-   * @returns {number} Priority score
+   * Get the period label transfers are planned from
+   * @returns {string} Period label (YYYY-MM)
    * @private
    */
-  _calculateFundPriority(fund) {
-    let priority = 0;
-    
-    // Emergency-related funds get highest priority
-    if (fund.name.toLowerCase().includes('emergency') || 
-        fund.name.toLowerCase().includes('medical') ||
-        fund.name.toLowerCase().includes('deductible')) {
-      priority = 1;
-    }
-    // Vehicle and home maintenance get medium priority
-    else if (fund.name.toLowerCase().includes('vehicle') ||
-             fund.name.toLowerCase().includes('home') ||
-             fund.name.toLowerCase().includes('maintenance')) {
-      priority = 2;
-    }
-    // Other funds get lower priority
-    else {
-      priority = 3;
+  _getPlanningLabel() {
+    if (this.period && /^\d{4}-\d{2}$/.test(this.period.label)) {
+      return this.period.label;
     }
-    
-    return priority;
+    return new Date().toISOString().slice(0, 7);
   }
 
   /**
@@ -182,6 +181,13 @@ export class VisionAndBuffersPlanner {
     
     const monthsToTarget = this._calculateMonthsToTarget(currentBalance, fund.annualTarget, monthlyTransfer);
     
+    if (fund.targetDate) {
+      if (fund.shortfallAtTargetDate > 0) {
+        return `Will be ${fund.shortfallAtTargetDate.toFixed(2)} ${this.household.currency} short on ${fund.targetDate} at ${monthlyTransfer.toFixed(2)} ${this.household.currency}/month; ${fund.requestedTransfer.toFixed(2)} ${this.household.currency}/month is needed.`;
+      }
+      return `On track to reach target by ${fund.targetDate}.`;
+    }
+    
     if (monthsToTarget <= 12) {
       return `On track to reach target in ${monthsToTarget} months.`;
     } else if (monthsToTarget <= 24) {
@@ -198,54 +204,49 @@ export class VisionAndBuffersPlanner {
    * @private
    */
   _generateSummary(result) {
-    const totalSinkingFunds = result.sinkingFunds.reduce((sum, fund) => sum + fund.monthlyTransfer, 0);
-    const remainingVision = result.monthlyVisionAllocation - totalSinkingFunds;
+    const allocation = result.sinkingFundAllocation;
+    const emergencyFundStatus = this._getEmergencyFundStatus(result.emergencyTarget, result.monthlyCoreEstimate.amount);
     
     return {
-      emergencyFundStatus: this._getEmergencyFundStatus(result.emergencyTarget),
+      emergencyFundStatus,
       visionAllocationBreakdown: {
         total: result.monthlyVisionAllocation,
-        sinkingFunds: totalSinkingFunds,
-        remaining: remainingVision
+        sinkingFunds: allocation.allocated,
+        remaining: allocation.unallocated,
+        shortfall: allocation.shortfall
       },
-      recommendations: this._generateRecommendations(result)
+      recommendations: this._generateRecommendations(result, emergencyFundStatus)
     };
   }
 
   /**
-   * Get emergency fund status
+   * Get emergency fund status from the recorded balance
    * @param {number} emergencyTarget - Emergency fund target
+   * @param {number} monthlyCore - Monthly core estimate behind the target
    * @returns {Object} Emergency fund status
    * @private
    */
-  _getEmergencyFundStatus(emergencyTarget) {
-    // This would typically check actual emergency fund balance
-    // For now, return a placeholder status
-    return {
-      target: emergencyTarget,
-      currentBalance: 0, // Would be actual balance
-      status: "building", // "building", "maintaining", "fully_funded"
-      monthsToTarget: 0, // Would be calculated based on current balance
-      guidance: "Continue building emergency fund to reach target"
-    };
+  _getEmergencyFundStatus(emergencyTarget, monthlyCore) {
+    return computeEmergencyFundStatus(this.household, emergencyTarget, monthlyCore);
   }
 
   /**
    * Generate recommendations based on plan
    * @param {Object} result - Planning result
+   * @param {Object} fundStatus - Emergency fund status
    * @returns {Array} Array of recommendations
    * @private
    */
-  _generateRecommendations(result) {
+  _generateRecommendations(result, fundStatus) {
     const recommendations = [];
     
     // Emergency fund recommendations
-    if (result.emergencyTarget > 0) {
+    if (result.emergencyTarget > 0 && fundStatus.status !== "fully_funded") {
       recommendations.push({
         type: "emergency_fund",
-        priority: "high",
-        message: `Build emergency fund to ${result.emergencyTarget.toFixed(2)} ${this.household.currency} (${this.household.emergencyMonths} months of core expenses)`,
-        action: "Allocate additional funds to emergency savings"
+        priority: fundStatus.status === "maintaining" ? "medium" : "high",
+        message: `Build emergency fund to ${result.emergencyTarget.toFixed(2)} ${this.household.currency} (${this.household.emergencyMonths} months of core expenses), ${fundStatus.remaining.toFixed(2)} ${this.household.currency} to go`,
+        action: fundStatus.monthlyContribution > 0 ? "Keep the planned monthly contribution going" : "Plan a monthly emergency fund contribution"
       });
     }
     
@@ -262,14 +263,14 @@ export class VisionAndBuffersPlanner {
     });
     
     // Vision allocation recommendations
-    const totalSinkingFunds = result.sinkingFunds.reduce((sum, fund) => sum + fund.monthlyTransfer, 0);
-    const remainingVision = result.monthlyVisionAllocation - totalSinkingFunds;
+    const allocation = result.sinkingFundAllocation;
     
-    if (remainingVision < 0) {
+    if (allocation.shortfall > 0) {
+      const missed = allocation.firstShortfallDate ? ` First missed target date: ${allocation.firstShortfallDate}.` : '';
       recommendations.push({
         type: "vision_allocation",
         priority: "high",
-        message: "Monthly vision allocation insufficient for all sinking funds. Consider increasing allocation percentage or reducing fund targets.",
+        message: `Monthly vision allocation is ${allocation.shortfall.toFixed(2)} ${this.household.currency} short of what the sinking funds need; underfunded: ${allocation.underfundedFunds.join(', ')}.${missed} Consider increasing allocation percentage or reducing fund targets.`,
         action: "Review vision allocation percentage and reducing fund targets"
       });
     }
@@ -288,30 +289,58 @@ export class VisionAndBuffersPlanner {
     
     summary += `Emergency Fund:\n`;
     summary += `  Target: ${result.emergencyTarget.toFixed(2)} ${this.household.currency}\n`;
-    summary += `  Status: Building\n`;
-    summary += `  Guidance: Continue building emergency fund to reach target\n\n`;
+    summary += `  Monthly Core Estimate: ${result.monthlyCoreEstimate.amount.toFixed(2)} ${this.household.currency} (${describeCoreEstimate(result.monthlyCoreEstimate)})\n`;
+    const fundStatus = result.summary.emergencyFundStatus;
+    summary += `  Balance: ${fundStatus.currentBalance.toFixed(2)} ${this.household.currency}\n`;
+    summary += `  Status: ${fundStatus.status.split('_').map(word => word[0].toUpperCase() + word.slice(1)).join(' ')}\n`;
+    summary += `  Months to Target: ${fundStatus.monthsToTarget === null ? 'n/a (no monthly contribution)' : fundStatus.monthsToTarget}\n`;
+    summary += `  Guidance: ${fundStatus.guidance}\n\n`;
     
     summary += `Vision Allocation:\n`;
     summary += `  Monthly Total: ${result.monthlyVisionAllocation.toFixed(2)} ${this.household.currency}\n`;
     
-    const totalSinkingFunds = result.sinkingFunds.reduce((sum, fund) => sum + fund.monthlyTransfer, 0);
-    const remainingVision = result.monthlyVisionAllocation - totalSinkingFunds;
+    const allocation = result.sinkingFundAllocation;
     
-    summary += `  Sinking Funds: ${totalSinkingFunds.toFixed(2)} ${this.household.currency}\n`;
-    summary += `  Remaining: ${remainingVision.toFixed(2)} ${this.household.currency}\n\n`;
+    summary += `  Sinking Funds: ${allocation.allocated.toFixed(2)} of ${allocation.requested.toFixed(2)} ${this.household.currency} requested\n`;
+    summary += `  Remaining: ${allocation.unallocated.toFixed(2)} ${this.household.currency}\n`;
+    if (allocation.shortfall > 0) {
+      summary += `  Shortfall: ${allocation.shortfall.toFixed(2)} ${this.household.currency} (underfunded: ${allocation.underfundedFunds.join(', ')})\n`;
+      if (allocation.firstShortfallDate) {
+        summary += `  First Missed Target Date: ${allocation.firstShortfallDate}\n`;
+      }
+    }
+    summary += `\n`;
+    
+    if (result.pendingWithdrawals.length > 0) {
+      summary += `Pending Withdrawals (awaiting vote):\n`;
+      result.pendingWithdrawals.forEach(pending => {
+        summary += `  ${pending.fund}: ${pending.amount.toFixed(2)} ${this.household.currency} for ${pending.purpose} (${pending.tally.yes} of ${pending.tally.quorum} yes votes)\n`;
+      });
+      summary += `\n`;
+    }
+    
+    if (result.scheduledTransfers.length > 0) {
+      summary += `Scheduled Repayments This Month:\n`;
+      result.scheduledTransfers.forEach(transfer => {
+        summary += `  ${transfer.fund}: ${transfer.amount.toFixed(2)} ${this.household.currency} (${transfer.note})\n`;
+      });
+      summary += `\n`;
+    }
     
     summary += `Sinking Funds:\n`;
     result.sinkingFunds.forEach(fund => {
-      if (fund.name === "WARNING" || fund.name === "REMAINING") {
-        summary += `${fund.guidance}\n\n`;
-      } else {
-        summary += `  ${fund.name}:\n`;
-        summary += `    Annual Target: ${fund.annualTarget.toFixed(2)} ${this.household.currency}\n`;
-        summary += `    Monthly Transfer: ${fund.monthlyTransfer.toFixed(2)} ${this.household.currency}\n`;
-        summary += `    Current Balance: ${fund.currentBalance.toFixed(2)} ${this.household.currency}\n`;
-        summary += `    Months to Target: ${fund.monthsToTarget}\n`;
-        summary += `    Guidance: ${fund.guidance}\n\n`;
+      summary += `  ${fund.name} (priority ${fund.priority}):\n`;
+      summary += `    Annual Target: ${fund.annualTarget.toFixed(2)} ${this.household.currency}\n`;
+      if (fund.targetDate) {
+        summary += `    Target Date: ${fund.targetDate}\n`;
+      }
+      summary += `    Monthly Transfer: ${fund.monthlyTransfer.toFixed(2)} of ${fund.requestedTransfer.toFixed(2)} ${this.household.currency} requested\n`;
+      summary += `    Current Balance: ${fund.currentBalance.toFixed(2)} ${this.household.currency}\n`;
+      if (fund.pendingWithdrawals > 0) {
+        summary += `    Pending Withdrawals: ${fund.pendingWithdrawals.toFixed(2)} ${this.household.currency}\n`;
       }
+      summary += `    Months to Target: ${fund.monthsToTarget}\n`;
+      summary += `    Guidance: ${fund.guidance}\n\n`;
     });
     
     return summary;
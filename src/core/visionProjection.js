@@ -0,0 +1,242 @@
+/**
+ * Multi-year vision projection for LLC Governance Dashboard
+ * Simulates sinking fund and emergency fund balances month by month, with interest,
+ * planned transfers, scheduled withdrawals and changes to the vision allocation
+ */
+
+import { EMERGENCY_FUND_NAME, getEmergencyFundBalance, getEmergencyFundSettings } from './emergencyFund.js';
+import { fromMinor, getMinorUnitDigits, toMinor } from './money.js';
+import { addMonths, allocateSinkingFunds, monthsBetween, normalizeSinkingFund } from './sinkingFundAllocator.js';
+import { getScheduledTransfers } from './fundWithdrawals.js';
+
+export const MAX_PROJECTION_YEARS = 30;
+
+export const DEFAULT_PROJECTION = {
+  years: 5,
+  withdrawals: [], // [{ fund, label: "YYYY-MM", amount, note }]
+  allocationChanges: [], // [{ from: "YYYY-MM", visionAllocPercent }]
+  accounts: {} // Per-projection APY overrides: { accountName: { apy } }
+};
+
+const LABEL_PATTERN = /^\d{4}-\d{2}$/;
+
+/**
+ * Get the monthly interest rate of an account from its APY
+ * @param {number} apy - Annual percentage yield (0.045 = 4.5%)
+ * @returns {number} Monthly rate that compounds to the APY over 12 months
+ * @private
+ */
+function monthlyRate(apy) {
+  return Math.pow(1 + apy, 1 / 12) - 1;
+}
+
+/**
+ * Get the vision allocation percent in force in a month
+ * @param {Array} changes - Allocation changes sorted by `from`
+ * @param {string} label - Month (YYYY-MM)
+ * @param {number} basePercent - Household vision allocation percent
+ * @returns {number} Percent in force
+ * @private
+ */
+function allocationPercentFor(changes, label, basePercent) {
+  return changes.reduce((percent, change) => (change.from <= label ? change.visionAllocPercent : percent), basePercent);
+}
+
+/**
+ * Validate projection options
+ * @param {Object} options - { years, startLabel, withdrawals, allocationChanges, accounts }
+ * @param {Object} household - Household (withdrawals must name one of its funds)
+ * @returns {Array} Problems as { field, message } with JSON pointers relative to the options
+ */
+export function validateProjectionOptions(options = {}, household) {
+  const problems = [];
+  const fundNames = [...household.sinkingFunds.map(fund => fund.name), EMERGENCY_FUND_NAME];
+
+  if (options.years !== undefined &&
+      (!Number.isInteger(options.years) || options.years < 1 || options.years > MAX_PROJECTION_YEARS)) {
+    problems.push({ field: "/years", message: `years must be a whole number from 1 to ${MAX_PROJECTION_YEARS}, found ${options.years}` });
+  }
+  if (options.startLabel !== undefined && !LABEL_PATTERN.test(options.startLabel)) {
+    problems.push({ field: "/startLabel", message: `startLabel must be YYYY-MM, found ${options.startLabel}` });
+  }
+  (options.withdrawals || []).forEach((withdrawal, index) => {
+    if (!fundNames.includes(withdrawal.fund)) {
+      problems.push({ field: `/withdrawals/${index}/fund`, message: `Withdrawal ${index + 1} names unknown fund: ${withdrawal.fund}` });
+    }
+    if (!LABEL_PATTERN.test(withdrawal.label || '')) {
+      problems.push({ field: `/withdrawals/${index}/label`, message: `Withdrawal ${index + 1} label must be YYYY-MM, found ${withdrawal.label}` });
+    }
+    if (typeof withdrawal.amount !== 'number' || withdrawal.amount <= 0) {
+      problems.push({ field: `/withdrawals/${index}/amount`, message: `Withdrawal ${index + 1} has invalid amount: ${withdrawal.amount}` });
+    }
+  });
+  (options.allocationChanges || []).forEach((change, index) => {
+    if (!LABEL_PATTERN.test(change.from || '')) {
+      problems.push({ field: `/allocationChanges/${index}/from`, message: `Allocation change ${index + 1} from must be YYYY-MM, found ${change.from}` });
+    }
+    if (typeof change.visionAllocPercent !== 'number' || change.visionAllocPercent < 0 || change.visionAllocPercent > 0.5) {
+      problems.push({ field: `/allocationChanges/${index}/visionAllocPercent`,
+        message: `Allocation change ${index + 1} visionAllocPercent must be between 0 and 0.5, found ${change.visionAllocPercent}` });
+    }
+  });
+  problems.push(...validateAccounts(options.accounts).map(problem => ({ ...problem, field: `/accounts${problem.field}` })));
+  return problems;
+}
+
+/**
+ * Validate account interest settings
+ * @param {Object} accounts - { accountName: { apy } }
+ * @returns {Array} Problems as { field, message } with JSON pointers relative to the accounts
+ */
+export function validateAccounts(accounts = {}) {
+  return Object.entries(accounts)
+    .map(([name, account]) => [name, (account || {}).apy])
+    .filter(([, apy]) => typeof apy !== 'number' || apy < 0 || apy >= 1)
+    .map(([name, apy]) => ({
+      field: `/${name}/apy`,
+      message: `Account ${name} apy must be at least 0 and below 1, found ${apy}`
+    }));
+}
+
+/**
+ * Project vision balances month by month
+ * Each month the vision allocation (at the percent in force) is shared across the
+ * sinking funds by the same priority rules as the monthly plan (dated goals stop
+ * once their target date has passed), the emergency fund
+ * receives its planned contribution until it reaches its target, repayments
+ * scheduled by approved withdrawals are added, scheduled withdrawals are taken,
+ * and interest is added at each account's APY.
+ * @param {Object} household - Household with sinkingFunds, accounts and emergencyFund
+ * @param {Object} [period] - Period being planned (income, start month and emergency target)
+ * @param {Object} [options] - { years, startLabel, withdrawals, allocationChanges, accounts }
+ * @returns {Object} { startLabel, endLabel, labels, series, totals, goals, warnings } with one value per label in each series
+ */
+export function projectVision(household, period = null, options = {}) {
+  const settings = { ...DEFAULT_PROJECTION, ...options };
+  const currency = household.currency;
+  const digits = getMinorUnitDigits(currency);
+  const startLabel = settings.startLabel ||
+    (period && LABEL_PATTERN.test(period.label) ? period.label : new Date().toISOString().slice(0, 7));
+  const months = settings.years * 12;
+  const labels = Array.from({ length: months }, (_, index) => addMonths(startLabel, index));
+  const accounts = { ...(household.accounts || {}), ...settings.accounts };
+  const apyFor = (account) => (accounts[account] ? accounts[account].apy : 0);
+  const totalNetIncome = household.getTotalNetIncome(period);
+  const allocationChanges = [...settings.allocationChanges].sort((a, b) => a.from.localeCompare(b.from));
+
+  const emergencySettings = getEmergencyFundSettings(household);
+  const emergencyTarget = household.getEmergencyTarget(period);
+  const funds = household.sinkingFunds.map(normalizeSinkingFund);
+  const tracks = [
+    ...funds.map(fund => ({ kind: "sinking_fund", fund, name: fund.name, account: fund.account, target: fund.annualTarget,
+      targetDate: fund.targetDate || null, balanceMinor: toMinor(fund.currentBalance, digits) })),
+    { kind: "emergency_fund", name: EMERGENCY_FUND_NAME, account: emergencySettings.account || "HYSA", target: emergencyTarget,
+      targetDate: null, balanceMinor: toMinor(getEmergencyFundBalance(household), digits) }
+  ].map(track => ({
+    ...track,
+    apy: apyFor(track.account),
+    rate: monthlyRate(apyFor(track.account)),
+    reachedLabel: track.balanceMinor >= toMinor(track.target, digits) && track.target > 0 ? startLabel : null,
+    balances: [],
+    transfers: [],
+    withdrawals: [],
+    interest: []
+  }));
+  const visionAllocation = [];
+  const warnings = [];
+
+  labels.forEach(label => {
+    const percent = allocationPercentFor(allocationChanges, label, household.visionAllocPercent);
+    const available = totalNetIncome * percent / 12;
+    visionAllocation.push(Math.round(available * 100) / 100);
+
+    // Planned transfers (a dated goal stops saving once its target date has passed)
+    const allocation = allocateSinkingFunds(
+      tracks.filter(track => track.kind === "sinking_fund" && !(track.targetDate && monthsBetween(label, track.targetDate) < 0))
+        .map(track => ({ ...track.fund, currentBalance: fromMinor(track.balanceMinor, digits) })),
+      available,
+      { fromLabel: label, currency }
+    );
+    tracks.forEach(track => {
+      let transferMinor = 0;
+      if (track.kind === "sinking_fund") {
+        const planned = allocation.funds.find(fund => fund.name === track.name);
+        transferMinor = planned ? toMinor(planned.allocatedTransfer, digits) : 0;
+      } else if (emergencySettings.monthlyContribution > 0) {
+        const gapMinor = Math.max(0, toMinor(track.target, digits) - track.balanceMinor);
+        transferMinor = Math.min(toMinor(emergencySettings.monthlyContribution, digits), gapMinor);
+      }
+      getScheduledTransfers(household, label)
+        .filter(transfer => transfer.fund === track.name)
+        .forEach(transfer => { transferMinor += toMinor(transfer.amount, digits); });
+      track.balanceMinor += transferMinor;
+
+      // Scheduled withdrawals (never below zero)
+      let withdrawnMinor = 0;
+      settings.withdrawals
+        .filter(withdrawal => withdrawal.fund === track.name && withdrawal.label === label)
+        .forEach(withdrawal => {
+          const requestedMinor = toMinor(withdrawal.amount, digits);
+          const takenMinor = Math.min(requestedMinor, track.balanceMinor);
+          if (takenMinor < requestedMinor) {
+            warnings.push({
+              label,
+              fund: track.name,
+              message: `${track.name} is ${fromMinor(requestedMinor - takenMinor, digits).toFixed(2)} ${currency} short for the ${withdrawal.amount.toFixed(2)} ${currency} withdrawal${withdrawal.note ? ` (${withdrawal.note})` : ''} in ${label}`
+            });
+          }
+          track.balanceMinor -= takenMinor;
+          withdrawnMinor += takenMinor;
+        });
+
+      // Interest on the month's closing balance
+      const interestMinor = Math.round(track.balanceMinor * track.rate);
+      track.balanceMinor += interestMinor;
+
+      if (!track.reachedLabel && track.target > 0 && track.balanceMinor >= toMinor(track.target, digits)) {
+        track.reachedLabel = label;
+      }
+      track.balances.push(fromMinor(track.balanceMinor, digits));
+      track.transfers.push(fromMinor(transferMinor, digits));
+      track.withdrawals.push(fromMinor(withdrawnMinor, digits));
+      track.interest.push(fromMinor(interestMinor, digits));
+    });
+  });
+
+  const sumSeries = (key) => labels.map((_, index) =>
+    fromMinor(tracks.reduce((sum, track) => sum + toMinor(track[key][index], digits), 0), digits));
+
+  return {
+    startLabel,
+    endLabel: labels[labels.length - 1],
+    currency,
+    labels,
+    series: tracks.map(track => ({
+      name: track.name,
+      kind: track.kind,
+      account: track.account,
+      apy: track.apy,
+      target: track.target,
+      targetDate: track.targetDate,
+      balances: track.balances,
+      transfers: track.transfers,
+      withdrawals: track.withdrawals,
+      interest: track.interest
+    })),
+    totals: {
+      visionAllocation,
+      balances: sumSeries('balances'),
+      transfers: sumSeries('transfers'),
+      withdrawals: sumSeries('withdrawals'),
+      interest: sumSeries('interest')
+    },
+    goals: tracks.map(track => ({
+      name: track.name,
+      target: track.target,
+      targetDate: track.targetDate,
+      reachedLabel: track.reachedLabel,
+      onTime: track.targetDate ? track.reachedLabel !== null && monthsBetween(track.reachedLabel, track.targetDate) >= 0 : null
+    })),
+    warnings
+  };
+}
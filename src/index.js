@@ -3,17 +3,40 @@
  * Entry point for the governance and finance hub
  */
 
+import { readFileSync } from 'fs';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
+import multer from 'multer';
 import { Household } from './models/household.js';
 import { Period } from './models/period.js';
+import { getHouseholdSchema, validateSchema } from './models/schemas.js';
+import { createViolation, DEFAULT_HOUSEHOLD_POLICY, resolveHouseholdPolicy } from './models/householdPolicy.js';
 import { UnitMethodCalculator } from './core/unitMethod.js';
-import { CareLedgerCalculator } from './core/careLedger.js';
+import { getAllocationStrategy, listAllocationStrategies } from './core/allocationStrategies.js';
+import { CARE_COMPENSATION_MODES, CareLedgerCalculator, getCareCompensationMode } from './core/careLedger.js';
 import { VisionAndBuffersPlanner } from './core/visionAndBuffers.js';
+import { runScenario } from './core/scenarios.js';
+import { filterAuditTrailForAdult, renderAuditTrail } from './core/auditTrail.js';
+import { getMinorUnitDigits } from './core/money.js';
+import { recordIncomeSnapshots, resolveIncome, validateIncomeSnapshot } from './core/income.js';
+import { recordCapConsent, resolveDeficit } from './core/deficitResolution.js';
+import { CARE_ENTRY_STATUSES, getCareEntryStatus } from './core/careApproval.js';
+import { CARE_TIME_BANDS, listCareTaskTypes, priceCareEntry } from './core/careRates.js';
+import { getAvailableCareCredits, getCareCreditStatement, postCareCredits } from './core/careCreditLedger.js';
+import { confirmCareImport, detectCareImportFormat, previewCareImport } from './core/careImport.js';
+import { DEFAULT_CORE_ESTIMATE, describeCoreEstimate, validateCoreEstimateSettings } from './core/coreEstimate.js';
+import { computeEmergencyFundStatus, getEmergencyFundSettings, recordEmergencyFundTransaction, validateEmergencyFund } from './core/emergencyFund.js';
+import { projectVision, validateProjectionOptions } from './core/visionProjection.js';
+import { PROPOSAL_TEMPLATES } from './core/proposalTemplates.js';
+import { castWithdrawalVote, requestFundWithdrawal } from './core/fundWithdrawals.js';
+import { castProposalVote, findProposal, requestPeriodReopen, tallyProposal, WITHDRAWAL_TEMPLATE } from './core/proposals.js';
+import { rolloverPeriod } from './core/periodRollover.js';
+import { createExport, readExport } from './persistence/exportFormat.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const APP_VERSION = JSON.parse(readFileSync('package.json', 'utf8')).version; // Read from the working directory, like public/
 
 // Middleware
 app.use(helmet());
@@ -21,9 +44,15 @@ app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.static('public'));
 
+// Uploaded import files are kept in memory until parsed
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
 // In-memory storage (in production, use a proper database)
 let currentHousehold = null;
-let currentPeriod = null;
+let currentPeriod = null; // The period being worked on, one of `periods`
+const periods = new Map(); // Period label -> Period, every period of the household
+const savedScenarios = new Map(); // Scenario name -> { name, description, changes, createdAt }
+const careImportPreviews = new Map(); // Preview ID -> { id, periodLabel, fileName, format, entries, duplicates, rejected, summary, createdAt }
 
 // Routes
 
@@ -61,10 +90,21 @@ app.get('/', (req, res) => {
 /**
  * POST /api/household/onboard - Onboarding wizard endpoint
  * Creates a new household with all required settings
+ * The body is checked against the household schema for its policy before the remaining household rules run
  */
 app.post('/api/household/onboard', (req, res) => {
   try {
     const householdData = req.body;
+
+    const schemaViolations = validateSchema(getHouseholdSchema(householdData), householdData);
+    if (schemaViolations.length > 0) {
+      return res.status(400).json({
+        error: "Household does not match the schema",
+        details: schemaViolations.map(violation => violation.message),
+        violations: schemaViolations,
+        policy: resolveHouseholdPolicy(householdData)
+      });
+    }
     
     // Create and validate household
     const household = new Household(householdData);
@@ -73,12 +113,15 @@ app.post('/api/household/onboard', (req, res) => {
     if (!validation.isValid) {
       return res.status(400).json({
         error: "Household validation failed",
-        details: validation.errors
+        details: validation.errors,
+        violations: validation.violations,
+        policy: household.getPolicy()
       });
     }
     
     // Store household
     currentHousehold = household;
+    periods.clear();
     
     // Create initial period
     const currentDate = new Date();
@@ -97,10 +140,12 @@ app.post('/api/household/onboard', (req, res) => {
         currentPeriod.assignedChildUnits[adult.id] = unitsPerAdult;
       });
     }
+    periods.set(currentPeriod.label, currentPeriod);
     
     res.json({
       message: "Household created successfully",
       household: household.toJSON(),
+      policy: household.getPolicy(),
       period: currentPeriod.toJSON(),
       nextSteps: [
         "Set core total for current period",
@@ -117,6 +162,17 @@ app.post('/api/household/onboard', (req, res) => {
   }
 });
 
+/**
+ * GET /api/household/policy - Get validation limits for onboarding forms
+ * Returns the current household's policy, or the defaults before onboarding
+ */
+app.get('/api/household/policy', (req, res) => {
+  res.json({
+    policy: currentHousehold ? currentHousehold.getPolicy() : resolveHouseholdPolicy(),
+    defaults: DEFAULT_HOUSEHOLD_POLICY
+  });
+});
+
 /**
  * POST /api/period/calculate - Calculate unit method shares
  * Runs the complete calculation including unit method, care ledger, and vision planning
@@ -129,12 +185,21 @@ app.post('/api/period/calculate', (req, res) => {
       });
     }
     
-    const { coreTotal, assignedChildUnits, overrides } = req.body;
+    const { coreTotal, categoryAmounts, assignedChildUnits, memberships, childUnitSpans, overrides, recurringOverrides, fxRates } = req.body;
+    const inputs = { coreTotal, categoryAmounts, assignedChildUnits, memberships, childUnitSpans, overrides, recurringOverrides, fxRates };
     
-    // Update period with new data
-    if (coreTotal !== undefined) currentPeriod.coreTotal = coreTotal;
-    if (assignedChildUnits !== undefined) currentPeriod.assignedChildUnits = assignedChildUnits;
-    if (overrides !== undefined) currentPeriod.overrides = overrides;
+    // An approved or closed period only recalculates on its stored figures
+    if (Object.values(inputs).some(value => value !== undefined)) {
+      if (currentPeriod.isLocked) {
+        const message = `Period ${currentPeriod.label} is ${currentPeriod.status}; reopen it or move it back to review before changing its figures`;
+        return res.status(400).json({
+          error: "Period is locked",
+          details: message,
+          violations: [createViolation("PERIOD_LOCKED", "/status", message, { actual: currentPeriod.status })]
+        });
+      }
+      currentPeriod.setCalculationInputs(inputs);
+    }
     
     // Validate period
     const periodValidation = currentPeriod.validate(currentHousehold);
@@ -154,9 +219,21 @@ app.post('/api/period/calculate', (req, res) => {
     const careResult = careCalculator.applyCareLedger(unitResult);
     
     // Plan vision and buffers
-    const visionPlanner = new VisionAndBuffersPlanner(currentHousehold);
+    const visionPlanner = new VisionAndBuffersPlanner(currentHousehold, currentPeriod);
     const visionResult = visionPlanner.planVisionAndBuffers();
     
+    // Keep the explanation with the period (a locked period keeps its last one)
+    if (!currentPeriod.isLocked) {
+      if (["draft", "reopened"].includes(currentPeriod.status)) {
+        currentPeriod.transitionTo("calculated");
+      }
+      currentPeriod.setCalculationAudit([...unitResult.auditTrail, ...careResult.auditTrail, ...visionResult.auditTrail]);
+      currentPeriod.setCareCreditsApplied(Object.fromEntries(
+        Object.entries(careResult.creditApplication).map(([adultId, application]) => [adultId, application.applied])
+      ));
+      currentPeriod.setNextPeriodCorePreview(careResult.summary.nextPeriodCorePreview);
+    }
+    
     // Generate council agenda
     const councilAgenda = generateCouncilAgenda(currentPeriod, unitResult, careResult, visionResult);
     
@@ -182,6 +259,13 @@ app.post('/api/period/calculate', (req, res) => {
     });
     
   } catch (error) {
+    if (error.violations) {
+      return res.status(400).json({
+        error: "Calculation input validation failed",
+        details: error.message,
+        violations: error.violations
+      });
+    }
     res.status(500).json({
       error: "Calculation failed",
       details: error.message
@@ -190,42 +274,259 @@ app.post('/api/period/calculate', (req, res) => {
 });
 
 /**
- * POST /api/period/close - Close month and lock period
- * Locks the period and generates final exports
+ * GET /api/allocation-strategies - List available allocation strategies
  */
-app.post('/api/period/close', (req, res) => {
+app.get('/api/allocation-strategies', (req, res) => {
+  res.json({
+    current: currentHousehold ? currentHousehold.allocationStrategy : null,
+    strategies: listAllocationStrategies()
+  });
+});
+
+/**
+ * POST /api/household/allocation-strategy - Switch the household allocation strategy
+ */
+app.post('/api/household/allocation-strategy', (req, res) => {
+  if (!currentHousehold) {
+    return res.status(404).json({
+      error: "No household configured"
+    });
+  }
+  
+  const { strategy, options } = req.body;
+  
+  if (!getAllocationStrategy(strategy)) {
+    return res.status(400).json({
+      error: "Unknown allocation strategy",
+      details: [`Strategy "${strategy}" is not registered`]
+    });
+  }
+  
+  currentHousehold.allocationStrategy = strategy;
+  if (options !== undefined) currentHousehold.allocationOptions = options;
+  
+  res.json({
+    message: "Allocation strategy updated",
+    household: currentHousehold.toJSON()
+  });
+});
+
+/**
+ * GET /api/period/strategy-comparison - Compare all strategies for the current period
+ * Runs the unit method calculation once per registered strategy without changing the household
+ */
+app.get('/api/period/strategy-comparison', (req, res) => {
   try {
-    if (!currentPeriod) {
+    if (!currentHousehold || !currentPeriod) {
       return res.status(400).json({
-        error: "No active period to close"
+        error: "Household and period must be configured first"
       });
     }
     
-    // Lock the period
-    currentPeriod.lock();
+    const comparison = listAllocationStrategies().map(strategy => {
+      try {
+        const calculator = new UnitMethodCalculator(currentHousehold, currentPeriod, { strategy: strategy.id });
+        const result = calculator.calculate();
+        return {
+          strategy: strategy.id,
+          label: strategy.label,
+          adults: result.adults.map(adult => ({
+            adultId: adult.adultId,
+            adultName: adult.adultName,
+            prelimShare: adult.prelimShare,
+            finalShare: adult.finalShare,
+            cappedFlag: adult.cappedFlag
+          })),
+          totals: result.totals,
+          warnings: result.warnings
+        };
+      } catch (error) {
+        return {
+          strategy: strategy.id,
+          label: strategy.label,
+          error: error.message
+        };
+      }
+    });
     
     res.json({
-      message: "Period closed successfully",
-      period: currentPeriod.toJSON(),
-      nextSteps: [
-        "Download generated exports",
-        "Schedule council meeting using generated calendar file",
-        "Begin planning for next period"
-      ]
+      periodLabel: currentPeriod.label,
+      current: currentHousehold.allocationStrategy,
+      comparison
     });
     
   } catch (error) {
     res.status(500).json({
-      error: "Failed to close period",
+      error: "Strategy comparison failed",
       details: error.message
     });
   }
 });
 
 /**
- * GET /api/household/status - Get current household status
+ * POST /api/scenarios/preview - Run a what-if scenario without saving it
+ * Calculates on copies of the household and period; the real numbers are untouched
  */
-app.get('/api/household/status', (req, res) => {
+app.post('/api/scenarios/preview', (req, res) => {
+  try {
+    if (!currentHousehold || !currentPeriod) {
+      return res.status(400).json({
+        error: "Household and period must be configured first"
+      });
+    }
+    
+    const scenario = runScenario(currentHousehold, currentPeriod, req.body.changes || {});
+    
+    res.json({
+      periodLabel: currentPeriod.label,
+      ...scenario
+    });
+    
+  } catch (error) {
+    res.status(400).json({
+      error: "Scenario failed",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/scenarios - Save a named scenario
+ * The scenario is validated by running it once; comparisons re-run it against the live baseline
+ */
+app.post('/api/scenarios', (req, res) => {
+  try {
+    if (!currentHousehold || !currentPeriod) {
+      return res.status(400).json({
+        error: "Household and period must be configured first"
+      });
+    }
+    
+    const { name, description, changes } = req.body;
+    if (!name) {
+      return res.status(400).json({
+        error: "Scenario name is required"
+      });
+    }
+    
+    const scenario = runScenario(currentHousehold, currentPeriod, changes || {});
+    const saved = {
+      name,
+      description: description || "",
+      changes: changes || {},
+      createdAt: new Date().toISOString()
+    };
+    savedScenarios.set(name, saved);
+    
+    res.json({
+      message: "Scenario saved",
+      scenario: saved,
+      diff: scenario.diff
+    });
+    
+  } catch (error) {
+    res.status(400).json({
+      error: "Scenario failed",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/scenarios - List saved scenarios
+ */
+app.get('/api/scenarios', (req, res) => {
+  res.json({
+    scenarios: Array.from(savedScenarios.values())
+  });
+});
+
+/**
+ * GET /api/scenarios/compare?names=a,b - Compare saved scenarios side by side
+ * Each scenario is re-run against the current baseline
+ */
+app.get('/api/scenarios/compare', (req, res) => {
+  try {
+    if (!currentHousehold || !currentPeriod) {
+      return res.status(400).json({
+        error: "Household and period must be configured first"
+      });
+    }
+    
+    const names = req.query.names ? String(req.query.names).split(',') : Array.from(savedScenarios.keys());
+    const missing = names.filter(name => !savedScenarios.has(name));
+    if (missing.length > 0) {
+      return res.status(404).json({
+        error: "Scenario not found",
+        details: missing
+      });
+    }
+    
+    const runs = names.map(name => {
+      try {
+        return { name, ...runScenario(currentHousehold, currentPeriod, savedScenarios.get(name).changes) };
+      } catch (error) {
+        return { name, error: error.message };
+      }
+    });
+    
+    // One row per adult with the baseline share and each scenario's share
+    const rows = new Map();
+    runs.filter(run => !run.error).forEach(run => {
+      run.diff.adults.forEach(adult => {
+        if (!rows.has(adult.adultId)) {
+          rows.set(adult.adultId, {
+            adultId: adult.adultId,
+            adultName: adult.adultName,
+            baseline: adult.baselineShare,
+            scenarios: {}
+          });
+        }
+        rows.get(adult.adultId).scenarios[run.name] = {
+          share: adult.scenarioShare,
+          change: adult.change
+        };
+      });
+    });
+    
+    res.json({
+      periodLabel: currentPeriod.label,
+      scenarios: runs.map(run => ({
+        name: run.name,
+        changes: savedScenarios.get(run.name).changes,
+        summary: run.error ? null : run.diff.summary,
+        warnings: run.error ? [] : run.scenario.unitMethod.warnings,
+        error: run.error || null
+      })),
+      adults: Array.from(rows.values())
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      error: "Scenario comparison failed",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/scenarios/:name - Delete a saved scenario
+ */
+app.delete('/api/scenarios/:name', (req, res) => {
+  if (!savedScenarios.delete(req.params.name)) {
+    return res.status(404).json({
+      error: "Scenario not found"
+    });
+  }
+  res.json({
+    message: "Scenario deleted"
+  });
+});
+
+/**
+ * GET /api/household/care-rate-card - Care task types, rates and premiums
+ */
+app.get('/api/household/care-rate-card', (req, res) => {
   if (!currentHousehold) {
     return res.status(404).json({
       error: "No household configured"
@@ -233,49 +534,103 @@ app.get('/api/household/status', (req, res) => {
   }
   
   res.json({
-    household: currentHousehold.toJSON(),
-    period: currentPeriod ? currentPeriod.toJSON() : null,
-    status: {
-      isConfigured: true,
-      hasActivePeriod: !!currentPeriod,
-      periodLocked: currentPeriod ? currentPeriod.isLocked : false
-    }
+    flatRate: currentHousehold.careRatePerHour,
+    taskTypes: listCareTaskTypes(currentHousehold),
+    premiums: currentHousehold.careRateCard.premiums || {}
   });
 });
 
 /**
- * POST /api/household/import - Import household from JSON
+ * POST /api/household/care-rate-card - Replace the care rate card
+ * Body: { taskTypes: { infant_night: { label, rate }, school_run: 15 }, premiums: { night: 0.25, weekend: 0.5 } }
  */
-app.post('/api/household/import', (req, res) => {
+app.post('/api/household/care-rate-card', (req, res) => {
   try {
-    const { household, period } = req.body;
+    if (!currentHousehold) {
+      return res.status(404).json({
+        error: "No household configured"
+      });
+    }
+    
+    const candidate = Household.fromJSON({ ...currentHousehold.toJSON(), careRateCard: req.body });
+    const validation = candidate.validate();
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: "Household validation failed",
+        details: validation.errors,
+        violations: validation.violations
+      });
+    }
+    
+    currentHousehold.careRateCard = req.body;
+    
+    res.json({
+      message: "Care rate card updated",
+      taskTypes: listCareTaskTypes(currentHousehold),
+      premiums: currentHousehold.careRateCard.premiums || {}
+    });
     
-    if (household) {
-      currentHousehold = Household.fromJSON(household);
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to update care rate card",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/period/care-compensation - Choose credit or stipend for an adult this period
+ * Only used by the hybrid care model
+ * Body: { adultId, mode }
+ */
+app.post('/api/period/care-compensation', (req, res) => {
+  try {
+    if (!currentHousehold || !currentPeriod) {
+      return res.status(400).json({
+        error: "Household and period must be configured first"
+      });
     }
     
-    if (period) {
-      currentPeriod = Period.fromJSON(period);
+    const { adultId, mode } = req.body;
+    const errors = [];
+    if (currentHousehold.careModel !== "hybrid") {
+      errors.push(`Care compensation is chosen per adult only under the hybrid care model, household uses ${currentHousehold.careModel}`);
     }
+    if (!currentHousehold.adults.some(adult => adult.id === adultId)) {
+      errors.push(`Unknown adult ${adultId}`);
+    }
+    if (!CARE_COMPENSATION_MODES.includes(mode)) {
+      errors.push(`Invalid care compensation mode ${mode}, expected ${CARE_COMPENSATION_MODES.join(' or ')}`);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Care compensation choice invalid",
+        details: errors
+      });
+    }
+    
+    currentPeriod.setCareCompensationMode(adultId, mode);
     
     res.json({
-      message: "Household imported successfully",
-      household: currentHousehold ? currentHousehold.toJSON() : null,
-      period: currentPeriod ? currentPeriod.toJSON() : null
+      message: "Care compensation mode updated",
+      compensationModes: Object.fromEntries(currentHousehold.adults.map(adult => [
+        adult.id, getCareCompensationMode(currentHousehold, currentPeriod, adult.id)
+      ]))
     });
     
   } catch (error) {
     res.status(500).json({
-      error: "Failed to import household",
+      error: "Failed to update care compensation mode",
       details: error.message
     });
   }
 });
 
 /**
- * GET /api/household/export - Export current household data
+ * GET /api/household/care-credits - Care credit balances per adult
+ * Shows what the current period can apply and what has expired by then
  */
-app.get('/api/household/export', (req, res) => {
+app.get('/api/household/care-credits', (req, res) => {
   if (!currentHousehold) {
     return res.status(404).json({
       error: "No household configured"
@@ -283,67 +638,1394 @@ app.get('/api/household/export', (req, res) => {
   }
   
   res.json({
-    household: currentHousehold.toJSON(),
-    period: currentPeriod ? currentPeriod.toJSON() : null,
-    exportedAt: new Date().toISOString()
+    policy: currentHousehold.careCreditPolicy,
+    periodLabel: currentPeriod ? currentPeriod.label : null,
+    balances: currentHousehold.adults.map(adult => ({
+      adultId: adult.id,
+      adultName: adult.name,
+      ...(currentPeriod
+        ? getAvailableCareCredits(currentHousehold, adult.id, currentPeriod.label)
+        : { balance: getCareCreditStatement(currentHousehold, adult.id).balance })
+    }))
   });
 });
 
-// Helper function to generate council agenda
-function generateCouncilAgenda(period, unitResult, careResult, visionResult) {
-  let agenda = `# Household Council Agenda - ${period.label}\n\n`;
-  agenda += `**Duration:** 60 minutes\n`;
-  agenda += `**Date:** [To be scheduled]\n\n`;
-  
-  agenda += `## 1. Quick Wins (5 min)\n`;
-  agenda += `- Review completed tasks and achievements\n`;
-  agenda += `- Celebrate financial milestones\n\n`;
-  
-  agenda += `## 2. Core Account Health (10 min)\n`;
-  agenda += `- Core total: ${period.coreTotal.toFixed(2)} ${currentHousehold.currency}\n`;
-  agenda += `- Total shares: ${unitResult.totals.sumFinal.toFixed(2)} ${currentHousehold.currency}\n`;
-  agenda += `- Balance: ${unitResult.totals.diffFromCore.toFixed(2)} ${currentHousehold.currency}\n\n`;
-  
-  agenda += `## 3. Care Ledger Adjustments (10 min)\n`;
-  agenda += `- Model: ${careResult.summary.model}\n`;
-  if (careResult.summary.model === "credit") {
-    agenda += `- Credits applied to next month's core shares\n`;
-  } else {
-    agenda += `- Stipend payments: ${careResult.nextMonthCoreIncrease.toFixed(2)} ${currentHousehold.currency}\n`;
+/**
+ * GET /api/household/care-credits/:adultId/statement - Care credit history for one adult
+ */
+app.get('/api/household/care-credits/:adultId/statement', (req, res) => {
+  try {
+    if (!currentHousehold) {
+      return res.status(404).json({
+        error: "No household configured"
+      });
+    }
+    
+    res.json(getCareCreditStatement(currentHousehold, req.params.adultId));
+    
+  } catch (error) {
+    res.status(404).json({
+      error: "Failed to build care credit statement",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/period/care-entries - List care entries, optionally by ?status=
+ */
+app.get('/api/period/care-entries', (req, res) => {
+  if (!currentPeriod) {
+    return res.status(400).json({
+      error: "No active period"
+    });
   }
-  agenda += `- Next month core preview: ${careResult.summary.nextPeriodCorePreview.estimatedCoreTotal.toFixed(2)} ${currentHousehold.currency}\n\n`;
-  
-  agenda += `## 4. Upcoming Expenses (10 min)\n`;
-  agenda += `- Review planned purchases and their thresholds\n`;
-  agenda += `- Discuss any large purchase requests\n`;
-  agenda += `- Plan for seasonal expenses\n\n`;
-  
-  agenda += `## 5. Vision Progress (10 min)\n`;
-  agenda += `- Emergency fund target: ${visionResult.emergencyTarget.toFixed(2)} ${currentHousehold.currency}\n`;
-  agenda += `- Monthly vision allocation: ${visionResult.monthlyVisionAllocation.toFixed(2)} ${currentHousehold.currency}\n`;
-  agenda += `- Sinking fund priorities and progress\n\n`;
-  
-  agenda += `## 6. Open Floor (10 min)\n`;
-  agenda += `- New business and concerns\n`;
-  agenda += `- Process improvements and feedback\n`;
-  agenda += `- Upcoming decisions and votes\n\n`;
-  
-  agenda += `## 7. Decision List (5 min)\n`;
-  agenda += `- Review pending decisions\n`;
-  agenda += `- Schedule votes for next meeting\n`;
-  agenda += `- Assign action items and responsibilities\n\n`;
   
-  agenda += `---\n`;
-  agenda += `*Generated by LLC Governance Dashboard*\n`;
+  const { status } = req.query;
+  if (status && !CARE_ENTRY_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: "Invalid care entry status",
+      details: `Unknown status ${status}, expected one of ${CARE_ENTRY_STATUSES.join(', ')}`
+    });
+  }
   
-  return agenda;
-}
-
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 LLC Governance Dashboard server running on port ${PORT}`);
-  console.log(`📊 Ready to onboard households and manage LLC governance and finances`);
-  console.log(`🌐 Open http://localhost:${PORT} to get started`);
+  res.json({
+    periodLabel: currentPeriod.label,
+    careEntries: currentPeriod.careEntries
+      .filter(entry => !status || getCareEntryStatus(entry) === status)
+      .map(entry => ({ ...entry, status: getCareEntryStatus(entry) }))
+  });
 });
 
+/**
+ * POST /api/period/care-entries - Submit care hours for approval
+ * Body: { adultId, date, task, taskType, timeBand, hours, notes }
+ */
+app.post('/api/period/care-entries', (req, res) => {
+  try {
+    if (!currentHousehold || !currentPeriod) {
+      return res.status(400).json({
+        error: "Household and period must be configured first"
+      });
+    }
+    
+    const { adultId, date, task, taskType, timeBand, hours, notes } = req.body;
+    const violations = [];
+    if (!currentHousehold.adults.some(adult => adult.id === adultId)) {
+      violations.push(createViolation("CARE_ENTRY_ADULT_UNKNOWN", "/adultId", `Unknown adult ${adultId}`, { actual: adultId }));
+    }
+    if (!task) {
+      violations.push(createViolation("CARE_ENTRY_FIELD_MISSING", "/task", "Care entry requires a task", { missing: ["task"] }));
+    }
+    if (typeof hours !== 'number' || hours <= 0 || hours > 24) {
+      violations.push(createViolation("CARE_ENTRY_HOURS_INVALID", "/hours", `Care entry has invalid hours: ${hours}`,
+        { max: 24, actual: hours }));
+    }
+    const taskTypes = listCareTaskTypes(currentHousehold);
+    if (taskType !== undefined && !taskTypes.some(candidate => candidate.id === taskType)) {
+      violations.push(createViolation("CARE_ENTRY_TASK_TYPE_UNKNOWN", "/taskType",
+        `Unknown task type ${taskType}, expected one of ${taskTypes.map(candidate => candidate.id).join(', ') || 'none (no rate card)'}`,
+        { expected: taskTypes.map(candidate => candidate.id), actual: taskType }));
+    }
+    if (timeBand !== undefined && !CARE_TIME_BANDS.includes(timeBand)) {
+      violations.push(createViolation("CARE_ENTRY_TIME_BAND_INVALID", "/timeBand",
+        `Invalid time band ${timeBand}, expected ${CARE_TIME_BANDS.join(' or ')}`, { expected: CARE_TIME_BANDS, actual: timeBand }));
+    }
+    if (violations.length > 0) {
+      return res.status(400).json({
+        error: "Invalid care entry",
+        details: violations.map(violation => violation.message),
+        violations
+      });
+    }
+    
+    const entry = currentPeriod.addCareEntry({ adultId, date, task, taskType, timeBand, hours, notes });
+    
+    res.json({
+      message: "Care entry submitted, awaiting approval from another adult",
+      careEntry: entry,
+      pricing: priceCareEntry(entry, currentHousehold)
+    });
+    
+  } catch (error) {
+    if (error.violations) {
+      return res.status(400).json({
+        error: "Cannot add care entry",
+        details: error.message,
+        violations: error.violations
+      });
+    }
+    res.status(500).json({
+      error: "Failed to add care entry",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/period/care-entries/import - Preview care entries from a calendar or spreadsheet
+ * Multipart form: file (.ics, .xlsx or .csv) and optional adults (JSON: name or email -> adult ID)
+ * Nothing is added until the preview is confirmed
+ */
+app.post('/api/period/care-entries/import', upload.single('file'), (req, res) => {
+  try {
+    if (!currentHousehold || !currentPeriod) {
+      return res.status(400).json({
+        error: "Household and period must be configured first"
+      });
+    }
+    if (!req.file) {
+      return res.status(400).json({
+        error: "No file uploaded",
+        details: "Send the calendar or spreadsheet as the 'file' field"
+      });
+    }
+    
+    const format = detectCareImportFormat(req.file.originalname, req.file.mimetype);
+    if (!format) {
+      return res.status(400).json({
+        error: "Unsupported import file",
+        details: `Expected an .ics, .xlsx or .csv file, received ${req.file.originalname}`
+      });
+    }
+    
+    let mapping = {};
+    if (req.body.adults) {
+      try {
+        mapping = JSON.parse(req.body.adults);
+      } catch (parseError) {
+        return res.status(400).json({
+          error: "Invalid adults mapping",
+          details: parseError.message
+        });
+      }
+    }
+    
+    const preview = previewCareImport(currentHousehold, currentPeriod, {
+      format,
+      content: format === "ics" ? req.file.buffer.toString('utf8') : req.file.buffer,
+      fileName: req.file.originalname
+    }, mapping);
+    const id = `imp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    careImportPreviews.set(id, {
+      id,
+      periodLabel: currentPeriod.label,
+      fileName: req.file.originalname,
+      format,
+      ...preview,
+      createdAt: new Date().toISOString()
+    });
+    
+    res.json({
+      previewId: id,
+      ...preview,
+      nextSteps: [
+        `Confirm with POST /api/period/care-entries/import/${id}/confirm to add ${preview.entries.length} entries`,
+        "Fix rejected rows in the file and import again if needed"
+      ]
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to read care import file",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/period/care-entries/import/:previewId/confirm - Add the previewed care entries
+ */
+app.post('/api/period/care-entries/import/:previewId/confirm', (req, res) => {
+  try {
+    if (!currentPeriod) {
+      return res.status(400).json({
+        error: "No active period"
+      });
+    }
+    
+    const preview = careImportPreviews.get(req.params.previewId);
+    if (!preview) {
+      return res.status(404).json({
+        error: `Import preview not found: ${req.params.previewId}`
+      });
+    }
+    if (preview.periodLabel !== currentPeriod.label) {
+      return res.status(400).json({
+        error: "Import preview is for another period",
+        details: `Preview was made for ${preview.periodLabel}, current period is ${currentPeriod.label}`
+      });
+    }
+    
+    const result = confirmCareImport(currentPeriod, preview);
+    careImportPreviews.delete(preview.id);
+    
+    res.json({
+      message: `Imported ${result.added.length} care entries, awaiting approval from another adult`,
+      added: result.added,
+      duplicates: result.duplicates,
+      rejected: preview.rejected
+    });
+    
+  } catch (error) {
+    if (error.violations) {
+      return res.status(400).json({
+        error: "Cannot import care entries",
+        details: error.message,
+        violations: error.violations
+      });
+    }
+    res.status(500).json({
+      error: "Failed to import care entries",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/period/care-entries/:entryId/review - Approve, dispute or reject care hours
+ * Body: { reviewerId, status: "approved" | "disputed" | "rejected", note }
+ */
+app.post('/api/period/care-entries/:entryId/review', (req, res) => {
+  try {
+    if (!currentHousehold || !currentPeriod) {
+      return res.status(400).json({
+        error: "Household and period must be configured first"
+      });
+    }
+    
+    const { reviewerId, status, note } = req.body;
+    if (reviewerId && !currentHousehold.adults.some(adult => adult.id === reviewerId)) {
+      return res.status(400).json({
+        error: "Invalid care entry review",
+        details: `Unknown reviewer ${reviewerId}`,
+        violations: [createViolation("CARE_REVIEWER_UNKNOWN", "/reviewerId", `Unknown reviewer ${reviewerId}`, { actual: reviewerId })]
+      });
+    }
+    
+    const entry = currentPeriod.reviewCareEntry(req.params.entryId, { reviewerId, status, note });
+    
+    res.json({
+      message: `Care entry ${entry.status}`,
+      careEntry: entry
+    });
+    
+  } catch (error) {
+    res.status(400).json({
+      error: "Invalid care entry review",
+      details: error.message,
+      violations: error.violations
+    });
+  }
+});
+
+/**
+ * POST /api/period/deficit/consent - Record an adult's consent to a temporary cap
+ * Body: { adultId, capPercent, note }. The cap applies to this period only, once every adult has consented.
+ */
+app.post('/api/period/deficit/consent', (req, res) => {
+  try {
+    if (!currentHousehold || !currentPeriod) {
+      return res.status(400).json({
+        error: "Household and period must be configured first"
+      });
+    }
+    
+    const result = recordCapConsent(currentHousehold, currentPeriod, req.body);
+    
+    res.json({
+      message: result.missingConsents.length === 0
+        ? "All adults have consented, the adjustment can be applied"
+        : `Consent recorded, waiting for ${result.missingConsents.map(adult => adult.name).join(', ')}`,
+      ...result
+    });
+    
+  } catch (error) {
+    if (error.violations) {
+      return res.status(400).json({
+        error: "Consent could not be recorded",
+        details: error.message,
+        violations: error.violations
+      });
+    }
+    res.status(500).json({
+      error: "Failed to record consent",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/period/deficit/resolve - Carry out a deficit_after_caps option
+ * Body: { option: "increase_core" | "adjust_cap" | "use_overrides", reclassifications, overrides, note, decidedBy }
+ * Reruns the calculation and records the resolution on the period's decisions
+ */
+app.post('/api/period/deficit/resolve', (req, res) => {
+  try {
+    if (!currentHousehold || !currentPeriod) {
+      return res.status(400).json({
+        error: "Household and period must be configured first"
+      });
+    }
+    
+    const { decision, unitMethod } = resolveDeficit(currentHousehold, currentPeriod, req.body);
+    
+    res.json({
+      message: "Deficit resolved",
+      decision,
+      unitMethod,
+      period: currentPeriod.toJSON()
+    });
+    
+  } catch (error) {
+    if (error.violations) {
+      return res.status(400).json({
+        error: "Deficit could not be resolved",
+        details: error.message,
+        violations: error.violations
+      });
+    }
+    res.status(500).json({
+      error: "Failed to resolve deficit",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/period/income - Incomes that apply to the current period
+ * Shows where each adult's income comes from (period snapshot, income history or household)
+ */
+app.get('/api/period/income', (req, res) => {
+  if (!currentHousehold || !currentPeriod) {
+    return res.status(400).json({
+      error: "Household and period must be configured first"
+    });
+  }
+  
+  try {
+    res.json({
+      periodLabel: currentPeriod.label,
+      incomes: currentHousehold.adults.map(adult => ({
+        adultId: adult.id,
+        adultName: adult.name,
+        ...resolveIncome(adult, currentPeriod)
+      })),
+      totalNetIncome: currentHousehold.getTotalNetIncome(currentPeriod)
+    });
+  } catch (error) {
+    if (error.violations) {
+      return res.status(400).json({
+        error: "Cannot resolve period income",
+        details: error.message,
+        violations: error.violations
+      });
+    }
+    res.status(500).json({
+      error: "Failed to resolve period income",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/period/income - Enter an adult's income for the current period
+ * Body: { adultId, method: "declared", amount } or { adultId, method: "trailing_average", amounts: [...] }
+ * for members with variable incomes
+ */
+app.post('/api/period/income', (req, res) => {
+  try {
+    if (!currentHousehold || !currentPeriod) {
+      return res.status(400).json({
+        error: "Household and period must be configured first"
+      });
+    }
+    
+    const { adultId, method, amount, amounts, note } = req.body;
+    const adult = currentHousehold.adults.find(candidate => String(candidate.id) === String(adultId));
+    if (!adult) {
+      return res.status(400).json({
+        error: "Invalid income snapshot",
+        details: [`Unknown adult ${adultId}`]
+      });
+    }
+    
+    const snapshot = method === "trailing_average" ? { method, amounts } : { method, amount };
+    if (note) snapshot.note = note;
+    const errors = method === "recorded"
+      ? ["Method recorded is reserved for incomes frozen when a period is closed"]
+      : validateIncomeSnapshot(snapshot, `Income for ${adult.name}`);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Invalid income snapshot",
+        details: errors
+      });
+    }
+    
+    currentPeriod.setIncomeSnapshot(adult.id, snapshot);
+    
+    res.json({
+      message: "Period income recorded",
+      income: { adultId: adult.id, adultName: adult.name, ...resolveIncome(adult, currentPeriod) },
+      period: currentPeriod.toJSON()
+    });
+    
+  } catch (error) {
+    if (error.violations) {
+      return res.status(400).json({
+        error: "Cannot record period income",
+        details: error.message,
+        violations: error.violations
+      });
+    }
+    res.status(500).json({
+      error: "Failed to record period income",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/household/core-estimate - Monthly core estimate behind the emergency fund target
+ */
+app.get('/api/household/core-estimate', (req, res) => {
+  if (!currentHousehold) {
+    return res.status(404).json({
+      error: "No household configured"
+    });
+  }
+  
+  const estimate = currentHousehold.getMonthlyCoreEstimate(currentPeriod);
+  res.json({
+    settings: { ...DEFAULT_CORE_ESTIMATE, ...currentHousehold.emergencyEstimate },
+    estimate,
+    basis: describeCoreEstimate(estimate),
+    emergencyTarget: currentHousehold.getEmergencyTarget(currentPeriod),
+    coreHistory: currentHousehold.coreHistory
+  });
+});
+
+/**
+ * POST /api/household/emergency-estimate - Choose how the monthly core is estimated
+ * Body: { method: "trailing_average" | "median" | "max", months: 3 | 6 | 12, override: number | null }
+ */
+app.post('/api/household/emergency-estimate', (req, res) => {
+  try {
+    if (!currentHousehold) {
+      return res.status(404).json({
+        error: "No household configured"
+      });
+    }
+    
+    const problems = validateCoreEstimateSettings(req.body);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        error: "Invalid core estimate settings",
+        details: problems.map(problem => problem.message),
+        violations: problems.map(problem => createViolation("EMERGENCY_ESTIMATE_INVALID", problem.field, problem.message))
+      });
+    }
+    
+    currentHousehold.emergencyEstimate = { ...currentHousehold.emergencyEstimate, ...req.body };
+    const estimate = currentHousehold.getMonthlyCoreEstimate(currentPeriod);
+    
+    res.json({
+      message: "Core estimate settings updated",
+      settings: { ...DEFAULT_CORE_ESTIMATE, ...currentHousehold.emergencyEstimate },
+      estimate,
+      basis: describeCoreEstimate(estimate)
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to update core estimate settings",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Get the emergency fund status for the current household and period
+ * @returns {Object} Emergency fund status
+ */
+function getCurrentEmergencyFundStatus() {
+  const monthlyCore = currentHousehold.getEstimatedMonthlyCore(currentPeriod);
+  return computeEmergencyFundStatus(currentHousehold, monthlyCore * currentHousehold.emergencyMonths, monthlyCore);
+}
+
+/**
+ * GET /api/household/emergency-fund - Emergency fund balance, status and transactions
+ */
+app.get('/api/household/emergency-fund', (req, res) => {
+  if (!currentHousehold) {
+    return res.status(404).json({
+      error: "No household configured"
+    });
+  }
+  
+  const { transactions, ...settings } = getEmergencyFundSettings(currentHousehold);
+  res.json({
+    settings,
+    status: getCurrentEmergencyFundStatus(),
+    transactions
+  });
+});
+
+/**
+ * POST /api/household/emergency-fund - Update the planned contribution and status thresholds
+ * Body: { monthlyContribution, floorMonths, maintainingPercent }
+ */
+app.post('/api/household/emergency-fund', (req, res) => {
+  try {
+    if (!currentHousehold) {
+      return res.status(404).json({
+        error: "No household configured"
+      });
+    }
+    
+    const { monthlyContribution, floorMonths, maintainingPercent } = req.body;
+    const changes = Object.fromEntries(Object.entries({ monthlyContribution, floorMonths, maintainingPercent })
+      .filter(([, value]) => value !== undefined));
+    const problems = validateEmergencyFund(changes);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        error: "Invalid emergency fund settings",
+        details: problems.map(problem => problem.message),
+        violations: problems.map(problem => createViolation("EMERGENCY_FUND_INVALID", problem.field, problem.message))
+      });
+    }
+    
+    currentHousehold.emergencyFund = { ...currentHousehold.emergencyFund, ...changes };
+    
+    res.json({
+      message: "Emergency fund settings updated",
+      status: getCurrentEmergencyFundStatus()
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to update emergency fund settings",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/household/emergency-fund/transactions - Record a deposit, withdrawal or interest
+ * Body: { type: "deposit" | "withdrawal" | "interest", amount, date, note, decisionId, proposalId }
+ * Withdrawals need a decisionId from one of the periods, or the proposalId of a passed draw that has not posted
+ */
+app.post('/api/household/emergency-fund/transactions', (req, res) => {
+  try {
+    if (!currentHousehold) {
+      return res.status(404).json({
+        error: "No household configured"
+      });
+    }
+    
+    const { transaction, balance } = recordEmergencyFundTransaction(currentHousehold, req.body, [...periods.values()]);
+    
+    res.json({
+      message: `Emergency fund ${transaction.type} recorded`,
+      transaction,
+      balance,
+      status: getCurrentEmergencyFundStatus()
+    });
+    
+  } catch (error) {
+    if (error.violations) {
+      return res.status(400).json({
+        error: "Emergency fund transaction rejected",
+        details: error.message,
+        violations: error.violations
+      });
+    }
+    res.status(500).json({
+      error: "Failed to record emergency fund transaction",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/vision/projection - Project sinking fund and emergency fund balances month by month
+ * Body: { years, startLabel, withdrawals: [{ fund, label, amount, note }],
+ *         allocationChanges: [{ from, visionAllocPercent }], accounts: { name: { apy } } }
+ * Returns chart-ready series (one value per month) and the month each goal is reached
+ */
+app.post('/api/vision/projection', (req, res) => {
+  try {
+    if (!currentHousehold || !currentPeriod) {
+      return res.status(404).json({
+        error: "No household or period configured"
+      });
+    }
+    
+    const { years, startLabel, withdrawals, allocationChanges, accounts } = req.body;
+    const options = Object.fromEntries(Object.entries({ years, startLabel, withdrawals, allocationChanges, accounts })
+      .filter(([, value]) => value !== undefined));
+    const problems = validateProjectionOptions(options, currentHousehold);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        error: "Invalid projection options",
+        details: problems.map(problem => problem.message),
+        violations: problems.map(problem => createViolation("VISION_PROJECTION_INVALID", problem.field, problem.message))
+      });
+    }
+    
+    res.json(projectVision(currentHousehold, currentPeriod, options));
+    
+  } catch (error) {
+    if (error.violations) {
+      return res.status(400).json({
+        error: "Cannot project vision balances",
+        details: error.message,
+        violations: error.violations
+      });
+    }
+    res.status(500).json({
+      error: "Failed to project vision balances",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/proposal-templates - Proposal templates shared with the member portal
+ */
+app.get('/api/proposal-templates', (req, res) => {
+  res.json(PROPOSAL_TEMPLATES);
+});
+
+/**
+ * GET /api/proposals - Proposals with their vote tallies
+ */
+app.get('/api/proposals', (req, res) => {
+  if (!currentHousehold) {
+    return res.status(404).json({
+      error: "No household configured"
+    });
+  }
+  
+  res.json({
+    proposals: currentHousehold.proposals.map(proposal => ({ ...proposal, tally: tallyProposal(currentHousehold, proposal) }))
+  });
+});
+
+/**
+ * POST /api/vision/withdrawals - Request a withdrawal from a sinking fund or the emergency fund
+ * Body: { fund, amount, purpose, repaymentPlan: { months, startLabel }, requestedBy }
+ * Opens an "Emergency Fund Draw" proposal; nothing posts until it passes a vote
+ */
+app.post('/api/vision/withdrawals', (req, res) => {
+  try {
+    if (!currentHousehold) {
+      return res.status(404).json({
+        error: "No household configured"
+      });
+    }
+    
+    const proposal = requestFundWithdrawal(currentHousehold, req.body);
+    
+    res.json({
+      message: `Withdrawal from ${proposal.fields.fund} put to a vote`,
+      proposal,
+      tally: tallyProposal(currentHousehold, proposal)
+    });
+    
+  } catch (error) {
+    if (error.violations) {
+      return res.status(400).json({
+        error: "Withdrawal request rejected",
+        details: error.message,
+        violations: error.violations
+      });
+    }
+    res.status(500).json({
+      error: "Failed to request withdrawal",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/proposals/:id/vote - Vote on a proposal
+ * Body: { adultId, vote: "yes" | "no", note }
+ * A passing withdrawal vote posts the withdrawal and schedules its repayment transfers
+ */
+app.post('/api/proposals/:id/vote', (req, res) => {
+  try {
+    if (!currentHousehold) {
+      return res.status(404).json({
+        error: "No household configured"
+      });
+    }
+    
+    const existing = findProposal(currentHousehold, req.params.id);
+    const { proposal, tally, posting = null } = existing && existing.template === WITHDRAWAL_TEMPLATE
+      ? castWithdrawalVote(currentHousehold, req.params.id, req.body, currentPeriod)
+      : castProposalVote(currentHousehold, req.params.id, req.body);
+    
+    res.json({
+      message: proposal.status === "open" ? "Vote recorded" : `Vote recorded, proposal ${proposal.status}`,
+      proposal,
+      tally,
+      posting
+    });
+    
+  } catch (error) {
+    if (error.violations) {
+      return res.status(400).json({
+        error: "Vote rejected",
+        details: error.message,
+        violations: error.violations
+      });
+    }
+    res.status(500).json({
+      error: "Failed to record vote",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/household/core-history - Record the core total of a past month
+ * Closing a period records it automatically; this backfills months from before the dashboard
+ * Body: { label: "YYYY-MM", coreTotal }
+ */
+app.post('/api/household/core-history', (req, res) => {
+  try {
+    if (!currentHousehold) {
+      return res.status(404).json({
+        error: "No household configured"
+      });
+    }
+    
+    const { label, coreTotal } = req.body;
+    const violations = [];
+    if (!/^\d{4}-\d{2}$/.test(label || '')) {
+      violations.push(createViolation("CORE_HISTORY_INVALID_LABEL", "/label", `label must be in YYYY-MM format, found ${label}`,
+        { actual: label }));
+    }
+    if (typeof coreTotal !== 'number' || coreTotal < 0) {
+      violations.push(createViolation("CORE_HISTORY_INVALID_TOTAL", "/coreTotal", `coreTotal must be a non-negative number, found ${coreTotal}`,
+        { actual: coreTotal }));
+    }
+    if (violations.length > 0) {
+      return res.status(400).json({
+        error: "Invalid core history entry",
+        details: violations.map(violation => violation.message),
+        violations
+      });
+    }
+    
+    currentHousehold.recordCoreTotal(label, coreTotal);
+    
+    res.json({
+      message: `Core total recorded for ${label}`,
+      coreHistory: currentHousehold.coreHistory
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to record core history",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/household/income-history - Record an effective-dated income change
+ * Body: { adultId, effectiveFrom: "YYYY-MM", netIncome }
+ */
+app.post('/api/household/income-history', (req, res) => {
+  try {
+    if (!currentHousehold) {
+      return res.status(400).json({
+        error: "Household must be configured first"
+      });
+    }
+    
+    const { adultId, effectiveFrom, netIncome } = req.body;
+    const candidate = Household.fromJSON(JSON.parse(JSON.stringify(currentHousehold.toJSON())));
+    const currentLabel = currentPeriod ? currentPeriod.label : null;
+    candidate.addIncomeHistoryEntry(adultId, effectiveFrom, netIncome, currentLabel);
+    const validation = candidate.validate();
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: "Household validation failed",
+        details: validation.errors,
+        violations: validation.violations
+      });
+    }
+    
+    currentHousehold.addIncomeHistoryEntry(adultId, effectiveFrom, netIncome, currentLabel);
+    
+    res.json({
+      message: "Income history updated",
+      adult: currentHousehold.adults.find(adult => String(adult.id) === String(adultId))
+    });
+    
+  } catch (error) {
+    res.status(400).json({
+      error: "Failed to update income history",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/period/audit - Calculation audit trail of the current period
+ * ?format=json (default) returns the events; text, markdown or html render them
+ */
+app.get('/api/period/audit', (req, res) => {
+  try {
+    if (!currentHousehold || !currentPeriod) {
+      return res.status(400).json({
+        error: "Household and period must be configured first"
+      });
+    }
+    if (!currentPeriod.calculationAudit) {
+      return res.status(404).json({
+        error: "Period has not been calculated yet"
+      });
+    }
+    
+    const format = req.query.format || "json";
+    const { calculatedAt, events } = currentPeriod.calculationAudit;
+    if (format === "json") {
+      return res.json({ periodLabel: currentPeriod.label, calculatedAt, isLocked: currentPeriod.isLocked, events });
+    }
+    if (!["text", "markdown", "html"].includes(format)) {
+      return res.status(400).json({
+        error: "Invalid audit format",
+        details: `Unknown format ${format}, expected json, text, markdown or html`
+      });
+    }
+    
+    const contentTypes = { text: 'text/plain', markdown: 'text/markdown', html: 'text/html' };
+    res.type(contentTypes[format]).send(renderAuditTrail(events, format, { digits: getMinorUnitDigits(currentHousehold.currency) }));
+    
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to render audit trail",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/period/explain/:adultId - Why is this adult's share what it is
+ * Returns the audit events and text explanation for one adult
+ */
+app.get('/api/period/explain/:adultId', (req, res) => {
+  try {
+    if (!currentHousehold || !currentPeriod) {
+      return res.status(400).json({
+        error: "Household and period must be configured first"
+      });
+    }
+    if (!currentPeriod.calculationAudit) {
+      return res.status(404).json({
+        error: "Period has not been calculated yet"
+      });
+    }
+    
+    const adult = currentHousehold.adults.find(candidate => String(candidate.id) === req.params.adultId);
+    if (!adult) {
+      return res.status(404).json({
+        error: "Adult not found",
+        details: `No adult with id ${req.params.adultId}`
+      });
+    }
+    
+    const events = filterAuditTrailForAdult(currentPeriod.calculationAudit.events, adult.id)
+      .filter(event => event.source === "unit_method" || event.adultId !== null);
+    res.json({
+      periodLabel: currentPeriod.label,
+      adultId: adult.id,
+      adultName: adult.name,
+      events,
+      explanation: renderAuditTrail(events, "text", { digits: getMinorUnitDigits(currentHousehold.currency) }).split('\n')
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to explain share",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/period/status - Move the period through review
+ * Body: { status: "under_review" | "approved" | "calculated", by, note }
+ * "calculated" sends a period under review back for changes; approving needs `by`
+ */
+app.post('/api/period/status', (req, res) => {
+  try {
+    if (!currentPeriod) {
+      return res.status(400).json({
+        error: "No active period"
+      });
+    }
+    
+    const { status, by, note } = req.body;
+    if (status === "closed" || status === "reopened") {
+      return res.status(400).json({
+        error: "Invalid period status change",
+        details: `Use POST /api/period/${status === "closed" ? 'close' : 'reopen'} to move a period to ${status}`
+      });
+    }
+    const transition = currentPeriod.transitionTo(status, { by, note });
+    
+    res.json({
+      message: `Period ${currentPeriod.label} is now ${currentPeriod.status}`,
+      transition,
+      period: currentPeriod.toJSON()
+    });
+    
+  } catch (error) {
+    if (error.violations) {
+      return res.status(400).json({
+        error: "Invalid period status change",
+        details: error.message,
+        violations: error.violations
+      });
+    }
+    res.status(500).json({
+      error: "Failed to change period status",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/period/reopen/proposal - Put reopening the closed period to a vote
+ * Body: { reason, requestedBy }
+ */
+app.post('/api/period/reopen/proposal', (req, res) => {
+  try {
+    if (!currentHousehold || !currentPeriod) {
+      return res.status(404).json({
+        error: "No household or period configured"
+      });
+    }
+    
+    const proposal = requestPeriodReopen(currentHousehold, currentPeriod, req.body);
+    
+    res.json({
+      message: `Reopening ${currentPeriod.label} put to a vote`,
+      proposal,
+      tally: tallyProposal(currentHousehold, proposal)
+    });
+    
+  } catch (error) {
+    if (error.violations) {
+      return res.status(400).json({
+        error: "Reopen request rejected",
+        details: error.message,
+        violations: error.violations
+      });
+    }
+    res.status(500).json({
+      error: "Failed to request reopening",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/period/reopen - Reopen the closed period
+ * Body: { reason, by, proposalId } with a passed "Reopen Period" proposal,
+ *       or { reason, by, consents: [{ adultId, note }] } signed by every adult
+ */
+app.post('/api/period/reopen', (req, res) => {
+  try {
+    if (!currentHousehold || !currentPeriod) {
+      return res.status(404).json({
+        error: "No household or period configured"
+      });
+    }
+    
+    const transition = currentPeriod.reopen(currentHousehold, req.body);
+    
+    res.json({
+      message: `Period ${currentPeriod.label} reopened`,
+      transition,
+      period: currentPeriod.toJSON()
+    });
+    
+  } catch (error) {
+    if (error.violations) {
+      return res.status(400).json({
+        error: "Period cannot be reopened",
+        details: error.message,
+        violations: error.violations
+      });
+    }
+    res.status(500).json({
+      error: "Failed to reopen period",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/period/close - Close an approved period
+ * Body: { by }
+ * Locks the period and generates final exports
+ */
+app.post('/api/period/close', (req, res) => {
+  try {
+    if (!currentPeriod) {
+      return res.status(400).json({
+        error: "No active period to close"
+      });
+    }
+    if (!currentPeriod.canTransitionTo("closed")) {
+      return res.status(400).json({
+        error: "Period cannot be closed",
+        details: `Period ${currentPeriod.label} is ${currentPeriod.status}, only approved periods can be closed`,
+        violations: [createViolation("PERIOD_TRANSITION_INVALID", "/status",
+          `Period ${currentPeriod.label} is ${currentPeriod.status}, only approved periods can be closed`,
+          { from: currentPeriod.status, to: "closed" })]
+      });
+    }
+    
+    // Freeze the incomes the month was calculated with, post care credits, then close the period
+    let careCredits = [];
+    if (currentHousehold) {
+      recordIncomeSnapshots(currentHousehold, currentPeriod);
+      currentHousehold.recordCoreTotal(currentPeriod.label, currentPeriod.coreTotal);
+      if (currentHousehold.careModel !== "stipend") {
+        // Under the hybrid model only adults taking credits this period earn them
+        const careValues = currentPeriod.getAllCareValues(currentHousehold);
+        Object.keys(careValues).forEach(adultId => {
+          if (getCareCompensationMode(currentHousehold, currentPeriod, adultId) !== "credit") delete careValues[adultId];
+        });
+        careCredits = postCareCredits(currentHousehold, currentPeriod, careValues);
+      }
+    }
+    currentPeriod.transitionTo("closed", { by: (req.body || {}).by });
+    
+    res.json({
+      message: "Period closed successfully",
+      period: currentPeriod.toJSON(),
+      careCredits,
+      nextSteps: [
+        "Download generated exports",
+        "Schedule council meeting using generated calendar file",
+        "Roll over to the next period with POST /api/period/rollover"
+      ]
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      error: "Failed to close period",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/period/rollover - Create next month's period from the closed current period
+ * Carries forward child units, recurring overrides, hybrid care choices and the core preview
+ */
+app.post('/api/period/rollover', (req, res) => {
+  try {
+    if (!currentHousehold || !currentPeriod) {
+      return res.status(404).json({
+        error: "No household or period configured"
+      });
+    }
+    
+    const { period, carriedForward } = rolloverPeriod(currentHousehold, currentPeriod);
+    if (periods.has(period.label)) {
+      return res.status(400).json({
+        error: "Period rollover rejected",
+        details: `Period ${period.label} already exists`,
+        violations: [createViolation("PERIOD_EXISTS", "/label", `Period ${period.label} already exists`, { actual: period.label })]
+      });
+    }
+    
+    periods.set(period.label, period);
+    currentPeriod = period;
+    
+    res.json({
+      message: `Period ${period.label} created from ${carriedForward.fromLabel}`,
+      period: period.toJSON(),
+      carriedForward,
+      nextSteps: [
+        "Review the draft core total and child units",
+        "Add care entries and run calculations"
+      ]
+    });
+    
+  } catch (error) {
+    if (error.violations) {
+      return res.status(400).json({
+        error: "Period rollover rejected",
+        details: error.message,
+        violations: error.violations
+      });
+    }
+    res.status(500).json({
+      error: "Failed to roll over period",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/periods - List every period of the household
+ */
+app.get('/api/periods', (req, res) => {
+  res.json({
+    currentLabel: currentPeriod ? currentPeriod.label : null,
+    periods: [...periods.values()]
+      .sort((a, b) => a.label.localeCompare(b.label))
+      .map(period => ({
+        label: period.label,
+        status: period.status,
+        isLocked: period.isLocked,
+        coreTotal: period.coreTotal,
+        updatedAt: period.updatedAt
+      }))
+  });
+});
+
+/**
+ * GET /api/periods/:label - Get one period
+ */
+app.get('/api/periods/:label', (req, res) => {
+  const period = periods.get(req.params.label);
+  if (!period) {
+    return res.status(404).json({
+      error: `Period ${req.params.label} not found`
+    });
+  }
+  
+  res.json({ period: period.toJSON() });
+});
+
+/**
+ * POST /api/periods/:label/activate - Make a period the current one
+ * The /api/period endpoints then work on it
+ */
+app.post('/api/periods/:label/activate', (req, res) => {
+  const period = periods.get(req.params.label);
+  if (!period) {
+    return res.status(404).json({
+      error: `Period ${req.params.label} not found`
+    });
+  }
+  
+  currentPeriod = period;
+  res.json({
+    message: `Period ${period.label} is now current`,
+    period: period.toJSON()
+  });
+});
+
+/**
+ * GET /api/household/status - Get current household status
+ */
+app.get('/api/household/status', (req, res) => {
+  if (!currentHousehold) {
+    return res.status(404).json({
+      error: "No household configured"
+    });
+  }
+  
+  res.json({
+    household: currentHousehold.toJSON(),
+    period: currentPeriod ? currentPeriod.toJSON() : null,
+    status: {
+      isConfigured: true,
+      hasActivePeriod: !!currentPeriod,
+      periodLocked: currentPeriod ? currentPeriod.isLocked : false,
+      periodStatus: currentPeriod ? currentPeriod.status : null
+    }
+  });
+});
+
+/**
+ * POST /api/household/import - Import household from an export file
+ * Accepts a versioned export or an older unversioned one, upgrades it to the
+ * current format and reports what was migrated or dropped
+ */
+app.post('/api/household/import', (req, res) => {
+  try {
+    const { payload, report } = readExport(req.body);
+
+    const importedHousehold = payload.household ? Household.fromJSON(payload.household) : currentHousehold;
+    const importedPeriods = payload.periods.map(data => Period.fromJSON(data));
+
+    // Apply the same rules as onboarding and calculation before anything is replaced.
+    // Draft periods are still being filled in and are only checked against the schema.
+    const violations = [];
+    if (!importedHousehold) {
+      violations.push(createViolation("IMPORT_HOUSEHOLD_MISSING", "/household", "Import periods together with their household"));
+    } else {
+      if (payload.household) {
+        violations.push(...importedHousehold.validate().violations
+          .map(violation => ({ ...violation, field: `/household${violation.field}` })));
+      }
+      importedPeriods.forEach((period, index) => {
+        if (period.status === "draft") return;
+        period.validate(importedHousehold).errors.forEach(message => {
+          violations.push(createViolation("PERIOD_INVALID", `/periods/${index}`, `Period ${period.label}: ${message}`, { label: period.label }));
+        });
+      });
+    }
+    if (violations.length > 0) {
+      return res.status(400).json({
+        error: "Import file rejected",
+        details: `Import does not pass the household and period rules (${violations.length} problem${violations.length === 1 ? '' : 's'})`,
+        violations
+      });
+    }
+
+    // Periods belong to their household: a new household replaces them all, even with none
+    if (payload.household || importedPeriods.length > 0) {
+      currentHousehold = importedHousehold;
+      periods.clear();
+      importedPeriods.forEach(imported => periods.set(imported.label, imported));
+      currentPeriod = periods.get(payload.currentLabel)
+        || [...periods.values()].sort((a, b) => a.label.localeCompare(b.label)).pop()
+        || null;
+    }
+
+    res.json({
+      message: "Household imported successfully",
+      household: currentHousehold ? currentHousehold.toJSON() : null,
+      period: currentPeriod ? currentPeriod.toJSON() : null,
+      report
+    });
+
+  } catch (error) {
+    if (error.violations) {
+      return res.status(400).json({
+        error: "Import file rejected",
+        details: error.message,
+        violations: error.violations
+      });
+    }
+    res.status(500).json({
+      error: "Failed to import household",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/household/export - Export current household data
+ * Returns a versioned envelope with a checksum of its payload
+ */
+app.get('/api/household/export', (req, res) => {
+  if (!currentHousehold) {
+    return res.status(404).json({
+      error: "No household configured"
+    });
+  }
+
+  res.json(createExport({
+    household: currentHousehold,
+    periods: [...periods.values()],
+    currentLabel: currentPeriod ? currentPeriod.label : null
+  }, { appVersion: APP_VERSION }));
+});
+
+// Helper function to generate council agenda
+function generateCouncilAgenda(period, unitResult, careResult, visionResult) {
+  let agenda = `# Household Council Agenda - ${period.label}\n\n`;
+  agenda += `**Duration:** 60 minutes\n`;
+  agenda += `**Date:** [To be scheduled]\n\n`;
+  
+  agenda += `## 1. Quick Wins (5 min)\n`;
+  agenda += `- Review completed tasks and achievements\n`;
+  agenda += `- Celebrate financial milestones\n\n`;
+  
+  agenda += `## 2. Core Account Health (10 min)\n`;
+  agenda += `- Core total: ${period.coreTotal.toFixed(2)} ${currentHousehold.currency}\n`;
+  agenda += `- Total shares: ${unitResult.totals.sumFinal.toFixed(2)} ${currentHousehold.currency}\n`;
+  agenda += `- Balance: ${unitResult.totals.diffFromCore.toFixed(2)} ${currentHousehold.currency}\n\n`;
+  
+  agenda += `## 3. Care Ledger Adjustments (10 min)\n`;
+  agenda += `- Model: ${careResult.summary.model}\n`;
+  if (careResult.summary.model === "credit") {
+    agenda += `- Credits applied to next month's core shares\n`;
+  } else if (careResult.summary.model === "hybrid") {
+    Object.entries(careResult.compensationModes).forEach(([adultId, mode]) => {
+      agenda += `- ${(currentHousehold.adults.find(adult => adult.id === adultId) || { name: adultId }).name}: ${mode}\n`;
+    });
+    agenda += `- Credits applied to next month's core shares; stipend payments: ${careResult.nextMonthCoreIncrease.toFixed(2)} ${currentHousehold.currency}\n`;
+  } else {
+    agenda += `- Stipend payments: ${careResult.nextMonthCoreIncrease.toFixed(2)} ${currentHousehold.currency}\n`;
+  }
+  agenda += `- Next month core preview: ${careResult.summary.nextPeriodCorePreview.estimatedCoreTotal.toFixed(2)} ${currentHousehold.currency}\n\n`;
+  
+  agenda += `### Unresolved Care Disputes\n`;
+  const adultName = (adultId) => (currentHousehold.adults.find(adult => adult.id === adultId) || { name: adultId }).name;
+  const disputes = period.getCareEntriesByStatus("disputed");
+  if (disputes.length === 0) {
+    agenda += `- No disputed care entries\n`;
+  }
+  disputes.forEach(entry => {
+    const dispute = (entry.reviews || []).filter(review => review.status === "disputed").pop();
+    agenda += `- ${adultName(entry.adultId)}, ${entry.date}: ${entry.task} (${entry.hours} hours)`;
+    agenda += dispute ? ` disputed by ${adultName(dispute.reviewerId)}: ${dispute.note}\n` : `\n`;
+  });
+  const pending = period.getCareEntriesByStatus("submitted");
+  if (pending.length > 0) {
+    agenda += `- ${pending.length} entries (${pending.reduce((sum, entry) => sum + entry.hours, 0)} hours) still awaiting approval\n`;
+  }
+  agenda += `\n`;
+  
+  agenda += `## 4. Upcoming Expenses (10 min)\n`;
+  agenda += `- Review planned purchases and their thresholds\n`;
+  agenda += `- Discuss any large purchase requests\n`;
+  agenda += `- Plan for seasonal expenses\n\n`;
+  
+  agenda += `## 5. Vision Progress (10 min)\n`;
+  agenda += `- Emergency fund target: ${visionResult.emergencyTarget.toFixed(2)} ${currentHousehold.currency}\n`;
+  agenda += `- Emergency fund: ${visionResult.summary.emergencyFundStatus.currentBalance.toFixed(2)} ${currentHousehold.currency} (${visionResult.summary.emergencyFundStatus.status.replace('_', ' ')})\n`;
+  agenda += `- Monthly vision allocation: ${visionResult.monthlyVisionAllocation.toFixed(2)} ${currentHousehold.currency}\n`;
+  agenda += `- Sinking fund priorities and progress\n`;
+  const sinkingFundAllocation = visionResult.sinkingFundAllocation;
+  if (sinkingFundAllocation.shortfall > 0) {
+    agenda += `- Sinking funds short ${sinkingFundAllocation.shortfall.toFixed(2)} ${currentHousehold.currency}/month (underfunded: ${sinkingFundAllocation.underfundedFunds.join(', ')}${sinkingFundAllocation.firstShortfallDate ? `; first missed target date ${sinkingFundAllocation.firstShortfallDate}` : ''})\n`;
+  }
+  agenda += `\n`;
+  
+  agenda += `## 6. Open Floor (10 min)\n`;
+  agenda += `- New business and concerns\n`;
+  agenda += `- Process improvements and feedback\n`;
+  agenda += `- Upcoming decisions and votes\n`;
+  visionResult.pendingWithdrawals.forEach(pending => {
+    agenda += `- Vote: withdraw ${pending.amount.toFixed(2)} ${currentHousehold.currency} from ${pending.fund} for ${pending.purpose} (${pending.tally.yes} of ${pending.tally.quorum} yes votes)\n`;
+  });
+  agenda += `\n`;
+  
+  agenda += `## 7. Decision List (5 min)\n`;
+  agenda += `- Review pending decisions\n`;
+  agenda += `- Schedule votes for next meeting\n`;
+  agenda += `- Assign action items and responsibilities\n\n`;
+  
+  agenda += `---\n`;
+  agenda += `*Generated by LLC Governance Dashboard*\n`;
+  
+  return agenda;
+}
+
+// Start server (tests listen on their own port)
+if (process.env.NODE_ENV !== 'test') {
+  app.listen(PORT, () => {
+    console.log(`🚀 LLC Governance Dashboard server running on port ${PORT}`);
+    console.log(`📊 Ready to onboard households and manage LLC governance and finances`);
+    console.log(`🌐 Open http://localhost:${PORT} to get started`);
+  });
+}
+
 export default app;
@@ -3,96 +3,300 @@
  * Represents the core configuration and settings for a multi-adult family or LLC
   */
 
+import { DEFAULT_ALLOCATION_STRATEGY, getAllocationStrategy } from '../core/allocationStrategies.js';
+import { normalizeCoreCategories } from '../core/coreCategories.js';
+import { createViolation, isWithinRange, resolveHouseholdPolicy, validatePolicy } from './householdPolicy.js';
+import { getEffectiveHistoryEntry, resolveHouseholdIncome } from '../core/income.js';
+import { validateCareRateCard } from '../core/careRates.js';
+import { validateCareCreditPolicy } from '../core/careCreditLedger.js';
+import { CARE_COMPENSATION_MODES, CARE_MODELS } from '../core/careLedger.js';
+import { estimateMonthlyCore, validateCoreEstimateSettings } from '../core/coreEstimate.js';
+import { validateEmergencyFund } from '../core/emergencyFund.js';
+import { validateSinkingFund } from '../core/sinkingFundAllocator.js';
+import { validateAccounts } from '../core/visionProjection.js';
+
+/**
+ * Check whether a time zone name is known to the runtime
+ * @param {string} timeZone - IANA time zone
+ * @returns {boolean} True when the time zone can be used for formatting
+ * @private
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
 export class Household {
   constructor(data = {}) {
-    this.name = data.name || "Sample LLC";
-    this.currency = data.currency || "USD";
-    this.adults = data.adults || [];
-    this.childrenCount = data.childrenCount || 0;
-    this.childUnitWeight = data.childUnitWeight || 0.6;
-    this.capPercent = data.capPercent || 0.30;
-    this.careModel = data.careModel || "credit"; // "credit" | "stipend"
-    this.careRatePerHour = data.careRatePerHour || 20.0;
-    this.coreCategories = data.coreCategories || [];
-    this.visionAllocPercent = data.visionAllocPercent || 0.10;
-    this.emergencyMonths = data.emergencyMonths || 4;
-    this.sinkingFunds = data.sinkingFunds || [];
-    this.governance = data.governance || {};
-    this.documents = data.documents || {};
+    this.name = data.name ?? "Sample LLC";
+    this.currency = data.currency ?? "USD";
+    this.timeZone = data.timeZone ?? null; // IANA time zone, e.g. "America/New_York", for calendar times given in UTC
+    this.adults = data.adults ?? [];
+    this.childrenCount = data.childrenCount ?? 0;
+    this.childUnitWeight = data.childUnitWeight ?? 0.6;
+    this.capPercent = data.capPercent ?? 0.30;
+    this.allocationStrategy = data.allocationStrategy ?? DEFAULT_ALLOCATION_STRATEGY;
+    this.allocationOptions = data.allocationOptions ?? {};
+    this.careModel = data.careModel ?? "credit"; // "credit" | "stipend" | "hybrid" (each adult chooses per period)
+    this.careRatePerHour = data.careRatePerHour ?? 20.0; // Flat rate for entries without a task type on the rate card
+    this.careRateCard = data.careRateCard ?? {}; // { taskTypes: { id: rate | { label, rate } }, premiums: { night, weekend } }
+    this.careCreditPolicy = data.careCreditPolicy ?? {}; // { expiresAfterPeriods, maxBalance } for credit balances
+    this.careCredits = data.careCredits ?? []; // Care credit ledger transactions, posted when periods close
+    this.coreCategories = data.coreCategories ?? [];
+    this.visionAllocPercent = data.visionAllocPercent ?? 0.10;
+    this.emergencyMonths = data.emergencyMonths ?? 4;
+    this.emergencyEstimate = data.emergencyEstimate ?? {}; // { method, months, override } for the monthly core estimate
+    this.coreHistory = data.coreHistory ?? []; // [{ label, coreTotal, recordedAt }] recorded when periods close
+    this.emergencyFund = data.emergencyFund ?? {}; // { monthlyContribution, floorMonths, maintainingPercent, account, transactions }
+    this.sinkingFunds = data.sinkingFunds ?? [];
+    this.accounts = data.accounts ?? {}; // { accountName: { apy } } interest earned by fund accounts
+    this.proposals = data.proposals ?? []; // Proposals put to a vote, such as fund withdrawals
+    this.scheduledTransfers = data.scheduledTransfers ?? []; // [{ id, fund, label, amount, proposalId, note }] repayments into funds
+    this.governance = data.governance ?? {};
+    this.documents = data.documents ?? {};
+    this.policy = data.policy ?? {}; // Overrides for DEFAULT_HOUSEHOLD_POLICY limits
   }
 
   /**
-   * Validate household configuration
-   * @returns {Object} Validation result with isValid boolean and errors array
+   * Validate household configuration against its policy
+   * @returns {Object} Validation result with isValid boolean, errors array and structured violations
    */
   validate() {
-    const errors = [];
+    const violations = [];
+    const fail = (code, field, message, params) => violations.push(createViolation(code, field, message, params));
+    const policy = this.getPolicy();
+
+    violations.push(...validatePolicy(policy));
 
-    // Validate adults count (3 to 5)
-    if (this.adults.length < 3 || this.adults.length > 5) {
-      errors.push(`Household must have 3-5 adults, found ${this.adults.length}`);
+    // Validate adults count
+    if (this.adults.length < policy.adults.min || this.adults.length > policy.adults.max) {
+      fail("ADULT_COUNT_OUT_OF_RANGE", "/adults",
+        `Household must have ${policy.adults.min}-${policy.adults.max} adults, found ${this.adults.length}`,
+        { min: policy.adults.min, max: policy.adults.max, actual: this.adults.length });
     }
 
     // Validate each adult has required fields
     this.adults.forEach((adult, index) => {
       if (!adult.id || !adult.name) {
-        errors.push(`Adult ${index + 1} missing required id or name`);
+        fail("ADULT_MISSING_ID_OR_NAME", `/adults/${index}`, `Adult ${index + 1} missing required id or name`, { index });
       }
       if (typeof adult.netIncome !== 'number' || adult.netIncome < 0) {
-        errors.push(`Adult ${adult.name} has invalid netIncome: ${adult.netIncome}`);
+        fail("ADULT_INVALID_NET_INCOME", `/adults/${index}/netIncome`,
+          `Adult ${adult.name} has invalid netIncome: ${adult.netIncome}`, { index, actual: adult.netIncome });
       }
+      if (adult.incomeCurrency !== undefined && !/^[A-Z]{3}$/.test(adult.incomeCurrency)) {
+        fail("ADULT_INVALID_INCOME_CURRENCY", `/adults/${index}/incomeCurrency`,
+          `Adult ${adult.name} has invalid incomeCurrency: ${adult.incomeCurrency}`, { index, actual: adult.incomeCurrency });
+      }
+      (adult.incomeHistory || []).forEach((entry, entryIndex) => {
+        if (!/^\d{4}-\d{2}$/.test(entry.effectiveFrom)) {
+          fail("INCOME_HISTORY_INVALID_DATE", `/adults/${index}/incomeHistory/${entryIndex}/effectiveFrom`,
+            `Income history entry ${entryIndex + 1} for ${adult.name} must have effectiveFrom in YYYY-MM format, found ${entry.effectiveFrom}`,
+            { index, entryIndex, actual: entry.effectiveFrom });
+        }
+        if (typeof entry.netIncome !== 'number' || entry.netIncome < 0) {
+          fail("INCOME_HISTORY_INVALID_NET_INCOME", `/adults/${index}/incomeHistory/${entryIndex}/netIncome`,
+            `Income history entry ${entryIndex + 1} for ${adult.name} has invalid netIncome: ${entry.netIncome}`,
+            { index, entryIndex, actual: entry.netIncome });
+        }
+      });
     });
 
+    // Validate time zone
+    if (this.timeZone !== null && !isValidTimeZone(this.timeZone)) {
+      fail("TIME_ZONE_INVALID", "/timeZone", `timeZone must be an IANA time zone such as America/New_York, found ${this.timeZone}`,
+        { actual: this.timeZone });
+    }
+
     // Validate child unit weight
-    if (this.childUnitWeight < 0.1 || this.childUnitWeight > 1.0) {
-      errors.push(`childUnitWeight must be between 0.1 and 1.0, found ${this.childUnitWeight}`);
+    if (!isWithinRange(this.childUnitWeight, policy.childUnitWeight)) {
+      fail("CHILD_UNIT_WEIGHT_OUT_OF_RANGE", "/childUnitWeight",
+        `childUnitWeight must be between ${policy.childUnitWeight.min} and ${policy.childUnitWeight.max}, found ${this.childUnitWeight}`,
+        { ...policy.childUnitWeight, actual: this.childUnitWeight });
     }
 
     // Validate cap percent
-    if (this.capPercent < 0.05 || this.capPercent > 0.6) {
-      errors.push(`capPercent must be between 0.05 and 0.6, found ${this.capPercent}`);
+    if (!isWithinRange(this.capPercent, policy.capPercent)) {
+      fail("CAP_PERCENT_OUT_OF_RANGE", "/capPercent",
+        `capPercent must be between ${policy.capPercent.min} and ${policy.capPercent.max}, found ${this.capPercent}`,
+        { ...policy.capPercent, actual: this.capPercent });
+    }
+
+    // Validate allocation strategy
+    if (!getAllocationStrategy(this.allocationStrategy)) {
+      fail("ALLOCATION_STRATEGY_UNKNOWN", "/allocationStrategy",
+        `allocationStrategy "${this.allocationStrategy}" is not a registered strategy`, { actual: this.allocationStrategy });
     }
 
+    // Validate core category rules
+    const adultIds = this.adults.map(adult => adult.id);
+    const categoryIds = new Set();
+    this.getCoreCategories().forEach((category, index) => {
+      if (!category.id || !category.name) {
+        fail("CORE_CATEGORY_MISSING_ID_OR_NAME", `/coreCategories/${index}`, `Core category ${index + 1} missing required id or name`, { index });
+      } else if (categoryIds.has(category.id)) {
+        fail("CORE_CATEGORY_DUPLICATE_ID", `/coreCategories/${index}/id`, `Core category id "${category.id}" is used more than once`, { index, id: category.id });
+      }
+      categoryIds.add(category.id);
+      if (category.rule && !getAllocationStrategy(category.rule)) {
+        fail("CORE_CATEGORY_UNKNOWN_RULE", `/coreCategories/${index}/rule`,
+          `Core category ${category.name} uses unknown split rule "${category.rule}"`, { index, actual: category.rule });
+      }
+      (category.adultIds || []).forEach(adultId => {
+        if (!adultIds.includes(adultId)) {
+          fail("CORE_CATEGORY_UNKNOWN_ADULT", `/coreCategories/${index}/adultIds`,
+            `Core category ${category.name} is assigned to unknown adult ${adultId}`, { index, adultId });
+        }
+      });
+    });
+
     // Validate care model
-    if (!["credit", "stipend"].includes(this.careModel)) {
-      errors.push(`careModel must be "credit" or "stipend", found ${this.careModel}`);
+    if (!CARE_MODELS.includes(this.careModel)) {
+      fail("CARE_MODEL_INVALID", "/careModel", `careModel must be one of ${CARE_MODELS.join(', ')}, found ${this.careModel}`,
+        { allowed: CARE_MODELS, actual: this.careModel });
     }
+    this.adults.forEach((adult, index) => {
+      if (adult.careCompensationMode !== undefined && !CARE_COMPENSATION_MODES.includes(adult.careCompensationMode)) {
+        fail("ADULT_INVALID_CARE_COMPENSATION_MODE", `/adults/${index}/careCompensationMode`,
+          `Adult ${adult.name} has invalid careCompensationMode: ${adult.careCompensationMode}`,
+          { index, allowed: CARE_COMPENSATION_MODES, actual: adult.careCompensationMode });
+      }
+    });
 
     // Validate care rate
     if (this.careRatePerHour <= 0) {
-      errors.push(`careRatePerHour must be positive, found ${this.careRatePerHour}`);
+      fail("CARE_RATE_NOT_POSITIVE", "/careRatePerHour", `careRatePerHour must be positive, found ${this.careRatePerHour}`,
+        { actual: this.careRatePerHour });
     }
 
+    // Validate care rate card
+    validateCareRateCard(this.careRateCard).forEach(problem => {
+      fail("CARE_RATE_CARD_INVALID", `/careRateCard${problem.field}`, problem.message);
+    });
+
+    // Validate care credit policy
+    validateCareCreditPolicy(this.careCreditPolicy).forEach(problem => {
+      fail("CARE_CREDIT_POLICY_INVALID", `/careCreditPolicy${problem.field}`, problem.message);
+    });
+
     // Validate vision allocation
     if (this.visionAllocPercent < 0 || this.visionAllocPercent > 0.5) {
-      errors.push(`visionAllocPercent must be between 0 and 0.5, found ${this.visionAllocPercent}`);
+      fail("VISION_ALLOC_OUT_OF_RANGE", "/visionAllocPercent",
+        `visionAllocPercent must be between 0 and 0.5, found ${this.visionAllocPercent}`, { min: 0, max: 0.5, actual: this.visionAllocPercent });
     }
 
     // Validate emergency months
-    if (this.emergencyMonths < 1 || this.emergencyMonths > 12) {
-      errors.push(`emergencyMonths must be between 1 and 12, found ${this.emergencyMonths}`);
+    if (!isWithinRange(this.emergencyMonths, policy.emergencyMonths)) {
+      fail("EMERGENCY_MONTHS_OUT_OF_RANGE", "/emergencyMonths",
+        `emergencyMonths must be between ${policy.emergencyMonths.min} and ${policy.emergencyMonths.max}, found ${this.emergencyMonths}`,
+        { ...policy.emergencyMonths, actual: this.emergencyMonths });
     }
 
+    // Validate monthly core estimate settings and history
+    validateCoreEstimateSettings(this.emergencyEstimate).forEach(problem => {
+      fail("EMERGENCY_ESTIMATE_INVALID", `/emergencyEstimate${problem.field}`, problem.message);
+    });
+    this.coreHistory.forEach((entry, index) => {
+      if (!/^\d{4}-\d{2}$/.test(entry.label)) {
+        fail("CORE_HISTORY_INVALID_LABEL", `/coreHistory/${index}/label`,
+          `Core history entry ${index + 1} must have a YYYY-MM label, found ${entry.label}`, { index, actual: entry.label });
+      }
+      if (typeof entry.coreTotal !== 'number' || entry.coreTotal < 0) {
+        fail("CORE_HISTORY_INVALID_TOTAL", `/coreHistory/${index}/coreTotal`,
+          `Core history entry ${index + 1} has invalid coreTotal: ${entry.coreTotal}`, { index, actual: entry.coreTotal });
+      }
+    });
+
+    // Validate emergency fund account
+    validateEmergencyFund(this.emergencyFund).forEach(problem => {
+      fail("EMERGENCY_FUND_INVALID", `/emergencyFund${problem.field}`, problem.message);
+    });
+
+    // Validate sinking fund priorities and target dates
+    this.sinkingFunds.forEach((fund, index) => {
+      validateSinkingFund(fund).forEach(problem => {
+        fail("SINKING_FUND_INVALID", `/sinkingFunds/${index}${problem.field}`, problem.message);
+      });
+    });
+
+    // Validate account interest rates
+    validateAccounts(this.accounts).forEach(problem => {
+      fail("ACCOUNT_INVALID", `/accounts${problem.field}`, problem.message);
+    });
+
     // Validate governance settings
     if (this.governance.routineQuorum && this.governance.routineQuorum > this.adults.length) {
-      errors.push(`routineQuorum cannot exceed number of adults`);
+      fail("ROUTINE_QUORUM_EXCEEDS_ADULTS", "/governance/routineQuorum", `routineQuorum cannot exceed number of adults`,
+        { max: this.adults.length, actual: this.governance.routineQuorum });
     }
     if (this.governance.majorQuorum && this.governance.majorQuorum > this.adults.length) {
-      errors.push(`majorQuorum cannot exceed number of adults`);
+      fail("MAJOR_QUORUM_EXCEEDS_ADULTS", "/governance/majorQuorum", `majorQuorum cannot exceed number of adults`,
+        { max: this.adults.length, actual: this.governance.majorQuorum });
     }
 
     return {
-      isValid: errors.length === 0,
-      errors
+      isValid: violations.length === 0,
+      errors: violations.map(violation => violation.message),
+      violations
     };
   }
 
+  /**
+   * Get the effective validation policy (defaults merged with household overrides)
+   * @returns {Object} Household policy
+   */
+  getPolicy() {
+    return resolveHouseholdPolicy(this);
+  }
+
+  /**
+   * Get core categories with their split rules
+   * @returns {Array} Normalized categories ({ id, name, rule, adultIds })
+   */
+  getCoreCategories() {
+    return normalizeCoreCategories(this.coreCategories);
+  }
+
   /**
    * Get total household net income
-   * @returns {number} Sum of all adult net incomes
+   * @param {Object} [period] - Period whose income snapshots, history and FX rates apply (current incomes if omitted)
+   * @returns {number} Sum of all adult net incomes in the household currency
+   */
+  getTotalNetIncome(period = null) {
+    return this.adults.reduce((sum, adult) => sum + resolveHouseholdIncome(this, adult, period).netIncome, 0);
+  }
+
+  /**
+   * Record a new effective-dated net income for an adult
+   * The current netIncome follows the entry in effect for the current period, so
+   * an announced future raise only applies once its period comes; every period
+   * keeps resolving to the entry that was in effect for it.
+   * @param {string} adultId - Adult ID
+   * @param {string} effectiveFrom - First period (YYYY-MM) the income applies to
+   * @param {number} netIncome - Net income
+   * @param {string} [currentLabel] - Current period (YYYY-MM), this month when omitted
    */
-  getTotalNetIncome() {
-    return this.adults.reduce((sum, adult) => sum + adult.netIncome, 0);
+  addIncomeHistoryEntry(adultId, effectiveFrom, netIncome, currentLabel = null) {
+    const adult = this.adults.find(candidate => String(candidate.id) === String(adultId));
+    if (!adult) {
+      throw new Error(`Adult not found: ${adultId}`);
+    }
+
+    if (!adult.incomeHistory) {
+      // Keep the income used so far as the starting entry
+      adult.incomeHistory = [{ effectiveFrom: "0000-01", netIncome: adult.netIncome }];
+    }
+    adult.incomeHistory = adult.incomeHistory.filter(entry => entry.effectiveFrom !== effectiveFrom);
+    adult.incomeHistory.push({ effectiveFrom, netIncome });
+    adult.incomeHistory.sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+    const current = getEffectiveHistoryEntry(adult, currentLabel || new Date().toISOString().slice(0, 7));
+    if (current) {
+      adult.netIncome = current.netIncome;
+    }
   }
 
   /**
@@ -111,31 +315,53 @@ export class Household {
     return this.adults.length + this.getTotalChildUnits();
   }
 
+  /**
+   * Record a period's core total in the household history
+   * Recording the same period again replaces its entry.
+   * @param {string} label - Period label (YYYY-MM)
+   * @param {number} coreTotal - Core total of the period
+   */
+  recordCoreTotal(label, coreTotal) {
+    this.coreHistory = this.coreHistory.filter(entry => entry.label !== label);
+    this.coreHistory.push({ label, coreTotal, recordedAt: new Date().toISOString() });
+    this.coreHistory.sort((a, b) => a.label.localeCompare(b.label));
+  }
+
+  /**
+   * Estimate monthly core expenses from the core history
+   * @param {Object} [period] - Period being planned; only earlier months count
+   * @returns {Object} { amount, source, method, requestedMonths, months }
+   */
+  getMonthlyCoreEstimate(period = null) {
+    return estimateMonthlyCore(this.coreHistory, this.emergencyEstimate, period);
+  }
+
   /**
    * Get monthly core budget estimate
+   * @param {Object} [period] - Period being planned
    * @returns {number} Total monthly core expenses
    */
-  getEstimatedMonthlyCore() {
-    // This would typically be calculated from historical data
-    // For now, return a placeholder
-    return 0;
+  getEstimatedMonthlyCore(period = null) {
+    return this.getMonthlyCoreEstimate(period).amount;
   }
 
   /**
    * Get emergency fund target
+   * @param {Object} [period] - Period being planned
    * @returns {number} Target emergency fund amount
    */
-  getEmergencyTarget() {
-    const monthlyCore = this.getEstimatedMonthlyCore();
+  getEmergencyTarget(period = null) {
+    const monthlyCore = this.getEstimatedMonthlyCore(period);
     return monthlyCore * this.emergencyMonths;
   }
 
   /**
    * Get monthly vision allocation
+   * @param {Object} [period] - Period whose incomes and FX rates apply
    * @returns {number} Monthly amount for vision goals
    */
-  getMonthlyVisionAllocation() {
-    return this.getTotalNetIncome() * this.visionAllocPercent / 12;
+  getMonthlyVisionAllocation(period = null) {
+    return this.getTotalNetIncome(period) * this.visionAllocPercent / 12;
   }
 
   /**
@@ -146,18 +372,31 @@ export class Household {
     return {
       name: this.name,
       currency: this.currency,
+      timeZone: this.timeZone,
       adults: this.adults,
       childrenCount: this.childrenCount,
       childUnitWeight: this.childUnitWeight,
       capPercent: this.capPercent,
+      allocationStrategy: this.allocationStrategy,
+      allocationOptions: this.allocationOptions,
       careModel: this.careModel,
       careRatePerHour: this.careRatePerHour,
+      careRateCard: this.careRateCard,
+      careCreditPolicy: this.careCreditPolicy,
+      careCredits: this.careCredits,
       coreCategories: this.coreCategories,
       visionAllocPercent: this.visionAllocPercent,
       emergencyMonths: this.emergencyMonths,
+      emergencyEstimate: this.emergencyEstimate,
+      coreHistory: this.coreHistory,
+      emergencyFund: this.emergencyFund,
       sinkingFunds: this.sinkingFunds,
+      accounts: this.accounts,
+      proposals: this.proposals,
+      scheduledTransfers: this.scheduledTransfers,
       governance: this.governance,
-      documents: this.documents
+      documents: this.documents,
+      policy: this.policy
     };
   }
 
@@ -0,0 +1,77 @@
+/**
+ * Household policy for LLC Governance Dashboard
+ * Size and settings limits a household is validated against, with defaults
+ */
+
+export const DEFAULT_HOUSEHOLD_POLICY = {
+  adults: { min: 3, max: 5 },
+  capPercent: { min: 0.05, max: 0.6 },
+  childUnitWeight: { min: 0.1, max: 1.0 },
+  emergencyMonths: { min: 1, max: 12 }
+};
+
+/**
+ * Resolve the effective policy for a household
+ * Household-level limits override the defaults one bound at a time, so a
+ * household can set { adults: { max: 7 } } and keep the default minimum.
+ * @param {Object} household - Household (or plain object) with an optional policy
+ * @returns {Object} Complete policy
+ */
+export function resolveHouseholdPolicy(household = {}) {
+  const overrides = household.policy || {};
+  const policy = {};
+  Object.entries(DEFAULT_HOUSEHOLD_POLICY).forEach(([key, range]) => {
+    policy[key] = { ...range, ...(overrides[key] || {}) };
+  });
+  return policy;
+}
+
+/**
+ * Check whether a value lies inside a policy range
+ * @param {number} value - Value to check
+ * @param {Object} range - { min, max }
+ * @returns {boolean} True when min <= value <= max
+ */
+export function isWithinRange(value, range) {
+  return typeof value === 'number' && value >= range.min && value <= range.max;
+}
+
+/**
+ * Create a structured validation violation
+ * @param {string} code - Stable machine-readable code, e.g. "ADULT_COUNT_OUT_OF_RANGE"
+ * @param {string} field - JSON pointer to the offending field, e.g. "/adults/1/netIncome"
+ * @param {string} message - Human-readable message
+ * @param {Object} params - Values the UI can use to build its own message
+ * @returns {Object} Violation
+ */
+export function createViolation(code, field, message, params = {}) {
+  return { code, field, message, params };
+}
+
+/**
+ * Validate the policy ranges themselves
+ * @param {Object} policy - Resolved policy
+ * @returns {Array} Violations for malformed ranges
+ */
+export function validatePolicy(policy) {
+  const violations = [];
+  Object.entries(policy).forEach(([key, range]) => {
+    if (typeof range.min !== 'number' || typeof range.max !== 'number' || range.min > range.max) {
+      violations.push(createViolation(
+        "POLICY_INVALID_RANGE",
+        `/policy/${key}`,
+        `Policy range for ${key} is invalid: ${range.min}-${range.max}`,
+        { min: range.min, max: range.max }
+      ));
+    }
+  });
+  if (policy.adults.min < 1) {
+    violations.push(createViolation(
+      "POLICY_INVALID_RANGE",
+      "/policy/adults/min",
+      `Policy must allow at least 1 adult, found minimum ${policy.adults.min}`,
+      { min: policy.adults.min }
+    ));
+  }
+  return violations;
+}
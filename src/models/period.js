@@ -3,18 +3,69 @@
  * Represents a monthly financial period with all associated data
  */
 
+import { normalizeCoreCategories } from '../core/coreCategories.js';
+import { hasProration, isPresentOn, validateChildUnitCoverage, validateProrationSpans } from '../core/proration.js';
+import { validateIncomeSnapshot } from '../core/income.js';
+import { applyCareEntryReview, getCareEntryStatus, validateCareEntryStatus } from '../core/careApproval.js';
+import { CARE_TIME_BANDS, priceCareEntry } from '../core/careRates.js';
+import { reverseCareCredits } from '../core/careCreditLedger.js';
+import { createViolation } from './householdPolicy.js';
+
+export const PERIOD_STATUSES = ["draft", "calculated", "under_review", "approved", "closed", "reopened"];
+
+// Statuses a period can move to, by current status (closed periods only leave through reopen())
+const STATUS_TRANSITIONS = {
+  draft: ["calculated"],
+  calculated: ["under_review"],
+  under_review: ["approved", "calculated"],
+  approved: ["closed", "under_review"],
+  closed: [],
+  reopened: ["calculated"]
+};
+
+// Statuses in which the period's figures can no longer change
+const LOCKED_STATUSES = ["approved", "closed"];
+
+/**
+ * Create an error carrying a structured violation
+ * @param {string} code - Violation code
+ * @param {string} field - JSON pointer to the offending input
+ * @param {string} message - Human-readable message
+ * @param {Object} params - Violation parameters
+ * @returns {Error} Error with violations
+ * @private
+ */
+function statusError(code, field, message, params = {}) {
+  const error = new Error(message);
+  error.violations = [createViolation(code, field, message, params)];
+  return error;
+}
+
 export class Period {
   constructor(data = {}) {
-    this.label = data.label || ""; // Format: "YYYY-MM"
-    this.coreTotal = data.coreTotal || 0.00;
-    this.assignedChildUnits = data.assignedChildUnits || {};
-    this.overrides = data.overrides || {};
-    this.careEntries = data.careEntries || [];
-    this.decisions = data.decisions || [];
-    this.amendments = data.amendments || [];
-    this.isLocked = data.isLocked || false;
-    this.createdAt = data.createdAt || new Date().toISOString();
-    this.updatedAt = data.updatedAt || new Date().toISOString();
+    this.label = data.label ?? ""; // Format: "YYYY-MM"
+    this.coreTotal = data.coreTotal ?? 0.00;
+    this.categoryAmounts = data.categoryAmounts ?? {}; // Core category id -> line amount
+    this.assignedChildUnits = data.assignedChildUnits ?? {};
+    this.memberships = data.memberships ?? {}; // Adult ID -> { startDate, endDate } for mid-period moves
+    this.childUnitSpans = data.childUnitSpans ?? {}; // Adult ID -> [{ units, startDate, endDate }]
+    this.overrides = data.overrides ?? {};
+    this.recurringOverrides = data.recurringOverrides ?? []; // Adult IDs whose override carries into the next period
+    this.capAdjustment = data.capAdjustment ?? null; // { capPercent, consents, appliedAt } temporary cap for this period
+    this.incomeSnapshots = data.incomeSnapshots ?? {}; // Adult ID -> { method, amount | amounts } income for this period
+    this.fxRates = data.fxRates ?? {}; // Currency code -> household-currency value of 1 unit, e.g. { EUR: 1.08 }
+    this.careEntries = data.careEntries ?? [];
+    this.careCompensationModes = data.careCompensationModes ?? {}; // Adult ID -> "credit" | "stipend" under the hybrid care model
+    this.careCreditsApplied = data.careCreditsApplied ?? {}; // Adult ID -> care credit applied against this period's share
+    this.decisions = data.decisions ?? [];
+    this.amendments = data.amendments ?? [];
+    this.calculationAudit = data.calculationAudit ?? null; // { calculatedAt, events } from the last calculation
+    this.nextPeriodCorePreview = data.nextPeriodCorePreview ?? null; // Care ledger preview of next month's core from the last calculation
+    this.rolledOverFrom = data.rolledOverFrom ?? null; // What rollover carried forward from the previous period
+    this.status = data.status ?? (data.isLocked ? "closed" : "draft"); // See PERIOD_STATUSES; periods saved before statuses map from isLocked
+    this.statusHistory = data.statusHistory ?? []; // [{ from, to, at, by, note, reason, authorization }]
+    this.createdAt = data.createdAt ?? new Date().toISOString();
+    this.updatedAt = data.updatedAt ?? new Date().toISOString();
   }
 
   /**
@@ -35,21 +86,61 @@ export class Period {
       errors.push(`Core total must be positive, found ${this.coreTotal}`);
     }
 
-    // Validate assigned child units sum to total child units
-    const totalAssigned = Object.values(this.assignedChildUnits).reduce((sum, units) => sum + units, 0);
+    // Validate category line amounts
+    const categoryIds = normalizeCoreCategories(household.coreCategories).map(category => category.id);
+    Object.entries(this.categoryAmounts).forEach(([categoryId, amount]) => {
+      if (!categoryIds.includes(categoryId)) {
+        errors.push(`Category amount set for unknown core category: ${categoryId}`);
+      }
+      if (typeof amount !== 'number' || amount < 0) {
+        errors.push(`Category ${categoryId} has invalid amount: ${amount}`);
+      }
+    });
+    if (this.getCategoryTotal() - this.coreTotal > 0.005) {
+      errors.push(`Category amounts (${this.getCategoryTotal().toFixed(2)}) exceed core total (${this.coreTotal.toFixed(2)})`);
+    }
+
+    // Validate membership and child unit span dates
+    const labelValid = /^\d{4}-\d{2}$/.test(this.label);
+    errors.push(...validateProrationSpans(this, household.adults));
+
+    // Validate assigned child units sum to total child units on every day
     const expectedTotal = household.childrenCount * household.childUnitWeight;
-    
-    if (Math.abs(totalAssigned - expectedTotal) > 0.01) {
-      errors.push(`Assigned child units (${totalAssigned}) must equal expected total (${expectedTotal})`);
+    if (labelValid || !hasProration(this)) {
+      errors.push(...validateChildUnitCoverage(this, household.adults, expectedTotal));
+    } else {
+      errors.push("Child unit coverage of mid-period changes cannot be checked without a valid period label");
     }
 
     // Validate each adult has assigned child units
     household.adults.forEach(adult => {
-      if (!(adult.id in this.assignedChildUnits)) {
+      if (!(adult.id in this.assignedChildUnits) && !(adult.id in this.childUnitSpans)) {
         errors.push(`Adult ${adult.name} missing assigned child units`);
       }
     });
 
+    // Validate period income snapshots
+    const adultIds = household.adults.map(adult => String(adult.id));
+    Object.entries(this.incomeSnapshots).forEach(([adultId, snapshot]) => {
+      if (!adultIds.includes(adultId)) {
+        errors.push(`Income snapshot set for unknown adult ${adultId}`);
+        return;
+      }
+      errors.push(...validateIncomeSnapshot(snapshot, `Income snapshot for ${adultId}`));
+    });
+
+    // Validate FX rates, one for every adult income currency
+    Object.entries(this.fxRates).forEach(([currency, rate]) => {
+      if (typeof rate !== 'number' || rate <= 0) {
+        errors.push(`FX rate for ${currency} must be positive, found ${rate}`);
+      }
+    });
+    household.adults.forEach(adult => {
+      if (adult.incomeCurrency && adult.incomeCurrency !== household.currency && !(adult.incomeCurrency in this.fxRates)) {
+        errors.push(`Missing FX rate for ${adult.incomeCurrency} (income currency of ${adult.name})`);
+      }
+    });
+
     // Validate care entries
     this.careEntries.forEach((entry, index) => {
       if (!entry.adultId || !entry.date || !entry.task || typeof entry.hours !== 'number') {
@@ -58,6 +149,13 @@ export class Period {
       if (entry.hours <= 0) {
         errors.push(`Care entry ${index + 1} has invalid hours: ${entry.hours}`);
       }
+      errors.push(...validateCareEntryStatus(entry, index));
+      if (entry.taskType && !((household.careRateCard || {}).taskTypes || {})[entry.taskType]) {
+        errors.push(`Care entry ${index + 1} has unknown task type: ${entry.taskType}`);
+      }
+      if (entry.timeBand && !CARE_TIME_BANDS.includes(entry.timeBand)) {
+        errors.push(`Care entry ${index + 1} has invalid time band: ${entry.timeBand}`);
+      }
     });
 
     // Validate decisions
@@ -80,49 +178,104 @@ export class Period {
     };
   }
 
+  /**
+   * Get the sum of all category line amounts
+   * @returns {number} Total of categoryAmounts
+   */
+  getCategoryTotal() {
+    return Object.values(this.categoryAmounts).reduce((sum, amount) => sum + amount, 0);
+  }
+
   /**
    * Get care value for a specific adult
    * @param {string} adultId - Adult ID to get care value for
-   * @param {number} careRatePerHour - Hourly care rate
+   * @param {number|Object} rates - Flat hourly rate, or the household (rate card with flat-rate fallback)
    * @returns {number} Total care value for the adult
    */
-  getCareValue(adultId, careRatePerHour) {
+  getCareValue(adultId, rates) {
+    const total = this.getCountedCareEntries(adultId)
+      .reduce((sum, entry) => sum + priceCareEntry(entry, rates).value, 0);
+    return Math.round(total * 100) / 100;
+  }
+
+  /**
+   * Get care entries that count for an adult
+   * Only approved entries count; entries dated while the adult was not part of
+   * the household are left out.
+   * @param {string} adultId - Adult ID
+   * @returns {Array} Counted care entries
+   */
+  getCountedCareEntries(adultId) {
+    return this.careEntries
+      .filter(entry => entry.adultId === adultId && getCareEntryStatus(entry) === "approved" && isPresentOn(this, adultId, entry.date));
+  }
+
+  /**
+   * Get care entries with a given status
+   * @param {string} status - "submitted" | "approved" | "disputed" | "rejected"
+   * @param {string} [adultId] - Only this adult's entries
+   * @returns {Array} Matching care entries
+   */
+  getCareEntriesByStatus(status, adultId = null) {
     return this.careEntries
-      .filter(entry => entry.adultId === adultId)
-      .reduce((total, entry) => total + entry.hours, 0) * careRatePerHour;
+      .filter(entry => getCareEntryStatus(entry) === status && (adultId === null || entry.adultId === adultId));
   }
 
   /**
    * Get total care value for all adults
-   * @param {number} careRatePerHour - Hourly care rate
+   * @param {number|Object} rates - Flat hourly rate, or the household (rate card with flat-rate fallback)
    * @returns {Object} Care values by adult ID
    */
-  getAllCareValues(careRatePerHour) {
+  getAllCareValues(rates) {
     const careValues = {};
     this.careEntries.forEach(entry => {
+      if (getCareEntryStatus(entry) !== "approved" || !isPresentOn(this, entry.adultId, entry.date)) return;
       if (!careValues[entry.adultId]) {
         careValues[entry.adultId] = 0;
       }
-      careValues[entry.adultId] += entry.hours * careRatePerHour;
+      careValues[entry.adultId] = Math.round((careValues[entry.adultId] + priceCareEntry(entry, rates).value) * 100) / 100;
     });
     return careValues;
   }
 
   /**
    * Add a care entry
+   * New entries are submitted and only count once another adult approves them.
    * @param {Object} careEntry - Care entry to add
+   * @returns {Object} The added entry
    */
   addCareEntry(careEntry) {
-    if (this.isLocked) {
-      throw new Error("Cannot modify locked period");
-    }
+    this._assertUnlocked();
     
-    this.careEntries.push({
+    const { status, approvedBy, approvedAt, reviews, ...entryData } = careEntry;
+    const entry = {
       id: this._generateId(),
-      ...careEntry,
-      date: careEntry.date || new Date().toISOString().split('T')[0]
-    });
+      ...entryData,
+      date: careEntry.date || new Date().toISOString().split('T')[0],
+      status: "submitted",
+      submittedAt: new Date().toISOString()
+    };
+    this.careEntries.push(entry);
     this.updatedAt = new Date().toISOString();
+    return entry;
+  }
+
+  /**
+   * Approve, dispute or reject a care entry
+   * @param {string} entryId - Care entry ID
+   * @param {Object} review - { reviewerId, status, note }; the reviewer cannot be the entry's adult
+   * @returns {Object} The updated entry
+   */
+  reviewCareEntry(entryId, review) {
+    this._assertUnlocked();
+
+    const entry = this.careEntries.find(candidate => candidate.id === entryId);
+    if (!entry) {
+      throw statusError("CARE_ENTRY_NOT_FOUND", "/entryId", `Care entry not found: ${entryId}`, { actual: entryId });
+    }
+    applyCareEntryReview(entry, review);
+    this.updatedAt = new Date().toISOString();
+    return entry;
   }
 
   /**
@@ -130,9 +283,7 @@ export class Period {
    * @param {Object} decision - Decision to add
    */
   addDecision(decision) {
-    if (this.isLocked) {
-      throw new Error("Cannot modify locked period");
-    }
+    this._assertUnlocked();
     
     this.decisions.push({
       id: this._generateId(),
@@ -147,9 +298,7 @@ export class Period {
    * @param {Object} amendment - Amendment to add
    */
   addAmendment(amendment) {
-    if (this.isLocked) {
-      throw new Error("Cannot modify locked period");
-    }
+    this._assertUnlocked();
     
     this.amendments.push({
       id: this._generateId(),
@@ -160,21 +309,225 @@ export class Period {
   }
 
   /**
-   * Lock the period to prevent further modifications
+   * Set the figures a calculation runs on
+   * Only the inputs given change; category amounts set the core total to their sum
+   * unless a core total is given too.
+   * @param {Object} inputs - { coreTotal, categoryAmounts, assignedChildUnits, memberships, childUnitSpans, overrides, recurringOverrides, fxRates }
+   */
+  setCalculationInputs({ coreTotal, categoryAmounts, assignedChildUnits, memberships, childUnitSpans, overrides, recurringOverrides, fxRates }) {
+    this._assertUnlocked();
+
+    if (categoryAmounts !== undefined) {
+      this.categoryAmounts = categoryAmounts;
+      if (coreTotal === undefined) this.coreTotal = this.getCategoryTotal();
+    }
+    if (coreTotal !== undefined) this.coreTotal = coreTotal;
+    if (assignedChildUnits !== undefined) this.assignedChildUnits = assignedChildUnits;
+    if (memberships !== undefined) this.memberships = memberships;
+    if (childUnitSpans !== undefined) this.childUnitSpans = childUnitSpans;
+    if (overrides !== undefined) this.overrides = overrides;
+    if (recurringOverrides !== undefined) this.recurringOverrides = recurringOverrides;
+    if (fxRates !== undefined) this.fxRates = fxRates;
+    this.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Set the income an adult is calculated with for this period
+   * @param {string} adultId - Adult ID
+   * @param {Object} snapshot - { method: "declared", amount } or { method: "trailing_average", amounts }
+   */
+  setIncomeSnapshot(adultId, snapshot) {
+    this._assertUnlocked();
+
+    this.incomeSnapshots[adultId] = { ...snapshot, recordedAt: new Date().toISOString() };
+    this.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Store the audit events of the latest calculation
+   * Locking the period keeps them as the explanation of the closed month.
+   * @param {Array} events - Audit events from the calculators
+   */
+  setCalculationAudit(events) {
+    this._assertUnlocked();
+
+    this.calculationAudit = {
+      calculatedAt: new Date().toISOString(),
+      events
+    };
+    this.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Store the next month's core preview from the latest calculation
+   * Rollover uses it as the next period's draft core total.
+   * @param {Object} preview - Care ledger nextPeriodCorePreview
+   */
+  setNextPeriodCorePreview(preview) {
+    this._assertUnlocked();
+
+    this.nextPeriodCorePreview = preview;
+    this.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Choose how an adult's care is compensated this period (hybrid care model)
+   * @param {string} adultId - Adult ID
+   * @param {string} mode - "credit" | "stipend"
    */
-  lock() {
-    this.isLocked = true;
+  setCareCompensationMode(adultId, mode) {
+    this._assertUnlocked();
+
+    this.careCompensationModes[adultId] = mode;
     this.updatedAt = new Date().toISOString();
   }
 
   /**
-   * Unlock the period to allow modifications
+   * Store the care credit each adult applies against this period's share
+   * Set from the latest calculation and posted to the household ledger at close.
+   * @param {Object} applied - Adult ID -> credit applied
    */
-  unlock() {
-    this.isLocked = false;
+  setCareCreditsApplied(applied) {
+    this._assertUnlocked();
+
+    this.careCreditsApplied = applied;
     this.updatedAt = new Date().toISOString();
   }
 
+  /**
+   * Whether the period's figures can no longer change
+   * @returns {boolean} True once the period is approved or closed
+   */
+  get isLocked() {
+    return LOCKED_STATUSES.includes(this.status);
+  }
+
+  /**
+   * Throw if the period's figures can no longer change
+   * @private
+   */
+  _assertUnlocked() {
+    if (this.isLocked) {
+      throw statusError("PERIOD_LOCKED", "/status", `Cannot modify locked period ${this.label} (${this.status})`, { actual: this.status });
+    }
+  }
+
+  /**
+   * Check whether the period can move to a status
+   * @param {string} status - Target status
+   * @returns {boolean} True if the transition is allowed
+   */
+  canTransitionTo(status) {
+    return STATUS_TRANSITIONS[this.status].includes(status);
+  }
+
+  /**
+   * Move the period to its next status
+   * Approving needs the approving adult; closed periods can only be reopened with reopen().
+   * @param {string} status - Target status
+   * @param {Object} [details] - { by, note }
+   * @returns {Object} The recorded transition
+   */
+  transitionTo(status, { by = null, note = "" } = {}) {
+    if (!PERIOD_STATUSES.includes(status)) {
+      throw statusError("PERIOD_STATUS_UNKNOWN", "/status", `Unknown period status: ${status}`, { allowed: PERIOD_STATUSES, actual: status });
+    }
+    if (!this.canTransitionTo(status)) {
+      throw statusError("PERIOD_TRANSITION_INVALID", "/status",
+        `Period ${this.label} is ${this.status} and cannot move to ${status}${status === "reopened" ? " without a reopening approval" : ''}`,
+        { from: this.status, to: status, allowed: STATUS_TRANSITIONS[this.status] });
+    }
+    if (status === "approved" && !by) {
+      throw statusError("PERIOD_APPROVER_MISSING", "/by", "Approving a period requires the approving adult");
+    }
+    return this._recordTransition(status, { by, note });
+  }
+
+  /**
+   * Reopen a closed period
+   * Needs a reason and either a passed "Reopen Period" proposal for this period
+   * (each proposal reopens once) or the consent of every adult. Care credits
+   * posted when the period closed are reversed and post again on the next
+   * close, so a later period must not have posted credits yet.
+   * @param {Object} household - Household (adults, proposals and careCredits, which loses this period's transactions)
+   * @param {Object} request - { reason, by, proposalId, consents: [{ adultId, note }] }
+   * @returns {Object} The recorded transition
+   */
+  reopen(household, { reason, by = null, proposalId = null, consents = null }) {
+    if (this.status !== "closed") {
+      throw statusError("PERIOD_TRANSITION_INVALID", "/status", `Period ${this.label} is ${this.status}, only closed periods can be reopened`,
+        { from: this.status, to: "reopened" });
+    }
+    if (!reason) {
+      throw statusError("REOPEN_REASON_MISSING", "/reason", "Reopening a period requires a reason");
+    }
+
+    let authorization;
+    if (proposalId) {
+      const proposal = (household.proposals || []).find(candidate => candidate.id === proposalId);
+      if (!proposal || proposal.template !== "Reopen Period" || proposal.fields.period !== this.label) {
+        throw statusError("REOPEN_PROPOSAL_INVALID", "/proposalId", `Proposal ${proposalId} is not a proposal to reopen ${this.label}`,
+          { actual: proposalId });
+      }
+      if (proposal.status !== "passed") {
+        throw statusError("REOPEN_PROPOSAL_NOT_PASSED", "/proposalId", `Proposal ${proposalId} is ${proposal.status}, it must pass first`,
+          { actual: proposal.status });
+      }
+      if (this.statusHistory.some(entry => entry.authorization && entry.authorization.proposalId === proposalId)) {
+        throw statusError("REOPEN_PROPOSAL_USED", "/proposalId", `Proposal ${proposalId} has already reopened ${this.label}`);
+      }
+      authorization = { type: "proposal", proposalId };
+    } else if (consents) {
+      const missing = household.adults
+        .filter(adult => !consents.some(consent => String(consent.adultId) === String(adult.id)))
+        .map(adult => adult.name);
+      if (missing.length > 0) {
+        throw statusError("REOPEN_CONSENT_MISSING", "/consents",
+          `Reopening without a proposal needs every adult's consent, missing: ${missing.join(', ')}`, { missing });
+      }
+      authorization = {
+        type: "unanimous_consent",
+        consents: consents.map(consent => ({ adultId: consent.adultId, note: consent.note || "", consentedAt: new Date().toISOString() }))
+      };
+    } else {
+      throw statusError("REOPEN_AUTHORIZATION_MISSING", "/proposalId",
+        "Reopening a closed period requires a passed proposal or the consent of every adult");
+    }
+
+    const careCredits = household.careCredits || [];
+    const laterPosting = careCredits.find(transaction => transaction.periodLabel > this.label);
+    if (laterPosting) {
+      throw statusError("REOPEN_CARE_CREDITS_POSTED_LATER", "/status",
+        `Care credits for ${laterPosting.periodLabel} are already posted on top of ${this.label}'s balances`,
+        { periodLabel: laterPosting.periodLabel });
+    }
+
+    const reversedCareCredits = careCredits.length > 0 ? reverseCareCredits(household, this.label) : [];
+    return this._recordTransition("reopened", { by, reason, authorization, reversedCareCredits });
+  }
+
+  /**
+   * Record a status change in the period's history
+   * @param {string} status - New status
+   * @param {Object} details - { by, note, reason, authorization, reversedCareCredits }
+   * @returns {Object} The recorded transition
+   * @private
+   */
+  _recordTransition(status, details) {
+    const at = new Date().toISOString();
+    const transition = { from: this.status, to: status, at, by: details.by || null };
+    ['note', 'reason', 'authorization'].forEach(key => {
+      if (details[key]) transition[key] = details[key];
+    });
+    if (details.reversedCareCredits && details.reversedCareCredits.length > 0) {
+      transition.reversedCareCredits = details.reversedCareCredits;
+    }
+    this.statusHistory.push(transition);
+    this.status = status;
+    this.updatedAt = at;
+    return transition;
+  }
+
   /**
    * Generate a unique ID for entries
    * @returns {string} Unique ID
@@ -192,11 +545,25 @@ export class Period {
     return {
       label: this.label,
       coreTotal: this.coreTotal,
+      categoryAmounts: this.categoryAmounts,
       assignedChildUnits: this.assignedChildUnits,
+      memberships: this.memberships,
+      childUnitSpans: this.childUnitSpans,
       overrides: this.overrides,
+      recurringOverrides: this.recurringOverrides,
+      capAdjustment: this.capAdjustment,
+      incomeSnapshots: this.incomeSnapshots,
+      fxRates: this.fxRates,
       careEntries: this.careEntries,
+      careCompensationModes: this.careCompensationModes,
+      careCreditsApplied: this.careCreditsApplied,
       decisions: this.decisions,
       amendments: this.amendments,
+      calculationAudit: this.calculationAudit,
+      nextPeriodCorePreview: this.nextPeriodCorePreview,
+      rolledOverFrom: this.rolledOverFrom,
+      status: this.status,
+      statusHistory: this.statusHistory,
       isLocked: this.isLocked,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
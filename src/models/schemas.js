@@ -0,0 +1,354 @@
+/**
+ * Data schemas for LLC Governance Dashboard
+ * Declarative shapes of households, periods and their records, checked before
+ * untrusted data (onboarding requests, import files) reaches the models
+ */
+
+import { createViolation, resolveHouseholdPolicy } from './householdPolicy.js';
+import { PERIOD_STATUSES } from './period.js';
+import { CARE_COMPENSATION_MODES, CARE_MODELS } from '../core/careLedger.js';
+import { CARE_TIME_BANDS } from '../core/careRates.js';
+import { CARE_ENTRY_STATUSES } from '../core/careApproval.js';
+
+const LABEL_PATTERN = "^\\d{4}-\\d{2}$";
+const DATE_PATTERN = "^\\d{4}-\\d{2}-\\d{2}";
+const CURRENCY_PATTERN = "^[A-Z]{3}$";
+const ID = { type: ["string", "number"] };
+
+/**
+ * Schema keywords:
+ *   type                 - "string" | "number" | "integer" | "boolean" | "object" | "array", or a list of them
+ *   nullable             - null is accepted
+ *   enum                 - allowed values
+ *   pattern, minLength   - string rules (pattern is a RegExp source)
+ *   minimum, maximum, exclusiveMinimum - number rules
+ *   minItems, maxItems   - array length rules
+ *   properties, required - object fields and the ones that must be present
+ *   values               - schema of every value of an object used as a map (e.g. adult ID -> amount)
+ *   items                - schema of every array item
+ * Properties not listed are allowed; models keep optional data the schemas do not describe.
+ */
+
+export const ADULT_SCHEMA = {
+  type: "object",
+  required: ["id", "name", "netIncome"],
+  properties: {
+    id: ID,
+    name: { type: "string", minLength: 1 },
+    netIncome: { type: "number", minimum: 0 },
+    incomeCurrency: { type: "string", pattern: CURRENCY_PATTERN },
+    incomeHistory: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["effectiveFrom", "netIncome"],
+        properties: {
+          effectiveFrom: { type: "string", pattern: LABEL_PATTERN },
+          netIncome: { type: "number", minimum: 0 }
+        }
+      }
+    },
+    careCompensationMode: { enum: CARE_COMPENSATION_MODES }
+  }
+};
+
+// Household shape under any policy; getHouseholdSchema adds the policy's bounds
+export const HOUSEHOLD_SCHEMA = {
+  type: "object",
+  required: ["name", "adults"],
+  properties: {
+    name: { type: "string", minLength: 1 },
+    currency: { type: "string", pattern: CURRENCY_PATTERN },
+    timeZone: { type: "string", minLength: 1, nullable: true },
+    adults: { type: "array", items: ADULT_SCHEMA },
+    childrenCount: { type: "integer", minimum: 0 },
+    childUnitWeight: { type: "number", exclusiveMinimum: 0 },
+    capPercent: { type: "number", exclusiveMinimum: 0, maximum: 1 },
+    allocationStrategy: { type: "string" },
+    allocationOptions: { type: "object" },
+    careModel: { enum: CARE_MODELS },
+    careRatePerHour: { type: "number", exclusiveMinimum: 0 },
+    careRateCard: { type: "object" },
+    careCreditPolicy: { type: "object" },
+    careCredits: { type: "array", items: { type: "object" } },
+    coreCategories: { type: "array", items: { type: "object" } },
+    visionAllocPercent: { type: "number", minimum: 0, maximum: 0.5 },
+    emergencyMonths: { type: "number", exclusiveMinimum: 0 },
+    emergencyEstimate: { type: "object" },
+    coreHistory: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["label", "coreTotal"],
+        properties: {
+          label: { type: "string", pattern: LABEL_PATTERN },
+          coreTotal: { type: "number", minimum: 0 }
+        }
+      }
+    },
+    emergencyFund: { type: "object" },
+    sinkingFunds: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["name"],
+        properties: {
+          name: { type: "string", minLength: 1 },
+          annualTarget: { type: "number", minimum: 0 },
+          currentBalance: { type: "number" }
+        }
+      }
+    },
+    accounts: { type: "object", values: { type: "object" } },
+    proposals: { type: "array", items: { type: "object", required: ["id", "template", "status"] } },
+    scheduledTransfers: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["fund", "label", "amount"],
+        properties: {
+          fund: { type: "string" },
+          label: { type: "string", pattern: LABEL_PATTERN },
+          amount: { type: "number", exclusiveMinimum: 0 }
+        }
+      }
+    },
+    governance: {
+      type: "object",
+      properties: {
+        routineQuorum: { type: "integer", minimum: 1 },
+        majorQuorum: { type: "integer", minimum: 1 }
+      }
+    },
+    documents: { type: "object" },
+    policy: { type: "object", values: { type: "object" } }
+  }
+};
+
+/**
+ * Get the household schema for a household's policy
+ * The adult count, capPercent, childUnitWeight and emergencyMonths bounds come
+ * from the policy, so they match what Household.validate enforces.
+ * @param {Object} [household] - Household data with an optional policy
+ * @returns {Object} Household schema
+ */
+export function getHouseholdSchema(household = {}) {
+  const policy = resolveHouseholdPolicy(TYPE_CHECKS.object(household.policy) ? household : {});
+  const range = key => ({ type: "number", minimum: policy[key].min, maximum: policy[key].max });
+  return {
+    ...HOUSEHOLD_SCHEMA,
+    properties: {
+      ...HOUSEHOLD_SCHEMA.properties,
+      adults: { ...HOUSEHOLD_SCHEMA.properties.adults, minItems: policy.adults.min, maxItems: policy.adults.max },
+      capPercent: range("capPercent"),
+      childUnitWeight: range("childUnitWeight"),
+      emergencyMonths: range("emergencyMonths")
+    }
+  };
+}
+
+export const CARE_ENTRY_SCHEMA = {
+  type: "object",
+  required: ["id", "adultId", "date", "task", "hours"],
+  properties: {
+    id: { type: "string" },
+    adultId: ID,
+    date: { type: "string", pattern: DATE_PATTERN },
+    task: { type: "string", minLength: 1 },
+    taskType: { type: "string" },
+    timeBand: { enum: CARE_TIME_BANDS },
+    hours: { type: "number", exclusiveMinimum: 0, maximum: 24 },
+    notes: { type: "string" },
+    status: { enum: CARE_ENTRY_STATUSES },
+    reviews: { type: "array", items: { type: "object" } }
+  }
+};
+
+export const DECISION_SCHEMA = {
+  type: "object",
+  required: ["id", "title", "date"],
+  properties: {
+    id: { type: "string" },
+    title: { type: "string", minLength: 1 },
+    type: { type: "string" },
+    date: { type: "string", pattern: DATE_PATTERN }
+  }
+};
+
+export const AMENDMENT_SCHEMA = {
+  type: "object",
+  required: ["id", "date"],
+  properties: {
+    id: { type: "string" },
+    title: { type: "string" },
+    description: { type: "string" },
+    date: { type: "string", pattern: DATE_PATTERN }
+  }
+};
+
+export const PERIOD_SCHEMA = {
+  type: "object",
+  required: ["label"],
+  properties: {
+    label: { type: "string", pattern: LABEL_PATTERN },
+    coreTotal: { type: "number", minimum: 0 },
+    categoryAmounts: { type: "object", values: { type: "number", minimum: 0 } },
+    assignedChildUnits: { type: "object", values: { type: "number", minimum: 0 } },
+    memberships: { type: "object", values: { type: "object" } },
+    childUnitSpans: {
+      type: "object",
+      values: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["units"],
+          properties: {
+            units: { type: "number", minimum: 0 },
+            startDate: { type: "string", pattern: DATE_PATTERN },
+            endDate: { type: "string", pattern: DATE_PATTERN }
+          }
+        }
+      }
+    },
+    overrides: { type: "object", values: { type: "number", minimum: 0 } },
+    recurringOverrides: { type: "array", items: ID },
+    capAdjustment: { type: "object", nullable: true },
+    incomeSnapshots: { type: "object", values: { type: "object" } },
+    fxRates: { type: "object", values: { type: "number", exclusiveMinimum: 0 } },
+    careEntries: { type: "array", items: CARE_ENTRY_SCHEMA },
+    careCompensationModes: { type: "object", values: { enum: CARE_COMPENSATION_MODES } },
+    careCreditsApplied: { type: "object", values: { type: "number", minimum: 0 } },
+    decisions: { type: "array", items: DECISION_SCHEMA },
+    amendments: { type: "array", items: AMENDMENT_SCHEMA },
+    calculationAudit: { type: "object", nullable: true },
+    nextPeriodCorePreview: { type: "object", nullable: true },
+    rolledOverFrom: { type: "object", nullable: true },
+    status: { enum: PERIOD_STATUSES },
+    statusHistory: { type: "array", items: { type: "object" } },
+    isLocked: { type: "boolean" },
+    createdAt: { type: "string" },
+    updatedAt: { type: "string" }
+  }
+};
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value)
+};
+
+/**
+ * Describe a value's type for messages
+ * @param {*} value - Value
+ * @returns {string} "null", "array" or the typeof name
+ * @private
+ */
+function describeType(value) {
+  if (value === null) return "null";
+  return Array.isArray(value) ? "array" : typeof value;
+}
+
+/**
+ * Append a key to a JSON pointer, escaping "~" and "/" as RFC 6901 requires
+ * @param {string} pointer - Parent pointer
+ * @param {string|number} key - Property name or array index
+ * @returns {string} Child pointer
+ * @private
+ */
+function childPointer(pointer, key) {
+  return `${pointer}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+/**
+ * Validate a value against a schema
+ * Checks stop at the first problem of each value, so a wrong type is reported
+ * without the range and pattern problems that follow from it.
+ * @param {Object} schema - Schema (see the keywords above)
+ * @param {*} value - Value to check
+ * @param {string} [pointer] - JSON pointer of the value, prefixed to every violation
+ * @returns {Array} Violations with codes SCHEMA_TYPE, SCHEMA_ENUM, SCHEMA_PATTERN, SCHEMA_MIN_LENGTH,
+ *   SCHEMA_MINIMUM, SCHEMA_MAXIMUM, SCHEMA_MIN_ITEMS, SCHEMA_MAX_ITEMS or SCHEMA_REQUIRED
+ */
+export function validateSchema(schema, value, pointer = "") {
+  const at = pointer || "/";
+
+  if (value === null && schema.nullable) {
+    return [];
+  }
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => TYPE_CHECKS[type](value))) {
+      const expected = types.join(' or ');
+      return [createViolation("SCHEMA_TYPE", pointer, `${at} must be ${expected}, found ${describeType(value)}`,
+        { expected, actual: describeType(value) })];
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [createViolation("SCHEMA_ENUM", pointer, `${at} must be one of ${schema.enum.join(', ')}, found ${value}`,
+      { allowed: schema.enum, actual: value })];
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return [createViolation("SCHEMA_MIN_LENGTH", pointer, `${at} must not be empty`, { min: schema.minLength, actual: value.length })];
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return [createViolation("SCHEMA_PATTERN", pointer, `${at} must match ${schema.pattern}, found ${value}`,
+        { pattern: schema.pattern, actual: value })];
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return [createViolation("SCHEMA_MINIMUM", pointer, `${at} must be at least ${schema.minimum}, found ${value}`,
+        { min: schema.minimum, actual: value })];
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      return [createViolation("SCHEMA_MINIMUM", pointer, `${at} must be greater than ${schema.exclusiveMinimum}, found ${value}`,
+        { exclusiveMin: schema.exclusiveMinimum, actual: value })];
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return [createViolation("SCHEMA_MAXIMUM", pointer, `${at} must be at most ${schema.maximum}, found ${value}`,
+        { max: schema.maximum, actual: value })];
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return [createViolation("SCHEMA_MIN_ITEMS", pointer, `${at} must have at least ${schema.minItems} items, found ${value.length}`,
+        { min: schema.minItems, actual: value.length })];
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return [createViolation("SCHEMA_MAX_ITEMS", pointer, `${at} must have at most ${schema.maxItems} items, found ${value.length}`,
+        { max: schema.maxItems, actual: value.length })];
+    }
+  }
+
+  const violations = [];
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      violations.push(...validateSchema(schema.items, item, childPointer(pointer, index)));
+    });
+  }
+  if (TYPE_CHECKS.object(value)) {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) {
+        violations.push(createViolation("SCHEMA_REQUIRED", childPointer(pointer, key), `${childPointer(pointer, key)} is required`, {}));
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined && !(value[key] === null && (schema.required || []).includes(key))) {
+        violations.push(...validateSchema(propertySchema, value[key], childPointer(pointer, key)));
+      }
+    });
+    if (schema.values) {
+      Object.entries(value).forEach(([key, entry]) => {
+        violations.push(...validateSchema(schema.values, entry, childPointer(pointer, key)));
+      });
+    }
+  }
+  return violations;
+}
@@ -0,0 +1,241 @@
+/**
+ * Household export format for LLC Governance Dashboard
+ * Wraps exported data in a versioned, checksummed envelope and upgrades older
+ * exports to the current Household and Period shape on import
+ */
+
+import { createHash } from 'crypto';
+import { Household } from '../models/household.js';
+import { Period } from '../models/period.js';
+import { LEGACY_CARE_APPROVER } from '../core/careApproval.js';
+import { createViolation } from '../models/householdPolicy.js';
+import { getHouseholdSchema, PERIOD_SCHEMA, validateSchema } from '../models/schemas.js';
+
+export const EXPORT_FORMAT = "llc-household-export";
+export const EXPORT_FORMAT_VERSION = 1;
+
+// Shape of a current-format payload, checked before its household and periods are read
+const PAYLOAD_SCHEMA = {
+  type: "object",
+  properties: {
+    household: { type: "object", nullable: true },
+    periods: { type: "array", items: { type: "object" } },
+    currentLabel: { type: "string", nullable: true }
+  }
+};
+
+/**
+ * Create an error carrying a structured violation
+ * @param {string} code - Violation code
+ * @param {string} field - JSON pointer to the offending input
+ * @param {string} message - Human-readable message
+ * @param {Object} params - Violation parameters
+ * @returns {Error} Error with violations
+ * @private
+ */
+function exportError(code, field, message, params = {}) {
+  const error = new Error(message);
+  error.violations = [createViolation(code, field, message, params)];
+  return error;
+}
+
+/**
+ * Serialize a value as JSON with object keys sorted, so equal data always
+ * produces the same text
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ * @private
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJSON(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Compute the checksum of an export payload
+ * @param {Object} payload - Export payload
+ * @returns {string} "sha256:<hex digest>" of the payload's canonical JSON
+ */
+export function computeChecksum(payload) {
+  return `sha256:${createHash('sha256').update(canonicalJSON(payload)).digest('hex')}`;
+}
+
+/**
+ * Migrations that upgrade an export payload by one format version each.
+ * Each one gets the payload of format `from` and a list to record its changes in.
+ */
+const MIGRATIONS = [
+  {
+    from: 0,
+    to: 1,
+    description: "Unversioned export: wrap the household and periods, replace isLocked with the period status, approve care entries recorded before approvals",
+    migrate(data, changes) {
+      const periods = data.periods ? [...data.periods] : [];
+      if (data.period && !periods.some(period => period.label === data.period.label)) {
+        periods.push(data.period);
+        changes.push("Moved the single exported period into the periods list");
+      }
+      const migratedPeriods = periods.map((period, index) => {
+        let migrated = period;
+        const legacyEntries = (period.careEntries || []).filter(entry => !entry.status).length;
+        if (legacyEntries > 0) {
+          // Care was counted without review before approvals existed, so keep it valued
+          migrated = {
+            ...migrated,
+            careEntries: period.careEntries.map(entry => entry.status ? entry : { ...entry, status: "approved", approvedBy: LEGACY_CARE_APPROVER })
+          };
+          changes.push(`/periods/${index}/careEntries: ${legacyEntries} entr${legacyEntries === 1 ? 'y' : 'ies'} without a status marked approved`);
+        }
+        if (period.status) return migrated;
+        const status = period.isLocked ? "closed" : (period.calculationAudit ? "calculated" : "draft");
+        changes.push(`/periods/${index}: isLocked ${Boolean(period.isLocked)} mapped to status ${status}`);
+        return { ...migrated, status, statusHistory: period.statusHistory || [] };
+      });
+      return {
+        household: data.household || null,
+        periods: migratedPeriods,
+        currentLabel: data.period ? data.period.label : (migratedPeriods.length > 0 ? migratedPeriods[migratedPeriods.length - 1].label : null)
+      };
+    }
+  }
+];
+
+/**
+ * Create an error carrying every schema violation of an import
+ * @param {Array} violations - Schema violations
+ * @returns {Error} Error with violations
+ * @private
+ */
+function schemaError(violations) {
+  const error = new Error(`Import does not match the household and period schemas (${violations.length} problem${violations.length === 1 ? '' : 's'})`);
+  error.violations = violations;
+  return error;
+}
+
+/**
+ * Drop the properties of an object the current model does not know
+ * @param {Object} data - Exported object
+ * @param {string[]} knownKeys - Properties of the current model
+ * @param {string} pointer - JSON pointer to the object, for the report
+ * @param {string[]} dropped - Pointers of dropped properties (appended to)
+ * @returns {Object} The object without unknown properties
+ * @private
+ */
+function dropUnknown(data, knownKeys, pointer, dropped) {
+  return Object.fromEntries(Object.entries(data).filter(([key]) => {
+    if (knownKeys.includes(key)) return true;
+    dropped.push(`${pointer}/${key}`);
+    return false;
+  }));
+}
+
+/**
+ * Wrap household data in a versioned export envelope
+ * @param {Object} data - { household, periods, currentLabel } with Household and Period instances
+ * @param {Object} [options] - { appVersion }
+ * @returns {Object} { format, version, appVersion, exportedAt, checksum, payload }
+ */
+export function createExport({ household, periods = [], currentLabel = null }, { appVersion = null } = {}) {
+  const payload = {
+    household: household.toJSON(),
+    periods: periods.map(period => period.toJSON()),
+    currentLabel
+  };
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_FORMAT_VERSION,
+    appVersion,
+    exportedAt: new Date().toISOString(),
+    checksum: computeChecksum(payload),
+    payload
+  };
+}
+
+/**
+ * Read an export, verifying its checksum and upgrading it to the current format
+ * Files without an envelope are treated as format version 0. Properties the
+ * current models no longer have are dropped and listed in the report; the rest
+ * must match the household schema for its policy and PERIOD_SCHEMA. Violation pointers are relative
+ * to the upgraded payload, e.g. "/periods/0/coreTotal".
+ * @param {Object} data - Export envelope, or an unversioned { household, period, periods } export
+ * @returns {Object} { payload: { household, periods, currentLabel }, report }
+ */
+export function readExport(data) {
+  if (!data || typeof data !== 'object') {
+    throw exportError("EXPORT_INVALID", "", "Import data must be an export object");
+  }
+
+  const enveloped = data.format === EXPORT_FORMAT;
+  const fromVersion = enveloped ? data.version : 0;
+  if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+    throw exportError("EXPORT_VERSION_INVALID", "/version", `Export version must be a whole number, found ${data.version}`, { actual: data.version });
+  }
+  if (fromVersion > EXPORT_FORMAT_VERSION) {
+    throw exportError("EXPORT_VERSION_UNSUPPORTED", "/version",
+      `Export version ${fromVersion} is newer than this app supports (${EXPORT_FORMAT_VERSION}); update the app to import it`,
+      { max: EXPORT_FORMAT_VERSION, actual: fromVersion });
+  }
+
+  let checksum = "missing";
+  if (enveloped) {
+    if (!data.payload || typeof data.payload !== 'object') {
+      throw exportError("EXPORT_PAYLOAD_MISSING", "/payload", "Export envelope has no payload");
+    }
+    if (data.checksum) {
+      const actual = computeChecksum(data.payload);
+      if (actual !== data.checksum) {
+        throw exportError("EXPORT_CHECKSUM_MISMATCH", "/checksum",
+          "Export checksum does not match its contents; the file was changed or damaged", { expected: data.checksum, actual });
+      }
+      checksum = "verified";
+    }
+  }
+
+  let payload = enveloped ? data.payload : data;
+  const migrations = [];
+  MIGRATIONS.filter(migration => migration.from >= fromVersion).forEach(migration => {
+    const changes = [];
+    payload = migration.migrate(payload, changes);
+    migrations.push({ from: migration.from, to: migration.to, description: migration.description, changes });
+  });
+
+  const payloadViolations = validateSchema(PAYLOAD_SCHEMA, payload);
+  if (payloadViolations.length > 0) {
+    throw schemaError(payloadViolations);
+  }
+
+  const dropped = [];
+  const householdKeys = Object.keys(new Household().toJSON());
+  const periodKeys = Object.keys(new Period().toJSON());
+  const household = payload.household ? dropUnknown(payload.household, householdKeys, "/household", dropped) : null;
+  const periods = (payload.periods || []).map((period, index) => dropUnknown(period, periodKeys, `/periods/${index}`, dropped));
+
+  const violations = [
+    ...(household ? validateSchema(getHouseholdSchema(household), household, "/household") : []),
+    ...periods.flatMap((period, index) => validateSchema(PERIOD_SCHEMA, period, `/periods/${index}`))
+  ];
+  if (violations.length > 0) {
+    throw schemaError(violations);
+  }
+
+  return {
+    payload: { household, periods, currentLabel: payload.currentLabel || null },
+    report: {
+      fromVersion,
+      toVersion: EXPORT_FORMAT_VERSION,
+      appVersion: enveloped ? data.appVersion || null : null,
+      exportedAt: data.exportedAt || null,
+      checksum,
+      migrations,
+      dropped
+    }
+  };
+}